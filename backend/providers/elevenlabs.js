@@ -0,0 +1,170 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const path = require('path');
+const { retryWithBackoff } = require('../utils/apiHelpers');
+const { toAudioDataUrl } = require('../utils/audioUtils');
+const { wordsFromCharacterTimes } = require('../utils/wordTiming');
+
+const DEFAULT_VOICE_ID = 'pNInz6obpgDQGcFmaJgB';
+
+const isAvailable = () => Boolean(process.env.ELEVENLABS_API_KEY);
+
+/**
+ * ElevenLabs Text-to-Speech (Fallback)
+ * Using Turbo v2.5 model (fastest and cheapest)
+ */
+const tts = {
+    name: 'elevenlabs',
+    label: 'ElevenLabs TTS',
+    isAvailable,
+
+    synthesize: async (text, voiceOptions = {}) => {
+        const voiceId = voiceOptions.voiceId || DEFAULT_VOICE_ID;
+
+        const response = await retryWithBackoff(async () => {
+            return await axios.post(
+                // with-timestamps returns the audio with a per-character alignment
+                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`,
+                {
+                    text: text,
+                    // Using Turbo v2.5 - fastest and cheapest model
+                    model_id: "eleven_turbo_v2_5",
+                    // Turbo v2.5 is multilingual; pin the story language so short lines are not misread
+                    ...(voiceOptions.language && voiceOptions.language !== 'en' ? { language_code: voiceOptions.language } : {}),
+                    voice_settings: {
+                        stability: 0.5,
+                        similarity_boost: 0.5,
+                        style: 0.0,
+                        use_speaker_boost: false, // Disable for cost savings
+                        // ElevenLabs only accepts 0.7-1.2
+                        speed: Math.min(1.2, Math.max(0.7, voiceOptions.speakingRate || 1.0))
+                    }
+                },
+                {
+                    headers: {
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json',
+                        'xi-api-key': process.env.ELEVENLABS_API_KEY
+                    }
+                }
+            );
+        });
+
+        const alignment = response.data.alignment || {};
+
+        return {
+            audioUrl: toAudioDataUrl(Buffer.from(response.data.audio_base64, 'base64')),
+            text: text,
+            duration: Math.max(2, text.length * 0.08), // Estimate, replaced by the measured duration
+            words: wordsFromCharacterTimes(text, {
+                characters: alignment.characters,
+                characterStartTimes: alignment.character_start_times_seconds,
+                characterEndTimes: alignment.character_end_times_seconds
+            }) || [],
+            timestamp: new Date().toISOString(),
+            provider: 'elevenlabs-turbo',
+            cost: 'medium' // Turbo v2.5 is cheaper than multilingual models
+        };
+    }
+};
+
+/**
+ * ElevenLabs Speech-to-Text (Superior Accuracy)
+ * Best for natural speech patterns and storytelling
+ */
+const stt = {
+    name: 'elevenlabs',
+    label: 'ElevenLabs Speech-to-Text',
+    timeoutMs: 15000,
+    isAvailable,
+
+    transcribe: async (audioBuffer) => {
+        // Create temp directory if it doesn't exist
+        const tempDir = path.join(__dirname, '../temp');
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+
+        // Save audio buffer to temporary file
+        const tempFilePath = path.join(tempDir, `audio_${Date.now()}.wav`);
+        fs.writeFileSync(tempFilePath, audioBuffer);
+
+        const formData = new FormData();
+        formData.append('audio', fs.createReadStream(tempFilePath));
+        formData.append('model_id', 'whisper-1'); // Best model for storytelling accuracy
+        // Word times and speakers give recorded stories their paragraphs and dialogue
+        formData.append('timestamps_granularity', 'word');
+        formData.append('diarize', 'true');
+
+        try {
+            const response = await retryWithBackoff(async () => {
+                return await axios.post('https://api.elevenlabs.io/v1/speech-to-text', formData, {
+                    headers: {
+                        ...formData.getHeaders(),
+                        'xi-api-key': process.env.ELEVENLABS_API_KEY
+                    },
+                    timeout: 12000 // 12 second timeout
+                });
+            });
+
+            return {
+                transcript: response.data.text,
+                // Spacing and audio events (laughter, music) come between the words
+                words: (response.data.words || [])
+                    .filter(word => !word.type || word.type === 'word')
+                    .map(word => ({ text: word.text, start: word.start, end: word.end, speaker: word.speaker_id || null })),
+                confidence: 0.95, // Higher confidence due to superior accuracy
+                timestamp: new Date().toISOString(),
+                provider: 'elevenlabs-whisper-primary',
+                cost: 'medium',
+                quality: 'superior' // Best for natural speech and storytelling
+            };
+        } finally {
+            // Clean up temp file
+            try {
+                fs.unlinkSync(tempFilePath);
+            } catch (cleanupError) {
+                console.warn('Failed to cleanup temp file:', cleanupError.message);
+            }
+        }
+    }
+};
+
+/**
+ * ElevenLabs sound generation (no cheaper alternative available)
+ */
+const sfx = {
+    name: 'elevenlabs',
+    label: 'ElevenLabs Sound Effects',
+    isAvailable,
+
+    generateSound: async (prompt, { durationSeconds = 6 } = {}) => {
+        const response = await retryWithBackoff(async () => {
+            return await axios.post('https://api.elevenlabs.io/v1/sound-generation', {
+                text: prompt,
+                duration_seconds: durationSeconds,
+                prompt_influence: 0.3 // Lower influence for cost optimization
+            }, {
+                headers: {
+                    'Accept': 'audio/mpeg',
+                    'Content-Type': 'application/json',
+                    'xi-api-key': process.env.ELEVENLABS_API_KEY
+                },
+                responseType: 'arraybuffer'
+            });
+        });
+
+        return {
+            audioUrl: toAudioDataUrl(Buffer.from(response.data)),
+            provider: 'elevenlabs-sound-optimized',
+            cost: 'medium' // Sound generation is premium feature
+        };
+    }
+};
+
+module.exports = {
+    tts,
+    stt,
+    sfx
+};
@@ -0,0 +1,97 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Model tiers callers can ask for
+const MODELS = {
+  pro: 'gemini-2.5-pro',
+  fast: 'gemini-2.5-flash',
+  image: 'gemini-2.5-flash-image-preview'
+};
+
+let client = null;
+let clientKey = null;
+
+// Lazily create the client so key changes are picked up without a restart
+const getClient = () => {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY environment variable is required');
+  }
+
+  if (!client || clientKey !== process.env.GEMINI_API_KEY) {
+    client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    clientKey = process.env.GEMINI_API_KEY;
+    console.log('Gemini AI initialized successfully');
+  }
+
+  return client;
+};
+
+// Build Gemini content parts from a prompt and optional images
+const toContentParts = (prompt, images = []) => [
+  prompt,
+  ...images.map(image => ({
+    inlineData: {
+      data: image.data,
+      mimeType: image.mimeType || 'image/png'
+    }
+  }))
+];
+
+// Split a Gemini response into its first image and any text
+const readResponseParts = (response) => {
+  const parts = response?.response?.candidates?.[0]?.content?.parts || [];
+  const imagePart = parts.find(part => part.inlineData?.data);
+  const text = parts.filter(part => part.text).map(part => part.text).join('\n').trim();
+
+  return {
+    image: imagePart
+      ? { data: imagePart.inlineData.data, mimeType: imagePart.inlineData.mimeType || 'image/png' }
+      : null,
+    text: text || null,
+    partCount: parts.length
+  };
+};
+
+/**
+ * Gemini text provider (story analysis, characters, prompt helpers)
+ */
+const text = {
+  name: 'gemini',
+  label: MODELS.pro,
+  isAvailable: () => Boolean(process.env.GEMINI_API_KEY),
+
+  generateText: async (prompt, { images = [], tier = 'pro' } = {}) => {
+    const model = getClient().getGenerativeModel({ model: MODELS[tier] || MODELS.pro });
+    const response = await model.generateContent(toContentParts(prompt, images));
+    return response.response.text().trim();
+  }
+};
+
+/**
+ * Gemini image provider (NanoBanana generation and editing)
+ */
+const image = {
+  name: 'gemini',
+  label: MODELS.image,
+  model: MODELS.image,
+  cost: 'medium',
+  quality: 'high',
+  isAvailable: () => Boolean(process.env.GEMINI_API_KEY),
+
+  // referenceImages (e.g. character reference sheets) are sent alongside the prompt
+  generateImage: async (prompt, { referenceImages = [] } = {}) => {
+    const model = getClient().getGenerativeModel({ model: MODELS.image });
+    return readResponseParts(await model.generateContent(toContentParts(prompt, referenceImages)));
+  },
+
+  // mask (inpainting): black and white image sent right after the source, white marks the region to change
+  editImage: async (sourceImage, prompt, { referenceImages = [], mask = null } = {}) => {
+    const model = getClient().getGenerativeModel({ model: MODELS.image });
+    const images = [sourceImage, ...(mask ? [mask] : []), ...referenceImages];
+    return readResponseParts(await model.generateContent(toContentParts(prompt, images)));
+  }
+};
+
+module.exports = {
+  text,
+  image
+};
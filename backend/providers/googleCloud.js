@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { retryWithBackoff } = require('../utils/apiHelpers');
+const { splitWords, wordsFromTimepoints } = require('../utils/wordTiming');
+
+const isAvailable = () => Boolean(process.env.GOOGLE_CLOUD_API_KEY);
+
+const escapeSsml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// SSML with a mark before every word, so the service reports when each word starts
+const toMarkedSsml = (text) => {
+    let ssml = '';
+    let lastIndex = 0;
+    splitWords(text).forEach((word, index) => {
+        ssml += `${escapeSsml(text.slice(lastIndex, word.charStart))}<mark name="w${index}"/>${escapeSsml(word.text)}`;
+        lastIndex = word.charEnd;
+    });
+    return `<speak>${ssml}${escapeSsml(text.slice(lastIndex))}</speak>`;
+};
+
+/**
+ * Google Cloud Text-to-Speech (Primary - Cost Effective)
+ * Using Standard voices (cheaper than Neural2)
+ */
+const tts = {
+    name: 'google-cloud',
+    label: 'Google Cloud TTS',
+    isAvailable,
+
+    synthesize: async (text, voiceOptions = {}) => {
+        const response = await retryWithBackoff(async () => {
+            return await axios.post(
+                // v1beta1 reports timepoints for SSML marks
+                `https://texttospeech.googleapis.com/v1beta1/text:synthesize?key=${process.env.GOOGLE_CLOUD_API_KEY}`,
+                {
+                    input: { ssml: toMarkedSsml(text) },
+                    enableTimePointing: ['SSML_MARK'],
+                    voice: {
+                        languageCode: voiceOptions.languageCode || 'en-US',
+                        // Using Standard voices (cheaper than Neural2)
+                        name: voiceOptions.voiceName || 'en-US-Standard-D', // Female voice
+                        ssmlGender: voiceOptions.gender || 'NEUTRAL'
+                    },
+                    audioConfig: {
+                        audioEncoding: 'MP3',
+                        speakingRate: voiceOptions.speakingRate || 1.0,
+                        pitch: voiceOptions.pitch || 0.0,
+                        volumeGainDb: voiceOptions.volumeGain || 0.0
+                    }
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        });
+
+        // Mark w<n> is the start of word n; the last word ends with the (measured) audio
+        const markTimes = (response.data.timepoints || []).reduce((times, point) => {
+            times[point.markName] = point.timeSeconds;
+            return times;
+        }, {});
+        const startTimes = splitWords(text).map((word, index) => markTimes[`w${index}`]);
+
+        return {
+            audioUrl: `data:audio/mpeg;base64,${response.data.audioContent}`,
+            text: text,
+            duration: Math.max(2, text.length * 0.08), // Estimate, replaced by the measured duration
+            words: (startTimes.every(time => typeof time === 'number') && wordsFromTimepoints(text, startTimes, null)) || [],
+            timestamp: new Date().toISOString(),
+            provider: 'google-cloud-standard',
+            cost: 'low' // Standard voices are $4 per 1M characters
+        };
+    }
+};
+
+// Recognized words with their times ("1.300s") and speakers; with diarization the last result
+// carries every word of the recording with its speakerTag
+const toTranscriptWords = (results) => {
+    const lastWords = results[results.length - 1].alternatives[0].words || [];
+    const words = lastWords.some(word => word.speakerTag)
+        ? lastWords
+        : results.flatMap(result => result.alternatives[0].words || []);
+
+    return words.map(word => ({
+        text: word.word,
+        start: parseFloat(word.startTime) || 0,
+        end: parseFloat(word.endTime) || 0,
+        speaker: word.speakerTag ? `speaker_${word.speakerTag}` : null
+    }));
+};
+
+/**
+ * Google Cloud Speech-to-Text (Primary - Fast & Reliable)
+ * Optimized for speed and cost efficiency
+ */
+const stt = {
+    name: 'google-cloud',
+    label: 'Google Cloud Speech-to-Text',
+    timeoutMs: 10000,
+    isAvailable,
+
+    transcribe: async (audioBuffer) => {
+        const audioBase64 = audioBuffer.toString('base64');
+
+        const response = await retryWithBackoff(async () => {
+            return await axios.post(
+                `https://speech.googleapis.com/v1/speech:recognize?key=${process.env.GOOGLE_CLOUD_API_KEY}`,
+                {
+                    config: {
+                        encoding: 'WEBM_OPUS',
+                        sampleRateHertz: 48000,
+                        languageCode: 'en-US',
+                        enableAutomaticPunctuation: true,
+                        // Word times and speakers give recorded stories their paragraphs and dialogue
+                        enableWordTimeOffsets: true,
+                        diarizationConfig: {
+                            enableSpeakerDiarization: true,
+                            minSpeakerCount: 1,
+                            maxSpeakerCount: 3
+                        },
+                        // Long-form model, recorded stories run longer than voice commands
+                        model: 'latest_long',
+                        useEnhanced: false
+                    },
+                    audio: {
+                        content: audioBase64
+                    }
+                },
+                {
+                    timeout: 8000 // 8 second timeout for faster response
+                }
+            );
+        });
+
+        if (response.data.results && response.data.results.length > 0) {
+            const transcript = response.data.results
+                .map(result => result.alternatives[0].transcript)
+                .filter(Boolean)
+                .join(' ');
+
+            return {
+                transcript,
+                words: toTranscriptWords(response.data.results),
+                confidence: response.data.results[0].alternatives[0].confidence || 0.85, // Good confidence for primary
+                timestamp: new Date().toISOString(),
+                provider: 'google-cloud-primary',
+                cost: 'low', // Standard model is $0.006 per 15 seconds
+                quality: 'fast-and-accurate' // Optimized for speed
+            };
+        }
+
+        throw new Error('No transcription results from Google Cloud');
+    }
+};
+
+module.exports = {
+    tts,
+    stt
+};
@@ -0,0 +1,112 @@
+const gemini = require('./gemini');
+const googleCloud = require('./googleCloud');
+const elevenlabs = require('./elevenlabs');
+const mock = require('./mock');
+
+/**
+ * Provider registry
+ *
+ * Interfaces by kind:
+ * - text:  generateText(prompt, { images, tier, task, context }) -> string
+ * - image: generateImage(prompt, { referenceImages }), editImage({ data, mimeType }, prompt, { referenceImages, mask })
+ *          -> { image, text } (referenceImages: [{ data, mimeType }], e.g. character reference sheets;
+ *          mask: { data, mimeType } black and white inpainting mask, white is the region to change)
+ * - tts:   synthesize(text, voiceOptions) -> { audioUrl, duration, provider, words, ... }
+ *          (words: optional word timings from the service, see utils/wordTiming; the duration is
+ *          measured from the audio afterwards)
+ * - stt:   transcribe(audioBuffer) -> { transcript, confidence, provider, words, ... }
+ *          (words: optional [{ text, start, end, speaker }] in seconds, speaker a label for each
+ *          voice told apart; see utils/transcription)
+ * - sfx:   generateSound(prompt, { durationSeconds }) -> { audioUrl, provider }
+ *
+ * Every provider also has a name and isAvailable(). Selection is configured with
+ * PROVIDER_MODE (live | mock) and per-kind overrides such as TTS_PROVIDER=mock.
+ */
+
+const registry = {
+  text: { gemini: gemini.text, mock: mock.text },
+  image: { gemini: gemini.image, mock: mock.image },
+  tts: { 'google-cloud': googleCloud.tts, elevenlabs: elevenlabs.tts, mock: mock.tts },
+  stt: { 'google-cloud': googleCloud.stt, elevenlabs: elevenlabs.stt, mock: mock.stt },
+  sfx: { elevenlabs: elevenlabs.sfx, mock: mock.sfx }
+};
+
+// Fallback order used in live mode when no override is set
+const LIVE_CHAINS = {
+  text: ['gemini'],
+  image: ['gemini'],
+  tts: ['google-cloud', 'elevenlabs'],
+  stt: ['google-cloud', 'elevenlabs'],
+  sfx: ['elevenlabs']
+};
+
+const getProviderMode = () => (process.env.PROVIDER_MODE || 'live').toLowerCase();
+
+/**
+ * Provider names configured for a kind, in fallback order
+ */
+const getConfiguredChain = (kind) => {
+  if (!registry[kind]) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+
+  const override = process.env[`${kind.toUpperCase()}_PROVIDER`];
+  if (override) {
+    return override.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+
+  return getProviderMode() === 'mock' ? ['mock'] : LIVE_CHAINS[kind];
+};
+
+/**
+ * All usable providers for a kind, in fallback order
+ */
+const getProviderChain = (kind) => {
+  return getConfiguredChain(kind)
+    .map(name => {
+      const provider = registry[kind][name];
+      if (!provider) console.warn(`Unknown ${kind} provider "${name}" in configuration, skipping`);
+      return provider;
+    })
+    .filter(provider => provider && provider.isAvailable());
+};
+
+/**
+ * First usable provider for a kind, or null when none is configured
+ */
+const getProvider = (kind) => getProviderChain(kind)[0] || null;
+
+/**
+ * Register an additional provider implementation
+ */
+const registerProvider = (kind, name, provider) => {
+  if (!registry[kind]) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+  registry[kind][name] = { name, isAvailable: () => true, ...provider };
+};
+
+/**
+ * Provider selection summary for health and status endpoints
+ */
+const describeProviders = () => {
+  const summary = { mode: getProviderMode() };
+
+  Object.keys(registry).forEach(kind => {
+    const chain = getProviderChain(kind);
+    summary[kind] = {
+      configured: getConfiguredChain(kind),
+      available: chain.map(provider => provider.name),
+      active: chain[0]?.name || null
+    };
+  });
+
+  return summary;
+};
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  registerProvider,
+  describeProviders
+};
@@ -0,0 +1,543 @@
+const zlib = require('zlib');
+const { createWavBuffer, parseWavInfo, toAudioDataUrl } = require('../utils/audioUtils');
+const { guessSpeakers } = require('../utils/dialogue');
+const { classifyByKeywords } = require('../utils/contentPolicies');
+const { guessLanguage } = require('../utils/languages');
+
+/**
+ * Deterministic offline providers
+ * Same input always gives the same output, so pipelines and routes can be
+ * exercised end-to-end without keys or network access
+ */
+
+const CONFIG = {
+  IMAGE_WIDTH: 800,
+  IMAGE_HEIGHT: 600,
+  SAMPLE_RATE: 16000,
+  SPEECH_AMPLITUDE: 0.2,
+  AMBIENT_AMPLITUDE: 0.05,
+  // Made-up timing of transcribed words: seconds per word, and the pauses after a sentence and at a blank line
+  TRANSCRIPT_WORD_SECONDS: 0.3,
+  TRANSCRIPT_SENTENCE_PAUSE: 0.5,
+  TRANSCRIPT_SCENE_PAUSE: 3,
+  DEFAULT_TRANSCRIPT: 'Once upon a time, a curious fox named Pip lived at the edge of a quiet forest. One morning Pip found a glowing stone beside the river. Pip carried the stone to the old owl, who said it was a wishing stone. That night Pip wished for the forest to stay safe forever, and the stone sparkled like a star.'
+};
+
+// FNV-1a string hash
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// ===== TEXT =====
+
+const NAME_STOPWORDS = new Set([
+  'The', 'A', 'An', 'And', 'But', 'Or', 'So', 'Then', 'When', 'One', 'That', 'This', 'There', 'They', 'He', 'She',
+  'It', 'His', 'Her', 'Their', 'We', 'I', 'You', 'In', 'On', 'At', 'As', 'After', 'Before', 'Once', 'Every', 'Each'
+]);
+
+const KEYWORDS = {
+  setting: ['forest', 'village', 'castle', 'river', 'mountain', 'ocean', 'beach', 'house', 'garden', 'market', 'city', 'field', 'cave', 'school'],
+  mood: {
+    scary: ['scary', 'dark', 'fear', 'afraid', 'shadow'],
+    exciting: ['ran', 'running', 'chase', 'adventure', 'raced'],
+    magical: ['magic', 'glowing', 'wish', 'spell', 'sparkled', 'fairy'],
+    sad: ['sad', 'cried', 'tears', 'lonely', 'lost'],
+    happy: ['happy', 'laughed', 'smiled', 'joy', 'celebrated']
+  },
+  timeOfDay: {
+    night: ['night', 'moon', 'stars', 'midnight'],
+    morning: ['morning', 'dawn', 'sunrise'],
+    evening: ['evening', 'sunset', 'dusk']
+  }
+};
+
+const MOOD_SOUNDS = { scary: 'horror', exciting: 'action', magical: 'magical', sad: 'nature', happy: 'nature', peaceful: 'nature' };
+
+// Closing quotes stay with their sentence so dialogue survives the scene split
+const splitSentences = (text) => (text.match(/[^.!?\n]+[.!?]*["”]?/g) || [])
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 0);
+
+const findKeyword = (lowerText, keywordMap, fallback) => {
+  for (const [value, keywords] of Object.entries(keywordMap)) {
+    if (keywords.some(keyword => lowerText.includes(keyword))) return value;
+  }
+  return fallback;
+};
+
+// Runs of capitalized words ("King Orlo"), minus leading stopwords and the first word of a quote
+const findNames = (text) => {
+  const counts = {};
+  for (const match of text.matchAll(/\b[A-Z][a-z]{1,20}(?:\s+[A-Z][a-z]{1,20})*\b/g)) {
+    if (/["“]$/.test(text.slice(0, match.index))) continue;
+    const words = match[0].split(/\s+/);
+    while (words.length > 0 && NAME_STOPWORDS.has(words[0])) words.shift();
+    const name = words.join(' ');
+    if (name) {
+      counts[name] = (counts[name] || 0) + 1;
+    }
+  }
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, 5);
+};
+
+// Scenes start at the sentences the storyteller paused before (sceneBreaks) when that gives an allowed
+// number of scenes, otherwise the sentences are shared out evenly
+const groupMockSentences = (sentences, { minScenes, maxScenes, pacedSentences, sceneBreaks }) => {
+  const unquote = (text) => text.replace(/["“”]/g, '').trim();
+  const breakIndexes = sentences
+    .map((sentence, index) => (index > 0 && sceneBreaks.some(opening => (
+      unquote(sentence).startsWith(unquote(opening)) || unquote(opening).startsWith(unquote(sentence))
+    )) ? index : -1))
+    .filter(index => index > 0);
+  if (breakIndexes.length + 1 >= minScenes && breakIndexes.length + 1 <= maxScenes) {
+    return [0, ...breakIndexes].map((start, index) => sentences.slice(start, breakIndexes[index]));
+  }
+
+  const sceneCount = clamp(Math.ceil(sentences.length / pacedSentences), minScenes, maxScenes);
+  const sentencesPerScene = Math.max(1, Math.ceil(sentences.length / sceneCount));
+  return Array.from({ length: sceneCount }, (_, index) => sentences.slice(index * sentencesPerScene, (index + 1) * sentencesPerScene));
+};
+
+const buildMockScenes = ({ storyText = '', minScenes = 3, maxScenes = 6, sceneDuration = 4, sentencesPerScene: pacedSentences = 2, sceneBreaks = [] }) => {
+  const sentences = splitSentences(storyText);
+  const groups = groupMockSentences(sentences, { minScenes, maxScenes, pacedSentences, sceneBreaks });
+
+  return groups.map((group, index) => {
+    const description = group.join(' ') || `Part ${index + 1} of the story`;
+    const lowerText = description.toLowerCase();
+    const mood = findKeyword(lowerText, KEYWORDS.mood, 'peaceful');
+    const setting = KEYWORDS.setting.find(keyword => lowerText.includes(keyword)) || 'storybook meadow';
+
+    return {
+      sceneNumber: index + 1,
+      description,
+      visualPrompt: `Storybook illustration of ${description.replace(/[.!?]+$/, '')}, set in a ${setting}, ${mood} mood`,
+      characters: findNames(description),
+      setting,
+      mood,
+      timeOfDay: findKeyword(lowerText, KEYWORDS.timeOfDay, 'afternoon'),
+      weather: lowerText.includes('rain') ? 'rainy' : 'clear',
+      environment: ['house', 'school', 'castle', 'cave'].includes(setting) ? 'indoor' : 'outdoor',
+      soundContext: MOOD_SOUNDS[mood],
+      duration: sceneDuration
+    };
+  });
+};
+
+// Chapter summary is the chapter's first sentence, appended to the story so far
+const buildMockChapterSummary = ({ chapterText = '', previousSummary = '' }) => {
+  const chapterSummary = splitSentences(chapterText)[0] || 'The story continues.';
+  return { chapterSummary, storySoFar: `${previousSummary} ${chapterSummary}`.trim() };
+};
+
+const buildMockCharacters = ({ storyText = '' }) => {
+  return findNames(storyText).reduce((characters, name) => {
+    characters[name] = {
+      age: 'young adult',
+      build: 'slim',
+      hair: 'short brown',
+      outfit: 'a simple colourful tunic',
+      palette: ['red', 'cream'],
+      props: [],
+      description: `${name}, a friendly storybook character with a round face and bright eyes`
+    };
+    return characters;
+  }, {});
+};
+
+// Canned responses keyed by the task hint callers pass to generateText
+const TEXT_RESPONDERS = {
+  'story-analysis': (context) => JSON.stringify(buildMockScenes(context), null, 2),
+  'character-extraction': (context) => JSON.stringify(buildMockCharacters(context), null, 2),
+  'chapter-summary': (context) => JSON.stringify(buildMockChapterSummary(context), null, 2),
+  'image-analysis': () => JSON.stringify({
+    subjects: ['main subject of the uploaded photo'],
+    setting: 'simple indoor background',
+    mood: 'cheerful',
+    style: 'photograph',
+    palette: ['warm beige', 'soft white', 'sky blue'],
+    storyIntegrationOptions: 'can appear as the hero or a companion in most scenes',
+    editingCapabilities: 'background, lighting and clothing can be restyled',
+    description: 'a friendly subject photographed against a plain background'
+  }, null, 2),
+  'edit-prompt': (context) => `PROFESSIONAL IMAGE EDITING: Place the subject in ${context.setting || 'the story setting'} during ${context.timeOfDay || 'the afternoon'} with a ${context.mood || 'peaceful'} atmosphere. PRESERVATION: Maintain the subject's core identity.`,
+  'prompt-reduction': (context) => {
+    const prompt = context.prompt || '';
+    const targetLength = context.targetLength || 1800;
+    return prompt.length <= targetLength ? prompt : prompt.substring(0, prompt.lastIndexOf(' ', targetLength - 1)).trim();
+  },
+  'dialogue-attribution': (context) => JSON.stringify((context.scenes || []).flatMap(({ sceneNumber, segments }) => {
+    const speakers = guessSpeakers(segments, context.characterNames || []);
+    return segments
+      .map((segment, index) => ({ segment, speaker: speakers[index] }))
+      .filter(({ segment }) => segment.type === 'dialogue')
+      .map(({ speaker }, quote) => ({ scene: sceneNumber, quote, speaker: speaker || 'unknown' }));
+  }), null, 2),
+  'visual-prompt-rewrite': (context) => `${context.visualPrompt || 'The scene'}${context.instructions ? `, ${context.instructions}` : ''}, seen from a low camera angle with warm side lighting`,
+  'chat-intent': ({ message = '', scene = {}, styles = [] }) => {
+    const lowerMessage = message.toLowerCase();
+    const style = styles.find(candidate => lowerMessage.includes(candidate.name.toLowerCase()));
+    const quoted = message.match(/["“]([^"”]+)["”]/);
+    const respond = (intent, instruction, reply, styleId = '') => JSON.stringify({ intent, instruction, styleId, reply }, null, 2);
+
+    if (style && lowerMessage.includes('style')) return respond('restyle', '', `Switching to ${style.name}.`, style.id);
+    if (/\b(redraw|regenerate|try again)\b/.test(lowerMessage)) return respond('regenerate', message, 'Drawing a fresh take.');
+    if (/\bnarrat/.test(lowerMessage) && quoted) return respond('edit-narration', quoted[1], 'Updating the narration.');
+    if (message.trim().endsWith('?')) {
+      return respond('question', '', `In scene ${scene.sceneNumber || 1}, ${scene.text || scene.description || 'the story continues'}`);
+    }
+    return respond('edit-image', `${message.trim()}, keeping the characters, composition and art style unchanged`, 'Applying that change to the picture.');
+  },
+  'content-safety': ({ text = '' }) => {
+    const { rating, categories } = classifyByKeywords(text);
+    return JSON.stringify({ rating, categories, reason: categories.length > 0 ? `Mentions ${categories.join(', ')}` : 'Nothing objectionable' }, null, 2);
+  },
+  'language-detection': ({ text = '' }) => JSON.stringify({ language: guessLanguage(text) }),
+  // Marks the text as translated instead of translating it
+  'story-translation': ({ title = '', scenes = [], targetLanguage }) => JSON.stringify({
+    ...(title ? { title: `[${targetLanguage}] ${title}` } : {}),
+    scenes: scenes.map(({ sceneNumber, text }) => ({ sceneNumber, text: `[${targetLanguage}] ${text}` }))
+  }, null, 2),
+  'image-safety': () => JSON.stringify({ rating: 'G', categories: [], reason: 'A gentle storybook illustration' }, null, 2),
+  'character-consistency': (context) => `Keep ${context.characterName || 'the character'} identical to the reference: same face, hair, clothing colours and art style.`
+};
+
+const text = {
+  name: 'mock',
+  label: 'mock-text',
+  isAvailable: () => true,
+
+  generateText: async (prompt, { task, context = {} } = {}) => {
+    const responder = TEXT_RESPONDERS[task];
+    if (responder) return responder(context);
+
+    const firstLine = String(prompt).split('\n').find(line => line.trim()) || '';
+    return `Mock response: ${firstLine.trim().substring(0, 200)}`;
+  }
+};
+
+// ===== IMAGES =====
+
+let canvasModule;
+
+// canvas is a native module, keep working (without text) when it cannot load
+const loadCanvas = () => {
+  if (canvasModule === undefined) {
+    try {
+      canvasModule = require('canvas');
+    } catch (error) {
+      console.warn('canvas unavailable, mock images will be plain gradients:', error.message);
+      canvasModule = null;
+    }
+  }
+  return canvasModule;
+};
+
+const paletteFor = (seed) => {
+  const random = createRandom(seed);
+  const color = () => [0, 0, 0].map(() => Math.round(80 + random() * 150));
+  return { from: color(), to: color(), accent: color(), random };
+};
+
+const rgb = ([r, g, b], alpha = 1) => `rgba(${r}, ${g}, ${b}, ${alpha})`;
+
+const wrapText = (ctx, value, maxWidth, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of value.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+      if (lines.length === maxLines) break;
+    } else {
+      line = candidate;
+    }
+  }
+
+  if (line && lines.length < maxLines) lines.push(line);
+  return lines;
+};
+
+const renderCanvasImage = async ({ createCanvas, loadImage }, prompt, sourceImage) => {
+  const { IMAGE_WIDTH: width, IMAGE_HEIGHT: height } = CONFIG;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const { from, to, accent, random } = paletteFor(hashString(prompt));
+
+  if (sourceImage) {
+    const image = await loadImage(Buffer.from(sourceImage.data, 'base64'));
+    ctx.drawImage(image, 0, 0, width, height);
+    ctx.fillStyle = rgb(accent, 0.25);
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, rgb(from));
+    gradient.addColorStop(1, rgb(to));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    for (let i = 0; i < 6; i++) {
+      ctx.beginPath();
+      ctx.arc(random() * width, random() * height * 0.7, 30 + random() * 90, 0, Math.PI * 2);
+      ctx.fillStyle = rgb(accent, 0.35);
+      ctx.fill();
+    }
+  }
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, height - 130, width, 130);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 16px sans-serif';
+  ctx.fillText(sourceImage ? 'MOCK EDIT' : 'MOCK IMAGE', 24, height - 100);
+  ctx.font = '18px sans-serif';
+  wrapText(ctx, prompt, width - 48, 3).forEach((line, index) => {
+    ctx.fillText(line, 24, height - 70 + index * 24);
+  });
+
+  return canvas.toBuffer('image/png');
+};
+
+// Minimal PNG encoder used when canvas is not installed
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const renderGradientPng = (prompt) => {
+  const { IMAGE_WIDTH: width, IMAGE_HEIGHT: height } = CONFIG;
+  const { from, to, accent, random } = paletteFor(hashString(prompt));
+  const circles = Array.from({ length: 6 }, () => ({
+    x: random() * width,
+    y: random() * height * 0.7,
+    r: 30 + random() * 90
+  }));
+
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    raw[row] = 0; // No filter
+    for (let x = 0; x < width; x++) {
+      const t = (x / width + y / height) / 2;
+      const inCircle = circles.some(c => (x - c.x) ** 2 + (y - c.y) ** 2 < c.r ** 2);
+      for (let channel = 0; channel < 3; channel++) {
+        const base = from[channel] + (to[channel] - from[channel]) * t;
+        raw[row + 1 + x * 3 + channel] = Math.round(inCircle ? base * 0.65 + accent[channel] * 0.35 : base);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+const renderImage = async (prompt, sourceImage = null) => {
+  const canvas = loadCanvas();
+  let buffer = null;
+
+  if (canvas) {
+    try {
+      buffer = await renderCanvasImage(canvas, prompt, sourceImage);
+    } catch (error) {
+      console.warn('Mock canvas rendering failed, using plain gradient:', error.message);
+    }
+  }
+
+  if (!buffer) {
+    buffer = renderGradientPng(sourceImage ? `${prompt}:${hashString(sourceImage.data)}` : prompt);
+  }
+
+  return {
+    image: { data: buffer.toString('base64'), mimeType: 'image/png' },
+    text: null,
+    partCount: 1
+  };
+};
+
+const image = {
+  name: 'mock',
+  label: 'mock-canvas',
+  model: 'mock-canvas',
+  cost: 'free',
+  quality: 'mock',
+  isAvailable: () => true,
+
+  generateImage: async (prompt) => renderImage(prompt),
+  editImage: async (sourceImage, prompt) => renderImage(prompt, sourceImage)
+};
+
+// ===== AUDIO =====
+
+// One short tone per word with pauses at punctuation, so durations track the text
+const synthesizeSpeechSamples = (value, { speakingRate = 1.0, pitch = 0 } = {}) => {
+  const rate = clamp(speakingRate || 1.0, 0.25, 4);
+  const sampleRate = CONFIG.SAMPLE_RATE;
+  const words = value.split(/\s+/).filter(Boolean);
+  const segments = [];
+
+  words.forEach(word => {
+    const letters = word.replace(/[^\p{L}\p{N}]/gu, '').length;
+    const wordSeconds = (0.12 + letters * 0.045) / rate;
+    const pauseSeconds = (/[.!?]$/.test(word) ? 0.35 : /[,;:]$/.test(word) ? 0.18 : 0.06) / rate;
+    const frequency = 170 + pitch * 8 + (hashString(word.toLowerCase()) % 80);
+    segments.push({ frequency, samples: Math.round(wordSeconds * sampleRate) });
+    segments.push({ frequency: 0, samples: Math.round(pauseSeconds * sampleRate) });
+  });
+
+  const totalSamples = Math.max(sampleRate / 2, segments.reduce((sum, segment) => sum + segment.samples, 0));
+  const samples = new Float32Array(totalSamples);
+  const fadeSamples = Math.round(sampleRate * 0.01);
+  let offset = 0;
+
+  segments.forEach(segment => {
+    if (segment.frequency > 0) {
+      for (let i = 0; i < segment.samples; i++) {
+        const envelope = Math.min(1, i / fadeSamples, (segment.samples - i) / fadeSamples);
+        samples[offset + i] = Math.sin((2 * Math.PI * segment.frequency * i) / sampleRate) * CONFIG.SPEECH_AMPLITUDE * envelope;
+      }
+    }
+    offset += segment.samples;
+  });
+
+  return samples;
+};
+
+const tts = {
+  name: 'mock',
+  label: 'Mock TTS',
+  isAvailable: () => true,
+
+  synthesize: async (value, voiceOptions = {}) => {
+    const wav = createWavBuffer(synthesizeSpeechSamples(value, voiceOptions), CONFIG.SAMPLE_RATE);
+
+    return {
+      audioUrl: toAudioDataUrl(wav, 'audio/wav'),
+      text: value,
+      duration: parseWavInfo(wav).duration,
+      timestamp: new Date().toISOString(),
+      provider: 'mock-tts',
+      cost: 'free'
+    };
+  }
+};
+
+// Words of the mock transcript as if told aloud: a pause after each sentence and a long one at each
+// blank line, quoted lines spoken by a second voice (heard without their quotation marks)
+const buildMockTranscriptWords = (transcript) => {
+  const words = [];
+  let time = 0;
+
+  transcript.split(/\n\s*\n/).forEach((paragraph, paragraphIndex) => {
+    if (paragraphIndex > 0) time += CONFIG.TRANSCRIPT_SCENE_PAUSE;
+    paragraph.split(/("[^"]+"|“[^”]+”)/).forEach((part, partIndex) => {
+      const speaker = partIndex % 2 === 1 ? 'speaker_2' : 'speaker_1';
+      part.replace(/["“”]/g, '').split(/\s+/).filter(Boolean).forEach(text => {
+        words.push({ text, start: time, end: time + CONFIG.TRANSCRIPT_WORD_SECONDS, speaker });
+        time += CONFIG.TRANSCRIPT_WORD_SECONDS + (/[.!?]$/.test(text) ? CONFIG.TRANSCRIPT_SENTENCE_PAUSE : 0.05);
+      });
+    });
+  });
+  return words;
+};
+
+const stt = {
+  name: 'mock',
+  label: 'Mock Speech-to-Text',
+  timeoutMs: 5000,
+  isAvailable: () => true,
+
+  transcribe: async (audioBuffer) => {
+    const wavInfo = parseWavInfo(audioBuffer);
+    const transcript = process.env.MOCK_TRANSCRIPT || CONFIG.DEFAULT_TRANSCRIPT;
+
+    return {
+      transcript,
+      words: buildMockTranscriptWords(transcript),
+      confidence: 1.0,
+      duration: wavInfo ? wavInfo.duration : null,
+      timestamp: new Date().toISOString(),
+      provider: 'mock-stt',
+      cost: 'free',
+      quality: 'mock'
+    };
+  }
+};
+
+// Soft seeded noise, low-passed so it reads as ambience rather than static
+const sfx = {
+  name: 'mock',
+  label: 'Mock Sound Effects',
+  isAvailable: () => true,
+
+  generateSound: async (prompt, { durationSeconds = 6 } = {}) => {
+    const random = createRandom(hashString(prompt));
+    const samples = new Float32Array(Math.round(durationSeconds * CONFIG.SAMPLE_RATE));
+    let previous = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      previous = previous * 0.97 + (random() * 2 - 1) * 0.03;
+      samples[i] = previous * (CONFIG.AMBIENT_AMPLITUDE / 0.1);
+    }
+
+    return {
+      audioUrl: toAudioDataUrl(createWavBuffer(samples, CONFIG.SAMPLE_RATE), 'audio/wav'),
+      provider: 'mock-sfx',
+      cost: 'free'
+    };
+  }
+};
+
+module.exports = {
+  text,
+  image,
+  tts,
+  stt,
+  sfx
+};
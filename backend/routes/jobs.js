@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, subscribeToJob } = require('../services/jobService');
+
+// Keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * GET /api/jobs/:jobId
+ * Get the current status of a generation job
+ */
+router.get('/:jobId', (req, res) => {
+  try {
+    const job = getJob(req.params.jobId, { includeEvents: req.query.events === 'true' });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({
+      error: 'Failed to get job status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of per-stage progress
+ * Events already published are replayed first, so late subscribers catch up
+ * A reconnecting client (Last-Event-ID header) only gets the events after the last one it saw,
+ * the terminal event is always sent so the stream can end
+ */
+router.get('/:jobId/events', (req, res) => {
+  if (!getJob(req.params.jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = Number.parseInt(req.get('Last-Event-ID'), 10) || 0;
+  let closed = false;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  unsubscribe = subscribeToJob(req.params.jobId, (event) => {
+    const isTerminal = event.type === 'completed' || event.type === 'failed';
+    if (closed || (!isTerminal && event.id <= lastEventId)) return;
+
+    res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+
+    // Terminal events end the stream
+    if (isTerminal) {
+      setImmediate(close);
+    }
+  }) || (() => {});
+
+  req.on('close', close);
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const musicService = require('../services/musicService');
+const { validateMusicTrack } = require('../utils/validation');
+
+/**
+ * GET /api/music
+ * Music catalogue: library tracks, uploads and the built-in pads, each tagged with moods
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tracks = await musicService.listTracks();
+
+    res.json({
+      success: true,
+      tracks,
+      moods: musicService.MUSIC_MOODS
+    });
+  } catch (error) {
+    console.error('List music error:', error);
+    res.status(500).json({
+      error: 'Failed to list music',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/music/:id/audio
+ * A track's audio, for previews
+ */
+router.get('/:id/audio', async (req, res) => {
+  try {
+    const track = await musicService.getTrack(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const { buffer, mimeType } = await musicService.getTrackAudio(track);
+    res.set('Content-Type', mimeType);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Music audio error:', error);
+    res.status(500).json({
+      error: 'Failed to load track audio',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/music
+ * Upload a track
+ * Body: { title, audioUrl, moods } - audioUrl is a WAV or MP3 data URL
+ */
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateMusicTrack(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid track',
+        details: errors
+      });
+    }
+
+    const { title, audioUrl, moods } = req.body;
+    const track = await musicService.addUploadedTrack({ title, audioUrl, moods });
+
+    res.status(201).json({
+      success: true,
+      track
+    });
+  } catch (error) {
+    console.error('Upload music error:', error);
+    res.status(500).json({
+      error: 'Failed to upload track',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/music/:id
+ * Remove an uploaded track (stories using it fall back to mood-matched music)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const track = await musicService.getTrack(req.params.id);
+
+    if (track && track.source !== 'upload') {
+      return res.status(400).json({ error: 'Only uploaded tracks can be deleted' });
+    }
+
+    const deleted = track ? await musicService.deleteUploadedTrack(track.id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Track deleted'
+    });
+  } catch (error) {
+    console.error('Delete music error:', error);
+    res.status(500).json({
+      error: 'Failed to delete track',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
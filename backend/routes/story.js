@@ -1,36 +1,187 @@
 const express = require('express');
 const router = express.Router();
-const { analyzeStory, generateEditPrompt, extractCharacters } = require('../services/geminiService');
-const { generateSceneImages, editImageWithAI } = require('../services/imageService');
+const { analyzeStory, generateEditPrompt, extractCharacters, analyzeUploadedImages, interpretChatMessage } = require('../services/geminiService');
+const { generateSceneImages, editImageWithAI, inpaintImageWithAI } = require('../services/imageService');
 const { generateSceneNarration } = require('../services/audioService');
-const { createStoryVideo } = require('../services/videoService');
-const { validateStoryInput, validateScenes, validateVideoRequirements } = require('../utils/validation');
+const { createStoryVideo, getVideoCapabilities, getSceneTimeline } = require('../services/videoService');
+const { measureSceneNarration, renderSoundtrack, saveSoundtrack, getSoundtrackPath } = require('../services/soundtrackService');
+const { validateStoryInput, validateScenes, validateStoryRecord, validateVoiceCast, validateUploadedImages, validateCharacterChanges, validateRegenerateOptions, validateSceneCandidate, validateSceneOrder, validateSceneSplit, validateNewScene, validateInpaintRequest, validateStoryEdit, validateMusicSettings } = require('../utils/validation');
+const { measureMaskCoverage } = require('../utils/imageMask');
+const storyRepository = require('../services/storyRepository');
+const { runStoryboard, runSceneGeneration, runCompleteGeneration, runRestyle, runStoryEdit, runTranslation, getPipelineStages } = require('../services/storyPipeline');
+const { createJob } = require('../services/jobService');
+const { STORY_LIMITS, PACING, validateStoryOptions, validateChapterFit } = require('../utils/storyOptions');
+const { buildChapterOutline, splitIntoChapters } = require('../utils/chapters');
+const sceneVersions = require('../services/sceneVersionService');
+const characterBible = require('../services/characterBibleService');
+const styleService = require('../services/styleService');
+const { regenerateScene, acceptSceneCandidate } = require('../services/sceneRegenerationService');
+const sceneTimeline = require('../services/sceneTimelineService');
+const { mapWithConcurrency } = require('../utils/apiHelpers');
+const { assessPrompt, screenImage, toBlockedResponse, getStoryPolicy } = require('../services/safetyService');
+const { POLICIES, DEFAULT_POLICY, getContentPolicy } = require('../utils/contentPolicies');
+const { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, getLanguage, listLanguages } = require('../utils/languages');
+
+// Styles are optional on generation, but a style that is given must exist in the catalog
+const findUnknownStyle = async (styleId) => {
+  if (styleId === undefined) return null;
+  return (await styleService.getStyle(styleId)) ? null : `Unknown style "${styleId}"`;
+};
+
+// Image edits in flight at once for /batch-edit-images
+const BATCH_EDIT_CONCURRENCY = 3;
+
+// Scene indexes arrive as route params or JSON numbers
+const parseSceneIndex = (value) => (/^\d+$/.test(String(value)) ? Number(value) : null);
+
+// Reply with a timeline edit's result: 404 for an unknown story or scene, 400 when the edit does not fit the story
+const sendTimelineResult = (res, result, notFound) => {
+  if (!result) {
+    return res.status(404).json({ error: notFound });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: 'Invalid timeline edit', details: [result.error] });
+  }
+  res.json({ success: true, ...result });
+};
+
+// Content policy of a request: the saved story's, or the one sent with an unsaved presentation
+const resolveContentPolicy = async ({ storyId, contentPolicy }) => {
+  const story = storyId ? await storyRepository.getStory(storyId) : null;
+  return story ? getStoryPolicy(story) : getContentPolicy(contentPolicy).id;
+};
+
+// Refusal body when an edit prompt or instruction breaks the content policy, null when it is allowed
+const findBlockedText = async (text, policyId) => {
+  const assessment = await assessPrompt(text, policyId);
+  return assessment.allowed ? null : toBlockedResponse(assessment);
+};
+
+// Refusal body when an edited image breaks the content policy, null when it is allowed
+const findBlockedImage = async (imageUrl, policyId) => {
+  const screening = await screenImage(imageUrl, policyId);
+  return screening.allowed ? null : toBlockedResponse(screening);
+};
+
+// Reply for a pipeline error: 400 for an invalid request, 422 when the content policy refused the story, 500 otherwise
+const sendPipelineError = (res, error, fallbackMessage) => {
+  if (error.invalid) {
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  if (error.safety) {
+    return res.status(422).json({ error: error.message, details: error.details, safety: error.safety });
+  }
+  // No room for another background job (see jobService)
+  if (error.busy) {
+    return res.status(503).json({ error: error.message });
+  }
+  res.status(500).json({
+    error: error.details ? error.message : fallbackMessage,
+    details: error.details || error.message
+  });
+};
+
+/**
+ * Resolve the saved scene an edit belongs to ({ storyId, sceneIndex, parentVersionId } in the body)
+ * The target carries the reference sheets of the scene's characters so edits keep them consistent
+ * Returns { target: null } for unsaved presentations, { status, error } when the scene or version is unknown
+ */
+const findEditTarget = async ({ storyId, sceneIndex, parentVersionId }) => {
+  if (!storyId) return { target: null };
+
+  const index = parseSceneIndex(sceneIndex);
+  if (index === null) {
+    return { status: 400, error: 'sceneIndex must be a non-negative integer when storyId is given' };
+  }
+
+  const history = await sceneVersions.getSceneHistory(storyId, index);
+  if (!history) return { status: 404, error: 'Story scene not found' };
+
+  const parent = history.versions.find(v => v.id === (parentVersionId || history.currentVersionId));
+  if (parentVersionId && !parent) return { status: 404, error: 'Version not found' };
+
+  const referenceImages = await characterBible.getSceneReferenceImages(storyId, index);
+
+  return { target: { storyId, sceneIndex: index, parent, referenceImages } };
+};
+
+// Store an edit result as a new version of its scene (no-op for unsaved presentations)
+const recordEditVersion = async (target, editResult, prompt, type) => {
+  if (!target) return {};
+
+  const versioned = await sceneVersions.recordSceneEdit(target.storyId, target.sceneIndex, {
+    imageUrl: editResult.imageData,
+    prompt,
+    type,
+    parentVersionId: target.parent?.id
+  });
+  return versioned || {};
+};
 
 /**
  * POST /api/story/analyze
- * Analyze story text and break into scenes
+ * Storyboard a story without drawing anything: scenes, chapters, characters and voice cast
+ * Send the reviewed result back as `storyboard` to /generate-scenes or /generate-complete
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { storyText } = req.body;
+    const { storyText, storyOptions } = req.body;
 
     if (!storyText || typeof storyText !== 'string') {
       return res.status(400).json({ error: 'Valid story text is required' });
     }
 
-    const scenes = await analyzeStory(storyText);
-    const characters = await extractCharacters(storyText);
+    if (storyText.length > STORY_LIMITS.MAX_STORY_LENGTH) {
+      return res.status(400).json({ error: `Story text must be less than ${STORY_LIMITS.MAX_STORY_LENGTH} characters` });
+    }
+
+    const optionErrors = validateStoryOptions(storyOptions);
+    if (optionErrors.length === 0) {
+      optionErrors.push(...validateChapterFit(storyOptions, splitIntoChapters(storyText).length));
+    }
+    if (optionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid story options', details: optionErrors });
+    }
+
+    // Same analysis as generation, so the reviewed storyboard can be illustrated as-is
+    const result = await runStoryboard({ storyText, storyOptions });
+    res.json(result);
+  } catch (error) {
+    console.error('Story analysis error:', error);
+    sendPipelineError(res, error, 'Failed to analyze story');
+  }
+});
+
+/**
+ * POST /api/story/analyze-images
+ * Describe uploaded images (subjects, setting, mood, style, palette) so users can
+ * review the contexts before they are used for scene images
+ */
+router.post('/analyze-images', async (req, res) => {
+  try {
+    const { images } = req.body;
+
+    const validation = validateUploadedImages(images);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid images',
+        details: validation.errors
+      });
+    }
+
+    console.log(`🔍 Analyzing ${images.length} uploaded image(s)`);
+
+    const contexts = await analyzeUploadedImages(images);
 
     res.json({
       success: true,
-      scenes,
-      characters,
-      totalScenes: scenes.length
+      // Image data is left out, the client already has it
+      analyses: contexts.map(({ originalImage, ...context }) => context)
     });
   } catch (error) {
-    console.error('Story analysis error:', error);
+    console.error('Image analysis error:', error);
     res.status(500).json({
-      error: 'Failed to analyze story',
+      error: 'Failed to analyze images',
       details: error.message
     });
   }
@@ -39,72 +190,45 @@ router.post('/analyze', async (req, res) => {
 /**
  * POST /api/story/generate-scenes
  * Generate scenes with enhanced image integration
+ * Pass async: true to get a job ID immediately and follow progress via /api/jobs/:id/events
  */
 router.post('/generate-scenes', async (req, res) => {
   try {
-    const { storyText, uploadedImages, uploadedImageContexts } = req.body;
+    const { storyText } = req.body;
 
     if (!storyText || typeof storyText !== 'string') {
       return res.status(400).json({ error: 'Valid story text is required' });
     }
 
-    // Process story with uploaded content
-
-    // Step 1: Analyze story and extract characters
-    const [scenes, characters] = await Promise.all([
-      analyzeStory(storyText),
-      extractCharacters(storyText)
-    ]);
-
-    console.log(`📖 Story analyzed: ${scenes.length} scenes, ${Object.keys(characters).length} characters`);
-
-    // Step 2: Enhanced image processing with contexts for smart scene integration
-    const scenesWithImages = await generateSceneImages(
-      scenes, 
-      characters, 
-      uploadedImages || [], 
-      uploadedImageContexts || []
-    );
-
-    // Step 3: Prepare scenes for frontend with enhanced metadata
-    const frontendScenes = scenesWithImages.map(scene => ({
-      ...scene,
-      text: scene.description || scene.text || '', // Text for frontend narration
-      narrationText: scene.description || scene.text || '' // Explicit narration text
-    }));
+    const validation = validateStoryInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
 
-    console.log('✅ Enhanced scenes with smart image integration generated successfully');
+    const styleError = await findUnknownStyle(req.body.style);
+    if (styleError) {
+      return res.status(400).json({ error: 'Invalid input', details: [styleError] });
+    }
 
-    // Calculate integration statistics
-    const scenesWithUploads = frontendScenes.filter(scene => scene.usedUploadedImage || scene.image?.type === 'uploaded-edited').length;
+    if (req.body.async) {
+      return res.status(202).json(startGenerationJob('scenes', req.body));
+    }
 
-    res.json({
-      success: true,
-      scenes: frontendScenes,
-      characters,
-      totalScenes: frontendScenes.length,
-      hasUploadedImages: uploadedImages && uploadedImages.length > 0,
-      originalText: storyText,
-      // Enhanced metadata for frontend tracking
-      imageIntegration: {
-        uploadedCount: uploadedImages ? uploadedImages.length : 0,
-        contextsAnalyzed: uploadedImageContexts ? uploadedImageContexts.length : 0,
-        scenesWithUploads: scenesWithUploads,
-        integrationMethod: uploadedImageContexts && uploadedImageContexts.length > 0 ? 'smart-context-matching' : 'basic'
-      }
-    });
+    const result = await runSceneGeneration(req.body);
+    res.json(result);
   } catch (error) {
     console.error('Scene generation error:', error);
-    res.status(500).json({
-      error: 'Failed to generate scenes',
-      details: error.message
-    });
+    sendPipelineError(res, error, 'Failed to generate scenes');
   }
 });
 
 /**
  * POST /api/story/generate-complete
  * Generate complete story from text OR audio input - UNIFIED WITH VALIDATION
+ * Pass async: true to get a job ID immediately and follow progress via /api/jobs/:id/events
  */
 router.post('/generate-complete', async (req, res) => {
   try {
@@ -116,86 +240,51 @@ router.post('/generate-complete', async (req, res) => {
         details: validation.errors
       });
     }
-    
-    let storyText;
-
-    // Handle both text and audio input
-    if (req.body.storyText) {
-      // Direct text input
-      storyText = req.body.storyText;
-      console.log(`📝 Processing text story: "${storyText.substring(0, 100)}..."`);
-    } else if (req.body.audioData) {
-      // Audio input - transcribe first
-      console.log('🎙️ Transcribing audio input...');
-      const { transcribeAudio } = require('../services/audioService');
-      const audioBuffer = Buffer.from(req.body.audioData, 'base64');
-      const transcription = await transcribeAudio(audioBuffer);
-      storyText = transcription.transcript;
-      console.log(`📝 Transcribed: "${storyText.substring(0, 100)}..."`);
-    }
-
-    console.log('🚀 Starting optimized story generation...');
-
-    // Step 1: Analyze story and extract characters in parallel
-    const [scenes, characters] = await Promise.all([
-      analyzeStory(storyText),
-      extractCharacters(storyText)
-    ]);
 
-    console.log(`📖 Story analyzed: ${scenes.length} scenes, ${Object.keys(characters).length} characters`);
-    
-    // Validate generated scenes
-    const sceneValidation = validateScenes(scenes);
-    if (!sceneValidation.valid) {
-      console.error('Scene validation failed:', sceneValidation.errors);
-      return res.status(500).json({
-        error: 'Generated scenes are invalid',
-        details: sceneValidation.errors
-      });
+    const styleError = await findUnknownStyle(req.body.style);
+    if (styleError) {
+      return res.status(400).json({ error: 'Invalid input', details: [styleError] });
     }
 
-    // Step 2: Generate images with character consistency
-    const scenesWithImages = await generateSceneImages(scenes, characters);
-    
-    // Validate video requirements
-    const videoValidation = validateVideoRequirements(scenesWithImages);
-    if (!videoValidation.valid) {
-      console.error('Video validation failed:', videoValidation.errors);
-      return res.status(500).json({
-        error: 'Video generation requirements not met',
-        details: videoValidation.errors
-      });
+    if (req.body.async) {
+      return res.status(202).json(startGenerationJob('complete', req.body));
     }
 
-    // Step 3: Generate context-aware audio and ambient sounds
-    const scenesWithAudio = await generateSceneNarration(scenesWithImages);
-
-    // Step 4: Create animated video with context-aware transitions
-    const videoData = await createStoryVideo(scenesWithAudio);
-
-    console.log('✅ Story generation completed successfully');
-
-    res.json({
-      success: true,
-      story: {
-        originalText: storyText,
-        scenes: scenesWithAudio,
-        characters,
-        video: videoData
-      }
-    });
+    const result = await runCompleteGeneration(req.body);
+    res.json(result);
   } catch (error) {
     console.error('Complete story generation error:', error);
-    res.status(500).json({
-      error: 'Failed to generate complete story',
-      details: error.message
-    });
+    sendPipelineError(res, error, 'Failed to generate complete story');
   }
 });
 
+/**
+ * Helper to start a background generation job and describe how to follow it
+ */
+const startGenerationJob = (mode, input) => {
+  const stages = getPipelineStages(mode, input);
+  const runner = mode === 'complete' ? runCompleteGeneration : runSceneGeneration;
+  return describeJob(createJob(`generate-${mode}`, stages, (reporter) => runner(input, reporter)));
+};
+
+// Response for a freshly started background job
+const describeJob = (job) => {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    stages: job.stages,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  };
+};
+
 /**
  * POST /api/story/transcribe
  * Transcribe audio to text
+ * words carry when each word was said and by which speaker, paragraphs break at pauses and speaker turns
+ * (sceneBreak after a long pause); storyText is laid out for generation, send paragraphs along with it
+ * as transcription so the analysis can use them
  */
 router.post('/transcribe', async (req, res) => {
   try {
@@ -214,6 +303,10 @@ router.post('/transcribe', async (req, res) => {
     res.json({
       success: true,
       transcript: transcription.transcript,
+      storyText: transcription.storyText,
+      words: transcription.words,
+      speakers: transcription.speakers,
+      paragraphs: transcription.paragraphs,
       confidence: transcription.confidence,
       provider: transcription.provider
     });
@@ -229,10 +322,14 @@ router.post('/transcribe', async (req, res) => {
 /**
  * POST /api/story/text-to-speech
  * Convert text to speech for frontend narration
+ * With scene segments and a voiceCast, dialogue is read in each character's voice
+ * language (default English) picks voices that speak the story's language, speed (default 1) slows or quickens them
+ * duration is measured from the audio, words carries when each word of the narrated text is spoken
+ * ({ text, start, end, charStart, charEnd }, character offsets into the returned text)
  */
 router.post('/text-to-speech', async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, segments, voiceCast, language, speed } = req.body;
 
     if (!text || typeof text !== 'string') {
       return res.status(400).json({
@@ -240,14 +337,48 @@ router.post('/text-to-speech', async (req, res) => {
       });
     }
 
-    const { textToSpeech } = require('../services/audioService');
-    const audio = await textToSpeech(text);
+    if (segments !== undefined && (!Array.isArray(segments) || segments.some(segment => !segment || typeof segment.text !== 'string'))) {
+      return res.status(400).json({
+        error: 'Invalid segments',
+        details: 'Segments must be an array of { type, text, speaker } objects'
+      });
+    }
+
+    const voiceCastErrors = voiceCast !== undefined ? validateVoiceCast(voiceCast) : [];
+    if (voiceCastErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid voice cast',
+        details: voiceCastErrors
+      });
+    }
+
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        details: [`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+
+    const { NARRATION_SPEED } = require('../services/voiceCastingService');
+    if (speed !== undefined && !(typeof speed === 'number' && speed >= NARRATION_SPEED.min && speed <= NARRATION_SPEED.max)) {
+      return res.status(400).json({
+        error: 'Invalid speed',
+        details: [`speed must be a number from ${NARRATION_SPEED.min} to ${NARRATION_SPEED.max}`]
+      });
+    }
+
+    const { narrateScene } = require('../services/audioService');
+    const audio = await narrateScene({ description: text, segments }, voiceCast || {}, { language, speed });
 
     res.json({
       success: true,
       audioUrl: audio.audioUrl,
+      text: audio.text,
       duration: audio.duration,
-      provider: audio.provider
+      provider: audio.provider,
+      segments: audio.segments || null,
+      words: audio.words || [],
+      timing: audio.timing
     });
   } catch (error) {
     console.error('Text-to-speech error:', error);
@@ -258,6 +389,42 @@ router.post('/text-to-speech', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/story/voices
+ * Voice profiles available for casting characters
+ */
+router.get('/voices', (req, res) => {
+  const { listVoiceProfiles } = require('../services/voiceCastingService');
+  res.json({
+    success: true,
+    voices: listVoiceProfiles()
+  });
+});
+
+/**
+ * GET /api/story/content-policies
+ * Audiences a story can be made for (storyOptions.contentPolicy) and the rating each one allows
+ */
+router.get('/content-policies', (req, res) => {
+  res.json({
+    success: true,
+    defaultPolicy: DEFAULT_POLICY,
+    policies: Object.values(POLICIES).map(({ id, label, description, maxRating }) => ({ id, label, description, maxRating }))
+  });
+});
+
+/**
+ * GET /api/story/languages
+ * Languages stories can be written, narrated and translated in (storyOptions.language)
+ */
+router.get('/languages', (req, res) => {
+  res.json({
+    success: true,
+    defaultLanguage: DEFAULT_LANGUAGE,
+    languages: listLanguages()
+  });
+});
+
 /**
  * POST /api/story/edit-prompt
  * Generate new prompt based on user edit request
@@ -343,6 +510,7 @@ router.get('/status', async (req, res) => {
   try {
     const { validateAPIKeys } = require('../utils/validation');
     const apiStatus = validateAPIKeys();
+    const video = getVideoCapabilities();
     
     const systemStatus = {
       timestamp: new Date().toISOString(),
@@ -351,21 +519,28 @@ router.get('/status', async (req, res) => {
       apis: apiStatus,
       features: {
         textInput: true,
-        audioInput: apiStatus.status.elevenlabs || apiStatus.status.googleCloud,
-        imageGeneration: apiStatus.status.gemini,
-        imageEditing: apiStatus.status.gemini,
-        voiceSynthesis: apiStatus.status.elevenlabs || apiStatus.status.googleCloud,
-        ambientSounds: apiStatus.status.elevenlabs,
+        audioInput: !!apiStatus.providers.stt.active,
+        imageGeneration: !!apiStatus.providers.image.active,
+        imageEditing: !!apiStatus.providers.image.active,
+        voiceSynthesis: !!apiStatus.providers.tts.active,
+        ambientSounds: !!apiStatus.providers.sfx.active,
         videoGeneration: true,
-        contextAwareTransitions: true
+        mp4Export: video.mp4Export,
+        contextAwareTransitions: video.contextAware,
+        subtitles: true,
+        burnInSubtitles: video.burnInSubtitles
       },
       videoSettings: {
-        fps: 60,
-        resolution: '1920x1080',
-        format: 'mp4',
-        transitions: ['fade', 'dissolve', 'wipe', 'slide', 'circle', 'fadeblack', 'fadewhite'],
-        maxScenes: 6,
-        minScenes: 3
+        fps: video.fps,
+        resolution: video.resolution,
+        format: video.format,
+        kenBurns: video.kenBurns,
+        transitions: video.transitions,
+        subtitleFormats: video.subtitles,
+        maxScenes: STORY_LIMITS.MAX_SCENE_COUNT,
+        minScenes: STORY_LIMITS.MIN_SCENE_COUNT,
+        pacing: Object.keys(PACING),
+        maxStoryLength: STORY_LIMITS.MAX_STORY_LENGTH
       }
     };
     
@@ -383,6 +558,7 @@ router.get('/status', async (req, res) => {
  * POST /api/story/edit-scene-image
  * Edit a specific scene image using AI (NanoBanana)
  * This is the core endpoint for real-time image editing
+ * With storyId + sceneIndex the edit is saved as a new scene version
  */
 router.post('/edit-scene-image', async (req, res) => {
   try {
@@ -394,27 +570,49 @@ router.post('/edit-scene-image', async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!originalImageBase64) {
+    if (!editPrompt || typeof editPrompt !== 'string') {
       return res.status(400).json({ 
-        error: 'Original image data is required' 
+        error: 'Valid edit prompt is required' 
       });
     }
 
-    if (!editPrompt || typeof editPrompt !== 'string') {
+    // Saved stories record the edit in the scene's version tree
+    const { target, status, error } = await findEditTarget(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const sourceImage = originalImageBase64 || target?.parent?.imageUrl;
+    if (!sourceImage) {
       return res.status(400).json({ 
-        error: 'Valid edit prompt is required' 
+        error: 'Original image data is required' 
       });
     }
 
+    const contentPolicy = await resolveContentPolicy(req.body);
+    const blockedPrompt = await findBlockedText(editPrompt, contentPolicy);
+    if (blockedPrompt) {
+      return res.status(422).json(blockedPrompt);
+    }
+
     console.log(`🍌 NanoBanana editing scene ${sceneNumber}: "${editPrompt}"`);
 
     // Call our new AI editing function
     const editResult = await editImageWithAI(
-      originalImageBase64, 
+      sourceImage, 
       editPrompt, 
-      sceneContext || {}
+      sceneContext || {},
+      { referenceImages: target?.referenceImages || [] }
     );
 
+    // Refused images are never shown or saved as a version
+    const blockedImage = await findBlockedImage(editResult.imageData, contentPolicy);
+    if (blockedImage) {
+      return res.status(422).json(blockedImage);
+    }
+
+    const versioned = await recordEditVersion(target, editResult, editPrompt, 'edit');
+
     console.log('✅ Scene image edited successfully');
 
     res.json({
@@ -423,7 +621,9 @@ router.post('/edit-scene-image', async (req, res) => {
       editPrompt: editPrompt,
       sceneNumber: sceneNumber,
       editId: editResult.editId,
-      timestamp: editResult.generatedAt
+      timestamp: editResult.generatedAt,
+      version: versioned.version || null,
+      history: versioned.history || null
     });
 
   } catch (error) {
@@ -435,6 +635,85 @@ router.post('/edit-scene-image', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/story/inpaint-scene-image
+ * Edit only the painted region of a scene image
+ * maskImage is a PNG the size of the image whose painted pixels mark the region to change,
+ * everything outside it is kept from the original. Versioned like /edit-scene-image
+ */
+router.post('/inpaint-scene-image', async (req, res) => {
+  try {
+    const { originalImageBase64, maskImage, editPrompt, sceneNumber, sceneContext } = req.body;
+
+    const errors = validateInpaintRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid inpainting request', details: errors });
+    }
+
+    if (await measureMaskCoverage(maskImage) === 0) {
+      return res.status(400).json({
+        error: 'Invalid inpainting request',
+        details: ['The mask is empty. Paint the region to change first.']
+      });
+    }
+
+    const { target, status, error } = await findEditTarget(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const sourceImage = originalImageBase64 || target?.parent?.imageUrl;
+    if (!sourceImage) {
+      return res.status(400).json({ 
+        error: 'Original image data is required' 
+      });
+    }
+
+    const contentPolicy = await resolveContentPolicy(req.body);
+    const blockedPrompt = await findBlockedText(editPrompt, contentPolicy);
+    if (blockedPrompt) {
+      return res.status(422).json(blockedPrompt);
+    }
+
+    console.log(`🖌️ Inpainting scene ${sceneNumber}: "${editPrompt}"`);
+
+    const editResult = await inpaintImageWithAI(
+      sourceImage,
+      maskImage,
+      editPrompt,
+      sceneContext || {},
+      { referenceImages: target?.referenceImages || [] }
+    );
+
+    const blockedImage = await findBlockedImage(editResult.imageData, contentPolicy);
+    if (blockedImage) {
+      return res.status(422).json(blockedImage);
+    }
+
+    const versioned = await recordEditVersion(target, editResult, editPrompt, 'inpaint');
+
+    console.log('✅ Scene image inpainted successfully');
+
+    res.json({
+      success: true,
+      editedImage: editResult.imageData,
+      editPrompt: editPrompt,
+      sceneNumber: sceneNumber,
+      editId: editResult.editId,
+      timestamp: editResult.generatedAt,
+      version: versioned.version || null,
+      history: versioned.history || null
+    });
+
+  } catch (error) {
+    console.error('Scene image inpainting error:', error);
+    res.status(500).json({
+      error: 'Failed to inpaint scene image',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/story/batch-edit-images
  * Edit multiple scene images in a single request
@@ -452,41 +731,43 @@ router.post('/batch-edit-images', async (req, res) => {
 
     console.log(`🍌 NanoBanana batch editing ${editRequests.length} images`);
 
-    const editResults = [];
-    const errors = [];
+    const contentPolicy = getContentPolicy(req.body.contentPolicy).id;
 
-    // Process each edit request
-    for (let i = 0; i < editRequests.length; i++) {
-      const request = editRequests[i];
-      
+    // A few edits at a time instead of one by one
+    // Edits refused by the content policy are reported like any other failed edit
+    const outcomes = await mapWithConcurrency(editRequests, BATCH_EDIT_CONCURRENCY, async (request, i) => {
       try {
+        const blockedPrompt = await findBlockedText(String(request.editPrompt || ''), contentPolicy);
+        if (blockedPrompt) throw new Error(`Blocked by the content policy: ${blockedPrompt.details[0]}`);
+
         const editResult = await editImageWithAI(
           request.originalImageBase64,
           request.editPrompt,
           request.sceneContext || {}
         );
 
-        editResults.push({
+        const blockedImage = await findBlockedImage(editResult.imageData, contentPolicy);
+        if (blockedImage) throw new Error(`Blocked by the content policy: ${blockedImage.details[0]}`);
+
+        return {
           index: i,
           sceneNumber: request.sceneNumber,
           success: true,
           editedImage: editResult.imageData,
           editId: editResult.editId
-        });
+        };
 
       } catch (error) {
-        errors.push({
+        return {
           index: i,
           sceneNumber: request.sceneNumber,
           error: error.message
-        });
+        };
       }
+    });
 
-      // Rate limiting between requests
-      if (i < editRequests.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
+    const editResults = outcomes.filter(outcome => outcome.success);
+    const errors = outcomes.filter(outcome => !outcome.success);
 
     console.log(`✅ Batch editing completed: ${editResults.length} success, ${errors.length} errors`);
 
@@ -510,15 +791,18 @@ router.post('/batch-edit-images', async (req, res) => {
 
 /**
  * POST /api/story/chat-edit
- * Natural language chat interface for image editing
- * Processes conversational requests and maintains context
+ * Natural language chat about the current scene
+ * The message is interpreted with the scene context and conversation history into one intent:
+ * edit-image (applied here), edit-narration, question, regenerate or restyle.
+ * actions lists what the player should do next: { type: 'edit-image' | 'edit-narration' | 'regenerate' | 'restyle', ... }
+ * With storyId + sceneIndex an image edit is saved as a new scene version
  */
 router.post('/chat-edit', async (req, res) => {
   try {
     const { 
       chatMessage, 
       currentImageBase64, 
-      sceneContext,
+      sceneContext = {},
       conversationHistory = []
     } = req.body;
 
@@ -528,27 +812,80 @@ router.post('/chat-edit', async (req, res) => {
       });
     }
 
-    if (!currentImageBase64) {
-      return res.status(400).json({ 
-        error: 'Current image is required for editing' 
-      });
+    if (chatMessage.length > 1000) {
+      return res.status(400).json({ error: 'Chat message must be less than 1000 characters' });
     }
 
-    console.log(`💬 Chat edit request: "${chatMessage}"`);
+    if (!Array.isArray(conversationHistory)) {
+      return res.status(400).json({ error: 'conversationHistory must be an array' });
+    }
 
-    // Process the conversational request into an edit prompt
-    const editPrompt = await processChatEditRequest(
-      chatMessage, 
-      sceneContext, 
-      conversationHistory
-    );
+    const { target, status, error } = await findEditTarget(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    // Apply the edit using NanoBanana
-    const editResult = await editImageWithAI(
-      currentImageBase64,
-      editPrompt,
-      sceneContext || {}
-    );
+    const contentPolicy = await resolveContentPolicy(req.body);
+    const blockedMessage = await findBlockedText(chatMessage, contentPolicy);
+    if (blockedMessage) {
+      return res.status(422).json(blockedMessage);
+    }
+
+    console.log(`💬 Chat message: "${chatMessage}"`);
+
+    const styles = (await styleService.listStyles()).map(({ id, name }) => ({ id, name }));
+    const interpretation = await interpretChatMessage(chatMessage, {
+      scene: sceneContext,
+      history: conversationHistory,
+      styles
+    });
+    const { intent, instruction, styleId } = interpretation;
+    let reply = interpretation.reply;
+
+    console.log(`💬 Interpreted as ${intent}${instruction ? `: "${instruction}"` : ''}`);
+
+    let editResult = null;
+    let versioned = {};
+    const actions = [];
+
+    if (intent === 'edit-image') {
+      const sourceImage = currentImageBase64 || target?.parent?.imageUrl;
+      if (!sourceImage) {
+        return res.status(400).json({ 
+          error: 'Current image is required for editing' 
+        });
+      }
+
+      editResult = await editImageWithAI(
+        sourceImage,
+        instruction,
+        sceneContext,
+        { referenceImages: target?.referenceImages || [] }
+      );
+
+      const blockedImage = await findBlockedImage(editResult.imageData, contentPolicy);
+      if (blockedImage) {
+        return res.status(422).json(blockedImage);
+      }
+      versioned = await recordEditVersion(target, editResult, instruction, 'chat-edit');
+      reply = reply || `I've applied: ${instruction}. How does it look?`;
+
+      actions.push({
+        type: 'edit-image',
+        editedImage: editResult.imageData,
+        editPrompt: instruction,
+        editId: editResult.editId
+      });
+    } else if (intent === 'edit-narration') {
+      actions.push({ type: 'edit-narration', text: instruction });
+    } else if (intent === 'regenerate') {
+      actions.push({
+        type: 'regenerate',
+        options: { image: true, rewritePrompt: true, ...(instruction ? { instructions: instruction.substring(0, 500) } : {}) }
+      });
+    } else if (intent === 'restyle') {
+      actions.push({ type: 'restyle', styleId });
+    }
 
     // Update conversation history
     const updatedHistory = [
@@ -560,21 +897,24 @@ router.post('/chat-edit', async (req, res) => {
       },
       {
         role: 'assistant',
-        message: `Applied edit: ${editPrompt}`,
-        editId: editResult.editId,
-        timestamp: editResult.generatedAt
+        message: reply,
+        intent,
+        ...(editResult ? { editId: editResult.editId } : {}),
+        timestamp: new Date().toISOString()
       }
     ];
 
-    console.log('✅ Chat edit completed successfully');
-
     res.json({
       success: true,
-      editedImage: editResult.imageData,
-      interpretedPrompt: editPrompt,
+      intent,
+      actions,
+      chatResponse: reply,
+      interpretedPrompt: instruction || null,
       conversationHistory: updatedHistory,
-      editId: editResult.editId,
-      chatResponse: `I've ${editPrompt.toLowerCase()}. How does it look?`
+      editedImage: editResult?.imageData || null,
+      editId: editResult?.editId || null,
+      version: versioned.version || null,
+      history: versioned.history || null
     });
 
   } catch (error) {
@@ -586,40 +926,14 @@ router.post('/chat-edit', async (req, res) => {
   }
 });
 
-/**
- * Helper function to process conversational edit requests
- */
-const processChatEditRequest = async (chatMessage, sceneContext, history) => {
-  // Simple prompt conversion - can be enhanced with more sophisticated NLP
-  let editPrompt = chatMessage.toLowerCase();
-
-  // Convert common conversational phrases to edit instructions
-  const conversions = {
-    'change the color of': 'change color of',
-    'make the': 'make',
-    'can you': '',
-    'please': '',
-    'i want': '',
-    'could you': '',
-    'change to': 'change to',
-    'make it': 'make',
-    'turn the': 'change the'
-  };
-
-  Object.entries(conversions).forEach(([phrase, replacement]) => {
-    editPrompt = editPrompt.replace(new RegExp(phrase, 'gi'), replacement);
-  });
-
-  return editPrompt.trim();
-};
-
 /**
  * POST /api/story/export-video
  * Export story as a downloadable video
+ * music ({ mode: 'auto' | 'track' | 'off', trackId }) picks the music bed under the narration
  */
 router.post('/export-video', async (req, res) => {
   try {
-    const { storyId, title, scenes } = req.body;
+    const { storyId, title, scenes, burnSubtitles, language, music } = req.body;
     
     if (!scenes || !Array.isArray(scenes) || scenes.length === 0) {
       return res.status(400).json({ 
@@ -628,20 +942,39 @@ router.post('/export-video', async (req, res) => {
       });
     }
 
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        details: [`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+
+    const musicErrors = music !== undefined ? validateMusicSettings(music) : [];
+    if (musicErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid music',
+        details: musicErrors
+      });
+    }
+
     console.log(`🎬 Exporting story as video: "${title}" with ${scenes.length} scenes`);
     
     // Generate a unique video ID
     const videoId = `story-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     
     // Create the video using videoService
-    const videoData = await createStoryVideo(scenes, title);
+    const videoData = await createStoryVideo(scenes, title, { burnSubtitles: Boolean(burnSubtitles), language, music });
     
     // Return success with video URL
     res.json({
       success: true,
       videoId: videoData.videoId,
       videoUrl: `/api/video/download/${videoData.videoId}`,
+      mp4Url: videoData.mp4Url,
       streamUrl: `/api/video/stream/${videoData.videoId}`,
+      totalDuration: videoData.totalDuration,
+      subtitles: videoData.subtitles,
+      music: videoData.music,
       title: title,
       sceneCount: scenes.length
     });
@@ -655,4 +988,770 @@ router.post('/export-video', async (req, res) => {
   }
 });
 
+
+/**
+ * POST /api/story/soundtrack
+ * Mix narration, ambience and music into one levelled soundtrack on the same timeline as the video
+ * Body: { scenes, music } - scenes carry their narration as audio.audioUrl data URLs
+ * Returns the soundtrack URL with where each scene starts in it
+ */
+router.post('/soundtrack', async (req, res) => {
+  try {
+    const { scenes, music } = req.body;
+
+    if (!scenes || !Array.isArray(scenes) || scenes.length === 0) {
+      return res.status(400).json({
+        error: 'Valid scenes are required',
+        details: 'Please provide an array of scene objects'
+      });
+    }
+
+    const musicErrors = music !== undefined ? validateMusicSettings(music) : [];
+    if (musicErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid music',
+        details: musicErrors
+      });
+    }
+
+    const measuredScenes = measureSceneNarration(scenes);
+    const timeline = getSceneTimeline(measuredScenes);
+    const soundtrack = await renderSoundtrack(measuredScenes, timeline, { music });
+
+    if (!soundtrack) {
+      return res.status(400).json({
+        error: 'Nothing to mix',
+        details: 'None of the scenes has narration, ambience or music'
+      });
+    }
+
+    const soundtrackId = saveSoundtrack(soundtrack.wav);
+
+    res.json({
+      success: true,
+      soundtrackId,
+      soundtrackUrl: `/api/story/soundtrack/${soundtrackId}`,
+      duration: soundtrack.duration,
+      starts: timeline.starts,
+      durations: timeline.durations,
+      loudness: soundtrack.loudness,
+      peak: soundtrack.peak,
+      includesNarration: soundtrack.includesNarration,
+      layers: soundtrack.layers
+    });
+  } catch (error) {
+    console.error('Soundtrack error:', error);
+    res.status(500).json({
+      error: 'Failed to mix soundtrack',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/story/soundtrack/:soundtrackId
+ * A mixed soundtrack (WAV), kept for an hour after it is rendered
+ */
+router.get('/soundtrack/:soundtrackId', (req, res) => {
+  const filePath = getSoundtrackPath(req.params.soundtrackId);
+
+  if (!filePath) {
+    return res.status(404).json({ error: 'Soundtrack not found' });
+  }
+
+  res.type('audio/wav');
+  res.sendFile(filePath);
+});
+
+/**
+ * GET /api/story
+ * List saved stories (summaries only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const stories = await storyRepository.listStories();
+
+    res.json({
+      success: true,
+      stories,
+      total: stories.length
+    });
+  } catch (error) {
+    console.error('List stories error:', error);
+    res.status(500).json({
+      error: 'Failed to list stories',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story
+ * Save a story (scenes, characters, image data URLs and edit history)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateStoryRecord(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid story',
+        details: validation.errors
+      });
+    }
+
+    const story = await storyRepository.createStory(req.body);
+
+    res.status(201).json({
+      success: true,
+      story
+    });
+  } catch (error) {
+    console.error('Save story error:', error);
+    res.status(500).json({
+      error: 'Failed to save story',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/story/:id
+ * Load a saved story
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const story = await storyRepository.getStory(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({
+      success: true,
+      story: {
+        ...story,
+        chapters: buildChapterOutline(story.chapters, story.scenes)
+      }
+    });
+  } catch (error) {
+    console.error('Load story error:', error);
+    res.status(500).json({
+      error: 'Failed to load story',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/story/:id
+ * Update a saved story (e.g. after image edits)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validation = validateStoryRecord(req.body, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid story',
+        details: validation.errors
+      });
+    }
+
+    const story = await storyRepository.updateStory(req.params.id, req.body);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({
+      success: true,
+      story
+    });
+  } catch (error) {
+    console.error('Update story error:', error);
+    res.status(500).json({
+      error: 'Failed to update story',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/story/:id
+ * Delete a saved story
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await storyRepository.deleteStory(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    await sceneVersions.deleteStoryVersions(req.params.id);
+    await characterBible.deleteCharacterBible(req.params.id);
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Delete story error:', error);
+    res.status(500).json({
+      error: 'Failed to delete story',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/story/:id/scenes/:sceneIndex/versions
+ * Version tree of a scene: the original generation plus every edit
+ */
+router.get('/:id/scenes/:sceneIndex/versions', async (req, res) => {
+  try {
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const history = sceneIndex === null ? null : await sceneVersions.getSceneHistory(req.params.id, sceneIndex);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Story scene not found' });
+    }
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    console.error('Load scene versions error:', error);
+    res.status(500).json({
+      error: 'Failed to load scene versions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/versions/:versionId/revert
+ * Make a version current again (used for undo, redo and the history browser)
+ */
+router.post('/:id/scenes/:sceneIndex/versions/:versionId/revert', async (req, res) => {
+  try {
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await sceneVersions.revertSceneVersion(req.params.id, sceneIndex, req.params.versionId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Scene version not found' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Revert scene version error:', error);
+    res.status(500).json({
+      error: 'Failed to revert scene version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/versions/:versionId/branch
+ * Apply a new edit to any version, starting a branch from it
+ */
+router.post('/:id/scenes/:sceneIndex/versions/:versionId/branch', async (req, res) => {
+  try {
+    const { editPrompt, sceneContext } = req.body;
+
+    if (!editPrompt || typeof editPrompt !== 'string') {
+      return res.status(400).json({
+        error: 'Valid edit prompt is required'
+      });
+    }
+
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const parent = sceneIndex === null ? null : await sceneVersions.getSceneVersion(req.params.id, sceneIndex, req.params.versionId);
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Scene version not found' });
+    }
+
+    const contentPolicy = await resolveContentPolicy({ storyId: req.params.id });
+    const blockedPrompt = await findBlockedText(editPrompt, contentPolicy);
+    if (blockedPrompt) {
+      return res.status(422).json(blockedPrompt);
+    }
+
+    console.log(`🌿 Branching scene ${sceneIndex + 1} from version ${parent.id}: "${editPrompt}"`);
+
+    const referenceImages = await characterBible.getSceneReferenceImages(req.params.id, sceneIndex);
+    const editResult = await editImageWithAI(parent.imageUrl, editPrompt, sceneContext || {}, { referenceImages });
+
+    const blockedImage = await findBlockedImage(editResult.imageData, contentPolicy);
+    if (blockedImage) {
+      return res.status(422).json(blockedImage);
+    }
+    const result = await sceneVersions.recordSceneEdit(req.params.id, sceneIndex, {
+      imageUrl: editResult.imageData,
+      prompt: editPrompt,
+      type: 'edit',
+      parentVersionId: parent.id
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Scene version not found' });
+    }
+
+    res.json({
+      success: true,
+      editedImage: editResult.imageData,
+      editId: editResult.editId,
+      ...result
+    });
+  } catch (error) {
+    console.error('Branch scene version error:', error);
+    res.status(500).json({
+      error: 'Failed to branch from scene version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/regenerate
+ * Regenerate one scene without touching the rest of the story
+ * Body: { image, rewritePrompt, narration, instructions }
+ * Returns the current scene and a candidate ({ visualPrompt, image, audio }) to compare; nothing is saved
+ */
+router.post('/:id/scenes/:sceneIndex/regenerate', async (req, res) => {
+  try {
+    const { image, rewritePrompt, narration, instructions } = req.body;
+
+    const errors = validateRegenerateOptions({ image, rewritePrompt, narration, instructions });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid regenerate options',
+        details: errors
+      });
+    }
+
+    if (instructions) {
+      const blockedInstructions = await findBlockedText(instructions, await resolveContentPolicy({ storyId: req.params.id }));
+      if (blockedInstructions) {
+        return res.status(422).json(blockedInstructions);
+      }
+    }
+
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await regenerateScene(req.params.id, sceneIndex, {
+      image: Boolean(image),
+      rewritePrompt: Boolean(rewritePrompt),
+      narration: Boolean(narration),
+      instructions: instructions || ''
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Story scene not found' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Regenerate scene error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate scene',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/regenerate/accept
+ * Save a regeneration candidate; a new image becomes an undoable scene version
+ * Body: { visualPrompt, image, audio } as returned by /regenerate
+ */
+router.post('/:id/scenes/:sceneIndex/regenerate/accept', async (req, res) => {
+  try {
+    const { visualPrompt, image, audio } = req.body;
+
+    const errors = validateSceneCandidate({ visualPrompt, image, audio });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid candidate',
+        details: errors
+      });
+    }
+
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await acceptSceneCandidate(req.params.id, sceneIndex, { visualPrompt, image, audio });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Story scene not found' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Accept regenerated scene error:', error);
+    res.status(500).json({
+      error: 'Failed to save regenerated scene',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/story/:id/scenes/order
+ * Reorder a story's scenes; scene numbers and transitions are recomputed
+ * Body: { sceneIds } - every scene id of the story in the new order
+ */
+router.put('/:id/scenes/order', async (req, res) => {
+  try {
+    const { sceneIds } = req.body;
+
+    const errors = validateSceneOrder(sceneIds);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scene order',
+        details: errors
+      });
+    }
+
+    const result = await sceneTimeline.reorderScenes(req.params.id, sceneIds);
+    sendTimelineResult(res, result, 'Story not found');
+  } catch (error) {
+    console.error('Reorder scenes error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder scenes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes
+ * Insert a new scene written from text, with its own image
+ * Body: { text, index } - index defaults to the end of the story
+ */
+router.post('/:id/scenes', async (req, res) => {
+  try {
+    const { text, index } = req.body;
+
+    const errors = validateNewScene({ text, index });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scene',
+        details: errors
+      });
+    }
+
+    const blockedText = await findBlockedText(text, await resolveContentPolicy({ storyId: req.params.id }));
+    if (blockedText) {
+      return res.status(422).json(blockedText);
+    }
+
+    const result = await sceneTimeline.insertScene(req.params.id, text, index ?? null);
+    sendTimelineResult(res, result, 'Story not found');
+  } catch (error) {
+    console.error('Insert scene error:', error);
+    res.status(500).json({
+      error: 'Failed to insert scene',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/split
+ * Split a scene's text into two scenes; the second half gets a new image
+ * Body: { splitAt } - optional character offset, defaults to the sentence end nearest the middle
+ */
+router.post('/:id/scenes/:sceneIndex/split', async (req, res) => {
+  try {
+    const { splitAt } = req.body;
+
+    const errors = validateSceneSplit(splitAt);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid split',
+        details: errors
+      });
+    }
+
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await sceneTimeline.splitScene(req.params.id, sceneIndex, splitAt ?? null);
+    sendTimelineResult(res, result, 'Story scene not found');
+  } catch (error) {
+    console.error('Split scene error:', error);
+    res.status(500).json({
+      error: 'Failed to split scene',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/scenes/:sceneIndex/merge
+ * Merge a scene with the scene after it, keeping the first scene's image
+ */
+router.post('/:id/scenes/:sceneIndex/merge', async (req, res) => {
+  try {
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await sceneTimeline.mergeScenes(req.params.id, sceneIndex);
+    sendTimelineResult(res, result, 'Story scene not found');
+  } catch (error) {
+    console.error('Merge scenes error:', error);
+    res.status(500).json({
+      error: 'Failed to merge scenes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/story/:id/scenes/:sceneIndex
+ * Delete a scene and its version history (a story keeps at least one scene)
+ */
+router.delete('/:id/scenes/:sceneIndex', async (req, res) => {
+  try {
+    const sceneIndex = parseSceneIndex(req.params.sceneIndex);
+    const result = sceneIndex === null ? null : await sceneTimeline.deleteScene(req.params.id, sceneIndex);
+    sendTimelineResult(res, result, 'Story scene not found');
+  } catch (error) {
+    console.error('Delete scene error:', error);
+    res.status(500).json({
+      error: 'Failed to delete scene',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/restyle
+ * Redraw the story's character reference sheets and every scene image in another art style
+ * Body: { style, async } - each scene keeps its previous image as an undoable version
+ */
+router.post('/:id/restyle', async (req, res) => {
+  try {
+    const { style } = req.body;
+
+    const styleError = typeof style === 'string' ? await findUnknownStyle(style) : 'A style id from /api/styles is required';
+    if (styleError) {
+      return res.status(400).json({ error: 'Invalid style', details: [styleError] });
+    }
+
+    const story = await storyRepository.getStory(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    if (req.body.async) {
+      const job = createJob('restyle', getPipelineStages('restyle'), (reporter) => runRestyle(story.id, style, reporter));
+      return res.status(202).json(describeJob(job));
+    }
+
+    const result = await runRestyle(story.id, style);
+    res.json(result);
+  } catch (error) {
+    console.error('Restyle story error:', error);
+    sendPipelineError(res, error, 'Failed to restyle story');
+  }
+});
+
+/**
+ * POST /api/story/:id/translate
+ * Translate a saved story into another language as a new story
+ * Body: { language, async } - the translated edition shares the story's images and characters,
+ * its scenes are narrated in the new language; the result carries the new story's id
+ */
+router.post('/:id/translate', async (req, res) => {
+  try {
+    const { language } = req.body;
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        details: [`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+
+    const story = await storyRepository.getStory(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    if (story.metadata?.language === language) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        details: [`"${story.title}" is already written in ${getLanguage(language).name}`]
+      });
+    }
+
+    if (req.body.async) {
+      const job = createJob('translate', getPipelineStages('translate'), (reporter) => runTranslation(story.id, language, reporter));
+      return res.status(202).json(describeJob(job));
+    }
+
+    const result = await runTranslation(story.id, language);
+    res.json(result);
+  } catch (error) {
+    console.error('Translate story error:', error);
+    sendPipelineError(res, error, 'Failed to translate story');
+  }
+});
+
+/**
+ * POST /api/story/:id/edit-all
+ * Apply one instruction ("give the fox a red scarf", "make it winter") to every scene it concerns
+ * Body: { instruction, async } - character edits are saved to the character bible, every edited
+ * scene keeps its previous image as an undoable version; the result reports each scene's success
+ */
+router.post('/:id/edit-all', async (req, res) => {
+  try {
+    const errors = validateStoryEdit(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid story edit', details: errors });
+    }
+
+    const story = await storyRepository.getStory(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const instruction = req.body.instruction.trim();
+    const blockedInstruction = await findBlockedText(instruction, getStoryPolicy(story));
+    if (blockedInstruction) {
+      return res.status(422).json(blockedInstruction);
+    }
+
+    if (req.body.async) {
+      const job = createJob('story-edit', getPipelineStages('story-edit'), (reporter) => runStoryEdit(story.id, instruction, reporter));
+      return res.status(202).json(describeJob(job));
+    }
+
+    const result = await runStoryEdit(story.id, instruction);
+    res.json(result);
+  } catch (error) {
+    console.error('Story-wide edit error:', error);
+    sendPipelineError(res, error, 'Failed to edit story');
+  }
+});
+
+/**
+ * GET /api/story/:id/characters
+ * Character bible: structured appearance, locked attributes and reference sheet per character
+ */
+router.get('/:id/characters', async (req, res) => {
+  try {
+    const characters = await characterBible.getCharacterBible(req.params.id);
+
+    if (!characters) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({
+      success: true,
+      characters,
+      attributes: characterBible.CHARACTER_ATTRIBUTES
+    });
+  } catch (error) {
+    console.error('Load character bible error:', error);
+    res.status(500).json({
+      error: 'Failed to load characters',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/characters/refresh
+ * Re-extract characters from the story text; locked attributes and reference sheets are kept
+ */
+router.post('/:id/characters/refresh', async (req, res) => {
+  try {
+    const characters = await characterBible.refreshCharacterBible(req.params.id);
+
+    if (!characters) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({
+      success: true,
+      characters
+    });
+  } catch (error) {
+    console.error('Refresh character bible error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh characters',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/story/:id/characters/:name
+ * Edit a character's appearance and locks
+ * Body: { age, build, hair, outfit, palette, props, description, lockedAttributes, regenerateSheet }
+ */
+router.put('/:id/characters/:name', async (req, res) => {
+  try {
+    const { regenerateSheet, ...changes } = req.body;
+
+    const errors = validateCharacterChanges(changes);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid character',
+        details: errors
+      });
+    }
+
+    const character = await characterBible.updateCharacter(req.params.id, req.params.name, changes, {
+      regenerateSheet: Boolean(regenerateSheet)
+    });
+
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json({
+      success: true,
+      character
+    });
+  } catch (error) {
+    console.error('Update character error:', error);
+    res.status(500).json({
+      error: 'Failed to update character',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/story/:id/characters/:name/reference-sheet
+ * Redraw a character's reference sheet from its current appearance
+ */
+router.post('/:id/characters/:name/reference-sheet', async (req, res) => {
+  try {
+    const character = await characterBible.regenerateReferenceSheet(req.params.id, req.params.name);
+
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json({
+      success: true,
+      character
+    });
+  } catch (error) {
+    console.error('Reference sheet error:', error);
+    res.status(500).json({
+      error: 'Failed to draw reference sheet',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const styleService = require('../services/styleService');
+const { validateCustomStyle } = require('../utils/validation');
+
+/**
+ * GET /api/styles
+ * Art style catalog: built-in styles and custom styles with their prompt fragments and thumbnails
+ */
+router.get('/', async (req, res) => {
+  try {
+    const styles = await styleService.listStyles();
+
+    res.json({
+      success: true,
+      styles
+    });
+  } catch (error) {
+    console.error('List styles error:', error);
+    res.status(500).json({
+      error: 'Failed to list styles',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/styles
+ * Create a custom style
+ * Body: { name, prompt, thumbnail } - a sample thumbnail is drawn when none is given
+ */
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateCustomStyle(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid style',
+        details: errors
+      });
+    }
+
+    const { name, prompt, thumbnail } = req.body;
+    const style = await styleService.createStyle({ name, prompt, thumbnail });
+
+    res.status(201).json({
+      success: true,
+      style
+    });
+  } catch (error) {
+    console.error('Create style error:', error);
+    res.status(500).json({
+      error: 'Failed to create style',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/styles/:id
+ * Remove a custom style (stories drawn in it keep their images)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const style = await styleService.getStyle(req.params.id);
+
+    if (style?.builtIn) {
+      return res.status(400).json({ error: 'Built-in styles cannot be deleted' });
+    }
+
+    const deleted = style ? await styleService.deleteStyle(style.id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Style not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Style deleted'
+    });
+  } catch (error) {
+    console.error('Delete style error:', error);
+    res.status(500).json({
+      error: 'Failed to delete style',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
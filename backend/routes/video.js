@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { getVideoFile } = require('../services/videoService');
+const { getVideoFile, getSubtitleFile } = require('../services/videoService');
 
 /**
  * GET /api/video/download/:videoId
- * Download generated MP4 video
+ * Download the presentation package (ZIP), or the MP4 render with ?format=mp4
  */
 router.get('/download/:videoId', async (req, res) => {
     try {
@@ -14,7 +14,15 @@ router.get('/download/:videoId', async (req, res) => {
             return res.status(400).json({ error: 'Video ID is required' });
         }
 
-        const videoFile = getVideoFile(videoId);
+        const requestedFormat = req.query.format;
+        const videoFile = getVideoFile(videoId, requestedFormat || 'zip');
+        
+        if (requestedFormat && videoFile.format !== requestedFormat) {
+            return res.status(404).json({
+                error: 'Video not found',
+                details: `No ${requestedFormat} export is available for this video`
+            });
+        }
         
         // Set appropriate content type based on file format
         if (videoFile.format === 'zip') {
@@ -41,7 +49,7 @@ router.get('/download/:videoId', async (req, res) => {
 
 /**
  * GET /api/video/stream/:videoId
- * Stream MP4 video for preview or redirect to GIF preview for ZIP packages
+ * Stream the MP4 render, or the JPG preview for packages without one
  */
 router.get('/stream/:videoId', async (req, res) => {
     try {
@@ -51,11 +59,11 @@ router.get('/stream/:videoId', async (req, res) => {
             return res.status(400).json({ error: 'Video ID is required' });
         }
 
-        const videoFile = getVideoFile(videoId);
+        const videoFile = getVideoFile(videoId, 'mp4');
         const fs = require('fs');
         const path = require('path');
         
-        // For ZIP format, stream the JPG preview instead
+        // No MP4 render (ffmpeg unavailable), stream the JPG preview instead
         if (videoFile.format === 'zip') {
             const previewPath = path.join(path.dirname(videoFile.path), 'preview.jpg');
             
@@ -84,7 +92,13 @@ router.get('/stream/:videoId', async (req, res) => {
             // Support range requests for video streaming
             const parts = range.replace(/bytes=/, "").split("-");
             const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+            const end = parts[1] ? Math.min(parseInt(parts[1], 10), fileSize - 1) : fileSize - 1;
+            
+            if (isNaN(start) || start >= fileSize || start > end) {
+                res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+                return res.end();
+            }
+            
             const chunksize = (end - start) + 1;
             
             const stream = fs.createReadStream(videoFile.path, { start, end });
@@ -100,6 +114,7 @@ router.get('/stream/:videoId', async (req, res) => {
         } else {
             res.writeHead(200, {
                 'Content-Length': fileSize,
+                'Accept-Ranges': 'bytes',
                 'Content-Type': 'video/mp4',
             });
             
@@ -115,6 +130,40 @@ router.get('/stream/:videoId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/video/subtitles/:videoId
+ * Captions for the whole story, ?format=vtt (default) or ?format=srt
+ */
+router.get('/subtitles/:videoId', async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const format = req.query.format || 'vtt';
+        
+        if (!['vtt', 'srt'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid subtitle format',
+                details: 'Supported formats are vtt and srt'
+            });
+        }
+
+        const subtitleFile = getSubtitleFile(videoId, format);
+        
+        res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8');
+        if (req.query.download) {
+            res.setHeader('Content-Disposition', `attachment; filename="${subtitleFile.filename}"`);
+        }
+        
+        res.sendFile(subtitleFile.path);
+        
+    } catch (error) {
+        console.error('Subtitle download error:', error);
+        res.status(404).json({ 
+            error: 'Subtitles not found',
+            details: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/video/view/:videoId
  * View HTML presentation directly
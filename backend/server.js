@@ -30,18 +30,29 @@ app.use((req, res, next) => {
     next();
 });
 
-// Import routes - Only story and video routes are needed for main functionality
+// Import routes
 const storyRoutes = require('./routes/story');
 const videoRoutes = require('./routes/video');
+const jobRoutes = require('./routes/jobs');
+const styleRoutes = require('./routes/styles');
+const musicRoutes = require('./routes/music');
+const { describeProviders } = require('./providers');
+const { getVideoCapabilities } = require('./services/videoService');
+const { STORY_LIMITS, PACING } = require('./utils/storyOptions');
+const { listLanguages } = require('./utils/languages');
 
 // Use routes
 app.use('/api/story', storyRoutes);
 app.use('/api/video', videoRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/styles', styleRoutes);
+app.use('/api/music', musicRoutes);
 
 // Health check with comprehensive API status
 app.get('/api/health', (req, res) => {
     const { validateAPIKeys } = require('./utils/validation');
     const apiValidation = validateAPIKeys();
+    const video = getVideoCapabilities();
     
     const systemInfo = {
         status: 'StoryMill backend is running!',
@@ -53,23 +64,33 @@ app.get('/api/health', (req, res) => {
         apis: apiValidation,
         features: {
             textToStory: true,
-            audioToStory: apiValidation.status.elevenlabs || apiValidation.status.googleCloud,
-            imageGeneration: apiValidation.status.gemini,
-            imageEditing: apiValidation.status.gemini,
-            voiceSynthesis: apiValidation.status.elevenlabs,
-            ambientSounds: apiValidation.status.elevenlabs,
+            audioToStory: !!apiValidation.providers.stt.active,
+            transcriptStructure: !!apiValidation.providers.stt.active, // Word timings, speakers and pause paragraphs
+            imageGeneration: !!apiValidation.providers.image.active,
+            imageEditing: !!apiValidation.providers.image.active,
+            voiceSynthesis: !!apiValidation.providers.tts.active,
+            ambientSounds: !!apiValidation.providers.sfx.active,
+            backgroundMusic: true,
+            soundtrackMixing: true,
             videoGeneration: true,
-            contextAwareTransitions: true,
+            mp4Export: video.mp4Export,
+            contextAwareTransitions: video.contextAware,
+            subtitles: true,
+            burnInSubtitles: video.burnInSubtitles,
             parallelProcessing: true
         },
         videoSettings: {
-            fps: 60,
-            resolution: '1920x1080',
-            format: 'mp4',
-            maxScenes: 6,
-            minScenes: 3,
-            transitions: ['fade', 'dissolve', 'wipe', 'slide', 'circle', 'fadeblack', 'fadewhite'],
-            contextAware: true
+            fps: video.fps,
+            resolution: video.resolution,
+            format: video.format,
+            maxScenes: STORY_LIMITS.MAX_SCENE_COUNT,
+            minScenes: STORY_LIMITS.MIN_SCENE_COUNT,
+            pacing: Object.keys(PACING),
+            maxStoryLength: STORY_LIMITS.MAX_STORY_LENGTH,
+            kenBurns: video.kenBurns,
+            transitions: video.transitions,
+            contextAware: video.contextAware,
+            subtitleFormats: video.subtitles
         },
         performance: {
             parallelAudioGeneration: true,
@@ -87,6 +108,7 @@ app.get('/api/system/status', async (req, res) => {
     try {
         const { validateAPIKeys } = require('./utils/validation');
         const apiValidation = validateAPIKeys();
+        const video = getVideoCapabilities();
         
         // Check temp directory status
         const tempStats = (() => {
@@ -133,28 +155,37 @@ app.get('/api/system/status', async (req, res) => {
             capabilities: {
                 storyGeneration: {
                     textInput: true,
-                    audioInput: apiValidation.status.elevenlabs || apiValidation.status.googleCloud,
-                    maxLength: '10000 characters',
-                    languages: apiValidation.status.elevenlabs ? 'Multi-language' : 'English'
+                    audioInput: !!apiValidation.providers.stt.active,
+                    maxLength: `${STORY_LIMITS.MAX_STORY_LENGTH} characters`,
+                    chapters: true,
+                    // Scenes and narration follow the story's language; detection and translation need a text model
+                    languages: listLanguages().map(language => language.code),
+                    languageDetection: !!apiValidation.providers.text.active,
+                    translation: !!apiValidation.providers.text.active
                 },
                 imageGeneration: {
-                    enabled: apiValidation.status.gemini,
+                    enabled: !!apiValidation.providers.image.active,
                     characterConsistency: true,
                     naturalLanguageEditing: true,
                     styles: 'All artistic styles supported'
                 },
                 audioGeneration: {
-                    narration: apiValidation.status.elevenlabs,
-                    ambientSounds: apiValidation.status.elevenlabs,
+                    narration: !!apiValidation.providers.tts.active,
+                    ambientSounds: !!apiValidation.providers.sfx.active,
                     parallelProcessing: true,
-                    audioMixing: true
+                    audioMixing: true,
+                    backgroundMusic: true,
+                    soundtrackLoudness: `${video.soundtrackLoudness} LUFS`
                 },
                 videoGeneration: {
                     enabled: true,
-                    fps: 60,
-                    resolution: '1920x1080',
-                    format: 'MP4',
-                    contextAwareTransitions: true,
+                    mp4Export: video.mp4Export,
+                    fps: video.fps,
+                    resolution: video.resolution,
+                    format: video.format.toUpperCase(),
+                    contextAwareTransitions: video.contextAware,
+                    subtitleFormats: video.subtitles,
+                    burnInSubtitles: video.burnInSubtitles,
                     maxDuration: '5 minutes'
                 }
             },
@@ -232,8 +263,36 @@ app.use('*', (req, res) => {
             'GET /api/system/metrics',
             'POST /api/story/generate-complete',
             'POST /api/story/analyze',
+            'POST /api/story/inpaint-scene-image',
+            'GET /api/story/content-policies',
+            'GET /api/story/languages',
             'GET /api/story/demo',
             'GET /api/story/status',
+            'GET /api/story',
+            'POST /api/story',
+            'GET /api/story/:id',
+            'PUT /api/story/:id',
+            'DELETE /api/story/:id',
+            'POST /api/story/:id/restyle',
+            'POST /api/story/:id/translate',
+            'POST /api/story/:id/edit-all',
+            'POST /api/story/:id/scenes/:sceneIndex/regenerate',
+            'PUT /api/story/:id/scenes/order',
+            'POST /api/story/:id/scenes',
+            'POST /api/story/:id/scenes/:sceneIndex/split',
+            'POST /api/story/:id/scenes/:sceneIndex/merge',
+            'DELETE /api/story/:id/scenes/:sceneIndex',
+            'POST /api/story/soundtrack',
+            'GET /api/story/soundtrack/:soundtrackId',
+            'GET /api/jobs/:id',
+            'GET /api/jobs/:id/events',
+            'GET /api/styles',
+            'POST /api/styles',
+            'DELETE /api/styles/:id',
+            'GET /api/music',
+            'GET /api/music/:id/audio',
+            'POST /api/music',
+            'DELETE /api/music/:id',
             'GET /api/video/download/:id',
             'GET /api/video/stream/:id'
         ]
@@ -335,8 +394,8 @@ app.get('/api/system/metrics', (req, res) => {
     res.json(metrics);
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server (tests require the app and listen on their own port)
+if (require.main === module) app.listen(PORT, () => {
     console.log(`🌟 StoryMill backend running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log(`🔧 System status: http://localhost:${PORT}/api/system/status`);
@@ -347,7 +406,12 @@ app.listen(PORT, () => {
         googleCloud: !!process.env.GOOGLE_CLOUD_API_KEY
     }).filter(([_, hasKey]) => hasKey).map(([name]) => name).join(', ') || 'none'}`);
     
-    console.log(`🎬 Video Settings: 60fps, 1920x1080, MP4 format with context-aware transitions`);
+    const providers = describeProviders();
+    console.log(`🧩 Providers (${providers.mode}): ${['text', 'image', 'tts', 'stt', 'sfx']
+        .map(kind => `${kind}=${providers[kind].active || 'none'}`).join(', ')}`);
+    
+    const video = getVideoCapabilities();
+    console.log(`🎬 Video Settings: ${video.fps}fps, ${video.resolution}, MP4 export ${video.mp4Export ? 'enabled' : 'pending ffmpeg detection or unavailable'}`);
     console.log(`⚡ Performance: Parallel processing, audio mixing, memory optimization enabled`);
     
     // Clean up old temp files
@@ -356,3 +420,5 @@ app.listen(PORT, () => {
     // Set up periodic cleanup
     setInterval(cleanupTempFiles, 30 * 60 * 1000); // Every 30 minutes
 });
+
+module.exports = app;
@@ -1,163 +1,82 @@
-const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs');
-const path = require('path');
-const { retryWithBackoff, sanitizeText } = require('../utils/apiHelpers');
+const { getProvider, getProviderChain } = require('../providers');
+const { sanitizeText } = require('../utils/apiHelpers');
+const { stitchAudioDataUrls, decodeDataUrl, getAudioDuration } = require('../utils/audioUtils');
+const { alignWords, offsetWords } = require('../utils/wordTiming');
+const { hasDialogue } = require('../utils/dialogue');
+const { structureTranscript } = require('../utils/transcription');
+const { getSpeakerProfile, getVoiceOptions } = require('./voiceCastingService');
+
+// Pause between speakers when segments are stitched (WAV output only, MP3 frames join as-is)
+const SEGMENT_GAP_SECONDS = 0.25;
+
+/**
+ * Replace a provider's duration with the one measured from the audio itself and add word timings:
+ * the provider's own (timing: 'tts') or aligned locally (see utils/wordTiming)
+ */
+const withTiming = (audio, text) => {
+    const decoded = decodeDataUrl(audio.audioUrl);
+    const duration = (decoded && getAudioDuration(decoded.buffer)) || audio.duration;
+    if (audio.words?.length > 0) {
+        const words = audio.words.map(word => (word.end === null ? { ...word, end: duration } : word));
+        return { ...audio, duration, words, timing: 'tts' };
+    }
+
+    const { words, timing } = alignWords(audio.text || text, { duration, audioBuffer: decoded?.buffer });
+    return { ...audio, duration, words, timing };
+};
 
 /**
- * Convert text to speech using Google Cloud TTS (Primary) with ElevenLabs fallback
+ * Convert text to speech using the configured TTS providers in fallback order
+ * (Google Cloud first, then ElevenLabs, unless configured otherwise)
+ * The result carries the measured duration and word timings ({ text, start, end, charStart, charEnd })
  */
 const textToSpeech = async (text, voiceOptions = {}) => {
     const cleanText = sanitizeText(text);
+    const providers = getProviderChain('tts');
 
-    // Try Google Cloud TTS first (cheaper and high quality)
-    if (process.env.GOOGLE_CLOUD_API_KEY) {
-        try {
-            console.log('🔊 Using Google Cloud TTS (primary)');
-            return await googleCloudTextToSpeech(cleanText, voiceOptions);
-        } catch (error) {
-            console.warn('Google Cloud TTS failed, trying ElevenLabs fallback:', error.message);
-        }
-    }
-
-    // Fallback to ElevenLabs if Google Cloud fails or not available
-    if (process.env.ELEVENLABS_API_KEY) {
+    for (const [index, provider] of providers.entries()) {
         try {
-            console.log('🔊 Using ElevenLabs TTS (fallback)');
-            return await elevenLabsTextToSpeech(cleanText, voiceOptions.voiceId);
+            console.log(`🔊 Using ${provider.label} (${index === 0 ? 'primary' : 'fallback'})`);
+            return withTiming(await provider.synthesize(cleanText, voiceOptions), cleanText);
         } catch (error) {
-            console.error('ElevenLabs TTS also failed:', error.message);
+            console.warn(`${provider.label} failed:`, error.message);
         }
     }
 
-    // If both fail, throw error
+    // If every provider fails, throw error
     throw new Error('All TTS services failed. Please check your API keys and try again.');
 };
 
 /**
- * Google Cloud Text-to-Speech (Primary - Cost Effective)
- * Using Standard voices (cheaper than Neural2)
- */
-const googleCloudTextToSpeech = async (text, voiceOptions = {}) => {
-    const response = await retryWithBackoff(async () => {
-        return await axios.post(
-            `https://texttospeech.googleapis.com/v1/text:synthesize?key=${process.env.GOOGLE_CLOUD_API_KEY}`,
-            {
-                input: { text: text },
-                voice: {
-                    languageCode: voiceOptions.languageCode || 'en-US',
-                    // Using Standard voices (cheaper than Neural2)
-                    name: voiceOptions.voiceName || 'en-US-Standard-D', // Female voice
-                    ssmlGender: voiceOptions.gender || 'NEUTRAL'
-                },
-                audioConfig: {
-                    audioEncoding: 'MP3',
-                    speakingRate: voiceOptions.speakingRate || 1.0,
-                    pitch: voiceOptions.pitch || 0.0,
-                    volumeGainDb: voiceOptions.volumeGain || 0.0
-                }
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-    });
-
-    return {
-        audioUrl: `data:audio/mpeg;base64,${response.data.audioContent}`,
-        text: text,
-        duration: Math.max(2, text.length * 0.08),
-        timestamp: new Date().toISOString(),
-        provider: 'google-cloud-standard',
-        cost: 'low' // Standard voices are $4 per 1M characters
-    };
-};
-
-/**
- * ElevenLabs Text-to-Speech (Fallback)
- * Using Turbo v2.5 model (fastest and cheapest)
- */
-const elevenLabsTextToSpeech = async (text, voiceId = 'pNInz6obpgDQGcFmaJgB') => {
-    const response = await retryWithBackoff(async () => {
-        return await axios.post(
-            `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-            {
-                text: text,
-                // Using Turbo v2.5 - fastest and cheapest model
-                model_id: "eleven_turbo_v2_5",
-                voice_settings: {
-                    stability: 0.5,
-                    similarity_boost: 0.5,
-                    style: 0.0,
-                    use_speaker_boost: false // Disable for cost savings
-                }
-            },
-            {
-                headers: {
-                    'Accept': 'audio/mpeg',
-                    'Content-Type': 'application/json',
-                    'xi-api-key': process.env.ELEVENLABS_API_KEY
-                },
-                responseType: 'arraybuffer'
-            }
-        );
-    });
-
-    // Convert audio buffer to base64 data URL
-    const audioBase64 = Buffer.from(response.data).toString('base64');
-    const audioUrl = `data:audio/mpeg;base64,${audioBase64}`;
-
-    return {
-        audioUrl,
-        text: text,
-        duration: Math.max(2, text.length * 0.08),
-        timestamp: new Date().toISOString(),
-        provider: 'elevenlabs-turbo',
-        cost: 'medium' // Turbo v2.5 is cheaper than multilingual models
-    };
-};
-
-/**
- * Transcribe audio using Google Cloud (Primary - Fastest) with ElevenLabs fallback
+ * Transcribe audio using the configured STT providers in fallback order
+ * Each provider gets its own timeout so a slow service cannot stall the request
+ * Alongside the transcript come the words with their timings and speakers, paragraphs at pauses
+ * and speaker turns, and storyText laid out for story analysis (see utils/transcription)
  */
 const transcribeAudio = async (audioBuffer) => {
-    // Try Google Cloud first (faster response time)
-    if (process.env.GOOGLE_CLOUD_API_KEY) {
-        try {
-            console.log('🎙️ Using Google Cloud Speech-to-Text (primary - fastest)');
-            const result = await Promise.race([
-                googleCloudTranscription(audioBuffer),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Google Cloud timeout after 10 seconds')), 10000)
-                )
-            ]);
-            return result;
-        } catch (error) {
-            console.warn('Google Cloud transcription failed, trying ElevenLabs fallback:', error.message);
-        }
-    }
+    const providers = getProviderChain('stt');
 
-    // Fallback to ElevenLabs if Google Cloud fails
-    if (process.env.ELEVENLABS_API_KEY) {
+    for (const [index, provider] of providers.entries()) {
         try {
-            console.log('🎙️ Using ElevenLabs Speech-to-Text (fallback)');
+            console.log(`🎙️ Using ${provider.label} (${index === 0 ? 'primary' : 'fallback'})`);
+            const timeoutSeconds = Math.round((provider.timeoutMs || 15000) / 1000);
             const result = await Promise.race([
-                elevenLabsTranscription(audioBuffer),
+                provider.transcribe(audioBuffer),
                 new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('ElevenLabs timeout after 15 seconds')), 15000)
+                    setTimeout(() => reject(new Error(`${provider.label} timeout after ${timeoutSeconds} seconds`)), provider.timeoutMs || 15000)
                 )
             ]);
-            return result;
+            return { ...result, ...structureTranscript(result.transcript, result.words) };
         } catch (error) {
-            console.error('ElevenLabs transcription also failed:', error.message);
+            console.warn(`${provider.label} transcription failed:`, error.message);
         }
     }
 
-    // If both fail, return error message
+    // If all fail, return error message
+    const transcript = "Audio transcription failed. Please check your internet connection or try typing your story instead.";
     return {
-        transcript: "Audio transcription failed. Please check your internet connection or try typing your story instead.",
+        transcript,
+        ...structureTranscript(transcript),
         confidence: 0.0,
         timestamp: new Date().toISOString(),
         provider: 'none'
@@ -165,110 +84,16 @@ const transcribeAudio = async (audioBuffer) => {
 };
 
 /**
- * Google Cloud Speech-to-Text (Primary - Fast & Reliable)
- * Optimized for speed and cost efficiency
- */
-const googleCloudTranscription = async (audioBuffer) => {
-    const audioBase64 = audioBuffer.toString('base64');
-
-    const response = await retryWithBackoff(async () => {
-        return await axios.post(
-            `https://speech.googleapis.com/v1/speech:recognize?key=${process.env.GOOGLE_CLOUD_API_KEY}`,
-            {
-                config: {
-                    encoding: 'WEBM_OPUS',
-                    sampleRateHertz: 48000,
-                    languageCode: 'en-US',
-                    enableAutomaticPunctuation: true,
-                    // Using latest model for better speed/accuracy balance
-                    model: 'latest_short',
-                    useEnhanced: false
-                },
-                audio: {
-                    content: audioBase64
-                }
-            },
-            {
-                timeout: 8000 // 8 second timeout for faster response
-            }
-        );
-    });
-
-    if (response.data.results && response.data.results.length > 0) {
-        const transcript = response.data.results
-            .map(result => result.alternatives[0].transcript)
-            .join(' ');
-
-        return {
-            transcript,
-            confidence: response.data.results[0].alternatives[0].confidence || 0.85, // Good confidence for primary
-            timestamp: new Date().toISOString(),
-            provider: 'google-cloud-primary',
-            cost: 'low', // Standard model is $0.006 per 15 seconds
-            quality: 'fast-and-accurate' // Optimized for speed
-        };
-    } else {
-        throw new Error('No transcription results from Google Cloud');
-    }
-};
-
-/**
- * ElevenLabs Speech-to-Text (Primary - Superior Accuracy)
- * Best for natural speech patterns and storytelling
- */
-const elevenLabsTranscription = async (audioBuffer) => {
-    // Create temp directory if it doesn't exist
-    const tempDir = path.join(__dirname, '../temp');
-    if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    // Save audio buffer to temporary file
-    const tempFilePath = path.join(tempDir, `audio_${Date.now()}.wav`);
-    fs.writeFileSync(tempFilePath, audioBuffer);
-
-    const formData = new FormData();
-    formData.append('audio', fs.createReadStream(tempFilePath));
-    formData.append('model_id', 'whisper-1'); // Best model for storytelling accuracy
-
-    const response = await retryWithBackoff(async () => {
-        return await axios.post('https://api.elevenlabs.io/v1/speech-to-text', formData, {
-            headers: {
-                ...formData.getHeaders(),
-                'xi-api-key': process.env.ELEVENLABS_API_KEY
-            },
-            timeout: 12000 // 12 second timeout
-        });
-    });
-
-    // Clean up temp file
-    try {
-        fs.unlinkSync(tempFilePath);
-    } catch (cleanupError) {
-        console.warn('Failed to cleanup temp file:', cleanupError.message);
-    }
-
-    return {
-        transcript: response.data.text,
-        confidence: 0.95, // Higher confidence due to superior accuracy
-        timestamp: new Date().toISOString(),
-        provider: 'elevenlabs-whisper-primary',
-        cost: 'medium',
-        quality: 'superior' // Best for natural speech and storytelling
-    };
-};
-
-/**
- * Generate context-aware ambient sounds
- * Only use ElevenLabs for sound generation (no cheaper alternative available)
+ * Generate context-aware ambient sounds with the configured sound effects provider
  */
 const generateAmbientSound = async (scene) => {
     // Handle both old format (string) and new format (object)
     const description = typeof scene === 'string' ? scene : scene.description;
     const sceneContext = typeof scene === 'object' ? scene : {};
+    const sfxProvider = getProvider('sfx');
 
-    if (!process.env.ELEVENLABS_API_KEY) {
-        console.warn('ElevenLabs API key not found, skipping ambient sounds for cost optimization');
+    if (!sfxProvider) {
+        console.warn('No sound effects provider available, skipping ambient sounds for cost optimization');
         return await getFallbackAmbientSound();
     }
 
@@ -278,36 +103,21 @@ const generateAmbientSound = async (scene) => {
 
         console.log(`🔊 Generating ambient sound: "${soundPrompt}"`);
 
-        const response = await retryWithBackoff(async () => {
-            return await axios.post('https://api.elevenlabs.io/v1/sound-generation', {
-                text: soundPrompt,
-                duration_seconds: Math.min(8, (sceneContext.duration || 4) + 2), // Shorter duration for cost savings
-                prompt_influence: 0.3 // Lower influence for cost optimization
-            }, {
-                headers: {
-                    'Accept': 'audio/mpeg',
-                    'Content-Type': 'application/json',
-                    'xi-api-key': process.env.ELEVENLABS_API_KEY
-                },
-                responseType: 'arraybuffer'
-            });
+        const sound = await sfxProvider.generateSound(soundPrompt, {
+            durationSeconds: Math.min(8, (sceneContext.duration || 4) + 2) // Shorter duration for cost savings
         });
 
-        // Convert audio buffer to base64 data URL
-        const audioBase64 = Buffer.from(response.data).toString('base64');
-        const ambientUrl = `data:audio/mpeg;base64,${audioBase64}`;
-
         return {
-            ambientUrl,
+            ambientUrl: sound.audioUrl,
             type: soundPrompt,
-            volume: getContextualVolume(sceneContext),
+            loudness: getContextualLoudness(sceneContext),
             loop: true,
-            provider: 'elevenlabs-sound-optimized',
+            provider: sound.provider,
             context: sceneContext.soundContext || 'general',
-            cost: 'medium' // Sound generation is premium feature
+            cost: sound.cost
         };
     } catch (error) {
-        console.error('ElevenLabs sound generation error:', error.message);
+        console.error(`${sfxProvider.label} sound generation error:`, error.message);
         console.log('💡 Skipping ambient sounds to reduce costs');
         return await getFallbackAmbientSound();
     }
@@ -385,35 +195,35 @@ const extractContextualSoundPrompt = (description, context) => {
 };
 
 /**
- * Get contextual volume based on scene mood and environment
+ * Loudness (LUFS) the soundtrack mixer levels a scene's ambience to, by mood and environment
  */
-const getContextualVolume = (context) => {
+const getContextualLoudness = (context) => {
     const mood = context.mood?.toLowerCase() || '';
     const soundContext = context.soundContext?.toLowerCase() || '';
 
     if (mood === 'scary' || soundContext === 'horror') {
-        return 0.4; // Slightly louder for horror atmosphere
+        return -29; // Slightly louder for horror atmosphere
     } else if (mood === 'exciting' || soundContext === 'action') {
-        return 0.35; // Moderate volume for action
+        return -30; // Moderate level for action
     } else if (mood === 'peaceful' || mood === 'sad') {
-        return 0.25; // Quieter for peaceful/sad scenes
+        return -34; // Quieter for peaceful/sad scenes
     }
 
-    return 0.3; // Default volume
+    return -32; // Default level
 };
 
 
 
 /**
- * Fallback when ElevenLabs sound generation fails - return no ambient sound
+ * Fallback when sound generation fails - return no ambient sound
  */
 const getFallbackAmbientSound = async () => {
-    console.warn('ElevenLabs sound generation failed, no ambient sound will be added');
+    console.warn('Sound generation unavailable, no ambient sound will be added');
 
     return {
         ambientUrl: null,
         type: 'none',
-        volume: 0,
+        loudness: null,
         loop: false,
         provider: 'none'
     };
@@ -421,10 +231,87 @@ const getFallbackAmbientSound = async () => {
 
 
 
+/**
+ * Narrate narrator/dialogue segments with each speaker's cast voice
+ * and stitch them into one track
+ * Falls back to a single narrator read when the clips cannot be joined
+ */
+const narrateSegments = async (segments, voiceCast = {}, { language, speed } = {}) => {
+    const fullText = segments.map(segment => (segment.type === 'dialogue' ? `"${segment.text}"` : segment.text)).join(' ');
+    const clips = [];
+
+    // Sequential on purpose: a scene has few segments and providers rate limit bursts
+    for (const segment of segments) {
+        const profileId = getSpeakerProfile(segment.type === 'dialogue' ? segment.speaker : null, voiceCast);
+        const audio = await textToSpeech(segment.text, getVoiceOptions(profileId, language, speed));
+        clips.push({ segment, profileId, audio });
+    }
+
+    const stitched = stitchAudioDataUrls(clips.map(clip => clip.audio.audioUrl), { gapSeconds: SEGMENT_GAP_SECONDS });
+    if (!stitched) {
+        console.warn('⚠️ Could not stitch voice segments (mixed audio formats), using the narrator voice only');
+        return textToSpeech(fullText, getVoiceOptions(getSpeakerProfile(null, voiceCast), language, speed));
+    }
+
+    const gap = stitched.mimeType === 'audio/wav' ? SEGMENT_GAP_SECONDS : 0;
+    let elapsed = 0;
+    let textOffset = 0;
+    const words = [];
+    const timedSegments = clips.map(({ segment, profileId, audio }, index) => {
+        const start = elapsed + (index > 0 ? gap : 0);
+        elapsed = start + audio.duration;
+
+        // Word positions follow the segment into fullText (dialogue sits inside its quotation marks)
+        const quote = segment.type === 'dialogue' ? 1 : 0;
+        const spokenText = audio.text || segment.text;
+        const charOffset = textOffset + quote + Math.max(0, segment.text.indexOf(spokenText));
+        words.push(...offsetWords(audio.words, start, charOffset));
+        textOffset += segment.text.length + quote * 2 + 1;
+
+        return {
+            type: segment.type,
+            speaker: segment.speaker || null,
+            voice: profileId,
+            text: segment.text,
+            start,
+            duration: audio.duration
+        };
+    });
+
+    const providers = [...new Set(clips.map(clip => clip.audio.provider))];
+    // The stitched track is only as precise as its least precise clip
+    const timings = clips.map(clip => clip.audio.timing);
+
+    return {
+        audioUrl: stitched.audioUrl,
+        text: fullText,
+        duration: elapsed,
+        timestamp: new Date().toISOString(),
+        provider: providers.length === 1 ? providers[0] : providers.join('+'),
+        segments: timedSegments,
+        words,
+        timing: timings.includes('estimated') ? 'estimated' : timings.includes('aligned') ? 'aligned' : 'tts'
+    };
+};
+
+/**
+ * Narrate one scene: cast voices for dialogue when the scene has any,
+ * otherwise a single narrator read; voices speak the story's language
+ * speed scales every voice's speaking rate (see NARRATION_SPEED)
+ */
+const narrateScene = async (scene, voiceCast = {}, { language, speed } = {}) => {
+    if (hasDialogue(scene.segments)) {
+        return narrateSegments(scene.segments, voiceCast, { language, speed });
+    }
+
+    const narrationText = scene.description || scene.text || scene.narration || '';
+    return textToSpeech(narrationText, getVoiceOptions(getSpeakerProfile(null, voiceCast), language, speed));
+};
+
 /**
  * Generate context-aware narration for all scenes - OPTIMIZED PARALLEL
  */
-const generateSceneNarration = async (scenes) => {
+const generateSceneNarration = async (scenes, { voiceCast = {}, language } = {}) => {
     console.log(`🎭 Generating contextual audio for ${scenes.length} scenes in parallel...`);
 
     // Generate all audio in parallel for speed
@@ -432,8 +319,8 @@ const generateSceneNarration = async (scenes) => {
         // Add small staggered delay to avoid overwhelming API
         await new Promise(resolve => setTimeout(resolve, index * 200));
 
-        // Generate narration
-        const audio = await textToSpeech(scene.description);
+        // Generate narration, with cast voices for any dialogue
+        const audio = await narrateScene(scene, voiceCast, { language });
 
         return {
             ...scene,
@@ -512,5 +399,6 @@ const generateSceneNarrationOnly = async (scenes) => {
 module.exports = {
     textToSpeech,
     transcribeAudio,
+    narrateScene,
     generateSceneNarration
 };
\ No newline at end of file
@@ -0,0 +1,268 @@
+const { createFileStore } = require('../utils/fileStore');
+const { CHARACTER_ATTRIBUTES, normalizeCharacterProfile, describeCharacter } = require('../utils/characterProfiles');
+const { generateCharacterReferenceSheet, findSceneReferenceImages } = require('./imageService');
+const { extractCharacterProfiles } = require('./geminiService');
+const storyRepository = require('./storyRepository');
+const { resolveStyle } = require('./styleService');
+
+// One record per story: { storyId, characters: { [name]: entry } }
+// entry: { name, age, build, hair, outfit, palette, props, description, lockedAttributes, referenceSheet }
+const store = createFileStore('character-bibles');
+
+const createEntry = (name, profile, existing = null) => ({
+  name,
+  ...normalizeCharacterProfile(profile),
+  lockedAttributes: existing?.lockedAttributes || [],
+  referenceSheet: existing?.referenceSheet || null // { imageUrl, prompt, createdAt }
+});
+
+/**
+ * Merge freshly extracted profiles into a bible
+ * Locked attributes and existing reference sheets are kept, characters missing from the
+ * new extraction stay in the bible
+ */
+const buildCharacterBible = (profiles = {}, existing = {}) => {
+  const bible = { ...existing };
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const current = existing[name];
+    const merged = { ...normalizeCharacterProfile(profile) };
+    (current?.lockedAttributes || []).forEach(attribute => {
+      merged[attribute] = current[attribute];
+    });
+    bible[name] = createEntry(name, merged, current);
+  });
+
+  return bible;
+};
+
+/**
+ * Flat { name: description } view used by prompts, dialogue attribution and voice casting
+ */
+const toCharacterDescriptions = (bible = {}) => Object.entries(bible).reduce((characters, [name, entry]) => {
+  characters[name] = describeCharacter(entry);
+  return characters;
+}, {});
+
+/**
+ * { name: imageUrl } of every character with a reference sheet
+ */
+const getReferenceImages = (bible = {}) => Object.entries(bible).reduce((references, [name, entry]) => {
+  if (entry.referenceSheet?.imageUrl) references[name] = entry.referenceSheet.imageUrl;
+  return references;
+}, {});
+
+// Draw (or redraw) one character's reference sheet in the story's art style
+const drawReferenceSheet = async (entry, style) => {
+  const sheet = await generateCharacterReferenceSheet(entry.name, entry, style);
+  return {
+    ...entry,
+    referenceSheet: {
+      imageUrl: sheet.imageUrl,
+      prompt: sheet.prompt,
+      provider: sheet.provider,
+      createdAt: sheet.timestamp || new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Generate reference sheets for characters that do not have one yet
+ * onSheet(entry, index, total) is called as each sheet is ready; failures leave the character without a sheet
+ * style: art style (template key or custom style) the sheets are drawn in
+ */
+const createReferenceSheets = async (bible = {}, { onSheet, style } = {}) => {
+  const entries = Object.values(bible);
+  const updated = { ...bible };
+
+  for (let i = 0; i < entries.length; i++) {
+    let entry = entries[i];
+    if (!entry.referenceSheet) {
+      try {
+        entry = await drawReferenceSheet(entry, style);
+        updated[entry.name] = entry;
+      } catch (error) {
+        console.warn(`⚠️ Reference sheet for ${entry.name} failed:`, error.message);
+      }
+    }
+    if (onSheet) onSheet(entry, i, entries.length);
+  }
+
+  return updated;
+};
+
+/**
+ * Save a story's bible (the pipeline calls this once the story has an id)
+ */
+const saveCharacterBible = async (storyId, bible) => {
+  if (!storyId || !store.isValidId(storyId)) return null;
+  const record = { storyId, characters: bible, updatedAt: new Date().toISOString() };
+  await store.write(storyId, record);
+  return record;
+};
+
+/**
+ * Load a story and its bible, returns null when the story does not exist
+ * Stories saved before the bible existed get one seeded from their flat character descriptions
+ */
+const loadBible = async (storyId) => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const record = await store.read(story.id);
+  if (record) return { story, bible: record.characters };
+
+  return { story, bible: buildCharacterBible(story.characters || {}) };
+};
+
+// Persist the bible and keep the story's flat character descriptions in step with it
+// The descriptions are merged into the stored story, not the copy the bible was loaded with
+const saveAndSync = async (story, bible) => storyRepository.withStoryLock(story.id, async () => {
+  await saveCharacterBible(story.id, bible);
+  const stored = await storyRepository.getStory(story.id);
+  await storyRepository.updateStory(story.id, {
+    characters: { ...(stored?.characters || story.characters || {}), ...toCharacterDescriptions(bible) }
+  });
+  return bible;
+});
+
+/**
+ * A story's character bible, returns null when the story does not exist
+ */
+const getCharacterBible = async (storyId) => {
+  const loaded = await loadBible(storyId);
+  return loaded ? loaded.bible : null;
+};
+
+// Apply edits to an entry; attributes that stay locked ignore changes
+const applyCharacterChanges = (current, changes) => {
+  const lockedAttributes = Array.isArray(changes.lockedAttributes)
+    ? changes.lockedAttributes.filter(attribute => CHARACTER_ATTRIBUTES.includes(attribute))
+    : current.lockedAttributes;
+  const editable = { ...changes };
+  current.lockedAttributes
+    .filter(attribute => lockedAttributes.includes(attribute))
+    .forEach(attribute => delete editable[attribute]);
+
+  const profile = normalizeCharacterProfile({ ...current, ...editable });
+  return { ...current, ...profile, lockedAttributes };
+};
+
+/**
+ * Edit a character's attributes, description or locks
+ * changes: { age, build, hair, outfit, palette, props, description, lockedAttributes }
+ * Attributes that stay locked ignore changes, unlock them in the same request to edit them
+ * Pass regenerateSheet: true to redraw the reference sheet with the new appearance
+ * The sheet is drawn first, the changes are then applied to the stored entry under the story's lock
+ * so edits of other characters saved meanwhile are kept
+ * Returns the updated entry, or null when the story or character does not exist
+ */
+const updateCharacter = async (storyId, name, changes = {}, { regenerateSheet = false } = {}) => {
+  const loaded = await loadBible(storyId);
+  if (!loaded?.bible[name]) return null;
+
+  const drawn = regenerateSheet
+    ? await drawReferenceSheet(applyCharacterChanges(loaded.bible[name], changes), await resolveStyle(loaded.story.metadata?.style))
+    : null;
+
+  const entry = await storyRepository.withStoryLock(loaded.story.id, async () => {
+    const stored = await loadBible(storyId);
+    const current = stored?.bible[name];
+    if (!current) return null;
+
+    const updated = applyCharacterChanges(current, changes);
+    if (drawn) updated.referenceSheet = drawn.referenceSheet;
+    await saveAndSync(stored.story, { ...stored.bible, [name]: updated });
+    return updated;
+  });
+
+  if (entry) console.log(`🧍 Character ${name} updated${regenerateSheet ? ' and redrawn' : ''}`);
+  return entry;
+};
+
+/**
+ * Re-extract characters from the story text, keeping locked attributes and reference sheets
+ * New characters get a reference sheet; returns the bible, or null when the story does not exist
+ * Profiles are merged into the bible as stored once the sheets are drawn, so edits saved meanwhile are kept
+ */
+const refreshCharacterBible = async (storyId) => {
+  const loaded = await loadBible(storyId);
+  if (!loaded) return null;
+
+  const profiles = await extractCharacterProfiles(loaded.story.originalText || '');
+  const drawn = await createReferenceSheets(buildCharacterBible(profiles, loaded.bible), {
+    style: await resolveStyle(loaded.story.metadata?.style)
+  });
+
+  const bible = await storyRepository.withStoryLock(loaded.story.id, async () => {
+    const stored = await loadBible(storyId);
+    if (!stored) return null;
+
+    const merged = buildCharacterBible(profiles, stored.bible);
+    Object.values(merged)
+      .filter(entry => !entry.referenceSheet && drawn[entry.name]?.referenceSheet)
+      .forEach(entry => { merged[entry.name] = { ...entry, referenceSheet: drawn[entry.name].referenceSheet }; });
+    await saveAndSync(stored.story, merged);
+    return merged;
+  });
+
+  if (bible) console.log(`🧍 Character bible refreshed: ${Object.keys(bible).length} characters`);
+  return bible;
+};
+
+/**
+ * Save newly drawn reference sheets ({ [name]: entry }, e.g. after a restyle) into a story's stored bible
+ * Only the sheets are taken, other changes saved to the bible meanwhile are kept
+ * Returns the saved bible, or null when the story does not exist
+ */
+const saveReferenceSheets = async (storyId, drawnBible) => storyRepository.withStoryLock(storyId, async () => {
+  const stored = await loadBible(storyId);
+  if (!stored) return null;
+
+  const bible = Object.entries(stored.bible).reduce((entries, [name, entry]) => {
+    entries[name] = drawnBible[name] ? { ...entry, referenceSheet: drawnBible[name].referenceSheet } : entry;
+    return entries;
+  }, {});
+  await saveCharacterBible(stored.story.id, bible);
+  return bible;
+});
+
+/**
+ * Redraw a character's reference sheet from its current attributes
+ * Returns the updated entry, or null when the story or character does not exist
+ */
+const regenerateReferenceSheet = async (storyId, name) => updateCharacter(storyId, name, {}, { regenerateSheet: true });
+
+/**
+ * Reference sheet data URLs for the characters in one scene of a saved story
+ */
+const getSceneReferenceImages = async (storyId, sceneIndex) => {
+  const loaded = await loadBible(storyId);
+  const scene = loaded?.story.scenes?.[sceneIndex];
+  if (!scene) return [];
+  return findSceneReferenceImages(scene.characters || [], getReferenceImages(loaded.bible));
+};
+
+/**
+ * Remove a story's character bible
+ */
+const deleteCharacterBible = async (storyId) => {
+  if (!store.isValidId(storyId)) return false;
+  return store.remove(storyId);
+};
+
+module.exports = {
+  CHARACTER_ATTRIBUTES,
+  buildCharacterBible,
+  toCharacterDescriptions,
+  getReferenceImages,
+  createReferenceSheets,
+  saveCharacterBible,
+  getCharacterBible,
+  updateCharacter,
+  refreshCharacterBible,
+  saveReferenceSheets,
+  regenerateReferenceSheet,
+  getSceneReferenceImages,
+  deleteCharacterBible
+};
@@ -1,41 +1,61 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProvider } = require('../providers');
 const { sanitizeText, retryWithBackoff, generateId } = require('../utils/apiHelpers');
-
-// Configuration
+const { NARRATOR, splitDialogue, hasDialogue, guessSpeakers, fillSpeakersByVoice } = require('../utils/dialogue');
+const { findQuoteVoice } = require('../utils/transcription');
+const { resolveStoryOptions, allotChapterScenes } = require('../utils/storyOptions');
+const { getContentPolicy } = require('../utils/contentPolicies');
+const { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage, getLanguage, guessLanguage } = require('../utils/languages');
+const { CHARACTER_ATTRIBUTES, normalizeCharacterProfile, describeCharacter } = require('../utils/characterProfiles');
+
+// Configuration (scene counts and durations come from the story options)
 const CONFIG = {
-  PRO_MODEL: 'gemini-2.5-pro',
-  IMAGE_MODEL: 'gemini-2.5-flash-image-preview',
-  MIN_SCENES: 3,
-  MAX_SCENES: 6,
-  SCENE_DURATION: 4,
-  MAX_PROMPT_LENGTH: 1800
+  MAX_PROMPT_LENGTH: 1800,
+  MAX_SUMMARY_LENGTH: 1500, // Rolling "story so far" carried between chapters
+  LANGUAGE_SAMPLE_LENGTH: 1000, // Characters of a story sent for language detection
+  TRANSLATION_BATCH_SIZE: 12 // Scenes translated per call
 };
 
-// Initialize Gemini AI models
-const initializeGemini = () => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
-    
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    console.log('Gemini AI initialized successfully');
-    return {
-      proModel: genAI.getGenerativeModel({ model: CONFIG.PRO_MODEL }),
-      imageModel: genAI.getGenerativeModel({ model: CONFIG.IMAGE_MODEL })
-    };
-  } catch (error) {
-    console.error('Failed to initialize Gemini AI:', error.message);
-    return { proModel: null, imageModel: null };
+const PACING_GUIDANCE = {
+  brisk: 'Brisk pacing: move quickly, one story beat per scene',
+  normal: 'Normal pacing: give each key moment its own scene',
+  leisurely: 'Leisurely pacing: linger on moments, each scene can cover several beats'
+};
+
+// Enhanced prompt for story analysis with image context awareness
+// options: resolved story options (see utils/storyOptions)
+// continuity: { chapterNumber, totalChapters, title, previousSummary, characterNames } for long stories
+// sceneBreaks: openings of the passages a recorded storyteller paused before (see utils/transcription)
+// Audience rules from the story's content policy; flagged stories are retold in a softer form
+const describeAudience = ({ contentPolicy, softenContent }) => {
+  const policy = getContentPolicy(contentPolicy);
+  let audience = `AUDIENCE: ${policy.audience} (rated ${policy.maxRating} at most). ${policy.guidance} This applies to descriptions and visual prompts alike.`;
+  if (softenContent) {
+    audience += `\nSOFTEN: Parts of this story go beyond that rating. Keep the plot, but retell those moments in a gentler way suitable for ${policy.audience} (imply instead of show, replace harm with a safe outcome; dialogue in those moments may be reworded), and never describe them in the visual prompts.`;
   }
+  return audience;
 };
 
-const { proModel, imageModel } = initializeGemini();
+// Scene text is written in the story's language, everything the illustrator reads stays in English
+const describeLanguage = ({ language }) => {
+  if (!language || language === DEFAULT_LANGUAGE) return '';
+  const { name } = getLanguage(language);
+  return `\nLANGUAGE: The story is written in ${name}. Write every "description" in ${name}, keeping its dialogue in the story's own words and quotation marks. Write "visualPrompt", "setting" and all other fields in English, character names unchanged.`;
+};
 
-// Enhanced prompt for story analysis with image context awareness
-const createStoryAnalysisPrompt = (storyText, imageContexts = []) => {
+const createStoryAnalysisPrompt = (storyText, imageContexts = [], options = resolveStoryOptions(), continuity = null, sceneBreaks = []) => {
   let prompt = `You are a professional storyboard artist analyzing a story for visual narrative creation.`;
   
+  if (continuity) {
+    prompt += `\n\nLONG-FORM STORY: The text below is chapter ${continuity.chapterNumber} of ${continuity.totalChapters}${continuity.title ? ` ("${continuity.title}")` : ''}. Storyboard only this chapter, keeping it consistent with what came before.`;
+    
+    if (continuity.previousSummary) {
+      prompt += `\nSTORY SO FAR: ${continuity.previousSummary}`;
+    }
+    if (continuity.characterNames?.length > 0) {
+      prompt += `\nKNOWN CHARACTERS (use these exact names): ${continuity.characterNames.join(', ')}`;
+    }
+  }
+  
   if (imageContexts.length > 0) {
     prompt += `\n\nIMAGE CONTEXT AVAILABLE: You have ${imageContexts.length} uploaded image(s) that should be integrated into the story scenes. These images contain characters/objects that must be contextually placed within the story narrative.`;
     
@@ -46,14 +66,21 @@ const createStoryAnalysisPrompt = (storyText, imageContexts = []) => {
     prompt += `\n\nIMPORTANT: When creating visual prompts, indicate which uploaded images should be integrated and how they fit the story context.`;
   }
   
-  prompt += `\n\nAnalyze this story and break it into EXACTLY ${CONFIG.MIN_SCENES}-${CONFIG.MAX_SCENES} visual scenes:
+  const { minScenes, maxScenes } = options;
+  const sceneRange = minScenes === maxScenes ? `${minScenes}` : `${minScenes}-${maxScenes}`;
+  prompt += `\n\nAnalyze this story and break it into EXACTLY ${sceneRange} visual scene${maxScenes === 1 ? '' : 's'}:
 
 RULES:
-- MINIMUM ${CONFIG.MIN_SCENES} scenes, MAXIMUM ${CONFIG.MAX_SCENES} scenes
+- MINIMUM ${minScenes} scene${minScenes === 1 ? '' : 's'}, MAXIMUM ${maxScenes} scene${maxScenes === 1 ? '' : 's'}
+- ${PACING_GUIDANCE[options.pacing]}${sceneBreaks.length > 0 ? `
+- The story was told aloud and the storyteller paused for a long time before the passages starting with ${sceneBreaks.map(opening => `"${opening}"`).join(', ')}: start a new scene at each of them, as far as the scene count allows` : ''}
 - Each scene represents a key story moment with rich visual context
 - Include mood, atmosphere, environmental details, and character positioning
 - If uploaded images exist, specify how they integrate into each relevant scene
-- Each scene duration: ${CONFIG.SCENE_DURATION} seconds
+- Keep any quoted dialogue from the story word for word (with its quotation marks) in the scene description
+- Each scene duration: ${options.sceneDuration} seconds
+
+${describeAudience(options)}${describeLanguage(options)}
 
 Story: "${storyText}"
 
@@ -77,7 +104,7 @@ Return ONLY a JSON array with this exact structure:
       "contextualPlacement": "how the uploaded image character/object fits this scene",
       "editingInstructions": "specific modifications needed for story context"
     },
-    "duration": ${CONFIG.SCENE_DURATION}
+    "duration": ${options.sceneDuration}
   }
 ]
 
@@ -92,9 +119,44 @@ Return ONLY the JSON array, no explanations or markdown.`;
   return prompt;
 };
 
-// Enhanced image context analysis using Gemini 2.5 Pro
+// Fallback context used when an uploaded image cannot be analyzed
+const createFallbackImageContext = (description) => ({
+  subjects: ['uploaded subject'],
+  setting: 'story setting',
+  mood: 'neutral',
+  style: 'photograph',
+  palette: [],
+  description,
+  analyzed: false
+});
+
+// Keep only the fields the scene planner and upload UI understand, with consistent types
+const normalizeImageContext = (context) => {
+  const fallback = createFallbackImageContext('uploaded image for story integration');
+  const toList = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const toText = (value, defaultValue) => (typeof value === 'string' && value.trim() ? value.trim() : defaultValue);
+  const subjects = toList(context.subjects);
+
+  return {
+    subjects: subjects.length > 0 ? subjects : fallback.subjects,
+    setting: toText(context.setting, fallback.setting),
+    mood: toText(context.mood, fallback.mood),
+    style: toText(context.style, fallback.style),
+    palette: toList(context.palette),
+    storyIntegrationOptions: toText(context.storyIntegrationOptions, ''),
+    editingCapabilities: toText(context.editingCapabilities, ''),
+    description: toText(context.description, fallback.description),
+    analyzed: true
+  };
+};
+
+// Enhanced image context analysis using the configured text provider
+// Each context has subjects, setting, mood, style, palette and description
 const analyzeUploadedImages = async (uploadedImages) => {
-  if (!proModel || !uploadedImages?.length) {
+  const textProvider = getProvider('text');
+  if (!textProvider || !uploadedImages?.length) {
     return [];
   }
 
@@ -110,8 +172,10 @@ ANALYSIS REQUIRED:
 1. MAIN SUBJECTS: Identify people, objects, or characters in the image
 2. SETTING: Describe the environment/background
 3. MOOD/ATMOSPHERE: What emotional tone does the image convey?
-4. STORY POTENTIAL: How could this image be integrated into different story contexts?
-5. EDITING NEEDS: What modifications might be needed to fit various story scenarios?
+4. VISUAL STYLE: Photograph, watercolor, cartoon, 3D render, etc.
+5. COLOR PALETTE: The 3-5 dominant colors
+6. STORY POTENTIAL: How could this image be integrated into different story contexts?
+7. EDITING NEEDS: What modifications might be needed to fit various story scenarios?
 
 IMPORTANT: Focus on identifying elements that can be contextually placed into story narratives.
 
@@ -120,6 +184,8 @@ Return a JSON object with this structure:
   "subjects": ["person/object descriptions"],
   "setting": "environment description",
   "mood": "emotional atmosphere",
+  "style": "visual style",
+  "palette": ["dominant color names"],
   "storyIntegrationOptions": "how this could fit different story types",
   "editingCapabilities": "what can be modified for story context",
   "description": "overall image description for story planning"
@@ -127,35 +193,30 @@ Return a JSON object with this structure:
 
 Return ONLY the JSON object.`;
 
+      // Uploads arrive either as raw base64 or as data URLs
+      const source = image.base64 || image.data || '';
       const imageData = {
-        inlineData: {
-          data: image.base64?.replace(/^data:image\/[^;]+;base64,/, '') || image.data,
-          mimeType: image.mimeType || 'image/jpeg'
-        }
+        data: source.replace(/^data:image\/[^;]+;base64,/, ''),
+        mimeType: image.mimeType || source.match(/^data:(image\/[^;]+);base64,/)?.[1] || 'image/jpeg'
       };
 
-      const response = await retryWithBackoff(() =>
-        proModel.generateContent([analysisPrompt, imageData])
+      const analysisText = await retryWithBackoff(() =>
+        textProvider.generateText(analysisPrompt, { images: [imageData], task: 'image-analysis' })
       );
 
-      const analysisText = response.response.text().trim();
       const cleanedText = analysisText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
       
       const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
-        const context = JSON.parse(jsonMatch[0]);
         imageContexts.push({
-          ...context,
+          ...normalizeImageContext(JSON.parse(jsonMatch[0])),
           imageIndex: i,
           originalImage: image
         });
       } else {
         // Fallback context
         imageContexts.push({
-          subjects: ['person or object'],
-          setting: 'scene setting',
-          mood: 'neutral',
-          description: 'uploaded image for story integration',
+          ...createFallbackImageContext('uploaded image for story integration'),
           imageIndex: i,
           originalImage: image
         });
@@ -168,10 +229,7 @@ Return ONLY the JSON object.`;
       
       // Add fallback context
       imageContexts.push({
-        subjects: ['uploaded subject'],
-        setting: 'story setting',
-        mood: 'neutral',
-        description: 'uploaded image for integration',
+        ...createFallbackImageContext('uploaded image for integration'),
         imageIndex: i,
         originalImage: image
       });
@@ -182,16 +240,20 @@ Return ONLY the JSON object.`;
 };
 
 // Enhanced story analysis with image integration
-const analyzeStory = async (storyText, uploadedImages = []) => {
+// storyOptions: { sceneCount, targetDurationSeconds, pacing }
+// continuity: chapter context for long stories (its sceneCount is the chapter's share of the story's), hints.sceneBreaks: pauses of a recorded story (see createStoryAnalysisPrompt)
+const analyzeStory = async (storyText, uploadedImages = [], storyOptions = {}, continuity = null, { sceneBreaks = [] } = {}) => {
   const cleanText = sanitizeText(storyText);
+  const textProvider = getProvider('text');
+  const options = resolveStoryOptions(storyOptions, continuity?.sceneCount);
   
-  if (!proModel) {
-    console.warn('Gemini Pro not available, using fallback analysis');
-    return generateFallbackScenes(cleanText, uploadedImages);
+  if (!textProvider) {
+    console.warn('No text provider available, using fallback analysis');
+    return generateFallbackScenes(cleanText, uploadedImages, options);
   }
 
   try {
-    console.log('Analyzing story with Gemini 2.5 Pro...');
+    console.log(`Analyzing story with ${textProvider.label}...`);
     
     // First, analyze uploaded images for context if they exist
     const imageContexts = await analyzeUploadedImages(uploadedImages);
@@ -201,29 +263,161 @@ const analyzeStory = async (storyText, uploadedImages = []) => {
     }
 
     // Create enhanced story analysis prompt
-    const analysisPrompt = createStoryAnalysisPrompt(cleanText, imageContexts);
+    const analysisPrompt = createStoryAnalysisPrompt(cleanText, imageContexts, options, continuity, sceneBreaks);
     
-    const response = await retryWithBackoff(() =>
-      proModel.generateContent(analysisPrompt)
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(analysisPrompt, {
+        task: 'story-analysis',
+        context: {
+          storyText: cleanText,
+          minScenes: options.minScenes,
+          maxScenes: options.maxScenes,
+          sceneDuration: options.sceneDuration,
+          sentencesPerScene: options.sentencesPerScene,
+          sceneBreaks
+        }
+      })
     );
 
-    const responseText = response.response.text().trim();
-    console.log('Gemini Pro response received, parsing scenes...');
+    console.log('Story analysis response received, parsing scenes...');
 
     // Parse and validate the response
-    const scenes = parseAndValidateScenes(responseText, cleanText, imageContexts);
+    const scenes = parseAndValidateScenes(responseText, cleanText, imageContexts, options);
     
     console.log(`Successfully analyzed story into ${scenes.length} scenes with image integration`);
     return scenes;
 
   } catch (error) {
     console.error('Error in story analysis:', error.message);
-    return generateFallbackScenes(cleanText, uploadedImages);
+    return generateFallbackScenes(cleanText, uploadedImages, options);
+  }
+};
+
+// Storyboard a single passage as one scene (timeline inserts and splits)
+// The passage stays the scene's text, its characters are matched to the story's known characters
+const analyzeSceneText = async (text, characters = {}) => {
+  const [scene] = await analyzeStory(text, [], { sceneCount: 1 });
+  const characterNames = Object.keys(characters);
+
+  return {
+    ...scene,
+    description: sanitizeText(text),
+    characters: [...new Set((scene.characters || []).map(name => matchCharacterName(name, characterNames) || name))]
+  };
+};
+
+// Fallback chapter summary: the chapter's opening sentences
+const createFallbackChapterSummary = (chapterText) => {
+  const sentences = chapterText.match(/[^.!?]+[.!?]+/g) || [chapterText];
+  return sentences.slice(0, 2).join(' ').replace(/\s+/g, ' ').trim().substring(0, 400);
+};
+
+// Keep the rolling summary bounded, dropping the oldest events first
+const trimStorySoFar = (summary) => {
+  if (summary.length <= CONFIG.MAX_SUMMARY_LENGTH) return summary;
+  const trimmed = summary.substring(summary.length - CONFIG.MAX_SUMMARY_LENGTH);
+  return `...${trimmed.substring(trimmed.indexOf(' ') + 1)}`;
+};
+
+/**
+ * Summarize a chapter and fold it into the rolling summary of the story so far
+ * Returns { chapterSummary, storySoFar }
+ */
+const summarizeChapter = async (chapterText, previousSummary = '') => {
+  const cleanText = sanitizeText(chapterText);
+  const fallback = () => {
+    const chapterSummary = createFallbackChapterSummary(cleanText);
+    return { chapterSummary, storySoFar: trimStorySoFar(`${previousSummary} ${chapterSummary}`.trim()) };
+  };
+
+  const textProvider = getProvider('text');
+  if (!textProvider) return fallback();
+
+  const summaryPrompt = `Summarize this chapter of a long story for a storyboard artist who will illustrate the next chapters.
+
+${previousSummary ? `Story so far: ${previousSummary}\n\n` : ''}Chapter: "${cleanText}"
+
+Return ONLY a JSON object:
+{
+  "chapterSummary": "2-3 sentences on what happens in this chapter",
+  "storySoFar": "the story so far including this chapter, under 150 words: key events, where each character is, unresolved threads"
+}`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(summaryPrompt, {
+        tier: 'fast',
+        task: 'chapter-summary',
+        context: { chapterText: cleanText, previousSummary }
+      })
+    );
+    const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+    const summary = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+
+    if (typeof summary.chapterSummary !== 'string' || typeof summary.storySoFar !== 'string') {
+      return fallback();
+    }
+    return {
+      chapterSummary: summary.chapterSummary.trim(),
+      storySoFar: trimStorySoFar(summary.storySoFar.trim())
+    };
+  } catch (error) {
+    console.error('Error summarizing chapter:', error.message);
+    return fallback();
+  }
+};
+
+/**
+ * Analyze a story chapter by chapter (see utils/chapters), carrying a rolling summary
+ * and the global character names forward so scenes stay consistent across chapters
+ * A requested scene count is shared between chapters by length (see allotChapterScenes), otherwise
+ * each chapter gets the default range; sceneBreaks (from a recording) apply to the chapter they are in
+ * Returns { chapters: [{ chapterNumber, title, summary }], scenes } with scenes numbered across the story
+ */
+const analyzeStoryChapters = async (chapters, storyOptions = {}, { characters = {}, onChapter, sceneBreaks = [] } = {}) => {
+  const characterNames = Object.keys(characters);
+  const chapterSceneCounts = allotChapterScenes(storyOptions, chapters.map(chapter => chapter.text.length));
+  const analyzedChapters = [];
+  const scenes = [];
+  let storySoFar = '';
+
+  for (const [index, chapter] of chapters.entries()) {
+    // A story that fits in one request is analyzed exactly as before
+    const continuity = chapters.length > 1 ? {
+      chapterNumber: chapter.chapterNumber,
+      totalChapters: chapters.length,
+      title: chapter.title,
+      previousSummary: storySoFar,
+      characterNames,
+      sceneCount: chapterSceneCounts?.[index] || null
+    } : null;
+
+    const chapterScenes = await analyzeStory(chapter.text, [], storyOptions, continuity, {
+      sceneBreaks: sceneBreaks.filter(opening => chapter.text.includes(opening))
+    });
+    chapterScenes.forEach(scene => {
+      scenes.push({ ...scene, sceneNumber: scenes.length + 1, chapterNumber: chapter.chapterNumber });
+    });
+
+    let summary = null;
+    if (continuity) {
+      const summaries = await summarizeChapter(chapter.text, storySoFar);
+      summary = summaries.chapterSummary;
+      storySoFar = summaries.storySoFar;
+    }
+
+    analyzedChapters.push({ chapterNumber: chapter.chapterNumber, title: chapter.title, summary });
+    if (onChapter) onChapter(analyzedChapters[analyzedChapters.length - 1], chapterScenes.length, chapters.length);
+  }
+
+  if (chapters.length > 1) {
+    console.log(`📚 Analyzed ${chapters.length} chapters into ${scenes.length} scenes`);
   }
+  return { chapters: analyzedChapters, scenes };
 };
 
-// Parse and validate Gemini response with enhanced error handling
-const parseAndValidateScenes = (responseText, storyText, imageContexts = []) => {
+// Parse and validate the analysis response with enhanced error handling
+const parseAndValidateScenes = (responseText, storyText, imageContexts = [], options = resolveStoryOptions()) => {
   try {
     // Clean the response
     let cleanedText = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
@@ -231,7 +425,7 @@ const parseAndValidateScenes = (responseText, storyText, imageContexts = []) =>
     const jsonMatch = cleanedText.match(/\[[\s\S]*\]/);
     if (!jsonMatch) {
       console.warn('No JSON array found in response, using fallback');
-      return generateFallbackScenes(storyText, imageContexts.map(ctx => ctx.originalImage));
+      return generateFallbackScenes(storyText, imageContexts.map(ctx => ctx.originalImage), options);
     }
 
     const rawScenes = JSON.parse(jsonMatch[0]);
@@ -249,7 +443,7 @@ const parseAndValidateScenes = (responseText, storyText, imageContexts = []) =>
         weather: scene.weather || 'clear',
         environment: scene.environment || 'outdoor',
         soundContext: scene.soundContext || 'nature',
-        duration: typeof scene.duration === 'number' ? scene.duration : CONFIG.SCENE_DURATION
+        duration: typeof scene.duration === 'number' ? scene.duration : options.sceneDuration
       };
 
       // Add image integration info if present
@@ -266,16 +460,16 @@ const parseAndValidateScenes = (responseText, storyText, imageContexts = []) =>
     });
 
     // Ensure scene count is within bounds
-    const boundedScenes = validatedScenes.slice(0, CONFIG.MAX_SCENES);
-    if (boundedScenes.length < CONFIG.MIN_SCENES) {
-      return padScenesWithFallback(boundedScenes, storyText, CONFIG.MIN_SCENES);
+    const boundedScenes = validatedScenes.slice(0, options.maxScenes);
+    if (boundedScenes.length < options.minScenes) {
+      return padScenesWithFallback(boundedScenes, storyText, options);
     }
 
     return boundedScenes;
 
   } catch (parseError) {
     console.error('Error parsing scenes response:', parseError.message);
-    return generateFallbackScenes(storyText, imageContexts.map(ctx => ctx.originalImage));
+    return generateFallbackScenes(storyText, imageContexts.map(ctx => ctx.originalImage), options);
   }
 };
 
@@ -302,7 +496,8 @@ const enhanceVisualPrompt = (originalPrompt, sceneData) => {
 
 // Generate contextual editing prompt for uploaded images
 const generateImageEditPrompt = async (originalImageContext, sceneContext, userEditRequest = '') => {
-  if (!proModel) {
+  const textProvider = getProvider('text');
+  if (!textProvider) {
     return createFallbackEditPrompt(originalImageContext, sceneContext, userEditRequest);
   }
 
@@ -332,11 +527,9 @@ INTEGRATION: [specific background/lighting/atmosphere changes for story context]
 Return ONLY the editing instruction, no explanations.`;
 
   try {
-    const response = await retryWithBackoff(() =>
-      proModel.generateContent(editPromptTemplate)
+    const editInstruction = await retryWithBackoff(() =>
+      textProvider.generateText(editPromptTemplate, { task: 'edit-prompt', context: sceneContext })
     );
-
-    const editInstruction = response.response.text().trim();
     
     // Ensure it's under length limit
     return editInstruction.length > CONFIG.MAX_PROMPT_LENGTH ?
@@ -349,17 +542,337 @@ Return ONLY the editing instruction, no explanations.`;
   }
 };
 
+// Rewrite one scene's visual prompt for a fresh take on the same story beat
+// context: { instructions, characters ({ name: description }), previousScene, nextScene }
+const rewriteVisualPrompt = async (scene, { instructions = '', characters = {}, previousScene = null, nextScene = null } = {}) => {
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    return createFallbackVisualPrompt(scene, instructions);
+  }
+
+  const sceneCharacters = (scene.characters || [])
+    .map(name => (characters[name] ? `${name}: ${characters[name]}` : name))
+    .join('; ');
+
+  const rewritePrompt = `You are rewriting the illustration prompt for one scene of an illustrated story.
+
+SCENE TEXT: ${scene.description || scene.text || ''}
+CURRENT PROMPT: ${scene.visualPrompt || 'None'}
+CHARACTERS (keep their appearance exactly): ${sceneCharacters || 'None'}
+SETTING: ${scene.setting || 'unspecified'}, ${scene.timeOfDay || 'any time'}, ${scene.mood || 'neutral'} mood
+PREVIOUS SCENE: ${previousScene?.description || 'None'}
+NEXT SCENE: ${nextScene?.description || 'None'}
+USER REQUEST: ${instructions || 'None - try a different composition or camera angle'}
+
+TASK: Write a new visual prompt that shows the same moment of the story with a different composition.
+- Keep every character's appearance, the setting and the mood
+- Describe camera angle, framing, character poses and lighting
+- Follow the user request when there is one
+- At most ${CONFIG.MAX_PROMPT_LENGTH} characters
+
+Return ONLY the new visual prompt, no explanations.`;
+
+  try {
+    const rewritten = await retryWithBackoff(() =>
+      textProvider.generateText(rewritePrompt, {
+        task: 'visual-prompt-rewrite',
+        context: { visualPrompt: scene.visualPrompt, instructions }
+      })
+    );
+
+    const cleanPrompt = rewritten.trim().replace(/^"|"$/g, '');
+    return cleanPrompt.length > CONFIG.MAX_PROMPT_LENGTH ?
+      cleanPrompt.substring(0, CONFIG.MAX_PROMPT_LENGTH) :
+      cleanPrompt || createFallbackVisualPrompt(scene, instructions);
+
+  } catch (error) {
+    console.error('Error rewriting visual prompt:', error.message);
+    return createFallbackVisualPrompt(scene, instructions);
+  }
+};
+
+// Fallback visual prompt rewrite: the current prompt with the request and a new angle
+const createFallbackVisualPrompt = (scene, instructions) => {
+  const base = scene.visualPrompt || scene.description || '';
+  return `${base}${instructions ? `, ${instructions}` : ''}, shown from a different camera angle`.substring(0, CONFIG.MAX_PROMPT_LENGTH);
+};
+
 // Fallback edit prompt creation
 const createFallbackEditPrompt = (imageContext, sceneContext, userEdit) => {
   return `PROFESSIONAL IMAGE EDITING: Adapt the uploaded subject to fit ${sceneContext.setting} during ${sceneContext.timeOfDay} with ${sceneContext.mood} mood. ${userEdit ? `Additional changes: ${userEdit}.` : ''} Maintain subject identity while integrating into story context.`;
 };
 
+// What a chat message in the player can ask for
+const CHAT_INTENTS = ['edit-image', 'edit-narration', 'question', 'regenerate', 'restyle'];
+
+// Describe the scene the user is chatting about
+const describeChatScene = (scene) => [
+  `Story: ${scene.storyTitle || 'Untitled'}`,
+  `Scene ${scene.sceneNumber || '?'} narration: ${scene.text || scene.description || 'unknown'}`,
+  `Scene illustration prompt: ${scene.visualPrompt || 'unknown'}`,
+  `Characters in the scene: ${(scene.characters || []).join(', ') || 'none'}`,
+  `Setting: ${scene.setting || 'unspecified'}, ${scene.timeOfDay || 'any time'}, ${scene.mood || 'neutral'} mood`,
+  `Previous scene: ${scene.previousScene || 'none'}`,
+  `Next scene: ${scene.nextScene || 'none'}`
+].join('\n');
+
+/**
+ * Work out what a chat message about a scene asks for
+ * context: { scene (sceneContext from the player), history ([{ role, message }]), styles ([{ id, name }]) }
+ * Returns { intent, instruction, styleId, reply }: instruction is the precise image edit (edit-image),
+ * the full new narration (edit-narration) or direction for the new take (regenerate)
+ */
+const interpretChatMessage = async (message, { scene = {}, history = [], styles = [] } = {}) => {
+  const cleanMessage = sanitizeText(message);
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    return createFallbackChatInterpretation(cleanMessage, scene, styles);
+  }
+
+  const conversation = history.slice(-10)
+    .map(entry => `${entry.role === 'user' ? 'User' : 'Assistant'}: ${entry.message}`)
+    .join('\n');
+
+  const intentPrompt = `You are the assistant inside an illustrated story player. The user is looking at one scene and sent a chat message.
+
+${describeChatScene(scene)}
+Art styles: ${styles.map(style => `${style.id} (${style.name})`).join(', ') || 'none'}
+
+${conversation ? `CONVERSATION SO FAR:\n${conversation}\n\n` : ''}USER MESSAGE: "${cleanMessage}"
+
+Classify the message as exactly one intent:
+- "edit-image": change something in this scene's picture
+- "edit-narration": change the words narrated for this scene
+- "question": a question or comment about the story, scene or characters
+- "regenerate": redraw this scene from scratch or try a different take
+- "restyle": redraw the whole story in a different art style
+
+Return ONLY a JSON object:
+{
+  "intent": "one of the intents above",
+  "instruction": "edit-image: a precise, self-contained image edit instruction (what to change, where, and what to keep), resolving words like 'it' or 'again' from the conversation; edit-narration: the complete new narration text for the scene; regenerate: direction for the new take, or empty; otherwise empty",
+  "styleId": "restyle only: the id of the requested art style from the list, or empty",
+  "reply": "a short friendly reply to show the user; for questions, the actual answer grounded in the scene and story"
+}`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(intentPrompt, {
+        tier: 'fast',
+        task: 'chat-intent',
+        context: { message: cleanMessage, scene, styles }
+      })
+    );
+    const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+    const interpretation = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    return normalizeChatInterpretation(interpretation, styles) ||
+      createFallbackChatInterpretation(cleanMessage, scene, styles);
+  } catch (error) {
+    console.error('Error interpreting chat message:', error.message);
+    return createFallbackChatInterpretation(cleanMessage, scene, styles);
+  }
+};
+
+// Check a model interpretation, returns null when it cannot be acted on
+const normalizeChatInterpretation = (interpretation, styles) => {
+  const { intent } = interpretation;
+  const instruction = typeof interpretation.instruction === 'string' ? interpretation.instruction.trim() : '';
+  const reply = typeof interpretation.reply === 'string' ? interpretation.reply.trim() : '';
+  if (!CHAT_INTENTS.includes(intent)) return null;
+
+  if ((intent === 'edit-image' || intent === 'edit-narration') && !instruction) return null;
+  if (intent === 'question' && !reply) return null;
+
+  if (intent === 'restyle') {
+    const style = styles.find(candidate => candidate.id === interpretation.styleId);
+    if (!style) {
+      return {
+        intent: 'question',
+        instruction: '',
+        styleId: null,
+        reply: `Which art style would you like? I can use ${styles.map(candidate => candidate.name).join(', ')}.`
+      };
+    }
+    return { intent, instruction: '', styleId: style.id, reply: reply || `Restyling the story as ${style.name}.` };
+  }
+
+  return {
+    intent,
+    instruction: instruction.substring(0, CONFIG.MAX_PROMPT_LENGTH),
+    styleId: null,
+    reply
+  };
+};
+
+// Fallback interpretation: keyword intent detection and conversational phrase stripping
+const createFallbackChatInterpretation = (message, scene = {}, styles = []) => {
+  const lowerMessage = message.toLowerCase();
+  const style = styles.find(candidate => lowerMessage.includes(candidate.name.toLowerCase()));
+
+  if (style && /\b(style|restyle|redraw|look like)\b/.test(lowerMessage)) {
+    return { intent: 'restyle', instruction: '', styleId: style.id, reply: `Restyling the story as ${style.name}.` };
+  }
+
+  if (/\b(regenerate|redraw|start over|new take|try again)\b/.test(lowerMessage)) {
+    return { intent: 'regenerate', instruction: message, styleId: null, reply: 'Drawing a new take on this scene.' };
+  }
+
+  if (/\b(narration|narrate|wording)\b/.test(lowerMessage)) {
+    const quoted = message.match(/["“]([^"”]+)["”]/);
+    return quoted
+      ? { intent: 'edit-narration', instruction: quoted[1].trim(), styleId: null, reply: 'Updating the narration.' }
+      : { intent: 'question', instruction: '', styleId: null, reply: 'Put the new narration in quotes and I will use it for this scene.' };
+  }
+
+  const isQuestion = /^(what|who|why|how|where|when|which|is|are|does|do|did)\b/.test(lowerMessage) && lowerMessage.endsWith('?');
+  if (!isQuestion && /\b(edit|change|modify|update|make|add|remove|replace|turn)\b/.test(lowerMessage)) {
+    const conversions = [
+      [/\b(can|could) you\b/gi, ''],
+      [/\bplease\b/gi, ''],
+      [/\bi want\b/gi, ''],
+      [/\bmake the\b/gi, 'make'],
+      [/\bturn the\b/gi, 'change the']
+    ];
+    const instruction = conversions
+      .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), message)
+      .replace(/[?\s]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { intent: 'edit-image', instruction, styleId: null, reply: `Editing the image: ${instruction}.` };
+  }
+
+  return {
+    intent: 'question',
+    instruction: '',
+    styleId: null,
+    reply: `${scene.sceneNumber ? `Scene ${scene.sceneNumber}: ` : ''}"${scene.text || scene.description || 'your story in progress'}" I can change the picture, rewrite the narration, redraw the scene or restyle the whole story.`
+  };
+};
+
+/**
+ * Work out where a story-wide edit ("give the fox a red scarf", "make it winter") applies
+ * scenes: the story's scenes, characters: the character bible ({ name: entry })
+ * Returns { target: { type: 'character' | 'setting' | 'story', name }, sceneIndexes, sceneInstruction, characterChanges }
+ * characterChanges holds bible attribute changes (outfit, props, palette, ...) for character edits, otherwise null
+ */
+const planStoryEdit = async (instruction, { scenes = [], characters = {} } = {}) => {
+  const cleanInstruction = sanitizeText(instruction);
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    return createFallbackStoryEditPlan(cleanInstruction, scenes, characters);
+  }
+
+  const sceneList = scenes.map((scene, index) => (
+    `${index + 1}. [${(scene.characters || []).join(', ') || 'no characters'}] ${scene.setting || ''} - ${scene.description || scene.text || ''}`
+  )).join('\n');
+  const characterList = Object.entries(characters)
+    .map(([name, entry]) => `${name}: ${describeCharacter(entry)}`)
+    .join('\n');
+
+  const planPrompt = `A user wants to apply one edit to every scene of an illustrated story where it is relevant.
+
+EDIT: "${cleanInstruction}"
+
+CHARACTERS:
+${characterList || 'none'}
+
+SCENES (number. [characters] setting - text):
+${sceneList}
+
+Decide what the edit refers to and which scenes show it:
+- a character: every scene that character appears in
+- a setting (a place): every scene set there
+- the whole story (season, weather, time period, overall look): every scene
+
+Return ONLY a JSON object:
+{
+  "target": { "type": "character | setting | story", "name": "exact character name, setting name, or empty for story" },
+  "sceneNumbers": [numbers of the scenes to edit],
+  "sceneInstruction": "a precise image edit instruction that works on its own for each of those scenes, saying what to keep",
+  "characterChanges": character edits only, the changed attributes as { "outfit": "...", "props": ["..."], "palette": ["..."], "hair": "...", "build": "...", "age": "..." } with only the changed keys (props and palette are full lists including existing items), otherwise null
+}`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(planPrompt, {
+        task: 'story-edit-plan',
+        context: { instruction: cleanInstruction, scenes, characterNames: Object.keys(characters) }
+      })
+    );
+    const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+    const plan = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    return normalizeStoryEditPlan(plan, scenes, characters) ||
+      createFallbackStoryEditPlan(cleanInstruction, scenes, characters);
+  } catch (error) {
+    console.error('Error planning story edit:', error.message);
+    return createFallbackStoryEditPlan(cleanInstruction, scenes, characters);
+  }
+};
+
+// Check a model plan against the story, returns null when it cannot be used
+const normalizeStoryEditPlan = (plan, scenes, characters) => {
+  const type = plan.target?.type;
+  if (!['character', 'setting', 'story'].includes(type)) return null;
+  if (typeof plan.sceneInstruction !== 'string' || !plan.sceneInstruction.trim()) return null;
+
+  const sceneIndexes = [...new Set((Array.isArray(plan.sceneNumbers) ? plan.sceneNumbers : [])
+    .filter(number => Number.isInteger(number) && number >= 1 && number <= scenes.length)
+    .map(number => number - 1))].sort((a, b) => a - b);
+  if (sceneIndexes.length === 0) return null;
+
+  const name = type === 'character'
+    ? matchCharacterName(plan.target.name || '', Object.keys(characters))
+    : (plan.target.name || '').trim();
+  if (type === 'character' && !name) return null;
+
+  const changes = type === 'character' && plan.characterChanges && typeof plan.characterChanges === 'object'
+    ? CHARACTER_ATTRIBUTES.reduce((picked, key) => {
+      if (plan.characterChanges[key] !== undefined) picked[key] = plan.characterChanges[key];
+      return picked;
+    }, {})
+    : {};
+
+  return {
+    target: { type, name: name || null },
+    sceneIndexes,
+    sceneInstruction: plan.sceneInstruction.trim().substring(0, CONFIG.MAX_PROMPT_LENGTH),
+    characterChanges: Object.keys(changes).length > 0 ? changes : null
+  };
+};
+
+// Fallback plan: a named character's scenes, else scenes whose setting is mentioned, else the whole story
+const createFallbackStoryEditPlan = (instruction, scenes, characters) => {
+  const lowerInstruction = instruction.toLowerCase();
+  const mentions = (name) => new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lowerInstruction);
+  const indexesWhere = (test) => scenes.map((scene, index) => (test(scene) ? index : -1)).filter(index => index >= 0);
+  const sceneInstruction = `${instruction}. Keep everything else in the image unchanged.`;
+
+  const character = Object.keys(characters).find(mentions);
+  if (character) {
+    const sceneIndexes = indexesWhere(scene => (scene.characters || [])
+      .some(name => name.toLowerCase() === character.toLowerCase()));
+    return { target: { type: 'character', name: character }, sceneIndexes, sceneInstruction, characterChanges: null };
+  }
+
+  const setting = [...new Set(scenes.map(scene => scene.setting).filter(Boolean))].find(mentions);
+  if (setting) {
+    return {
+      target: { type: 'setting', name: setting },
+      sceneIndexes: indexesWhere(scene => scene.setting === setting),
+      sceneInstruction,
+      characterChanges: null
+    };
+  }
+
+  return { target: { type: 'story', name: null }, sceneIndexes: scenes.map((_, index) => index), sceneInstruction, characterChanges: null };
+};
+
 // Enhanced fallback scene generation
-const generateFallbackScenes = (storyText, uploadedImages = []) => {
+const generateFallbackScenes = (storyText, uploadedImages = [], options = resolveStoryOptions()) => {
   console.log('Generating enhanced fallback scenes...');
   
   const sentences = storyText.split(/[.!?]+/).filter(s => s.trim().length > 10);
-  const targetScenes = Math.min(Math.max(Math.ceil(sentences.length / 3), CONFIG.MIN_SCENES), CONFIG.MAX_SCENES);
+  const targetScenes = Math.min(Math.max(Math.ceil(sentences.length / options.sentencesPerScene), options.minScenes), options.maxScenes);
   const sentencesPerScene = Math.ceil(sentences.length / targetScenes);
   
   const scenes = [];
@@ -381,7 +894,7 @@ const generateFallbackScenes = (storyText, uploadedImages = []) => {
         weather: 'clear',
         environment: extractSimpleEnvironment(sceneText),
         soundContext: extractSimpleSoundContext(sceneText),
-        duration: CONFIG.SCENE_DURATION
+        duration: options.sceneDuration
       };
 
       // Add image integration for fallback if images available
@@ -398,11 +911,12 @@ const generateFallbackScenes = (storyText, uploadedImages = []) => {
     }
   }
   
-  return padScenesWithFallback(scenes, storyText, CONFIG.MIN_SCENES);
+  return padScenesWithFallback(scenes, storyText, options);
 };
 
 // Pad scenes to minimum required
-const padScenesWithFallback = (scenes, storyText, minScenes) => {
+const padScenesWithFallback = (scenes, storyText, options = resolveStoryOptions()) => {
+  const { minScenes } = options;
   while (scenes.length < minScenes) {
     const partLength = Math.ceil(storyText.length / minScenes);
     const startIdx = scenes.length * partLength;
@@ -420,11 +934,11 @@ const padScenesWithFallback = (scenes, storyText, minScenes) => {
       weather: 'clear',
       environment: 'nature',
       soundContext: 'nature',
-      duration: CONFIG.SCENE_DURATION
+      duration: options.sceneDuration
     });
   }
   
-  return scenes.slice(0, CONFIG.MAX_SCENES);
+  return scenes.slice(0, options.maxScenes);
 };
 
 // Simple extraction functions for fallback scenarios
@@ -517,10 +1031,17 @@ const extractSimpleSoundContext = (text) => {
   return 'nature';
 };
 
-// Enhanced character extraction with Gemini Pro
-const extractCharacters = async (storyText) => {
-  if (!proModel) {
-    return extractSimpleCharactersFromText(storyText);
+// Structured character extraction with the configured text provider
+// Returns { name: { age, build, hair, outfit, palette, props, description } }
+const extractCharacterProfiles = async (storyText) => {
+  const toProfiles = (characters) => Object.entries(characters).reduce((profiles, [name, value]) => {
+    profiles[name] = normalizeCharacterProfile(value);
+    return profiles;
+  }, {});
+
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    return toProfiles(extractSimpleCharactersFromText(storyText));
   }
 
   const cleanText = sanitizeText(storyText);
@@ -531,41 +1052,55 @@ Story: "${cleanText}"
 
 REQUIREMENTS:
 - Identify 2-5 main characters maximum
-- Provide visual descriptions including: age, gender, distinctive features, typical clothing
+- Describe each character's fixed appearance so every illustration can match it exactly
 - Focus on characters that appear multiple times or are central to the story
-- Descriptions should enable consistent character representation across scenes
+- Invent plausible details the story leaves out, and keep them specific (colours, lengths, materials)
 
-Return ONLY a JSON object:
+Return ONLY a JSON object keyed by character name:
 {
-  "character_name": "detailed visual description including age, appearance, clothing style",
-  "another_character": "detailed visual description"
+  "character_name": {
+    "age": "apparent age and gender, e.g. 8-year-old girl",
+    "build": "height and body type",
+    "hair": "colour, length and style",
+    "outfit": "typical clothing",
+    "palette": ["3-4 signature colours"],
+    "props": ["items they always carry"],
+    "description": "one sentence visual summary including distinctive features"
+  }
 }
 
 If no clear recurring characters, return empty object: {}`;
 
   try {
-    const response = await retryWithBackoff(() =>
-      proModel.generateContent(characterExtractionPrompt)
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(characterExtractionPrompt, { task: 'character-extraction', context: { storyText: cleanText } })
     );
-
-    const responseText = response.response.text().trim();
     const cleanedText = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
     
     const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       const characters = JSON.parse(jsonMatch[0]);
       console.log(`Extracted ${Object.keys(characters).length} characters from story`);
-      return characters;
+      return toProfiles(characters);
     }
     
-    return extractSimpleCharactersFromText(cleanText);
+    return toProfiles(extractSimpleCharactersFromText(cleanText));
 
   } catch (error) {
     console.error('Error extracting characters:', error.message);
-    return extractSimpleCharactersFromText(cleanText);
+    return toProfiles(extractSimpleCharactersFromText(cleanText));
   }
 };
 
+// Character descriptions as a flat { name: description } object (prompts and voice casting)
+const extractCharacters = async (storyText) => {
+  const profiles = await extractCharacterProfiles(storyText);
+  return Object.entries(profiles).reduce((characters, [name, profile]) => {
+    characters[name] = describeCharacter(profile);
+    return characters;
+  }, {});
+};
+
 // Simple character extraction fallback
 const extractSimpleCharactersFromText = (text) => {
   const characters = {};
@@ -591,11 +1126,206 @@ const extractSimpleCharactersFromText = (text) => {
   return characters;
 };
 
+// Resolve a speaker name returned by the model to one of the known characters
+const matchCharacterName = (speaker, characterNames) => {
+  if (typeof speaker !== 'string') return null;
+  const lowerSpeaker = speaker.trim().toLowerCase();
+  return characterNames.find(name => name.toLowerCase() === lowerSpeaker)
+    || characterNames.find(name => name.toLowerCase().split(/\s+/).includes(lowerSpeaker))
+    || null;
+};
+
+/**
+ * Split each scene's narration into narrator and dialogue segments
+ * and attribute quotes to characters (model first, heuristics as fallback)
+ * voices: who said what in a recorded story (see utils/transcription), quotes read by the
+ * same voice are taken as the same character
+ * Adds scene.segments: [{ type, text, speaker }]
+ */
+const attributeDialogue = async (scenes, characters = {}, { voices = [] } = {}) => {
+  const characterNames = Object.keys(characters);
+  const sceneSegments = scenes.map(scene => splitDialogue(scene.description || scene.text || ''));
+  const dialogueScenes = sceneSegments
+    .map((segments, index) => ({ sceneNumber: index + 1, segments }))
+    .filter(({ segments }) => hasDialogue(segments));
+  const quoteVoices = sceneSegments.map(segments => segments.map(segment => (
+    segment.type === 'dialogue' ? findQuoteVoice(segment.text, voices) : null
+  )));
+
+  // Heuristic guesses double as the fallback for anything the model leaves out
+  let speakers = sceneSegments.map(segments => guessSpeakers(segments, characterNames));
+
+  const textProvider = getProvider('text');
+  if (textProvider && dialogueScenes.length > 0 && characterNames.length > 0) {
+    const quotes = dialogueScenes.map(({ sceneNumber, segments }) => {
+      const lines = segments
+        .map((segment, index) => ({ segment, voice: quoteVoices[sceneNumber - 1][index] }))
+        .filter(({ segment }) => segment.type === 'dialogue')
+        .map(({ segment, voice }, quoteIndex) => `  [${quoteIndex}] "${segment.text}"${voice ? ` (read by ${voice})` : ''}`);
+      return `Scene ${sceneNumber}: ${scenes[sceneNumber - 1].description}\n${lines.join('\n')}`;
+    }).join('\n\n');
+    const voiceNote = quoteVoices.some(sceneVoices => sceneVoices.some(Boolean))
+      ? '\nThe story was told aloud by several people; lines read by the same person are usually spoken by the same character.\n'
+      : '';
+
+    const attributionPrompt = `Identify who speaks each quoted line in these story scenes.
+
+Characters: ${characterNames.join(', ')}
+${voiceNote}
+${quotes}
+
+Return ONLY a JSON array with one entry per quote:
+[{ "scene": 1, "quote": 0, "speaker": "character name from the list, or \"unknown\"" }]`;
+
+    try {
+      const responseText = await retryWithBackoff(() =>
+        textProvider.generateText(attributionPrompt, {
+          tier: 'fast',
+          task: 'dialogue-attribution',
+          context: { scenes: dialogueScenes, characterNames }
+        })
+      );
+      const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\[[\s\S]*\]/);
+      const attributions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+
+      attributions.forEach(({ scene, quote, speaker }) => {
+        const sceneIndex = scene - 1;
+        const name = matchCharacterName(speaker, characterNames);
+        const dialogueIndexes = (sceneSegments[sceneIndex] || [])
+          .map((segment, index) => (segment.type === 'dialogue' ? index : -1))
+          .filter(index => index >= 0);
+        if (name && dialogueIndexes[quote] !== undefined) {
+          speakers[sceneIndex][dialogueIndexes[quote]] = name;
+        }
+      });
+      console.log(`Attributed dialogue in ${dialogueScenes.length} scenes with ${textProvider.label}`);
+    } catch (error) {
+      console.error('Error attributing dialogue, using heuristics:', error.message);
+    }
+  }
+
+  speakers = fillSpeakersByVoice(speakers, quoteVoices);
+
+  return scenes.map((scene, sceneIndex) => ({
+    ...scene,
+    segments: sceneSegments[sceneIndex].map((segment, index) => ({
+      ...segment,
+      speaker: segment.type === 'narration' ? NARRATOR : speakers[sceneIndex][index]
+    }))
+  }));
+};
+
+/**
+ * Detect the language a story is written in
+ * Returns a supported language code, the default language when the story's language is not supported
+ */
+const detectStoryLanguage = async (storyText) => {
+  const sample = sanitizeText(storyText).substring(0, CONFIG.LANGUAGE_SAMPLE_LENGTH);
+  const textProvider = getProvider('text');
+  if (!textProvider) return guessLanguage(sample);
+
+  const detectionPrompt = `Which language is this text written in?
+
+Text: "${sample}"
+
+Return ONLY a JSON object: { "language": "ISO 639-1 code, e.g. en, es, ja" }`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(detectionPrompt, { tier: 'fast', task: 'language-detection', context: { text: sample } })
+    );
+    const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+    const language = jsonMatch ? String(JSON.parse(jsonMatch[0]).language || '').toLowerCase().split('-')[0] : '';
+    if (isSupportedLanguage(language)) return language;
+
+    console.warn(`⚠️ Story language "${language || 'unknown'}" is not supported, using ${getLanguage(DEFAULT_LANGUAGE).name}`);
+    return DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.error('Error detecting story language, guessing from the text:', error.message);
+    return guessLanguage(sample);
+  }
+};
+
+/**
+ * Translate a story's title and scene texts into another language, a batch of scenes per call
+ * scenes: [{ sceneNumber, text }]
+ * onBatch(translatedCount, total) reports progress
+ * Returns { title, texts } with texts aligned with scenes
+ */
+const translateStory = async ({ title = '', scenes = [] }, targetLanguage, sourceLanguage, { onBatch } = {}) => {
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    throw new Error('No text provider available to translate with');
+  }
+
+  const target = getLanguage(targetLanguage);
+  const source = LANGUAGES[sourceLanguage];
+  const texts = [];
+  let translatedTitle = title;
+
+  for (let start = 0; start < scenes.length; start += CONFIG.TRANSLATION_BATCH_SIZE) {
+    const batch = scenes.slice(start, start + CONFIG.TRANSLATION_BATCH_SIZE);
+    const includeTitle = start === 0 && Boolean(title);
+    const sceneList = batch.map(scene => `Scene ${scene.sceneNumber}: ${scene.text}`).join('\n\n');
+
+    const translationPrompt = `Translate these scenes of an illustrated story${source ? ` from ${source.name}` : ''} into ${target.name}.
+
+RULES:
+- Translate for young readers listening along: natural, fluent ${target.name}, not word for word
+- Keep every character's name as it is
+- Keep dialogue as dialogue, inside quotation marks, so it can still be voiced per character
+- Translate each scene on its own, do not merge or split scenes
+${includeTitle ? `\nTitle: ${title}\n` : ''}
+${sceneList}
+
+Return ONLY a JSON object:
+{
+${includeTitle ? '  "title": "translated title",\n' : ''}  "scenes": [{ "sceneNumber": 1, "text": "translated scene text" }]
+}`;
+
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(translationPrompt, {
+        task: 'story-translation',
+        context: { title: includeTitle ? title : '', scenes: batch, targetLanguage: target.code }
+      })
+    );
+    const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('Unreadable translation response');
+    const translation = JSON.parse(jsonMatch[0]);
+
+    if (includeTitle && typeof translation.title === 'string' && translation.title.trim()) {
+      translatedTitle = translation.title.trim();
+    }
+    const translatedScenes = Array.isArray(translation.scenes) ? translation.scenes : [];
+    batch.forEach(scene => {
+      const translated = translatedScenes.find(item => Number(item.sceneNumber) === scene.sceneNumber);
+      if (typeof translated?.text !== 'string' || !translated.text.trim()) {
+        throw new Error(`Scene ${scene.sceneNumber} was not translated`);
+      }
+      texts.push(translated.text.trim());
+    });
+
+    onBatch?.(texts.length, scenes.length);
+  }
+
+  return { title: translatedTitle, texts };
+};
+
 module.exports = {
   analyzeStory,
+  analyzeSceneText,
+  analyzeStoryChapters,
+  summarizeChapter,
+  attributeDialogue,
+  detectStoryLanguage,
+  translateStory,
   analyzeUploadedImages,
   generateImageEditPrompt,
+  rewriteVisualPrompt,
+  interpretChatMessage,
+  planStoryEdit,
   extractCharacters,
+  extractCharacterProfiles,
   createStoryAnalysisPrompt,
   enhanceVisualPrompt
 };
\ No newline at end of file
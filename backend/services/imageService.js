@@ -1,9 +1,10 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProvider } = require('../providers');
 const { retryWithBackoff, generateId, sanitizeText } = require('../utils/apiHelpers');
+const { describeCharacter } = require('../utils/characterProfiles');
+const { toModelMask, compositeMasked, getImageSize } = require('../utils/imageMask');
 
 // Configuration
 const CONFIG = {
-  MODEL_NAME: 'gemini-2.5-flash-image-preview',
   DEFAULT_STYLE: 'storybook illustration',
   MAX_IMAGE_SIZE: 5 * 1024 * 1024,
   RATE_LIMIT_DELAY: 1000,
@@ -21,27 +22,6 @@ const CONFIG = {
   ]
 };
 
-// Initialize Gemini AI
-const initializeGemini = () => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      console.warn('GEMINI_API_KEY not found - image generation will use fallbacks');
-      return null;
-    }
-    
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    if (CONFIG.LOG_LEVEL === 'info') {
-      console.log('Google GenAI initialized successfully');
-    }
-    return genAI;
-  } catch (error) {
-    console.error('GenAI initialization failed:', error.message);
-    return null;
-  }
-};
-
-const genAI = initializeGemini();
-
 // Helper function to format prompts for explicit image generation
 const formatImageGenerationPrompt = (prompt) => {
   // Check if prompt already has an image generation prefix
@@ -94,16 +74,17 @@ const detectMimeType = (base64Data) => {
   return CONFIG.DEFAULT_MIME_TYPE;
 };
 
-// NEW: Intelligent prompt reduction using Gemini
+// NEW: Intelligent prompt reduction using the text provider
 const reducePromptWithGemini = async (longPrompt, targetLength = CONFIG.MAX_PROMPT_LENGTH) => {
-  if (!genAI) {
-    // Fallback to simple truncation if Gemini not available
-    console.warn('Gemini not available for prompt reduction, using simple truncation');
+  const textProvider = getProvider('text');
+  if (!textProvider) {
+    // Fallback to simple truncation if no text provider is available
+    console.warn('No text provider available for prompt reduction, using simple truncation');
     return longPrompt.substring(0, targetLength - 50) + '...';
   }
 
   try {
-    console.log(`🔧 Reducing prompt from ${longPrompt.length} to under ${targetLength} characters using Gemini...`);
+    console.log(`🔧 Reducing prompt from ${longPrompt.length} to under ${targetLength} characters using ${textProvider.label}...`);
     
     const reductionPrompt = `PROMPT OPTIMIZATION TASK: Reduce this image generation prompt to under ${targetLength} characters while preserving all essential visual elements and creative intent.
 
@@ -121,10 +102,13 @@ REQUIREMENTS:
 
 OPTIMIZED PROMPT:`;
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    const response = await retryWithBackoff(() => model.generateContent([reductionPrompt]));
-    
-    const reducedPrompt = response.response.text().trim();
+    const reducedPrompt = await retryWithBackoff(() =>
+      textProvider.generateText(reductionPrompt, {
+        tier: 'fast',
+        task: 'prompt-reduction',
+        context: { prompt: longPrompt, targetLength }
+      })
+    );
     
     // Clean up the response (remove quotes, extra formatting)
     const cleanedPrompt = reducedPrompt
@@ -137,11 +121,11 @@ OPTIMIZED PROMPT:`;
       console.log(`✅ Prompt successfully reduced: ${longPrompt.length} → ${cleanedPrompt.length} characters`);
       return cleanedPrompt;
     } else {
-      console.warn('Gemini reduction result invalid, using fallback truncation');
+      console.warn('Prompt reduction result invalid, using fallback truncation');
       return longPrompt.substring(0, targetLength - 50) + '...';
     }
   } catch (error) {
-    console.error('Gemini prompt reduction failed:', error.message);
+    console.error('Prompt reduction failed:', error.message);
     // Fallback to intelligent truncation
     return longPrompt.substring(0, targetLength - 50) + '...';
   }
@@ -172,10 +156,16 @@ const getStyleTemplates = () => ({
   'sequential art': 'Cinematic sequential art frame with consistent character design, clear action flow, and graphic novel quality illustration'
 });
 
+// Prompt fragment for a style: a template key or a custom style ({ prompt }) from the style catalog
+const resolveStyleDescription = (style) => {
+  const styleTemplates = getStyleTemplates();
+  if (style && typeof style === 'object' && style.prompt) return style.prompt;
+  return styleTemplates[style] || styleTemplates[CONFIG.DEFAULT_STYLE];
+};
+
 // Optimized prompt creation for Gemini with character limit management
 const createOptimizedPrompt = (description, style = CONFIG.DEFAULT_STYLE, characterContext = null) => {
-  const styleTemplates = getStyleTemplates();
-  const styleDescription = styleTemplates[style] || styleTemplates[CONFIG.DEFAULT_STYLE];
+  const styleDescription = resolveStyleDescription(style);
   
   let prompt = '';
   
@@ -236,6 +226,11 @@ const createEditingPrompt = (editRequest, sceneContext = {}) => {
   return prompt.length > 1900 ? prompt.substring(0, 1900) : prompt;
 };
 
+const PLACEHOLDER_LABELS = {
+  'ai-description': 'AI-Enhanced Description',
+  'blocked': 'Hidden by Content Policy'
+};
+
 // Placeholder generation with improved visual design
 const generatePlaceholder = (prompt, reason = 'fallback', description = null) => {
   const truncatedPrompt = prompt.length > 100 ? prompt.substring(0, 100) + '...' : prompt;
@@ -245,6 +240,7 @@ const generatePlaceholder = (prompt, reason = 'fallback', description = null) =>
     'no-api': { bg: '#e3f2fd', text: '#1565c0', border: '#2196f3' },
     'error': { bg: '#ffebee', text: '#c62828', border: '#f44336' },
     'ai-description': { bg: '#f3e5f5', text: '#7b1fa2', border: '#9c27b0' },
+    'blocked': { bg: '#fff8e1', text: '#8d6e00', border: '#ffb300' },
     'fallback': { bg: '#f0f8ff', text: '#333333', border: '#666666' }
   };
   
@@ -257,7 +253,7 @@ const generatePlaceholder = (prompt, reason = 'fallback', description = null) =>
         StoryMill Image
       </text>
       <text x="50%" y="45%" text-anchor="middle" font-family="Arial, sans-serif" font-size="14" fill="${colors.text}">
-        ${reason === 'ai-description' ? 'AI-Enhanced Description' : 'Generated Placeholder'}
+        ${PLACEHOLDER_LABELS[reason] || 'Generated Placeholder'}
       </text>
       <foreignObject x="10%" y="55%" width="80%" height="35%">
         <div xmlns="http://www.w3.org/1999/xhtml" style="font-family: Arial, sans-serif; font-size: 12px; color: ${colors.text}; text-align: center; padding: 10px; word-wrap: break-word;">
@@ -275,7 +271,7 @@ const generatePlaceholder = (prompt, reason = 'fallback', description = null) =>
     provider: 'storymill-placeholder',
     cost: 'free',
     quality: reason === 'ai-description' ? 'enhanced-placeholder' : 'placeholder',
-    model: CONFIG.MODEL_NAME,
+    model: 'none',
     description,
     reason,
     width: CONFIG.PLACEHOLDER_WIDTH,
@@ -284,7 +280,30 @@ const generatePlaceholder = (prompt, reason = 'fallback', description = null) =>
   };
 };
 
+// Provider image input ({ data, mimeType }) from a data URL
+const toProviderImage = (dataUrl) => ({
+  data: dataUrl.replace(/^data:image\/[a-z]+;base64,/, ''),
+  mimeType: dataUrl.match(/^data:(image\/[a-z]+);base64,/)?.[1] || CONFIG.DEFAULT_MIME_TYPE
+});
+
+// Image record for a provider-generated image
+const createGeneratedImage = (image, prompt, imageProvider) => ({
+  imageUrl: `data:${image.mimeType || CONFIG.DEFAULT_MIME_TYPE};base64,${image.data}`,
+  prompt,
+  timestamp: new Date().toISOString(),
+  id: generateId(),
+  provider: imageProvider.label,
+  cost: imageProvider.cost,
+  quality: imageProvider.quality,
+  model: imageProvider.model,
+  width: CONFIG.PLACEHOLDER_WIDTH,
+  height: CONFIG.PLACEHOLDER_HEIGHT,
+  type: 'generated'
+});
+
 // Core image generation with intelligent prompt optimization
+// style is a template key or a custom style object from the style catalog
+// characterContext.referenceImages (data URLs) are sent to the provider as visual references
 const generateImage = async (prompt, style = CONFIG.DEFAULT_STYLE, characterContext = null) => {
   try {
     // Use intelligent prompt validation and reduction
@@ -296,8 +315,9 @@ const generateImage = async (prompt, style = CONFIG.DEFAULT_STYLE, characterCont
     // Additional check in case createOptimizedPrompt makes it too long
     const validatedFinalPrompt = await validateAndOptimizePrompt(finalPrompt);
     
-    if (!genAI) {
-      console.warn('GenAI not available, generating placeholder');
+    const imageProvider = getProvider('image');
+    if (!imageProvider) {
+      console.warn('No image provider available, generating placeholder');
       return generatePlaceholder(validatedFinalPrompt, 'no-api');
     }
     
@@ -310,105 +330,56 @@ const generateImage = async (prompt, style = CONFIG.DEFAULT_STYLE, characterCont
     const imageGenerationPrompt = formatImageGenerationPrompt(validatedFinalPrompt);
     console.log(`🎨 Formatted prompt for image generation: "${imageGenerationPrompt.substring(0, 80)}..."`);
     
-    const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
-    const response = await retryWithBackoff(() => model.generateContent([imageGenerationPrompt]));
+    const referenceImages = (characterContext?.referenceImages || [])
+      .filter(imageUrl => imageUrl?.startsWith('data:image/'))
+      .map(toProviderImage);
+    const response = await retryWithBackoff(() => imageProvider.generateImage(imageGenerationPrompt, { referenceImages }));
     
-    console.log('📊 Gemini response structure:', {
-      hasResponse: !!response?.response,
-      hasCandidates: !!response?.response?.candidates,
-      candidatesLength: response?.response?.candidates?.length || 0,
-      firstCandidateParts: response?.response?.candidates?.[0]?.content?.parts?.length || 0
+    console.log('📊 Image provider response:', {
+      provider: imageProvider.name,
+      hasImage: !!response?.image,
+      hasText: !!response?.text,
+      partCount: response?.partCount || 0
     });
     
-    // Process Gemini response with detailed logging
-    const candidates = response?.response?.candidates;
-    if (candidates?.[0]?.content?.parts) {
-      const parts = candidates[0].content.parts;
-      console.log(`🔍 Processing ${parts.length} response parts`);
+    if (response?.image) {
+      console.log(`✅ Generated actual image with ${imageProvider.label}`);
+      return createGeneratedImage(response.image, validatedFinalPrompt, imageProvider);
+    }
+    
+    // If no image found, the model answered with text
+    if (response?.text) {
+      console.warn(`⚠️ Provider returned text instead of image: ${response.text.substring(0, 100)}...`);
       
-      // First, look for any image data
-      for (const [index, part] of parts.entries()) {
-        console.log(`Part ${index}: has inlineData: ${!!part.inlineData}, has text: ${!!part.text}`);
-        
-        if (part.inlineData?.data) {
-          const imageData = part.inlineData.data;
-          const mimeType = part.inlineData.mimeType || CONFIG.DEFAULT_MIME_TYPE;
-          const imageUrl = `data:${mimeType};base64,${imageData}`;
-          
-          console.log('✅ Generated actual image with Gemini');
-          return {
-            imageUrl,
-            prompt: validatedFinalPrompt,
-            timestamp: new Date().toISOString(),
-            id: generateId(),
-            provider: 'gemini-2.5-flash-image-preview',
-            cost: 'medium',
-            quality: 'high',
-            model: CONFIG.MODEL_NAME,
-            width: CONFIG.PLACEHOLDER_WIDTH,
-            height: CONFIG.PLACEHOLDER_HEIGHT,
-            type: 'generated'
-          };
-        }
-      }
+      // Try different prompt strategies
+      const retryStrategies = [
+        `Create a visual illustration: ${validatedFinalPrompt}`,
+        `Produce an image showing: ${validatedFinalPrompt}`,
+        `Draw a picture depicting: ${validatedFinalPrompt}`
+      ];
       
-      // If no image found, check for text responses
-      for (const [index, part] of parts.entries()) {
-        if (part.text) {
-          console.warn(`⚠️ Part ${index} - Gemini returned text instead of image: ${part.text.substring(0, 100)}...`);
-          
-          // Try different prompt strategies
-          const retryStrategies = [
-            `Create a visual illustration: ${validatedFinalPrompt}`,
-            `Produce an image showing: ${validatedFinalPrompt}`,
-            `Draw a picture depicting: ${validatedFinalPrompt}`
-          ];
+      for (const [strategyIndex, retryPrompt] of retryStrategies.entries()) {
+        console.log(`🔄 Retry strategy ${strategyIndex + 1}: "${retryPrompt.substring(0, 50)}..."`);
+        
+        try {
+          const retryResponse = await retryWithBackoff(() => imageProvider.generateImage(retryPrompt, { referenceImages }));
           
-          for (const [strategyIndex, retryPrompt] of retryStrategies.entries()) {
-            console.log(`🔄 Retry strategy ${strategyIndex + 1}: "${retryPrompt.substring(0, 50)}..."`);
-            
-            try {
-              const retryResponse = await retryWithBackoff(() => model.generateContent([retryPrompt]));
-              const retryCandidates = retryResponse?.response?.candidates;
-              
-              if (retryCandidates?.[0]?.content?.parts) {
-                for (const retryPart of retryCandidates[0].content.parts) {
-                  if (retryPart.inlineData?.data) {
-                    const imageData = retryPart.inlineData.data;
-                    const mimeType = retryPart.inlineData.mimeType || CONFIG.DEFAULT_MIME_TYPE;
-                    const imageUrl = `data:${mimeType};base64,${imageData}`;
-                    
-                    console.log(`✅ Generated actual image with Gemini (retry strategy ${strategyIndex + 1})`);
-                    return {
-                      imageUrl,
-                      prompt: validatedFinalPrompt,
-                      timestamp: new Date().toISOString(),
-                      id: generateId(),
-                      provider: 'gemini-2.5-flash-image-preview',
-                      cost: 'medium',
-                      quality: 'high',
-                      model: CONFIG.MODEL_NAME,
-                      width: CONFIG.PLACEHOLDER_WIDTH,
-                      height: CONFIG.PLACEHOLDER_HEIGHT,
-                      type: 'generated'
-                    };
-                  }
-                }
-              }
-            } catch (retryError) {
-              console.error(`🔄 Retry strategy ${strategyIndex + 1} failed:`, retryError.message);
-              continue; // Try next strategy
-            }
+          if (retryResponse?.image) {
+            console.log(`✅ Generated actual image with ${imageProvider.label} (retry strategy ${strategyIndex + 1})`);
+            return createGeneratedImage(retryResponse.image, validatedFinalPrompt, imageProvider);
           }
-          
-          // If all retries fail, create placeholder with text description
-          console.log('❌ All retry strategies failed, creating description placeholder');
-          return generatePlaceholder(validatedFinalPrompt, 'ai-description', part.text);
+        } catch (retryError) {
+          console.error(`🔄 Retry strategy ${strategyIndex + 1} failed:`, retryError.message);
+          continue; // Try next strategy
         }
       }
+      
+      // If all retries fail, create placeholder with text description
+      console.log('❌ All retry strategies failed, creating description placeholder');
+      return generatePlaceholder(validatedFinalPrompt, 'ai-description', response.text);
     }
     
-    console.warn('No image data in Gemini response');
+    console.warn('No image data in provider response');
     return generatePlaceholder(validatedFinalPrompt, 'no-image-data');
     
   } catch (error) {
@@ -417,70 +388,77 @@ const generateImage = async (prompt, style = CONFIG.DEFAULT_STYLE, characterCont
   }
 };
 
+// Whether a scene image is a real illustration (placeholders are SVG cards), usable for edits and as a reference
+const isEditableImage = (image) => Boolean(image?.imageUrl?.startsWith('data:image/') && image.type !== 'placeholder');
+
+// Only real raster illustrations can be edited (placeholders are SVG cards)
+const assertEditableImage = (imageData) => {
+  if (isPlaceholderImage(imageData)) {
+    throw new Error('Cannot edit placeholder images. Please wait for actual image generation or create a new story.');
+  }
+  
+  // Validate supported image format
+  if (!imageData.startsWith('data:image/') || 
+      !['/png', '/jpeg', '/jpg', '/webp'].some(format => 
+        imageData.includes(`data:image${format}`))) {
+    throw new Error('Unsupported image format. Only PNG, JPEG, and WebP images can be edited.');
+  }
+};
+
 // Enhanced AI image editing with intelligent prompt optimization
-const editImageWithAI = async (originalImageBase64, editPrompt, sceneContext = {}) => {
+// options.referenceImages: character reference sheet data URLs the edit must stay faithful to
+const editImageWithAI = async (originalImageBase64, editPrompt, sceneContext = {}, { referenceImages = [] } = {}) => {
   try {
     // Use intelligent prompt validation and reduction
     const optimizedEditPrompt = await validateAndOptimizePrompt(editPrompt);
+    const imageProvider = getProvider('image');
     
-    if (!genAI) {
-      throw new Error('Google GenAI not available for image editing');
-    }
-    
-    if (isPlaceholderImage(originalImageBase64)) {
-      throw new Error('Cannot edit placeholder images. Please wait for actual image generation or create a new story.');
+    if (!imageProvider) {
+      throw new Error('No image provider available for image editing');
     }
     
-    // Validate supported image format
-    if (!originalImageBase64.startsWith('data:image/') || 
-        !['/png', '/jpeg', '/jpg', '/webp'].some(format => 
-          originalImageBase64.includes(`data:image${format}`))) {
-      throw new Error('Unsupported image format. Only PNG, JPEG, and WebP images can be edited.');
-    }
+    assertEditableImage(originalImageBase64);
     
-    console.log(`Editing image with NanoBanana: "${optimizedEditPrompt}"`);
+    console.log(`Editing image with ${imageProvider.label}: "${optimizedEditPrompt}"`);
     
-    const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
-    const editingPrompt = createEditingPrompt(optimizedEditPrompt, sceneContext);
+    let editingPrompt = createEditingPrompt(optimizedEditPrompt, sceneContext);
+    if (referenceImages.length > 0) {
+      editingPrompt += ' CHARACTER REFERENCE: The additional images are locked character reference sheets. Every character shown in them must keep exactly that appearance.';
+    }
     
     // Additional optimization for the editing prompt if needed
     const finalEditingPrompt = await validateAndOptimizePrompt(editingPrompt);
     
     const imageData = {
-      inlineData: {
-        data: originalImageBase64.replace(/^data:image\/[a-z]+;base64,/, ''),
-        mimeType: 'image/png'
-      }
+      data: originalImageBase64.replace(/^data:image\/[a-z]+;base64,/, ''),
+      mimeType: 'image/png'
     };
     
     const response = await retryWithBackoff(() => 
-      model.generateContent([finalEditingPrompt, imageData])
+      imageProvider.editImage(imageData, finalEditingPrompt, { referenceImages: referenceImages.map(toProviderImage) })
     );
     
     // Extract edited image
-    const parts = response?.response?.candidates?.[0]?.content?.parts;
-    if (parts) {
-      for (const part of parts) {
-        if (part.inlineData?.data) {
-          const editedImageBase64 = `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
-          
-          console.log('NanoBanana edit completed successfully');
-          return {
-            success: true,
-            imageData: editedImageBase64,
-            editPrompt: optimizedEditPrompt,
-            sceneContext,
-            generatedAt: new Date().toISOString(),
-            editId: generateId()
-          };
-        }
-      }
+    if (response?.image) {
+      const editedImageBase64 = `data:${response.image.mimeType};base64,${response.image.data}`;
+      
+      console.log(`${imageProvider.label} edit completed successfully`);
+      return {
+        success: true,
+        imageData: editedImageBase64,
+        editPrompt: optimizedEditPrompt,
+        sceneContext,
+        generatedAt: new Date().toISOString(),
+        editId: generateId(),
+        provider: imageProvider.label,
+        model: imageProvider.model
+      };
     }
     
-    throw new Error('No edited image received from NanoBanana');
+    throw new Error(`No edited image received from ${imageProvider.label}`);
     
   } catch (error) {
-    console.error('NanoBanana edit failed:', error.message);
+    console.error('Image edit failed:', error.message);
     
     // Fallback to generating new image for placeholder issues
     if (error.message.includes('placeholder') || error.message.includes('Unsupported')) {
@@ -511,6 +489,69 @@ const editImageWithAI = async (originalImageBase64, editPrompt, sceneContext = {
   }
 };
 
+// Inpainting prompt: the mask says where, so no keyword guessing about the region
+const createInpaintingPrompt = (editRequest, sceneContext = {}) => {
+  let prompt = 'PROFESSIONAL IMAGE INPAINTING: The second image is a mask. ';
+  prompt += `Apply this change ONLY inside the white area of the mask: "${editRequest}". `;
+  prompt += 'Everything in the black area must stay exactly as it is: same characters, faces, artistic style, lighting and composition. ';
+  prompt += 'Blend the change seamlessly into its surroundings at the mask edges. ';
+  
+  if (sceneContext.sceneNumber) {
+    prompt += `Scene ${sceneContext.sceneNumber}. `;
+  }
+  
+  return prompt.length > 1900 ? prompt.substring(0, 1900) : prompt;
+};
+
+// Edit only the painted region of an image
+// mask: PNG data URL whose painted (opaque) pixels mark the region to change
+// The provider gets a black and white mask, its result is composited back so nothing outside the mask changes
+const inpaintImageWithAI = async (originalImageBase64, maskImage, editPrompt, sceneContext = {}, { referenceImages = [] } = {}) => {
+  const imageProvider = getProvider('image');
+  if (!imageProvider) {
+    throw new Error('No image provider available for image editing');
+  }
+  
+  assertEditableImage(originalImageBase64);
+  
+  const optimizedEditPrompt = await validateAndOptimizePrompt(editPrompt);
+  let inpaintingPrompt = createInpaintingPrompt(optimizedEditPrompt, sceneContext);
+  if (referenceImages.length > 0) {
+    inpaintingPrompt += ' CHARACTER REFERENCE: The images after the mask are locked character reference sheets. Every character shown in them must keep exactly that appearance.';
+  }
+  
+  const { width, height } = await getImageSize(originalImageBase64);
+  const modelMask = await toModelMask(maskImage, width, height);
+  
+  console.log(`Inpainting image with ${imageProvider.label}: "${optimizedEditPrompt}"`);
+  
+  const response = await retryWithBackoff(() =>
+    imageProvider.editImage(toProviderImage(originalImageBase64), inpaintingPrompt, {
+      mask: toProviderImage(modelMask),
+      referenceImages: referenceImages.map(toProviderImage)
+    })
+  );
+  
+  if (!response?.image) {
+    throw new Error(`No edited image received from ${imageProvider.label}`);
+  }
+  
+  const editedImage = `data:${response.image.mimeType};base64,${response.image.data}`;
+  const imageData = await compositeMasked(originalImageBase64, editedImage, maskImage);
+  
+  console.log(`${imageProvider.label} inpainting completed successfully`);
+  return {
+    success: true,
+    imageData,
+    editPrompt: optimizedEditPrompt,
+    sceneContext,
+    generatedAt: new Date().toISOString(),
+    editId: generateId(),
+    provider: imageProvider.label,
+    model: imageProvider.model
+  };
+};
+
 // NEW: Intelligent uploaded image selection for scenes
 const selectBestUploadedImageForScene = (scene, uploadedImageContexts) => {
   if (!uploadedImageContexts || uploadedImageContexts.length === 0) {
@@ -597,8 +638,48 @@ The edited image should show the uploaded subject(s) seamlessly integrated into
   return await validateAndOptimizePrompt(baseEditPrompt);
 };
 
+/**
+ * Generate a turnaround reference sheet for one character of the character bible
+ * profile: { age, build, hair, outfit, palette, props, description }
+ */
+const generateCharacterReferenceSheet = async (name, profile, style = CONFIG.DEFAULT_STYLE) => {
+  const prompt = `Character reference sheet (turnaround) for "${name}": the same character shown in front, three-quarter, side and back views, full body, neutral pose, plain white background, no scenery, no text. Appearance: ${describeCharacter(profile)}. Consistent proportions and colours in every view.`;
+
+  console.log(`🧍 Drawing reference sheet for ${name}`);
+  const image = await generateImage(prompt, style);
+
+  return {
+    ...image,
+    type: image.type === 'generated' ? 'reference-sheet' : image.type,
+    characterName: name
+  };
+};
+
+// Case-insensitive lookup of a scene's character in a { name: value } map
+const findCharacterEntry = (characterMap, sceneCharacter) => {
+  if (!sceneCharacter || typeof sceneCharacter !== 'string') return null;
+  const lowerName = sceneCharacter.trim().toLowerCase();
+  const name = Object.keys(characterMap).find(key => key.toLowerCase() === lowerName)
+    || Object.keys(characterMap).find(key => key.toLowerCase().split(/\s+/).includes(lowerName));
+  return name ? { name, value: characterMap[name] } : null;
+};
+
+/**
+ * Reference images for the characters in a scene (character names matched case-insensitively)
+ */
+const findSceneReferenceImages = (sceneCharacters = [], characterReferences = {}) => {
+  const references = sceneCharacters
+    .map(character => findCharacterEntry(characterReferences, character)?.value)
+    .filter(Boolean);
+  return [...new Set(references)];
+};
+
 // ENHANCED: Scene processing with proper uploaded image integration
-const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedImages = [], uploadedImageContexts = []) => {
+// options.onSceneImage(scene, index, total) is called as soon as each scene image is ready
+// options.characterReferences ({ name: imageUrl }) are locked reference sheets from the character bible,
+// they are used instead of earlier scene images to keep characters consistent
+// options.style (template key or custom style object) applies to every generated scene
+const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedImages = [], uploadedImageContexts = [], options = {}) => {
   try {
     if (!Array.isArray(scenes) || scenes.length === 0) {
       throw new Error('Invalid scenes: must be non-empty array');
@@ -608,8 +689,11 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
     
     const generatedScenes = [];
     const characterPrompts = createCharacterPrompts(characterDescriptions);
-    const referenceImages = {}; // Store character references
+    const lockedReferences = options.characterReferences || {};
+    const referenceImages = { ...lockedReferences }; // Store character references
+    const hasLockedReferences = Object.keys(lockedReferences).length > 0;
     const hasUploadedImages = uploadedImages?.length > 0 && uploadedImageContexts?.length > 0;
+    const style = options.style || CONFIG.DEFAULT_STYLE;
     
     for (let i = 0; i < scenes.length; i++) {
       const scene = scenes[i];
@@ -635,19 +719,14 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
             // Create contextual edit prompt for this specific scene (now async)
             const contextualEditPrompt = await createSceneContextualEditPrompt(scene, selectedImageContext);
             
-            // Prepare the image data properly
-            let imageBase64;
-            if (selectedImageContext.originalImage.base64) {
-              imageBase64 = selectedImageContext.originalImage.base64;
-            } else if (selectedImageContext.originalImage.data) {
-              // If it's raw base64, add data URL prefix
-              const mimeType = selectedImageContext.originalImage.mimeType || 'image/png';
-              imageBase64 = selectedImageContext.originalImage.data.startsWith('data:') ? 
-                selectedImageContext.originalImage.data : 
-                `data:${mimeType};base64,${selectedImageContext.originalImage.data}`;
-            } else {
+            // Prepare the image data properly (uploads carry raw base64 and/or a data URL)
+            const { base64, data, mimeType = 'image/png' } = selectedImageContext.originalImage;
+            const source = [base64, data].find(value => value?.startsWith('data:')) || base64 || data;
+            if (!source) {
               throw new Error('Invalid image data in uploaded image context');
             }
+            // If it's raw base64, add data URL prefix
+            const imageBase64 = source.startsWith('data:') ? source : `data:${mimeType};base64,${source}`;
             
             // Edit the uploaded image to fit this scene
             const editResult = await editImageWithAI(
@@ -662,10 +741,10 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
                 prompt: contextualEditPrompt,
                 timestamp: editResult.generatedAt,
                 id: editResult.editId,
-                provider: 'gemini-2.5-flash-image-preview',
+                provider: editResult.provider,
                 cost: 'medium',
                 quality: 'high',
-                model: CONFIG.MODEL_NAME,
+                model: editResult.model,
                 type: 'uploaded-edited',
                 originalImageIndex: selectedImageContext.imageIndex,
                 editPrompt: contextualEditPrompt,
@@ -679,17 +758,20 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
           }
         } 
         // Fallback to character consistency or new generation
-        else if (i > 0 && Object.keys(characterDescriptions).length > 0) {
-          image = await processSceneWithCharacterConsistency(scene, characterPrompts, referenceImages);
+        else if ((i > 0 || hasLockedReferences) && Object.keys(characterDescriptions).length > 0) {
+          image = await processSceneWithCharacterConsistency(scene, characterPrompts, referenceImages, characterDescriptions, style);
         } else {
-          image = await processNewSceneImage(scene, characterPrompts);
+          image = await processNewSceneImage(scene, characterPrompts, style);
         }
         
         // Store reference for future consistency (only for generated images, not edited uploads)
+        // Characters with a locked reference sheet always keep it
         if (image.type !== 'uploaded-edited' && scene.characters?.length > 0) {
-          scene.characters.forEach(character => {
-            referenceImages[character] = image.imageUrl;
-          });
+          scene.characters
+            .filter(character => !findCharacterEntry(lockedReferences, character))
+            .forEach(character => {
+              referenceImages[character] = image.imageUrl;
+            });
         }
         
       } catch (sceneError) {
@@ -699,7 +781,7 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
         if (hasUploadedImages && sceneError.message.includes('uploaded')) {
           console.log('Uploaded image editing failed, generating new image for scene...');
           try {
-            image = await processNewSceneImage(scene, characterPrompts);
+            image = await processNewSceneImage(scene, characterPrompts, style);
           } catch (fallbackError) {
             image = generatePlaceholder(scene.visualPrompt, 'error', `Scene processing failed: ${sceneError.message}`);
           }
@@ -708,13 +790,18 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
         }
       }
       
-      generatedScenes.push({
+      const generatedScene = {
         ...scene,
         image,
         enhancedPrompt: scene.visualPrompt,
         processingIndex: i,
         usedUploadedImage: image.type === 'uploaded-edited'
-      });
+      };
+      generatedScenes.push(generatedScene);
+      
+      if (typeof options.onSceneImage === 'function') {
+        options.onSceneImage(generatedScene, i, scenes.length);
+      }
       
       // Smart rate limiting based on provider
       const delay = image.provider === 'storymill-placeholder' ? 100 : CONFIG.RATE_LIMIT_DELAY;
@@ -736,18 +823,20 @@ const generateSceneImages = async (scenes, characterDescriptions = {}, uploadedI
 };
 
 // Character consistency with intelligent prompt optimization
-const ensureCharacterConsistency = async (referenceImageUrl, newPrompt, characterName, characterDescription = null) => {
+// additionalReferences: other reference images (e.g. sheets of the scene's other characters) passed to the image model
+const ensureCharacterConsistency = async (referenceImageUrl, newPrompt, characterName, characterDescription = null, additionalReferences = [], style = CONFIG.DEFAULT_STYLE) => {
   try {
     const optimizedPrompt = await validateAndOptimizePrompt(newPrompt);
     
     if (!characterName || typeof characterName !== 'string') {
       console.warn('Invalid character name, proceeding without character consistency');
-      return generateImage(optimizedPrompt);
+      return generateImage(optimizedPrompt, style);
     }
     
-    if (!genAI) {
-      console.warn('GenAI not available, using enhanced text prompt for consistency');
-      return generateImageWithTextConsistency(optimizedPrompt, characterName, characterDescription);
+    const textProvider = getProvider('text');
+    if (!textProvider) {
+      console.warn('No text provider available, using enhanced text prompt for consistency');
+      return generateImageWithTextConsistency(optimizedPrompt, characterName, characterDescription, style);
     }
     
     console.log(`Ensuring character consistency for: ${characterName}`);
@@ -775,29 +864,30 @@ CONSISTENCY DIRECTIVE: Create specifications ensuring identical character appear
 CRITICAL: Character must be instantly recognizable. Maintain all identifying features exactly.`;
         
         const imageData = {
-          inlineData: {
-            data: base64Image,
-            mimeType: detectMimeType(base64Image)
-          }
+          data: base64Image,
+          mimeType: detectMimeType(base64Image)
         };
         
-        const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
-        const response = await retryWithBackoff(() => 
-          model.generateContent([consistencyPrompt, imageData])
+        const consistencyGuidelines = await retryWithBackoff(() => 
+          textProvider.generateText(consistencyPrompt, {
+            images: [imageData],
+            tier: 'image',
+            task: 'character-consistency',
+            context: { characterName }
+          })
         );
-        
-        const consistencyGuidelines = response.response.text();
         console.log('Generated character consistency guidelines');
         
         const characterContext = {
           name: characterName,
           description: characterDescription,
           consistencyGuidelines,
-          previousAppearance: true
+          previousAppearance: true,
+          referenceImages: [...new Set([referenceImageUrl, ...additionalReferences])]
         };
         
         const enhancedPrompt = `EXACT CHARACTER MATCH: ${characterName} must appear exactly as in reference. ${newPrompt}. GUIDELINES: ${consistencyGuidelines.substring(0, 600)}`;
-        const newImage = await generateImage(enhancedPrompt, CONFIG.DEFAULT_STYLE, characterContext);
+        const newImage = await generateImage(enhancedPrompt, style, characterContext);
         
         return {
           ...newImage,
@@ -814,13 +904,13 @@ CRITICAL: Character must be instantly recognizable. Maintain all identifying fea
       }
     }
     
-    return generateImageWithTextConsistency(newPrompt, characterName, characterDescription);
+    return generateImageWithTextConsistency(newPrompt, characterName, characterDescription, style);
     
   } catch (error) {
     console.error('Character consistency error:', error.message);
     
     try {
-      return generateImage(newPrompt);
+      return generateImage(newPrompt, style);
     } catch (fallbackError) {
       return generatePlaceholder(newPrompt, 'error', `Character consistency failed: ${error.message}`);
     }
@@ -828,7 +918,7 @@ CRITICAL: Character must be instantly recognizable. Maintain all identifying fea
 };
 
 // Text-based character consistency fallback
-const generateImageWithTextConsistency = async (newPrompt, characterName, characterDescription = null) => {
+const generateImageWithTextConsistency = async (newPrompt, characterName, characterDescription = null, style = CONFIG.DEFAULT_STYLE) => {
   let consistencyPrompt = `CHARACTER CONSISTENCY: "${characterName}" must maintain exact visual identity. `;
   
   if (characterDescription) {
@@ -843,7 +933,7 @@ const generateImageWithTextConsistency = async (newPrompt, characterName, charac
     previousAppearance: false
   };
   
-  const image = await generateImage(consistencyPrompt, CONFIG.DEFAULT_STYLE, characterContext);
+  const image = await generateImage(consistencyPrompt, style, characterContext);
   
   return {
     ...image,
@@ -866,17 +956,23 @@ const createCharacterPrompts = (characterDescriptions) => {
     .join(', ');
 };
 
-const processSceneWithCharacterConsistency = async (scene, characterPrompts, referenceImages) => {
-  const mainCharacter = scene.characters?.[0];
+const processSceneWithCharacterConsistency = async (scene, characterPrompts, referenceImages, characterDescriptions = {}, style = CONFIG.DEFAULT_STYLE) => {
+  // The first character in the scene with a reference leads, the others' references come along
+  const mainCharacter = (scene.characters || [])
+    .map(character => findCharacterEntry(referenceImages, character))
+    .find(Boolean);
   
-  if (mainCharacter && referenceImages[mainCharacter]) {
-    return ensureCharacterConsistency(referenceImages[mainCharacter], scene.visualPrompt, mainCharacter);
+  if (mainCharacter) {
+    const description = findCharacterEntry(characterDescriptions, mainCharacter.name)?.value || null;
+    const otherReferences = findSceneReferenceImages(scene.characters, referenceImages)
+      .filter(imageUrl => imageUrl !== mainCharacter.value);
+    return ensureCharacterConsistency(mainCharacter.value, scene.visualPrompt, mainCharacter.name, description, otherReferences, style);
   }
   
-  return processNewSceneImage(scene, characterPrompts);
+  return processNewSceneImage(scene, characterPrompts, style);
 };
 
-const processNewSceneImage = async (scene, characterPrompts) => {
+const processNewSceneImage = async (scene, characterPrompts, style = CONFIG.DEFAULT_STYLE) => {
   let enhancedPrompt = scene.visualPrompt;
   
   if (characterPrompts) {
@@ -884,7 +980,7 @@ const processNewSceneImage = async (scene, characterPrompts) => {
   }
   
   enhancedPrompt += ', consistent art style, maintain visual continuity';
-  return generateImage(enhancedPrompt);
+  return generateImage(enhancedPrompt, style);
 };
 
 // Legacy function wrappers for backwards compatibility
@@ -892,9 +988,10 @@ const editUploadedImage = async (imageBase64, editPrompt, sceneContext) => {
   try {
     validateImageData(imageBase64);
     const optimizedEditPrompt = await validateAndOptimizePrompt(editPrompt);
+    const textProvider = getProvider('text');
     
-    if (!genAI) {
-      console.warn('Gemini not available, returning original with suggestions');
+    if (!textProvider) {
+      console.warn('No text provider available, returning original with suggestions');
       return createEditFallback(imageBase64, optimizedEditPrompt, sceneContext, 'no-api');
     }
     
@@ -914,22 +1011,17 @@ Provide:
 
 Be specific and actionable.`;
     
-    const prompt = [
-      { text: analysisPrompt },
-      {
-        inlineData: {
-          mimeType: detectMimeType(imageBase64),
-          data: imageBase64.replace(/^data:image\/[a-z]+;base64,/, '')
-        }
-      }
-    ];
+    const imageData = {
+      mimeType: detectMimeType(imageBase64),
+      data: imageBase64.replace(/^data:image\/[a-z]+;base64,/, '')
+    };
     
-    const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
-    const response = await retryWithBackoff(() => model.generateContent(prompt));
-    const editingSuggestions = response.response.text();
+    const editingSuggestions = await retryWithBackoff(() =>
+      textProvider.generateText(analysisPrompt, { images: [imageData], tier: 'image', task: 'edit-analysis' })
+    );
     
     console.log('Generated editing analysis for uploaded image');
-    return createEnhancedImageWithSuggestions(imageBase64, optimizedEditPrompt, sceneContext, editingSuggestions);
+    return createEnhancedImageWithSuggestions(imageBase64, optimizedEditPrompt, sceneContext, editingSuggestions, textProvider.label);
     
   } catch (error) {
     console.error('Image editing error:', error.message);
@@ -937,7 +1029,7 @@ Be specific and actionable.`;
   }
 };
 
-const createEnhancedImageWithSuggestions = (originalBase64, editPrompt, sceneContext, suggestions) => ({
+const createEnhancedImageWithSuggestions = (originalBase64, editPrompt, sceneContext, suggestions, model) => ({
   imageUrl: `data:${detectMimeType(originalBase64)};base64,${originalBase64}`,
   originalImage: `data:${detectMimeType(originalBase64)};base64,${originalBase64}`,
   editPrompt,
@@ -947,7 +1039,7 @@ const createEnhancedImageWithSuggestions = (originalBase64, editPrompt, sceneCon
   id: generateId(),
   provider: 'gemini-analysis',
   editType: 'ai-analysis',
-  model: CONFIG.MODEL_NAME,
+  model,
   status: 'analyzed',
   hasOriginal: true
 });
@@ -996,9 +1088,10 @@ const editImage = async (originalImageUrl, editPrompt, originalPrompt = '') => {
       detectMimeType(base64Image);
     
     validateImageData(base64Image);
+    const textProvider = getProvider('text');
     
-    if (!genAI) {
-      console.warn('GenAI not available, generating modified image');
+    if (!textProvider) {
+      console.warn('No text provider available, generating modified image');
       const modifiedPrompt = originalPrompt ? `${originalPrompt}, ${optimizedEditPrompt}` : optimizedEditPrompt;
       return generateImage(modifiedPrompt);
     }
@@ -1008,16 +1101,14 @@ const editImage = async (originalImageUrl, editPrompt, originalPrompt = '') => {
     
     Provide: description, edit steps, consistency methods, technical recommendations.`;
     
-    const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
-    const response = await retryWithBackoff(() => 
-      model.generateContent([
-        { text: editingPrompt },
-        { inlineData: { mimeType, data: base64Image } }
-      ])
+    const editingSuggestions = await retryWithBackoff(() => 
+      textProvider.generateText(editingPrompt, {
+        images: [{ mimeType, data: base64Image }],
+        tier: 'image',
+        task: 'edit-analysis'
+      })
     );
     
-    const editingSuggestions = response.response.text();
-    
     return {
       imageUrl: `data:${mimeType};base64,${base64Image}`,
       originalImage: `data:${mimeType};base64,${base64Image}`,
@@ -1029,7 +1120,7 @@ const editImage = async (originalImageUrl, editPrompt, originalPrompt = '') => {
       id: generateId(),
       provider: 'gemini-edit-analysis',
       editType: 'ai-guided-edit',
-      model: CONFIG.MODEL_NAME,
+      model: textProvider.label,
       status: 'analyzed',
       hasOriginal: true
     };
@@ -1052,14 +1143,20 @@ module.exports = {
   editImage,
   editUploadedImage,
   editImageWithAI,
+  inpaintImageWithAI,
   generateSceneImages,
+  generateCharacterReferenceSheet,
+  findSceneReferenceImages,
   ensureCharacterConsistency,
+  getStyleTemplates,
   createOptimizedPrompt,
   createEditingPrompt,
+  createInpaintingPrompt,
   validateAndOptimizePrompt, // Intelligent validation with prompt reduction
   reducePromptWithGemini, // New prompt reduction function
   formatImageGenerationPrompt, // New helper for explicit image requests
   validateImageData,
+  isEditableImage,
   detectMimeType,
   generatePlaceholder,
   getConfig: () => ({ ...CONFIG })
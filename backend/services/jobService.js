@@ -0,0 +1,192 @@
+const { EventEmitter } = require('events');
+const { generateId } = require('../utils/apiHelpers');
+
+// Configuration
+const CONFIG = {
+  JOB_TTL: 60 * 60 * 1000, // Keep finished jobs for 1 hour
+  MAX_JOBS: 200
+};
+
+const jobs = new Map();
+
+// Public view of a job (the emitter and internal fields stay private)
+const toJobSnapshot = (job, { includeEvents = false } = {}) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  stages: job.stages,
+  currentStage: job.currentStage,
+  result: job.status === 'completed' ? job.result : undefined,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  ...(includeEvents ? { events: job.events } : {})
+});
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+// Drop finished jobs that are past their TTL, then the oldest finished ones while over capacity
+// Running jobs are never dropped, their subscribers and pollers are still waiting on them
+const pruneJobs = () => {
+  const now = Date.now();
+
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && now - new Date(job.updatedAt).getTime() > CONFIG.JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+
+  for (const [id, job] of jobs) {
+    if (jobs.size < CONFIG.MAX_JOBS) break;
+    if (isFinished(job)) jobs.delete(id);
+  }
+};
+
+// Error for a job refused because every slot holds a running job (routes answer it with 503)
+const createBusyError = () => {
+  const error = new Error('Too many jobs are running, please try again in a moment');
+  error.busy = true;
+  return error;
+};
+
+/**
+ * Create a reporter the pipeline uses to publish stage events
+ */
+const createReporter = (job) => {
+  const publish = (type, data) => {
+    const event = {
+      id: job.events.length + 1,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+    job.events.push(event);
+    job.updatedAt = event.timestamp;
+    job.emitter.emit('event', event);
+  };
+
+  const setStageStatus = (stageId, status) => {
+    const stage = job.stages.find(s => s.id === stageId);
+    if (stage) stage.status = status;
+    if (status === 'active') job.currentStage = stageId;
+  };
+
+  return {
+    stageStarted: (stageId, message) => {
+      setStageStatus(stageId, 'active');
+      publish('progress', { stage: stageId, status: 'started', message });
+    },
+    stageProgress: (stageId, data = {}) => {
+      publish('progress', { stage: stageId, status: 'progress', ...data });
+    },
+    stageCompleted: (stageId, data = {}) => {
+      setStageStatus(stageId, 'completed');
+      publish('progress', { stage: stageId, status: 'completed', ...data });
+    },
+    stageSkipped: (stageId) => {
+      setStageStatus(stageId, 'skipped');
+      publish('progress', { stage: stageId, status: 'skipped' });
+    }
+  };
+};
+
+/**
+ * Create and start a background job
+ * The runner receives a reporter and resolves with the job result
+ * Throws an error with busy set when MAX_JOBS jobs are still running
+ */
+const createJob = (type, stages, runner) => {
+  pruneJobs();
+  if (jobs.size >= CONFIG.MAX_JOBS) throw createBusyError();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: generateId(),
+    type,
+    status: 'running',
+    stages: stages.map(stage => ({ ...stage, status: 'pending' })),
+    currentStage: null,
+    events: [],
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(50);
+  jobs.set(job.id, job);
+
+  const reporter = createReporter(job);
+
+  console.log(`🧵 Job ${job.id} started (${type})`);
+
+  // Run on the next tick so callers can return the job ID first
+  setImmediate(async () => {
+    try {
+      job.result = await runner(reporter);
+      job.status = 'completed';
+      job.updatedAt = new Date().toISOString();
+      job.emitter.emit('event', {
+        id: job.events.length + 1,
+        type: 'completed',
+        data: { result: job.result },
+        timestamp: job.updatedAt
+      });
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      const failedStage = job.stages.find(stage => stage.status === 'active');
+      if (failedStage) failedStage.status = 'failed';
+
+      job.status = 'failed';
+      job.error = { message: error.message, details: error.details, stage: failedStage?.id || null };
+      job.updatedAt = new Date().toISOString();
+      job.emitter.emit('event', {
+        id: job.events.length + 1,
+        type: 'failed',
+        data: { error: job.error },
+        timestamp: job.updatedAt
+      });
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    }
+  });
+
+  return toJobSnapshot(job);
+};
+
+/**
+ * Get a job snapshot, returns null when unknown or expired
+ */
+const getJob = (jobId, options) => {
+  const job = jobs.get(jobId);
+  return job ? toJobSnapshot(job, options) : null;
+};
+
+/**
+ * Subscribe to a job's events, replaying everything already published
+ * Returns an unsubscribe function, or null when the job does not exist
+ */
+const subscribeToJob = (jobId, listener) => {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  job.events.forEach(listener);
+
+  if (job.status === 'completed') {
+    listener({ id: job.events.length + 1, type: 'completed', data: { result: job.result }, timestamp: job.updatedAt });
+    return () => {};
+  }
+
+  if (job.status === 'failed') {
+    listener({ id: job.events.length + 1, type: 'failed', data: { error: job.error }, timestamp: job.updatedAt });
+    return () => {};
+  }
+
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  subscribeToJob
+};
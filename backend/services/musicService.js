@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('../utils/fileStore');
+const { generateId } = require('../utils/apiHelpers');
+const { createWavBuffer, decodeDataUrl, getAudioDuration } = require('../utils/audioUtils');
+const { decodeAudio } = require('../utils/audioDecoder');
+const { normalizeLoudness, dbToGain } = require('../utils/loudness');
+
+/**
+ * Background music for stories
+ * Tracks come from built-in pads synthesized for each mood (always available), a local
+ * royalty-free library (MUSIC_LIBRARY_DIR/library.json lists its files and their moods)
+ * and tracks users upload. A story's music bed follows its scenes' moods or plays one
+ * chosen track, crossfades where the music changes and ducks under the narration
+ */
+
+// Uploaded tracks: { id, title, moods, source: 'upload', mimeType, duration, audioUrl, createdAt }
+const store = createFileStore('music');
+
+const CONFIG = {
+  SAMPLE_RATE: 22050, // The bed sits under speech, it does not need more
+  LIBRARY_DIR: process.env.MUSIC_LIBRARY_DIR || path.join(__dirname, '../assets/music'),
+  LOUDNESS: -28, // LUFS every track is levelled to, well under the narration
+  DUCK_GAIN: 0.3, // About -10dB while someone speaks
+  DUCK_ATTACK: 0.15, // Seconds to duck, started ahead of the first word
+  DUCK_RELEASE: 0.8, // Seconds to come back up after the last word
+  DUCK_HOLD: 0.4, // Pauses shorter than this keep the music down
+  CROSSFADE: 2, // Seconds, centred on the scene boundary where the music changes
+  FADE_IN: 1.5,
+  FADE_OUT: 3
+};
+
+// Scene moods from the story analysis; soundContext decides when the mood is missing or unknown
+const MUSIC_MOODS = ['peaceful', 'happy', 'sad', 'scary', 'exciting', 'magical'];
+const SOUND_CONTEXT_MOODS = { peaceful: 'peaceful', nature: 'peaceful', urban: 'happy', action: 'exciting', horror: 'scary', magical: 'magical' };
+const DEFAULT_MOOD = 'peaceful';
+
+// Built-in pads: one bar (four beats) per chord, notes in semitones from A4
+const BUILTIN_TRACKS = {
+  peaceful: {
+    title: 'Meadow Morning', bpm: 56, voice: 'pad',
+    chords: [[-9, -5, -2], [-12, -9, -5], [-16, -12, -9], [-14, -10, -7]]
+  },
+  happy: {
+    title: 'Sunny Steps', bpm: 96, voice: 'arpeggio',
+    chords: [[-14, -10, -7], [-9, -5, -2], [-7, -3, 0], [-14, -10, -7]]
+  },
+  sad: {
+    title: 'Rain on the Window', bpm: 50, voice: 'pad',
+    chords: [[-12, -9, -5], [-16, -12, -9], [-9, -5, -2], [-17, -13, -10]]
+  },
+  scary: {
+    title: 'Under the Stairs', bpm: 40, voice: 'drone',
+    chords: [[-36, -35, -29], [-34, -33, -28]]
+  },
+  exciting: {
+    title: 'The Chase', bpm: 120, voice: 'pulse',
+    chords: [[-24, -12, -9, -5], [-28, -16, -12, -9], [-26, -14, -10, -7], [-29, -17, -13, -10]]
+  },
+  magical: {
+    title: 'Starlit Wishes', bpm: 72, voice: 'arpeggio',
+    chords: [[-5, -1, 2, 7], [-8, -5, -1, 4], [-12, -8, -5, 0], [-10, -6, -3, 2]]
+  }
+};
+
+const noteFrequency = (semitones) => 440 * Math.pow(2, semitones / 12);
+
+// A soft tone: the note plus a quieter octave
+const tone = (frequency, time) => Math.sin(2 * Math.PI * frequency * time) + 0.3 * Math.sin(4 * Math.PI * frequency * time);
+
+// Synthesize one pass through a built-in track's chords (it loops cleanly)
+const synthesizeBuiltinTrack = ({ bpm, voice, chords }) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const beatSeconds = 60 / bpm;
+  const barSamples = Math.round(4 * beatSeconds * rate);
+  const samples = new Float32Array(barSamples * chords.length);
+
+  chords.forEach((chord, chordIndex) => {
+    const frequencies = chord.map(noteFrequency);
+    const offset = chordIndex * barSamples;
+
+    for (let i = 0; i < barSamples; i++) {
+      const time = (offset + i) / rate;
+      const barPosition = i / barSamples;
+      let value = 0;
+
+      if (voice === 'pad' || voice === 'drone') {
+        // Chords swell in and out within their bar so the joins stay smooth
+        const swell = Math.sin(Math.PI * barPosition);
+        const tremolo = voice === 'drone' ? 0.6 + 0.4 * Math.sin(2 * Math.PI * 0.3 * time) : 1;
+        value = frequencies.reduce((sum, frequency) => sum + tone(frequency, time), 0) / frequencies.length * swell * tremolo;
+      } else {
+        // Arpeggios and pulses strike a note every half beat and let it ring out
+        const stepSeconds = beatSeconds / 2;
+        const step = Math.floor(i / (stepSeconds * rate));
+        const sinceStrike = (i / rate) - step * stepSeconds;
+        const decay = Math.exp(-sinceStrike * (voice === 'pulse' ? 9 : 4));
+        const frequency = voice === 'pulse' ? frequencies[0] : frequencies[step % frequencies.length];
+        const pad = voice === 'pulse'
+          ? frequencies.slice(1).reduce((sum, upper) => sum + tone(upper, time), 0) / (frequencies.length - 1) * 0.25 * Math.sin(Math.PI * barPosition)
+          : 0;
+        value = tone(frequency, time) * decay + pad;
+      }
+
+      samples[offset + i] = value;
+    }
+  });
+
+  return samples;
+};
+
+const getBuiltinTracks = () => Object.entries(BUILTIN_TRACKS).map(([mood, track]) => ({
+  id: `builtin-${mood}`,
+  title: track.title,
+  moods: [mood],
+  source: 'builtin',
+  artist: 'StoryMill',
+  license: 'Built-in',
+  duration: (track.chords.length * 4 * 60) / track.bpm // One pass, it loops
+}));
+
+// Tracks listed in the local library manifest whose files exist
+const getLibraryTracks = () => {
+  const manifestPath = path.join(CONFIG.LIBRARY_DIR, 'library.json');
+  if (!fs.existsSync(manifestPath)) return [];
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return (manifest.tracks || [])
+      .filter(entry => entry && typeof entry.id === 'string' && typeof entry.file === 'string')
+      .filter(entry => fs.existsSync(path.join(CONFIG.LIBRARY_DIR, path.basename(entry.file))))
+      .map(entry => ({
+        id: `library-${entry.id}`,
+        title: entry.title || entry.id,
+        moods: (entry.moods || []).filter(mood => MUSIC_MOODS.includes(mood)),
+        source: 'library',
+        artist: entry.artist || null,
+        license: entry.license || null,
+        file: path.basename(entry.file)
+      }));
+  } catch (error) {
+    console.warn('⚠️ Could not read the music library manifest:', error.message);
+    return [];
+  }
+};
+
+// Catalogue entry of an uploaded track (without its audio)
+const toCatalogEntry = ({ audioUrl, ...track }) => track;
+
+/**
+ * Every track: library tracks first, then uploads (oldest first), then the built-in pads
+ */
+const listTracks = async () => {
+  const uploads = await store.list();
+  uploads.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return [...getLibraryTracks(), ...uploads.map(toCatalogEntry), ...getBuiltinTracks()];
+};
+
+/**
+ * A track by id (uploads include their audioUrl), returns null when it does not exist
+ */
+const getTrack = async (id) => {
+  if (!id || typeof id !== 'string') return null;
+  const listed = [...getBuiltinTracks(), ...getLibraryTracks()].find(track => track.id === id);
+  if (listed) return listed;
+  return store.isValidId(id) ? store.read(id) : null;
+};
+
+/**
+ * Save an uploaded track ({ title, audioUrl, moods }), audioUrl is a WAV or MP3 data URL
+ */
+const addUploadedTrack = async ({ title, audioUrl, moods = [] }) => {
+  const { mimeType, buffer } = decodeDataUrl(audioUrl);
+  const track = {
+    id: generateId(),
+    title: title.trim(),
+    moods: moods.filter(mood => MUSIC_MOODS.includes(mood)),
+    source: 'upload',
+    mimeType,
+    duration: getAudioDuration(buffer),
+    audioUrl,
+    createdAt: new Date().toISOString()
+  };
+
+  await store.write(track.id, track);
+  console.log(`🎵 Music track uploaded: "${track.title}"`);
+  return toCatalogEntry(track);
+};
+
+/**
+ * Remove an uploaded track, built-in and library tracks cannot be removed
+ */
+const deleteUploadedTrack = async (id) => {
+  if (!store.isValidId(id)) return false;
+  return store.remove(id);
+};
+
+const MIME_TYPES = { '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg', '.m4a': 'audio/mp4' };
+
+/**
+ * A track's audio for previews: { buffer, mimeType }
+ */
+const getTrackAudio = async (track) => {
+  if (track.source === 'builtin') {
+    return { buffer: createWavBuffer(await loadTrackSamples(track), CONFIG.SAMPLE_RATE), mimeType: 'audio/wav' };
+  }
+  if (track.source === 'library') {
+    return {
+      buffer: fs.readFileSync(path.join(CONFIG.LIBRARY_DIR, track.file)),
+      mimeType: MIME_TYPES[path.extname(track.file).toLowerCase()] || 'application/octet-stream'
+    };
+  }
+  return decodeDataUrl(track.audioUrl);
+};
+
+// Decoded tracks by id, built-in pads are synthesized once
+const sampleCache = new Map();
+
+// A track as mono samples at the bed's rate, levelled to CONFIG.LOUDNESS; null when it cannot be decoded
+const loadTrackSamples = async (track) => {
+  if (sampleCache.has(track.id)) return sampleCache.get(track.id);
+
+  let samples = null;
+  if (track.source === 'builtin') {
+    samples = synthesizeBuiltinTrack(BUILTIN_TRACKS[track.moods[0]]);
+  } else if (track.source === 'library') {
+    samples = await decodeAudio(fs.readFileSync(path.join(CONFIG.LIBRARY_DIR, track.file)), CONFIG.SAMPLE_RATE);
+  } else {
+    const upload = track.audioUrl ? track : await store.read(track.id);
+    const decoded = upload && decodeDataUrl(upload.audioUrl);
+    samples = decoded ? await decodeAudio(decoded.buffer, CONFIG.SAMPLE_RATE) : null;
+  }
+
+  if (samples && samples.length > 0) {
+    normalizeLoudness(samples, CONFIG.SAMPLE_RATE, CONFIG.LOUDNESS);
+    // Uploads can be removed, keep only the library in memory
+    if (track.source !== 'upload') sampleCache.set(track.id, samples);
+  }
+  return samples && samples.length > 0 ? samples : null;
+};
+
+/**
+ * The mood a scene's music should have
+ */
+const getSceneMood = (scene) => {
+  const mood = scene?.mood?.toLowerCase();
+  if (MUSIC_MOODS.includes(mood)) return mood;
+  return SOUND_CONTEXT_MOODS[scene?.soundContext?.toLowerCase()] || DEFAULT_MOOD;
+};
+
+/**
+ * The track for a scene: a library or uploaded track tagged with its mood, otherwise the built-in pad
+ */
+const selectTrackForScene = (scene, tracks) => {
+  const mood = getSceneMood(scene);
+  return tracks.find(track => track.source !== 'builtin' && track.moods.includes(mood))
+    || tracks.find(track => track.id === `builtin-${mood}`);
+};
+
+/**
+ * Where each track plays: [{ track, start, end }] in seconds on the story timeline
+ * settings: { mode: 'auto' (follow scene moods) | 'track' (trackId for the whole story) | 'off' }
+ */
+const planMusicBed = (scenes, timeline, settings, tracks) => {
+  const mode = settings?.mode || 'auto';
+  if (mode === 'off' || scenes.length === 0) return [];
+
+  if (mode === 'track') {
+    const track = tracks.find(item => item.id === settings.trackId);
+    if (track) return [{ track, start: 0, end: timeline.totalDuration }];
+    console.warn(`⚠️ Music track ${settings.trackId} not found, following scene moods instead`);
+  }
+
+  // Neighbouring scenes with the same track share one continuous run
+  return scenes.reduce((runs, scene, index) => {
+    const track = selectTrackForScene(scene, tracks);
+    const start = timeline.starts[index];
+    const end = start + timeline.durations[index];
+    const last = runs[runs.length - 1];
+    if (last && last.track.id === track.id) {
+      last.end = end;
+    } else {
+      runs.push({ track, start, end });
+    }
+    return runs;
+  }, []);
+};
+
+/**
+ * When someone is speaking, on the story timeline: [{ start, end }] merged across short pauses
+ * Uses narration word timings when a scene has them, otherwise its whole narration
+ */
+const getSpeechIntervals = (scenes, timeline) => {
+  const intervals = [];
+  scenes.forEach((scene, index) => {
+    const duration = scene.audio?.duration;
+    if (!(duration > 0)) return;
+
+    const sceneStart = timeline.starts[index];
+    const sceneEnd = sceneStart + timeline.durations[index];
+    const spoken = scene.audio.words?.length > 0
+      ? scene.audio.words.map(word => ({ start: word.start, end: word.end }))
+      : [{ start: 0, end: duration }];
+
+    spoken.forEach(({ start, end }) => {
+      const interval = { start: sceneStart + start, end: Math.min(sceneStart + end, sceneEnd) };
+      const last = intervals[intervals.length - 1];
+      if (last && interval.start - last.end < CONFIG.DUCK_HOLD) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        intervals.push(interval);
+      }
+    });
+  });
+  return intervals;
+};
+
+// Lower the bed while someone speaks: down over DUCK_ATTACK ahead of the speech, back up over DUCK_RELEASE
+const applyDucking = (bed, intervals) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const downStep = (1 - CONFIG.DUCK_GAIN) / (CONFIG.DUCK_ATTACK * rate);
+  const upStep = (1 - CONFIG.DUCK_GAIN) / (CONFIG.DUCK_RELEASE * rate);
+  let gain = 1;
+  let next = 0;
+
+  for (let i = 0; i < bed.length; i++) {
+    const time = i / rate;
+    while (next < intervals.length && intervals[next].end <= time) next++;
+    const ducked = next < intervals.length && time >= intervals[next].start - CONFIG.DUCK_ATTACK;
+    gain = ducked ? Math.max(CONFIG.DUCK_GAIN, gain - downStep) : Math.min(1, gain + upStep);
+    bed[i] *= gain;
+  }
+};
+
+// Add a track to the bed between from and to (seconds), looped, with equal-power fades
+const mixRun = (bed, samples, { from, to, fadeIn, fadeOut, level }) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const first = Math.round(from * rate);
+  const last = Math.min(bed.length, Math.round(to * rate));
+  const fadeInSamples = Math.max(1, fadeIn * rate);
+  const fadeOutSamples = Math.max(1, fadeOut * rate);
+
+  for (let i = first; i < last; i++) {
+    const fromStart = i - first;
+    const toEnd = last - i;
+    const gain = Math.sin((Math.PI / 2) * Math.min(1, fromStart / fadeInSamples))
+      * Math.sin((Math.PI / 2) * Math.min(1, toEnd / fadeOutSamples));
+    bed[i] += samples[fromStart % samples.length] * gain * level;
+  }
+};
+
+/**
+ * Render a story's music bed: mono samples as long as the story timeline, ducked under the narration
+ * timeline: { starts, durations, totalDuration } (from the video renderer)
+ * loudness is the LUFS the tracks play at between narration
+ * Returns { samples, sampleRate, duration, tracks: [{ id, title, source, start, end }] } or null when there is no music
+ */
+const renderMusicBed = async (scenes, timeline, settings = {}, { loudness = CONFIG.LOUDNESS } = {}) => {
+  const runs = planMusicBed(scenes, timeline, settings, await listTracks());
+  if (runs.length === 0) return null;
+
+  const level = dbToGain(loudness - CONFIG.LOUDNESS);
+  const bed = new Float32Array(Math.ceil(timeline.totalDuration * CONFIG.SAMPLE_RATE));
+  const mixed = [];
+
+  for (const [index, run] of runs.entries()) {
+    const samples = await loadTrackSamples(run.track);
+    if (!samples) continue;
+
+    // Changes of music overlap by a crossfade centred on the scene boundary
+    const isFirst = index === 0;
+    const isLast = index === runs.length - 1;
+    const from = isFirst ? run.start : Math.max(0, run.start - CONFIG.CROSSFADE / 2);
+    const to = isLast ? run.end : run.end + CONFIG.CROSSFADE / 2;
+    mixRun(bed, samples, {
+      from,
+      to,
+      fadeIn: isFirst ? CONFIG.FADE_IN : CONFIG.CROSSFADE,
+      fadeOut: isLast ? CONFIG.FADE_OUT : CONFIG.CROSSFADE,
+      level
+    });
+    mixed.push({ id: run.track.id, title: run.track.title, source: run.track.source, start: run.start, end: run.end });
+  }
+
+  if (mixed.length === 0) return null;
+
+  applyDucking(bed, getSpeechIntervals(scenes, timeline));
+  console.log(`🎵 Music bed rendered: ${mixed.map(track => track.title).join(' → ')}`);
+
+  return {
+    samples: bed,
+    sampleRate: CONFIG.SAMPLE_RATE,
+    duration: timeline.totalDuration,
+    tracks: mixed
+  };
+};
+
+module.exports = {
+  MUSIC_MOODS,
+  listTracks,
+  getTrack,
+  getTrackAudio,
+  addUploadedTrack,
+  deleteUploadedTrack,
+  getSceneMood,
+  planMusicBed,
+  renderMusicBed
+};
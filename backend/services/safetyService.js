@@ -0,0 +1,200 @@
+const { getProvider } = require('../providers');
+const { retryWithBackoff } = require('../utils/apiHelpers');
+const { RATINGS, CATEGORIES, getContentPolicy, exceedsRating, strongestRating, classifyByKeywords } = require('../utils/contentPolicies');
+const { generatePlaceholder } = require('./imageService');
+
+const CATEGORY_LIST = Object.keys(CATEGORIES).join(', ');
+
+const describeCategories = (categories) => categories.map(category => category.replace('-', ' ')).join(', ');
+
+// Keep the model's rating consistent with the categories it reported
+const normalizeClassification = (classification) => {
+  const categories = (Array.isArray(classification?.categories) ? classification.categories : [])
+    .map(category => String(category).toLowerCase().trim())
+    .filter(category => CATEGORIES[category]);
+  const rating = RATINGS.includes(classification?.rating) ? classification.rating : RATINGS[0];
+
+  return {
+    rating: strongestRating([rating, ...categories.map(category => CATEGORIES[category])]),
+    categories: [...new Set(categories)],
+    explanation: typeof classification?.reason === 'string' ? classification.reason.trim() : ''
+  };
+};
+
+const parseClassification = (responseText) => {
+  const jsonMatch = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').match(/\{[\s\S]*\}/);
+  return jsonMatch ? normalizeClassification(JSON.parse(jsonMatch[0])) : null;
+};
+
+/**
+ * Decide what a policy does with a classification
+ * Blocked categories are always refused; a rating above the policy's limit is softened for
+ * story text (canSoften) and refused for everything else (edit prompts, images)
+ * Returns { policy, rating, categories, action: 'allow' | 'soften' | 'block', allowed, reason, explanation }
+ */
+const applyPolicy = ({ rating, categories, explanation = '' }, policyId, { canSoften = false } = {}) => {
+  const policy = getContentPolicy(policyId);
+  const blocked = categories.filter(category => policy.blockedCategories.includes(category));
+  const overRating = exceedsRating(rating, policy.maxRating);
+
+  let action = 'allow';
+  let reason = null;
+  if (blocked.length > 0) {
+    action = 'block';
+    reason = `Contains ${describeCategories(blocked)}, which the ${policy.label} policy does not allow`;
+  } else if (overRating) {
+    action = canSoften ? 'soften' : 'block';
+    reason = `Rated ${rating} (${describeCategories(categories) || 'mature content'}), above the ${policy.maxRating} limit of the ${policy.label} policy`;
+  }
+
+  return { policy: policy.id, rating, categories, action, allowed: action !== 'block', reason, explanation };
+};
+
+// Rate text with the text model, by keyword when no model is available or the call fails
+const classifyText = async (text) => {
+  const textProvider = getProvider('text');
+  if (!textProvider) return classifyByKeywords(text);
+
+  const classificationPrompt = `You are a content rater for an illustrated story app. Rate the text below the way a film would be rated.
+
+Ratings, mildest first: ${RATINGS.join(', ')}
+Categories (report every one that applies): ${CATEGORY_LIST}
+
+Rate what the text depicts, not what it merely mentions in passing. Mild cartoon peril in a children's story is G.
+
+Text: "${text}"
+
+Return ONLY a JSON object:
+{
+  "rating": "one of the ratings",
+  "categories": ["matching categories, or none"],
+  "reason": "one short sentence explaining the rating"
+}`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(classificationPrompt, { tier: 'fast', task: 'content-safety', context: { text } })
+    );
+    return parseClassification(responseText) || classifyByKeywords(text);
+  } catch (error) {
+    console.warn('⚠️ Content classification failed, using keyword check:', error.message);
+    return classifyByKeywords(text);
+  }
+};
+
+/**
+ * Rate a story against a content policy
+ * Stories above the policy's rating are softened during analysis, blocked categories are refused
+ */
+const assessStory = async (storyText, policyId) => {
+  const assessment = applyPolicy(await classifyText(storyText), policyId, { canSoften: true });
+  if (assessment.action !== 'allow') {
+    console.log(`🛡️ Story ${assessment.action === 'block' ? 'blocked' : 'flagged for softening'}: ${assessment.reason}`);
+  }
+  return assessment;
+};
+
+/**
+ * Rate an edit prompt or instruction against a content policy (anything above it is refused)
+ */
+const assessPrompt = async (prompt, policyId) => applyPolicy(await classifyText(prompt), policyId);
+
+// Assessment for an image the vision model could not rate: let through, unless the policy requires screening
+const unscreenedAssessment = (policyId, cause) => {
+  const assessment = { ...applyPolicy({ rating: RATINGS[0], categories: [] }, policyId), screened: false };
+  const policy = getContentPolicy(policyId);
+  if (!policy.requireScreening) return assessment;
+
+  return {
+    ...assessment,
+    action: 'block',
+    allowed: false,
+    reason: `The image could not be checked (${cause}) and the ${policy.label} policy only allows checked images`
+  };
+};
+
+/**
+ * Screen a generated image with the vision model
+ * Returns the assessment plus screened: false when there was nothing to screen with
+ * (no text provider, a placeholder image, or a failed call); unscreened images are let through
+ * unless the policy requires screening, which refuses them
+ */
+const screenImage = async (imageUrl, policyId) => {
+  const textProvider = getProvider('text');
+  const match = imageUrl?.match(/^data:(image\/(?:png|jpeg|jpg|webp));base64,(.+)$/);
+  if (!textProvider) return unscreenedAssessment(policyId, 'no vision model is available');
+  if (!match) return unscreenedAssessment(policyId, 'not a PNG, JPEG or WebP image');
+
+  const screeningPrompt = `You are a content rater for an illustrated story app. Rate this illustration the way a film would be rated.
+
+Ratings, mildest first: ${RATINGS.join(', ')}
+Categories (report every one that is visible): ${CATEGORY_LIST}
+
+Return ONLY a JSON object:
+{
+  "rating": "one of the ratings",
+  "categories": ["visible categories, or none"],
+  "reason": "one short sentence explaining the rating"
+}`;
+
+  try {
+    const responseText = await retryWithBackoff(() =>
+      textProvider.generateText(screeningPrompt, {
+        images: [{ mimeType: match[1], data: match[2] }],
+        tier: 'fast',
+        task: 'image-safety'
+      })
+    );
+    const classification = parseClassification(responseText);
+    if (!classification) throw new Error('Unreadable screening response');
+    return { ...applyPolicy(classification, policyId), screened: true };
+  } catch (error) {
+    console.warn('⚠️ Image screening failed, image not screened:', error.message);
+    return unscreenedAssessment(policyId, 'screening failed');
+  }
+};
+
+/**
+ * Screen a scene's new image, swapping it for a placeholder card that shows the reason when it is blocked
+ * Returns the image to keep; blocked placeholders carry safety: { blocked: true, reason }
+ */
+const screenSceneImage = async (image, policyId, prompt = '') => {
+  if (!image || image.type === 'placeholder') return image;
+
+  const screening = await screenImage(image.imageUrl, policyId);
+  if (screening.allowed) return image;
+
+  console.log(`🛡️ Scene image hidden: ${screening.reason}`);
+  return {
+    ...generatePlaceholder(prompt || image.prompt || 'Scene image', 'blocked', screening.reason),
+    safety: { blocked: true, rating: screening.rating, categories: screening.categories, reason: screening.reason }
+  };
+};
+
+/**
+ * Content policy a saved story was generated under (the default policy for older stories)
+ */
+const getStoryPolicy = (story) => getContentPolicy(story?.metadata?.storyOptions?.contentPolicy).id;
+
+/**
+ * JSON body for a request refused by its content policy
+ */
+const toBlockedResponse = (assessment) => ({
+  error: 'Content blocked',
+  details: [assessment.reason],
+  safety: {
+    policy: assessment.policy,
+    rating: assessment.rating,
+    categories: assessment.categories,
+    reason: assessment.reason
+  }
+});
+
+module.exports = {
+  assessStory,
+  assessPrompt,
+  screenImage,
+  screenSceneImage,
+  toBlockedResponse,
+  getStoryPolicy
+};
@@ -0,0 +1,126 @@
+const { rewriteVisualPrompt } = require('./geminiService');
+const { generateSceneImages, findSceneReferenceImages, isEditableImage } = require('./imageService');
+const { narrateScene } = require('./audioService');
+const storyRepository = require('./storyRepository');
+const characterBible = require('./characterBibleService');
+const sceneVersions = require('./sceneVersionService');
+const { resolveStyle } = require('./styleService');
+const { screenSceneImage, getStoryPolicy } = require('./safetyService');
+
+/**
+ * Reference images that keep a regenerated scene's characters consistent with the rest of the story
+ * Locked reference sheets come first, other characters use the nearest scene that shows them
+ */
+const collectCharacterReferences = (story, sceneIndex, bible) => {
+  const references = characterBible.getReferenceImages(bible);
+  const otherScenes = story.scenes
+    .map((scene, index) => ({ scene, distance: Math.abs(index - sceneIndex) }))
+    .filter(({ scene, distance }) => distance > 0 && isEditableImage(scene.image))
+    .sort((a, b) => a.distance - b.distance);
+
+  (story.scenes[sceneIndex].characters || []).forEach(character => {
+    if (findSceneReferenceImages([character], references).length > 0) return;
+    const nearest = otherScenes.find(({ scene }) => (scene.characters || [])
+      .some(name => name.toLowerCase() === character.toLowerCase()));
+    if (nearest) references[character] = nearest.scene.image.imageUrl;
+  });
+
+  return references;
+};
+
+/**
+ * Draw one of a story's scenes in the story's style, consistent with its character bible
+ * story.scenes may include scenes that are not saved yet (the timeline draws inserted scenes this way)
+ * options: { bible, visualPrompt } - the bible is loaded when not given, the prompt defaults to the scene's
+ * The image is screened against the story's content policy (a placeholder card when refused)
+ */
+const drawSceneImage = async (story, sceneIndex, { bible, visualPrompt } = {}) => {
+  const scene = story.scenes[sceneIndex];
+  const storyBible = bible || await characterBible.getCharacterBible(story.id) || {};
+  const characters = { ...(story.characters || {}), ...characterBible.toCharacterDescriptions(storyBible) };
+
+  const [drawn] = await generateSceneImages([{ ...scene, visualPrompt: visualPrompt || scene.visualPrompt }], characters, [], [], {
+    style: await resolveStyle(story.metadata?.style),
+    characterReferences: collectCharacterReferences(story, sceneIndex, storyBible)
+  });
+  return screenSceneImage(drawn.image, getStoryPolicy(story), drawn.visualPrompt);
+};
+
+/**
+ * Regenerate parts of one saved scene without re-running the story
+ * options: { image, rewritePrompt, narration, instructions }
+ * - rewritePrompt asks the text model for a new visual prompt (and implies a new image)
+ * - image redraws the scene from its (possibly rewritten) visual prompt in the story's style
+ * - narration re-synthesizes the scene's narration with the story's voice cast
+ * Nothing is saved: the candidate is returned for comparison and saved by acceptSceneCandidate
+ * Returns null when the story or scene does not exist
+ */
+const regenerateScene = async (storyId, sceneIndex, { image = false, rewritePrompt = false, narration = false, instructions = '' } = {}) => {
+  const story = await storyRepository.getStory(storyId);
+  const scene = story?.scenes?.[sceneIndex];
+  if (!scene) return null;
+
+  console.log(`🔁 Regenerating scene ${sceneIndex + 1} of "${story.title}"`);
+
+  const bible = await characterBible.getCharacterBible(story.id);
+  const characters = { ...(story.characters || {}), ...characterBible.toCharacterDescriptions(bible) };
+  const candidate = { visualPrompt: scene.visualPrompt, image: null, audio: null };
+
+  if (rewritePrompt) {
+    candidate.visualPrompt = await rewriteVisualPrompt(scene, {
+      instructions,
+      characters,
+      previousScene: story.scenes[sceneIndex - 1] || null,
+      nextScene: story.scenes[sceneIndex + 1] || null
+    });
+  }
+
+  if (image || rewritePrompt) {
+    candidate.image = await drawSceneImage(story, sceneIndex, { bible, visualPrompt: candidate.visualPrompt });
+  }
+
+  if (narration) {
+    candidate.audio = await narrateScene(scene, story.voiceCast || {}, { language: story.metadata?.language });
+  }
+
+  return { sceneIndex, current: scene, candidate };
+};
+
+/**
+ * Save an accepted regeneration candidate ({ visualPrompt, image, audio }) onto its scene
+ * A new image is recorded as a 'regenerate' version, so it can be undone from the scene history
+ * Returns { scene, history } or null when the story or scene does not exist
+ */
+const acceptSceneCandidate = async (storyId, sceneIndex, { visualPrompt, image, audio }) => storyRepository.withStoryLock(storyId, async () => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story?.scenes?.[sceneIndex]) return null;
+
+  let history = null;
+  if (image?.imageUrl) {
+    const recorded = await sceneVersions.recordSceneEdit(story.id, sceneIndex, {
+      imageUrl: image.imageUrl,
+      prompt: visualPrompt || story.scenes[sceneIndex].visualPrompt,
+      type: 'regenerate'
+    });
+    history = recorded?.history || null;
+  }
+
+  // Re-read: recording a version updated the scene's image
+  const updatedStory = await storyRepository.getStory(story.id);
+  const scenes = [...updatedStory.scenes];
+  scenes[sceneIndex] = {
+    ...scenes[sceneIndex],
+    ...(visualPrompt ? { visualPrompt } : {}),
+    ...(audio ? { audio } : {})
+  };
+  const saved = await storyRepository.updateStory(story.id, { scenes });
+
+  console.log(`✅ Scene ${sceneIndex + 1} regeneration accepted`);
+  return { scene: saved.scenes[sceneIndex], history };
+});
+
+module.exports = {
+  drawSceneImage,
+  regenerateScene,
+  acceptSceneCandidate
+};
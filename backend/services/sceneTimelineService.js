@@ -0,0 +1,210 @@
+const { analyzeSceneText, attributeDialogue } = require('./geminiService');
+const { getContextualTransition } = require('./videoService');
+const { drawSceneImage } = require('./sceneRegenerationService');
+const storyRepository = require('./storyRepository');
+const sceneVersions = require('./sceneVersionService');
+const { generateId } = require('../utils/apiHelpers');
+const { buildChapterOutline } = require('../utils/chapters');
+
+const getSceneText = (scene) => scene.description || scene.text || '';
+
+// Services narrate description, the player reads text/narrationText - keep them in step
+// Narration recorded for the old text and its dialogue segments no longer apply
+const withText = (scene, text) => {
+  const { audio, segments, ...rest } = scene;
+  return { ...rest, description: text, text, narrationText: text };
+};
+
+// Renumber scenes and recompute the transition from each scene into the next
+const resequence = (scenes) => scenes.map((scene, index) => ({
+  ...scene,
+  sceneNumber: index + 1,
+  transition: index < scenes.length - 1 ? getContextualTransition(scene, scenes[index + 1]) : null
+}));
+
+// Split between sentences by default: the sentence end (or failing that the space) closest to the middle
+const findSplitPoint = (text) => {
+  const middle = text.length / 2;
+  const closest = (pattern) => [...text.matchAll(pattern)]
+    .map(match => match.index + match[0].length)
+    .filter(offset => offset < text.length)
+    .sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle))[0];
+
+  return closest(/[.!?]+["'”’)]*\s+/g) ?? closest(/\s+/g) ?? null;
+};
+
+// Storyboard a passage as a new scene in the given chapter and draw it among its neighbours
+const createScene = async (story, scenes, index, text, chapterNumber) => {
+  const analyzed = await analyzeSceneText(text, story.characters || {});
+  const scene = withText({ ...analyzed, sceneId: generateId(), chapterNumber }, analyzed.description);
+
+  const withScene = [...scenes.slice(0, index), scene, ...scenes.slice(index)];
+  const image = await drawSceneImage({ ...story, scenes: withScene }, index);
+  withScene[index] = { ...scene, image };
+  return withScene;
+};
+
+// A scene whose text the operation rewrote, on top of its stored copy: the image stays the stored one,
+// so a version recorded while the operation ran is kept
+const keepStoredImage = (scene, stored) => ({ ...scene, image: stored.image });
+
+/**
+ * Change a story's scene list under the story's lock: applyChange(story) gets the stored story and returns
+ * { scenes, removedSceneIds }, { error } or null (scene not found). Slow work (drawing, dialogue attribution)
+ * happens before, so the change is applied to the scenes as they are now, not as they were when it started
+ * The saved list is renumbered, transitions are recomputed and removed scenes lose their version trees
+ * Returns { scenes, chapters }, { error }, or null when the story or scene does not exist
+ */
+const saveTimeline = async (storyId, applyChange) => storyRepository.withStoryLock(storyId, async () => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const change = applyChange(story);
+  if (!change || change.error) return change;
+
+  const saved = await storyRepository.updateStory(story.id, { scenes: resequence(change.scenes) });
+  if (change.removedSceneIds?.length > 0) {
+    await sceneVersions.deleteSceneVersions(story.id, change.removedSceneIds);
+  }
+
+  return {
+    scenes: saved.scenes,
+    chapters: buildChapterOutline(saved.chapters, saved.scenes)
+  };
+});
+
+// Position of a scene in the stored list, -1 when it was removed
+const findScene = (story, sceneId) => story.scenes.findIndex(scene => scene.sceneId === sceneId);
+
+/**
+ * Put a story's scenes in a new order, sceneIds lists every scene once
+ * Returns null when the story does not exist, { error } when sceneIds is not a reordering of its scenes
+ */
+const reorderScenes = async (storyId, sceneIds) => saveTimeline(storyId, (story) => {
+  const byId = new Map(story.scenes.map(scene => [scene.sceneId, scene]));
+  const isReordering = sceneIds.length === story.scenes.length &&
+    new Set(sceneIds).size === sceneIds.length &&
+    sceneIds.every(sceneId => byId.has(sceneId));
+  if (!isReordering) {
+    return { error: 'sceneIds must list every scene of the story exactly once' };
+  }
+
+  console.log(`🔀 Reordering ${sceneIds.length} scenes of "${story.title}"`);
+  return { scenes: sceneIds.map(sceneId => byId.get(sceneId)) };
+});
+
+/**
+ * Split a scene's text in two at a character offset (default: the sentence end nearest the middle)
+ * The first part keeps the scene and its image, the second becomes a new scene with a new image
+ * Returns null when the story or scene does not exist, { error } when the text cannot be split there
+ */
+const splitScene = async (storyId, sceneIndex, splitAt = null) => {
+  const story = await storyRepository.getStory(storyId);
+  const scene = story?.scenes?.[sceneIndex];
+  if (!scene) return null;
+
+  const text = getSceneText(scene);
+  const offset = splitAt ?? findSplitPoint(text);
+  const parts = offset === null ? [] : [text.slice(0, offset).trim(), text.slice(offset).trim()];
+  if (parts.length < 2 || parts.some(part => !part)) {
+    return { error: 'Both parts of a split scene need text' };
+  }
+
+  console.log(`✂️ Splitting scene ${sceneIndex + 1} of "${story.title}"`);
+  const scenes = [...story.scenes];
+  scenes[sceneIndex] = withText(scene, parts[0]);
+  const withNewScene = await createScene(story, scenes, sceneIndex + 1, parts[1], scene.chapterNumber);
+  const [first, second] = await attributeDialogue(withNewScene.slice(sceneIndex, sceneIndex + 2), story.characters || {});
+
+  return saveTimeline(storyId, (current) => {
+    const index = findScene(current, scene.sceneId);
+    if (index === -1) return null;
+
+    const updated = [...current.scenes];
+    updated.splice(index, 1, keepStoredImage(first, current.scenes[index]), second);
+    return { scenes: updated };
+  });
+};
+
+/**
+ * Merge a scene with the one after it; the merged scene keeps the first scene's image
+ * Returns null when the story or scene does not exist, { error } when there is no following scene
+ */
+const mergeScenes = async (storyId, sceneIndex) => {
+  const story = await storyRepository.getStory(storyId);
+  const [first, second] = story?.scenes?.slice(sceneIndex, sceneIndex + 2) || [];
+  if (!first) return null;
+  if (!second) {
+    return { error: 'The last scene has no following scene to merge with' };
+  }
+
+  console.log(`🔗 Merging scenes ${sceneIndex + 1} and ${sceneIndex + 2} of "${story.title}"`);
+  const [merged] = await attributeDialogue([withText({
+    ...first,
+    characters: [...new Set([...(first.characters || []), ...(second.characters || [])])],
+    duration: (first.duration || 0) + (second.duration || 0)
+  }, `${getSceneText(first)} ${getSceneText(second)}`.trim())], story.characters || {});
+
+  return saveTimeline(storyId, (current) => {
+    const index = findScene(current, first.sceneId);
+    if (index === -1) return null;
+    if (current.scenes[index + 1]?.sceneId !== second.sceneId) {
+      return { error: 'The scenes to merge are no longer next to each other' };
+    }
+
+    const updated = [...current.scenes];
+    updated.splice(index, 2, keepStoredImage(merged, current.scenes[index]));
+    return { scenes: updated, removedSceneIds: [second.sceneId] };
+  });
+};
+
+/**
+ * Insert a new scene written from text at a position (default: the end of the story)
+ * The scene joins the chapter of the scene before it and gets its own image
+ * It is saved after that scene even if scenes moved while it was drawn
+ * Returns null when the story does not exist
+ */
+const insertScene = async (storyId, text, index = null) => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const position = Math.min(index ?? story.scenes.length, story.scenes.length);
+  const neighbour = story.scenes[position - 1] || story.scenes[position];
+  const previousSceneId = story.scenes[position - 1]?.sceneId || null;
+
+  console.log(`➕ Inserting a scene at position ${position + 1} of "${story.title}"`);
+  const scenes = await createScene(story, story.scenes, position, text.trim(), neighbour?.chapterNumber);
+  const [scene] = await attributeDialogue([scenes[position]], story.characters || {});
+
+  return saveTimeline(storyId, (current) => {
+    const previous = previousSceneId ? findScene(current, previousSceneId) : -1;
+    const at = previous === -1 ? Math.min(position, current.scenes.length) : previous + 1;
+    return { scenes: [...current.scenes.slice(0, at), scene, ...current.scenes.slice(at)] };
+  });
+};
+
+/**
+ * Delete a scene and its version history, a story keeps at least one scene
+ * Returns null when the story or scene does not exist, { error } for the last remaining scene
+ */
+const deleteScene = async (storyId, sceneIndex) => saveTimeline(storyId, (story) => {
+  const scene = story.scenes[sceneIndex];
+  if (!scene) return null;
+  if (story.scenes.length === 1) {
+    return { error: 'A story needs at least one scene' };
+  }
+
+  console.log(`🗑️ Deleting scene ${sceneIndex + 1} of "${story.title}"`);
+  return {
+    scenes: story.scenes.filter((_, index) => index !== sceneIndex),
+    removedSceneIds: [scene.sceneId]
+  };
+});
+
+module.exports = {
+  reorderScenes,
+  splitScene,
+  mergeScenes,
+  insertScene,
+  deleteScene
+};
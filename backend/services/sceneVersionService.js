@@ -0,0 +1,209 @@
+const { createFileStore } = require('../utils/fileStore');
+const { generateId } = require('../utils/apiHelpers');
+const storyRepository = require('./storyRepository');
+
+// One record per story: { storyId, scenes: { [sceneId]: { currentVersionId, versions: [] } } }
+const store = createFileStore('scene-versions');
+
+const createVersion = ({ parentId = null, type, prompt = null, imageUrl, createdAt }) => ({
+  id: generateId(),
+  parentId,
+  type, // 'original' | 'edit' | 'chat-edit' | 'restyle' | 'regenerate' | 'inpaint' | 'story-edit'
+  prompt,
+  imageUrl,
+  activeChildId: null, // Child that redo returns to
+  createdAt: createdAt || new Date().toISOString()
+});
+
+/**
+ * Start a scene's tree from its current image
+ * Edits recorded in the story's legacy editHistory (keyed by scene index) are replayed as a chain
+ */
+const seedTree = (story, sceneIndex) => {
+  const imageUrl = story.scenes[sceneIndex].image?.imageUrl;
+  if (!imageUrl) return { currentVersionId: null, versions: [] };
+
+  const legacyEdits = story.editHistory?.[sceneIndex] || [];
+  const replayLegacy = legacyEdits.length > 0 && legacyEdits[legacyEdits.length - 1].editedImage === imageUrl;
+
+  const original = createVersion({
+    type: 'original',
+    imageUrl: replayLegacy ? legacyEdits[0].originalImage : imageUrl,
+    createdAt: story.createdAt
+  });
+  const versions = [original];
+
+  if (replayLegacy) {
+    legacyEdits.forEach(edit => {
+      const parent = versions[versions.length - 1];
+      const version = createVersion({
+        parentId: parent.id,
+        type: 'edit',
+        prompt: edit.editPrompt,
+        imageUrl: edit.editedImage,
+        createdAt: edit.timestamp
+      });
+      parent.activeChildId = version.id;
+      versions.push(version);
+    });
+  }
+
+  return { currentVersionId: versions[versions.length - 1].id, versions };
+};
+
+// Point every ancestor's activeChildId down the path to versionId, so redo retraces it
+const markActivePath = (tree, versionId) => {
+  let version = tree.versions.find(v => v.id === versionId);
+  while (version?.parentId) {
+    const parent = tree.versions.find(v => v.id === version.parentId);
+    if (!parent) break;
+    parent.activeChildId = version.id;
+    version = parent;
+  }
+};
+
+// Public view of a scene's tree
+const toHistory = (sceneIndex, scene, tree) => {
+  const current = tree.versions.find(v => v.id === tree.currentVersionId) || null;
+
+  return {
+    sceneIndex,
+    sceneId: scene.sceneId,
+    currentVersionId: tree.currentVersionId,
+    undoVersionId: current?.parentId || null,
+    redoVersionId: current?.activeChildId || null,
+    versions: tree.versions
+  };
+};
+
+/**
+ * Load a story, one of its scenes and that scene's version tree (seeded on first access)
+ * Returns null when the story or scene does not exist
+ */
+const loadSceneTree = async (storyId, sceneIndex) => {
+  const story = await storyRepository.getStory(storyId);
+  const scene = story?.scenes?.[sceneIndex];
+  if (!scene) return null;
+
+  const record = (await store.read(story.id)) || { storyId: story.id, scenes: {} };
+  let tree = record.scenes[scene.sceneId];
+
+  if (!tree) {
+    tree = seedTree(story, sceneIndex);
+    record.scenes[scene.sceneId] = tree;
+    if (tree.versions.length > 0) await store.write(story.id, record);
+  }
+
+  return { story, scene, record, tree };
+};
+
+// Save the tree and show the current version's image on the story's scene
+const applyCurrentVersion = async ({ story, scene, record, tree }, sceneIndex) => {
+  const version = tree.versions.find(v => v.id === tree.currentVersionId);
+  markActivePath(tree, version.id);
+  await store.write(story.id, record);
+
+  const scenes = [...story.scenes];
+  scenes[sceneIndex] = {
+    ...scene,
+    image: {
+      ...scene.image,
+      imageUrl: version.imageUrl,
+      versionId: version.id,
+      lastModified: Date.now()
+    }
+  };
+  const updatedStory = await storyRepository.updateStory(story.id, { scenes });
+
+  return {
+    scene: updatedStory.scenes[sceneIndex],
+    version,
+    history: toHistory(sceneIndex, scene, tree)
+  };
+};
+
+/**
+ * Version tree of one scene, returns null when the story or scene does not exist
+ * Loading may seed and save the tree, so it holds the story's lock like the updates below
+ */
+const getSceneHistory = async (storyId, sceneIndex) => storyRepository.withStoryLock(storyId, async () => {
+  const loaded = await loadSceneTree(storyId, sceneIndex);
+  if (!loaded) return null;
+  return toHistory(sceneIndex, loaded.scene, loaded.tree);
+});
+
+/**
+ * A single version, returns null when the story, scene or version does not exist
+ */
+const getSceneVersion = async (storyId, sceneIndex, versionId) => storyRepository.withStoryLock(storyId, async () => {
+  const loaded = await loadSceneTree(storyId, sceneIndex);
+  return loaded?.tree.versions.find(v => v.id === versionId) || null;
+});
+
+/**
+ * Record an edit as a new version and make it current
+ * The parent defaults to the current version; pass parentVersionId to branch from another one
+ * Returns { scene, version, history } or null when the story, scene or parent does not exist
+ */
+const recordSceneEdit = async (storyId, sceneIndex, { imageUrl, prompt, type = 'edit', parentVersionId }) => storyRepository.withStoryLock(storyId, async () => {
+  const loaded = await loadSceneTree(storyId, sceneIndex);
+  if (!loaded) return null;
+
+  const { tree } = loaded;
+  const parentId = parentVersionId || tree.currentVersionId;
+  if (parentId && !tree.versions.some(v => v.id === parentId)) return null;
+
+  const version = createVersion({ parentId, type, prompt, imageUrl });
+  tree.versions.push(version);
+  tree.currentVersionId = version.id;
+
+  console.log(`🌿 Scene ${sceneIndex + 1} version ${tree.versions.length} recorded (${type})`);
+  return applyCurrentVersion(loaded, sceneIndex);
+});
+
+/**
+ * Make an existing version current (undo, redo and history revert all use this)
+ * Returns { scene, version, history } or null when the story, scene or version does not exist
+ */
+const revertSceneVersion = async (storyId, sceneIndex, versionId) => storyRepository.withStoryLock(storyId, async () => {
+  const loaded = await loadSceneTree(storyId, sceneIndex);
+  if (!loaded || !loaded.tree.versions.some(v => v.id === versionId)) return null;
+
+  loaded.tree.currentVersionId = versionId;
+
+  console.log(`⏪ Scene ${sceneIndex + 1} reverted to version ${versionId}`);
+  return applyCurrentVersion(loaded, sceneIndex);
+});
+
+/**
+ * Drop the version trees of scenes that were removed from a story (deleted or merged away)
+ */
+const deleteSceneVersions = async (storyId, sceneIds) => {
+  if (!store.isValidId(storyId)) return false;
+  return storyRepository.withStoryLock(storyId, async () => {
+    const record = await store.read(storyId);
+    const removed = sceneIds.filter(sceneId => record?.scenes[sceneId]);
+    if (removed.length === 0) return false;
+
+    removed.forEach(sceneId => delete record.scenes[sceneId]);
+    await store.write(storyId, record);
+    return true;
+  });
+};
+
+/**
+ * Remove every scene version of a story
+ */
+const deleteStoryVersions = async (storyId) => {
+  if (!store.isValidId(storyId)) return false;
+  return storyRepository.withStoryLock(storyId, () => store.remove(storyId));
+};
+
+module.exports = {
+  getSceneHistory,
+  getSceneVersion,
+  recordSceneEdit,
+  revertSceneVersion,
+  deleteSceneVersions,
+  deleteStoryVersions
+};
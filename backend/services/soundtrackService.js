@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { generateId } = require('../utils/apiHelpers');
+const { createWavBuffer, decodeDataUrl, getAudioDuration, resampleSamples } = require('../utils/audioUtils');
+const { decodeAudio } = require('../utils/audioDecoder');
+const { measureLoudness, measurePeak, normalizeLoudness, dbToGain } = require('../utils/loudness');
+const { renderMusicBed } = require('./musicService');
+
+/**
+ * Story soundtrack: narration, ambience and music for every scene mixed into one WAV on
+ * the story timeline, each layer levelled to its own loudness and the mix to a master target
+ * The MP4 and HTML exporters and the player all play this one file
+ */
+
+const CONFIG = {
+  SAMPLE_RATE: 44100,
+  // Integrated loudness (LUFS) each layer is levelled to before mixing
+  LOUDNESS: {
+    narration: -18, // Per voice, so clips from different TTS providers match
+    ambient: -32, // Scenes can ask for their own level (ambient.loudness)
+    music: -28,
+    master: -16 // The finished soundtrack, a common target for spoken content
+  },
+  PEAK_CEILING: 0.89, // -1 dBFS
+  LIMITER_RELEASE: 0.05, // Seconds for the limiter to let go after a peak
+  EDGE_FADE: 0.02, // Narration cut at a scene boundary fades this fast, so it does not click
+  AMBIENT_FADE: 1, // Ambience fades in and out at scene boundaries, overlapping across transitions
+  TEMP_DIR: path.join(__dirname, '../temp'),
+  KEEP_SECONDS: 60 * 60 // Soundtracks rendered for the player are removed after an hour
+};
+
+// Soundtrack ids become file names
+const SOUNDTRACK_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// A layer's audio: the file the exporter downloaded, else a data URL; null when there is none
+const readLayerBuffer = (filePath, url) => {
+  if (filePath && fs.existsSync(filePath)) return fs.readFileSync(filePath);
+  if (typeof url === 'string' && url.startsWith('data:')) return decodeDataUrl(url).buffer;
+  return null;
+};
+
+// Level narration per voice: dialogue scenes are stitched from clips that may come from different providers
+const levelNarration = (samples, segments) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const clips = (segments || []).filter(segment => segment.duration > 0);
+  if (clips.length < 2) {
+    normalizeLoudness(samples, rate, CONFIG.LOUDNESS.narration);
+    return;
+  }
+  clips.forEach(({ start, duration }) => {
+    const clip = samples.subarray(Math.round(start * rate), Math.round((start + duration) * rate));
+    normalizeLoudness(clip, rate, CONFIG.LOUDNESS.narration);
+  });
+};
+
+// Add samples to the mix from a time (seconds) for at most length seconds,
+// looped when loop is set, with equal-power fades at both ends
+const addLayer = (mix, samples, { at, length, loop = false, fadeIn, fadeOut }) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const first = Math.round(at * rate);
+  const count = Math.min(
+    mix.length - first,
+    Math.round(length * rate),
+    loop ? Infinity : samples.length
+  );
+  const fadeInSamples = Math.max(1, fadeIn * rate);
+  const fadeOutSamples = Math.max(1, fadeOut * rate);
+
+  for (let i = 0; i < count; i++) {
+    const gain = Math.sin((Math.PI / 2) * Math.min(1, i / fadeInSamples))
+      * Math.sin((Math.PI / 2) * Math.min(1, (count - i) / fadeOutSamples));
+    mix[first + i] += samples[i % samples.length] * gain;
+  }
+};
+
+// Keep peaks under the ceiling: gain drops at once on a peak and recovers over LIMITER_RELEASE
+const limitPeaks = (samples) => {
+  const release = Math.exp(-1 / (CONFIG.LIMITER_RELEASE * CONFIG.SAMPLE_RATE));
+  let envelope = 0;
+  for (let i = 0; i < samples.length; i++) {
+    envelope = Math.max(Math.abs(samples[i]), envelope * release);
+    if (envelope > CONFIG.PEAK_CEILING) samples[i] *= CONFIG.PEAK_CEILING / envelope;
+  }
+};
+
+/**
+ * Scenes with the length of their narration measured from the audio itself (data URLs),
+ * for building the timeline when the audio has not been downloaded to files
+ */
+const measureSceneNarration = (scenes) => scenes.map(scene => {
+  const buffer = readLayerBuffer(null, scene.audio?.audioUrl);
+  const duration = buffer ? getAudioDuration(buffer) : null;
+  return duration ? { ...scene, audio: { ...scene.audio, duration } } : scene;
+});
+
+/**
+ * Render the story soundtrack
+ * scenes: narration (audio.audioUrl or audioPath), ambience (ambient.ambientUrl or ambientPath)
+ * timeline: { starts, durations, totalDuration } (from the video renderer)
+ * options.music: the story's music settings ({ mode, trackId })
+ * Returns { wav, duration, sampleRate, loudness, peak, includesNarration, layers: { narration, ambient, music } }
+ * or null when no scene has any audio
+ * Narration is left out (includesNarration false) when any scene's narration cannot be decoded,
+ * players then play the scenes' own narration over the rest of the soundtrack
+ */
+const renderSoundtrack = async (scenes, timeline, { music } = {}) => {
+  const rate = CONFIG.SAMPLE_RATE;
+  const mix = new Float32Array(Math.ceil(timeline.totalDuration * rate));
+  const layers = { narration: 0, ambient: 0, music: [] };
+
+  // One at a time: anything but WAV starts an ffmpeg process
+  const narrations = [];
+  for (const scene of scenes) {
+    const buffer = readLayerBuffer(scene.audioPath, scene.audio?.audioUrl);
+    narrations.push(buffer ? { samples: await decodeAudio(buffer, rate) } : null);
+  }
+  const includesNarration = narrations.every(narration => !narration || narration.samples);
+  if (!includesNarration) console.warn('⚠️ Some narration could not be decoded, mixing the soundtrack without narration');
+
+  for (const [index, scene] of scenes.entries()) {
+    const start = timeline.starts[index];
+    const length = timeline.durations[index];
+
+    const narration = includesNarration && narrations[index]?.samples;
+    if (narration?.length > 0) {
+      levelNarration(narration, scene.audio.segments);
+      addLayer(mix, narration, { at: start, length, fadeIn: CONFIG.EDGE_FADE, fadeOut: CONFIG.EDGE_FADE });
+      layers.narration++;
+    }
+
+    const ambientBuffer = readLayerBuffer(scene.ambientPath, scene.ambient?.ambientUrl);
+    const ambient = ambientBuffer && await decodeAudio(ambientBuffer, rate);
+    if (ambient?.length > 0) {
+      normalizeLoudness(ambient, rate, scene.ambient.loudness ?? CONFIG.LOUDNESS.ambient);
+      addLayer(mix, ambient, {
+        at: start,
+        length,
+        loop: scene.ambient.loop !== false,
+        fadeIn: CONFIG.AMBIENT_FADE,
+        fadeOut: CONFIG.AMBIENT_FADE
+      });
+      layers.ambient++;
+    }
+  }
+
+  const bed = await renderMusicBed(scenes, timeline, music, { loudness: CONFIG.LOUDNESS.music });
+  if (bed) {
+    const samples = resampleSamples(bed.samples, bed.sampleRate, rate);
+    for (let i = 0; i < Math.min(mix.length, samples.length); i++) mix[i] += samples[i];
+    layers.music = bed.tracks;
+  }
+
+  if (layers.narration === 0 && layers.ambient === 0 && layers.music.length === 0) return null;
+
+  // Level the whole mix, then catch the peaks the gain pushed over the ceiling; without narration
+  // the layers keep their own levels, they play under narration that is not in the file
+  const mixLoudness = measureLoudness(mix, rate);
+  if (layers.narration > 0 && Number.isFinite(mixLoudness)) {
+    const gain = dbToGain(CONFIG.LOUDNESS.master - mixLoudness);
+    for (let i = 0; i < mix.length; i++) mix[i] *= gain;
+  }
+  limitPeaks(mix);
+
+  const loudness = measureLoudness(mix, rate);
+  const peak = measurePeak(mix);
+  console.log(`🎚️ Soundtrack mixed: ${layers.narration} narration, ${layers.ambient} ambient, ${layers.music.length} music layer(s) at ${loudness.toFixed(1)} LUFS`);
+
+  return {
+    wav: createWavBuffer(mix, rate),
+    duration: timeline.totalDuration,
+    sampleRate: rate,
+    loudness: Number(loudness.toFixed(1)),
+    peak: Number((20 * Math.log10(peak)).toFixed(1)),
+    includesNarration,
+    layers
+  };
+};
+
+/**
+ * Keep a rendered soundtrack for the player for a while, returns its id
+ */
+const saveSoundtrack = (wav) => {
+  const id = generateId();
+  const filePath = path.join(CONFIG.TEMP_DIR, `soundtrack_${id}.wav`);
+  fs.mkdirSync(CONFIG.TEMP_DIR, { recursive: true });
+  fs.writeFileSync(filePath, wav);
+  setTimeout(() => fs.rmSync(filePath, { force: true }), CONFIG.KEEP_SECONDS * 1000).unref();
+  return id;
+};
+
+/**
+ * Path of a saved soundtrack, null when the id is invalid or it has expired
+ */
+const getSoundtrackPath = (id) => {
+  if (!SOUNDTRACK_ID_PATTERN.test(id || '')) return null;
+  const filePath = path.join(CONFIG.TEMP_DIR, `soundtrack_${id}.wav`);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+module.exports = {
+  SOUNDTRACK_LOUDNESS: CONFIG.LOUDNESS,
+  measureSceneNarration,
+  renderSoundtrack,
+  saveSoundtrack,
+  getSoundtrackPath
+};
@@ -0,0 +1,792 @@
+const { analyzeStoryChapters, extractCharacterProfiles, attributeDialogue, planStoryEdit, detectStoryLanguage, translateStory } = require('./geminiService');
+const { generateSceneImages, editImageWithAI, isEditableImage } = require('./imageService');
+const { generateSceneNarration, transcribeAudio } = require('./audioService');
+const { createStoryVideo } = require('./videoService');
+const { castVoices } = require('./voiceCastingService');
+const storyRepository = require('./storyRepository');
+const characterBible = require('./characterBibleService');
+const sceneVersions = require('./sceneVersionService');
+const { resolveStyle } = require('./styleService');
+const { assessStory, assessPrompt, screenImage, screenSceneImage, toBlockedResponse, getStoryPolicy } = require('./safetyService');
+const { validateScenes, validateVideoRequirements } = require('../utils/validation');
+const { resolveStoryOptions, validateChapterFit } = require('../utils/storyOptions');
+const { splitIntoChapters, buildChapterOutline } = require('../utils/chapters');
+const { normalizeCharacterProfile } = require('../utils/characterProfiles');
+const { mapWithConcurrency } = require('../utils/apiHelpers');
+const { getContentPolicy } = require('../utils/contentPolicies');
+const { getLanguage } = require('../utils/languages');
+const { getTranscriptHints } = require('../utils/transcription');
+
+// Scenes edited at the same time by a story-wide edit
+const STORY_EDIT_CONCURRENCY = 3;
+
+// Scene images screened by the vision model at the same time
+const SCREENING_CONCURRENCY = 3;
+
+// Stage catalogue shared by the job API and the frontend progress view
+const STAGES = {
+  transcription: { id: 'transcription', title: 'Transcribing Audio', description: 'Turning your recording into text' },
+  analysis: { id: 'analysis', title: 'Analyzing Story', description: 'Breaking your story into scenes' },
+  characters: { id: 'characters', title: 'Extracting Characters', description: 'Describing characters for consistent artwork' },
+  references: { id: 'references', title: 'Designing Characters', description: 'Drawing a reference sheet for each character' },
+  images: { id: 'images', title: 'Illustrating Scenes', description: 'Generating an image for each scene' },
+  narration: { id: 'narration', title: 'Recording Narration', description: 'Synthesizing the narrator voice' },
+  translation: { id: 'translation', title: 'Translating Story', description: 'Rewriting every scene in the new language' },
+  packaging: { id: 'packaging', title: 'Packaging Story', description: 'Saving and assembling your story' }
+};
+
+// Reporter used when a pipeline runs inside a plain HTTP request
+const silentReporter = {
+  stageStarted: () => {},
+  stageProgress: () => {},
+  stageCompleted: () => {},
+  stageSkipped: () => {}
+};
+
+const createPipelineError = (message, details) => {
+  const error = new Error(message);
+  error.details = details;
+  return error;
+};
+
+// Error for a request the pipeline found invalid once it looked at the story (routes answer it with 400)
+const createInvalidRequestError = (message, details) => {
+  const invalidError = createPipelineError(message, details);
+  invalidError.invalid = true;
+  return invalidError;
+};
+
+// Error for content refused by the story's content policy (routes answer it with 422)
+const createContentBlockedError = (assessment) => {
+  const { error, details, safety } = toBlockedResponse(assessment);
+  const blockedError = createPipelineError(error, details);
+  blockedError.safety = safety;
+  return blockedError;
+};
+
+/**
+ * Stages a pipeline run will go through, in order
+ */
+const getPipelineStages = (mode, input = {}) => {
+  if (mode === 'restyle' || mode === 'story-edit') return [STAGES.references, STAGES.images, STAGES.packaging];
+  if (mode === 'translate') return [STAGES.translation, STAGES.packaging];
+
+  const stages = [];
+  if (input.audioData && !input.storyText) stages.push(STAGES.transcription);
+  // An approved storyboard was already analyzed
+  if (!input.storyboard) stages.push(STAGES.analysis, STAGES.characters);
+  stages.push(STAGES.references, STAGES.images);
+  if (mode === 'complete') stages.push(STAGES.narration);
+  stages.push(STAGES.packaging);
+  return stages;
+};
+
+/**
+ * Derive a readable title from the first sentence of a story
+ */
+const createTitleFromText = (storyText) => {
+  const firstSentence = storyText.trim().split(/[.!?\n]/)[0].trim();
+  if (!firstSentence) return 'Untitled Story';
+  return firstSentence.length > 60 ? `${firstSentence.substring(0, 57)}...` : firstSentence;
+};
+
+/**
+ * Persist a freshly generated story
+ * Storage failures are logged but never fail the generation
+ */
+const saveGeneratedStory = async (storyData) => {
+  try {
+    const story = await storyRepository.createStory(storyData);
+    return story.id;
+  } catch (error) {
+    console.warn('⚠️ Failed to save generated story:', error.message);
+    return null;
+  }
+};
+
+// Save the character bible next to a saved story (a failure here never fails the generation)
+const saveBible = async (storyId, bible) => {
+  if (!storyId) return;
+  try {
+    await characterBible.saveCharacterBible(storyId, bible);
+  } catch (error) {
+    console.warn('⚠️ Failed to save character bible:', error.message);
+  }
+};
+
+// Resolve story text from either direct text or an audio recording
+// Returns { storyText, transcription }: the structure of the recording (see utils/transcription),
+// sent along with text transcribed earlier or taken from the recording, null for a typed story
+const resolveStoryText = async (input, reporter) => {
+  if (input.storyText) return { storyText: input.storyText, transcription: input.transcription || null };
+
+  reporter.stageStarted('transcription', 'Transcribing audio input...');
+  const audioBuffer = Buffer.from(input.audioData, 'base64');
+  const transcription = await transcribeAudio(audioBuffer);
+  reporter.stageCompleted('transcription', { message: 'Audio transcribed', transcript: transcription.transcript });
+  console.log(`📝 Transcribed: "${transcription.transcript.substring(0, 100)}..."`);
+  return { storyText: transcription.storyText, transcription };
+};
+
+// Run analysis and character extraction in parallel, reporting each as it finishes,
+// then attribute dialogue to characters and cast their voices
+// Long stories are analyzed chapter by chapter once the characters are known
+// A recorded story's pauses hint at scene breaks and its voices at who speaks (hints, see utils/transcription)
+const analyzeWithProgress = async (storyText, reporter, voiceCastOverrides = {}, storyOptions = {}, hints = null) => {
+  const chapterTexts = splitIntoChapters(storyText);
+  // Typed stories are checked by the routes, a recording's length is only known once transcribed
+  const fitErrors = validateChapterFit(storyOptions, chapterTexts.length);
+  if (fitErrors.length > 0) throw createPipelineError('Invalid story options', fitErrors);
+
+  reporter.stageStarted('analysis', chapterTexts.length > 1
+    ? `Analyzing ${chapterTexts.length} chapters...`
+    : 'Analyzing story structure...');
+  reporter.stageStarted('characters', 'Extracting characters...');
+
+  // The character bible holds structured profiles; prompts and voices use its flat descriptions
+  const charactersReady = extractCharacterProfiles(storyText).then(profiles => {
+    const bible = characterBible.buildCharacterBible(profiles);
+    reporter.stageCompleted('characters', { message: `Found ${Object.keys(bible).length} characters`, characters: Object.keys(bible) });
+    return bible;
+  });
+
+  // Every chapter is told which characters exist so names stay consistent across chapters
+  const knownCharacters = chapterTexts.length > 1 ? await charactersReady : {};
+
+  const [{ chapters, scenes }, bible] = await Promise.all([
+    analyzeStoryChapters(chapterTexts, storyOptions, {
+      characters: knownCharacters,
+      sceneBreaks: hints?.sceneBreaks || [],
+      onChapter: (chapter, sceneCount, totalChapters) => {
+        if (totalChapters === 1) return;
+        reporter.stageProgress('analysis', {
+          message: `Chapter ${chapter.chapterNumber} of ${totalChapters} split into ${sceneCount} scenes`,
+          completed: chapter.chapterNumber,
+          total: totalChapters
+        });
+      }
+    }).then(result => {
+      reporter.stageCompleted('analysis', {
+        message: `Story split into ${result.scenes.length} scenes`,
+        totalScenes: result.scenes.length,
+        totalChapters: result.chapters.length
+      });
+      return result;
+    }),
+    charactersReady
+  ]);
+
+  const characters = characterBible.toCharacterDescriptions(bible);
+  const scenesWithDialogue = await attributeDialogue(scenes, characters, { voices: hints?.voices || [] });
+  const voiceCast = castVoices(characters, voiceCastOverrides || {});
+
+  console.log(`📖 Story analyzed: ${chapters.length} chapters, ${scenes.length} scenes, ${Object.keys(characters).length} characters`);
+  return { chapters, scenes: scenesWithDialogue, characters, bible, voiceCast };
+};
+
+// Scene fields a storyboard can set, anything else (images, audio) is produced by the pipeline
+const STORYBOARD_SCENE_FIELDS = ['description', 'visualPrompt', 'characters', 'setting', 'mood', 'timeOfDay', 'weather', 'environment', 'soundContext', 'duration', 'chapterNumber'];
+
+// Use an approved storyboard (from runStoryboard, edited by the user) in place of the analysis
+// Scene text may have been edited, so dialogue is attributed again
+const applyStoryboard = async (storyboard, voiceCastOverrides = {}) => {
+  const bible = characterBible.buildCharacterBible(storyboard.characters || {});
+  const characters = characterBible.toCharacterDescriptions(bible);
+  const scenes = storyboard.scenes.map((scene, index) => STORYBOARD_SCENE_FIELDS.reduce((picked, field) => {
+    if (scene[field] !== undefined) picked[field] = scene[field];
+    return picked;
+  }, { sceneNumber: index + 1 }));
+  const chapters = (storyboard.chapters || []).map(({ chapterNumber, title = null, summary = null }) => ({ chapterNumber, title, summary }));
+
+  const scenesWithDialogue = await attributeDialogue(scenes, characters);
+  const voiceCast = castVoices(characters, voiceCastOverrides || {});
+
+  console.log(`📋 Using approved storyboard: ${scenes.length} scenes, ${Object.keys(characters).length} characters`);
+  return { chapters, scenes: scenesWithDialogue, characters, bible, voiceCast };
+};
+
+// Text of an approved storyboard, rated like an edit since it is not analyzed (or softened) again
+const describeStoryboard = (storyboard) => storyboard.scenes
+  .map(scene => [scene.description, scene.visualPrompt].filter(Boolean).join(' '))
+  .join('\n');
+
+// Rate the story against its content policy, then analyze it (softened when it is rated above the
+// policy) unless an approved storyboard was sent with it. Refused stories stop here
+// The story's language is detected alongside unless the options name it
+// The result carries the assessment as safety and the language
+const prepareStory = async (storyText, input, reporter) => {
+  const { contentPolicy, language: requestedLanguage } = resolveStoryOptions(input.storyOptions);
+
+  if (input.storyboard) {
+    const storyboardText = describeStoryboard(input.storyboard);
+    const [safety, language] = await Promise.all([
+      assessPrompt(storyboardText, contentPolicy),
+      requestedLanguage || input.storyboard.language || detectStoryLanguage(storyboardText)
+    ]);
+    if (!safety.allowed) throw createContentBlockedError(safety);
+    return { ...(await applyStoryboard(input.storyboard, input.voiceCast)), safety, language };
+  }
+
+  const [safety, language] = await Promise.all([
+    assessStory(storyText, contentPolicy),
+    requestedLanguage || detectStoryLanguage(storyText)
+  ]);
+  if (!safety.allowed) throw createContentBlockedError(safety);
+  console.log(`🌐 Story language: ${getLanguage(language).name}`);
+  const storyOptions = { ...input.storyOptions, softenContent: safety.action === 'soften', language };
+  const hints = getTranscriptHints(input.transcription);
+  return { ...(await analyzeWithProgress(storyText, reporter, input.voiceCast, storyOptions, hints)), safety, language };
+};
+
+// Rating saved with a story and shown as its badge: a softened story is rated for its audience
+const summarizeSafety = (safety) => {
+  const policy = getContentPolicy(safety.policy);
+  const softened = safety.action === 'soften';
+  return {
+    policy: policy.id,
+    rating: softened ? policy.maxRating : safety.rating,
+    originalRating: safety.rating,
+    categories: safety.categories,
+    softened,
+    reason: safety.reason
+  };
+};
+
+// Draw a reference sheet per character in the story's style, scene images are kept consistent with them
+const designCharactersWithProgress = async (bible, reporter, style) => {
+  const total = Object.keys(bible).length;
+  if (total === 0) {
+    reporter.stageSkipped('references');
+    return bible;
+  }
+
+  reporter.stageStarted('references', `Designing ${total} characters...`);
+  const designed = await characterBible.createReferenceSheets(bible, {
+    style,
+    onSheet: (entry, index) => {
+      reporter.stageProgress('references', {
+        message: `${entry.name} designed`,
+        thumbnail: entry.referenceSheet?.imageUrl || null,
+        completed: index + 1,
+        total
+      });
+    }
+  });
+
+  reporter.stageCompleted('references', { message: 'Character reference sheets ready' });
+  return designed;
+};
+
+// Generate scene images, streaming each finished image as a thumbnail
+// Every image is then screened against the content policy; refused images become placeholder cards
+const illustrateWithProgress = async (scenes, characters, reporter, uploadedImages = [], uploadedImageContexts = [], bible = {}, style = null, contentPolicy = null) => {
+  reporter.stageStarted('images', `Illustrating ${scenes.length} scenes...`);
+
+  const scenesWithImages = await generateSceneImages(scenes, characters, uploadedImages, uploadedImageContexts, {
+    style,
+    characterReferences: characterBible.getReferenceImages(bible),
+    onSceneImage: (scene, index, total) => {
+      reporter.stageProgress('images', {
+        message: `Scene ${index + 1} of ${total} illustrated`,
+        sceneNumber: scene.sceneNumber || index + 1,
+        thumbnail: scene.image?.imageUrl || null,
+        completed: index + 1,
+        total
+      });
+    }
+  });
+
+  reporter.stageProgress('images', { message: 'Checking the illustrations...' });
+  const screenedScenes = await mapWithConcurrency(scenesWithImages, SCREENING_CONCURRENCY, async (scene) => ({
+    ...scene,
+    image: await screenSceneImage(scene.image, contentPolicy, scene.visualPrompt)
+  }));
+  const hidden = screenedScenes.filter(scene => scene.image?.safety?.blocked).length;
+
+  reporter.stageCompleted('images', {
+    message: hidden > 0 ? `All scenes illustrated, ${hidden} hidden by the content policy` : 'All scenes illustrated'
+  });
+  return screenedScenes;
+};
+
+/**
+ * Storyboard pass: scenes, characters, dialogue and voices without any images
+ * The result can be reviewed and edited, then sent back as input.storyboard to illustrate exactly those scenes
+ */
+const runStoryboard = async (input, reporter = silentReporter) => {
+  const { storyText, transcription } = await resolveStoryText(input, reporter);
+  const { chapters, scenes, characters, bible, voiceCast, safety, language } = await prepareStory(storyText, { ...input, transcription, storyboard: null }, reporter);
+
+  return {
+    success: true,
+    scenes,
+    chapters: buildChapterOutline(chapters, scenes),
+    characters,
+    characterProfiles: Object.entries(bible).reduce((profiles, [name, entry]) => {
+      profiles[name] = normalizeCharacterProfile(entry);
+      return profiles;
+    }, {}),
+    voiceCast,
+    safety: summarizeSafety(safety),
+    language,
+    totalScenes: scenes.length
+  };
+};
+
+/**
+ * Scenes pipeline: analysis (or an approved storyboard), characters and images (narration happens in the player)
+ */
+const runSceneGeneration = async (input, reporter = silentReporter) => {
+  const { title, uploadedImages, uploadedImageContexts } = input;
+  const { storyText, transcription } = await resolveStoryText(input, reporter);
+
+  const style = await resolveStyle(input.style);
+
+  const { chapters, scenes, characters, bible, voiceCast, safety, language } = await prepareStory(storyText, { ...input, transcription }, reporter);
+  const designedBible = await designCharactersWithProgress(bible, reporter, style);
+
+  // Enhanced image processing with contexts for smart scene integration
+  const scenesWithImages = await illustrateWithProgress(
+    scenes,
+    characters,
+    reporter,
+    uploadedImages || [],
+    uploadedImageContexts || [],
+    designedBible,
+    style,
+    safety.policy
+  );
+
+  reporter.stageStarted('packaging', 'Saving your story...');
+
+  // Prepare scenes for frontend with enhanced metadata
+  const frontendScenes = scenesWithImages.map(scene => ({
+    ...scene,
+    text: scene.description || scene.text || '', // Text for frontend narration
+    narrationText: scene.description || scene.text || '' // Explicit narration text
+  }));
+
+  // Calculate integration statistics
+  const scenesWithUploads = frontendScenes.filter(scene => scene.usedUploadedImage || scene.image?.type === 'uploaded-edited').length;
+
+  // Persist the story so it can be reopened at /story/:id
+  const storyTitle = title || createTitleFromText(storyText);
+  const storySafety = summarizeSafety(safety);
+  const storyId = await saveGeneratedStory({
+    title: storyTitle,
+    originalText: storyText,
+    scenes: frontendScenes,
+    chapters,
+    characters,
+    voiceCast,
+    ...(input.music ? { music: input.music } : {}),
+    metadata: { storyOptions: resolveStoryOptions(input.storyOptions), style: style.id, safety: storySafety, language }
+  });
+  await saveBible(storyId, designedBible);
+
+  reporter.stageCompleted('packaging', { message: 'Story saved', storyId });
+  console.log('✅ Enhanced scenes with smart image integration generated successfully');
+
+  return {
+    success: true,
+    storyId,
+    title: storyTitle,
+    scenes: frontendScenes,
+    chapters: buildChapterOutline(chapters, frontendScenes),
+    characters,
+    voiceCast,
+    style: style.id,
+    safety: storySafety,
+    language,
+    totalScenes: frontendScenes.length,
+    hasUploadedImages: Boolean(uploadedImages && uploadedImages.length > 0),
+    originalText: storyText,
+    // Enhanced metadata for frontend tracking
+    imageIntegration: {
+      uploadedCount: uploadedImages ? uploadedImages.length : 0,
+      contextsAnalyzed: uploadedImageContexts ? uploadedImageContexts.length : 0,
+      scenesWithUploads: scenesWithUploads,
+      integrationMethod: uploadedImageContexts && uploadedImageContexts.length > 0 ? 'smart-context-matching' : 'basic'
+    }
+  };
+};
+
+/**
+ * Complete pipeline: scenes, images, narration and the packaged presentation
+ */
+const runCompleteGeneration = async (input, reporter = silentReporter) => {
+  const { storyText, transcription } = await resolveStoryText(input, reporter);
+  console.log(`📝 Processing story: "${storyText.substring(0, 100)}..."`);
+  console.log('🚀 Starting optimized story generation...');
+  const style = await resolveStyle(input.style);
+
+  const { chapters, scenes, characters, bible, voiceCast, safety, language } = await prepareStory(storyText, { ...input, transcription }, reporter);
+
+  // Validate generated scenes
+  const sceneValidation = validateScenes(scenes, input.storyOptions);
+  if (!sceneValidation.valid) {
+    console.error('Scene validation failed:', sceneValidation.errors);
+    throw createPipelineError('Generated scenes are invalid', sceneValidation.errors);
+  }
+
+  // Generate images with character consistency
+  const designedBible = await designCharactersWithProgress(bible, reporter, style);
+  const scenesWithImages = await illustrateWithProgress(scenes, characters, reporter, [], [], designedBible, style, safety.policy);
+
+  // Validate video requirements
+  const videoValidation = validateVideoRequirements(scenesWithImages);
+  if (!videoValidation.valid) {
+    console.error('Video validation failed:', videoValidation.errors);
+    throw createPipelineError('Video generation requirements not met', videoValidation.errors);
+  }
+
+  // Generate context-aware audio
+  reporter.stageStarted('narration', `Narrating ${scenesWithImages.length} scenes...`);
+  const scenesWithAudio = await generateSceneNarration(scenesWithImages, { voiceCast, language });
+  reporter.stageCompleted('narration', { message: 'Narration ready' });
+
+  // Create presentation package and save the story
+  reporter.stageStarted('packaging', 'Packaging your story...');
+  const storyTitle = input.title || createTitleFromText(storyText);
+  let lastReportedPercent = -1;
+  const videoData = await createStoryVideo(scenesWithAudio, storyTitle, {
+    burnSubtitles: Boolean(input.burnSubtitles),
+    language,
+    music: input.music,
+    onProgress: (percent) => {
+      // ffmpeg reports several times a second, only forward meaningful steps
+      if (percent - lastReportedPercent < 5 && percent < 100) return;
+      lastReportedPercent = percent;
+      reporter.stageProgress('packaging', { message: `Rendering video ${percent}%`, percent });
+    }
+  });
+  const storySafety = summarizeSafety(safety);
+  const storyId = await saveGeneratedStory({
+    title: storyTitle,
+    originalText: storyText,
+    scenes: scenesWithAudio,
+    chapters,
+    characters,
+    voiceCast,
+    ...(input.music ? { music: input.music } : {}),
+    metadata: { storyOptions: resolveStoryOptions(input.storyOptions), style: style.id, safety: storySafety, language }
+  });
+  await saveBible(storyId, designedBible);
+  reporter.stageCompleted('packaging', { message: 'Story packaged', storyId, videoId: videoData.videoId });
+
+  console.log('✅ Story generation completed successfully');
+
+  return {
+    success: true,
+    storyId,
+    story: {
+      title: storyTitle,
+      originalText: storyText,
+      scenes: scenesWithAudio,
+      chapters: buildChapterOutline(chapters, scenesWithAudio),
+      characters,
+      voiceCast,
+      style: style.id,
+      safety: storySafety,
+      language,
+      video: videoData
+    }
+  };
+};
+
+/**
+ * Restyle pipeline: redraw a saved story's reference sheets and every scene image in a new art style
+ * Each new image is recorded as a 'restyle' version of its scene, so it can be undone per scene
+ * Locked character attributes are kept, only the drawing style changes
+ * Returns the per-scene report (results: [{ sceneIndex, sceneNumber, success, error }], positions in the stored
+ * story, null for scenes deleted meanwhile) and the updated scenes, or null when the story does not exist
+ */
+const runRestyle = async (storyId, styleId, reporter = silentReporter) => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const style = await resolveStyle(styleId);
+  console.log(`🖌️ Restyling "${story.title}" as ${style.name}`);
+
+  const bible = await characterBible.getCharacterBible(story.id);
+  const bibleWithoutSheets = Object.entries(bible).reduce((entries, [name, entry]) => {
+    entries[name] = { ...entry, referenceSheet: null };
+    return entries;
+  }, {});
+  const designedBible = await designCharactersWithProgress(bibleWithoutSheets, reporter, style);
+  // Only the redrawn sheets are saved, character edits made while they were drawn are kept
+  const savedBible = await characterBible.saveReferenceSheets(story.id, designedBible) || designedBible;
+
+  const characters = characterBible.toCharacterDescriptions(designedBible);
+  const scenesWithImages = await illustrateWithProgress(story.scenes, characters, reporter, [], [], designedBible, style, getStoryPolicy(story));
+
+  // Placeholder cards (failed or blocked generations) are not saved, those scenes keep their current version
+  // Saved under the story's lock with scenes found by sceneId, the timeline may have changed while drawing
+  reporter.stageStarted('packaging', 'Saving the restyled scenes...');
+  const results = [];
+  const updated = await storyRepository.withStoryLock(story.id, async () => {
+    const stored = await storyRepository.getStory(story.id);
+    for (const [i, { image }] of scenesWithImages.entries()) {
+      const sceneIndex = stored.scenes.findIndex(scene => scene.sceneId === story.scenes[i].sceneId);
+      let error = null;
+      if (sceneIndex === -1) {
+        error = 'Scene was removed before the restyle could be saved';
+      } else if (!isEditableImage(image)) {
+        error = image?.safety?.blocked
+          ? `Blocked by the content policy: ${image.safety.reason}`
+          : 'The new illustration could not be generated';
+      }
+
+      if (error) {
+        console.warn(`⚠️ Restyle of scene ${i + 1} skipped:`, error);
+        results.push(sceneIndex === -1
+          ? { sceneIndex: null, sceneNumber: null, success: false, error }
+          : { sceneIndex, sceneNumber: sceneIndex + 1, success: false, error });
+        continue;
+      }
+      await sceneVersions.recordSceneEdit(story.id, sceneIndex, {
+        imageUrl: image.imageUrl,
+        prompt: `Restyled as ${style.name}`,
+        type: 'restyle'
+      });
+      results.push({ sceneIndex, sceneNumber: sceneIndex + 1, success: true });
+    }
+
+    const current = await storyRepository.getStory(story.id);
+    return storyRepository.updateStory(story.id, { metadata: { ...current.metadata, style: style.id } });
+  });
+  reporter.stageCompleted('packaging', { message: 'Story restyled', storyId: story.id });
+
+  return {
+    success: true,
+    storyId: story.id,
+    style: style.id,
+    results,
+    successCount: results.filter(result => result.success).length,
+    errorCount: results.filter(result => !result.success).length,
+    scenes: updated.scenes,
+    characters: savedBible
+  };
+};
+
+// Save a character edit to the bible and redraw its reference sheet, so scene edits and later generations match
+// The edit and the new sheet are saved together; when the sheet can't be drawn the edit is saved without it
+// Returns what changed; attributes the user locked are left alone
+const updateBibleForEdit = async (story, bible, name, plan, instruction, reporter) => {
+  reporter.stageStarted('references', `Updating ${name} in the character bible...`);
+  const current = bible[name];
+  const changes = plan.characterChanges || {
+    description: [current.description, instruction].filter(Boolean).join('. ')
+  };
+  const lockedChanges = Object.keys(changes).filter(attribute => current.lockedAttributes.includes(attribute));
+
+  let referenceSheetUpdated = true;
+  try {
+    const entry = await characterBible.updateCharacter(story.id, name, changes, { regenerateSheet: true });
+    reporter.stageProgress('references', { message: `${name} redrawn`, thumbnail: entry?.referenceSheet?.imageUrl || null });
+  } catch (error) {
+    console.warn(`⚠️ Reference sheet for ${name} could not be redrawn:`, error.message);
+    referenceSheetUpdated = false;
+    await characterBible.updateCharacter(story.id, name, changes);
+  }
+
+  reporter.stageCompleted('references', { message: `${name} updated in the character bible` });
+  return { name, changes, lockedChanges, referenceSheetUpdated };
+};
+
+/**
+ * Apply one instruction ("give the fox a red scarf", "make it winter") to every scene it concerns
+ * Character edits are saved to the character bible first; setting and story edits are added to the
+ * edited scenes' visual prompts. Either way later regenerations keep the change
+ * Scenes are edited STORY_EDIT_CONCURRENCY at a time and each new image is an undoable 'story-edit' version
+ * Returns the per-scene report (results: [{ sceneIndex, sceneNumber, success, error }]) and the updated scenes,
+ * or null when the story does not exist
+ */
+const runStoryEdit = async (storyId, instruction, reporter = silentReporter) => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const bible = await characterBible.getCharacterBible(story.id);
+  const plan = await planStoryEdit(instruction, { scenes: story.scenes, characters: bible });
+  const { target, sceneIndexes, sceneInstruction } = plan;
+  console.log(`🪄 Story edit "${instruction}" (${target.type}${target.name ? `: ${target.name}` : ''}) on ${sceneIndexes.length} scenes`);
+
+  const character = target.type === 'character'
+    ? await updateBibleForEdit(story, bible, target.name, plan, instruction, reporter)
+    : null;
+  if (!character) reporter.stageSkipped('references');
+
+  reporter.stageStarted('images', `Editing ${sceneIndexes.length} scenes...`);
+  let completed = 0;
+  const editScene = async (sceneIndex) => {
+    const scene = story.scenes[sceneIndex];
+    if (!isEditableImage(scene.image)) {
+      throw new Error('Scene has no illustration to edit yet');
+    }
+    const referenceImages = await characterBible.getSceneReferenceImages(story.id, sceneIndex);
+    const result = await editImageWithAI(scene.image.imageUrl, sceneInstruction, {
+      sceneNumber: sceneIndex + 1,
+      setting: scene.setting,
+      characters: scene.characters,
+      mood: scene.mood,
+      timeOfDay: scene.timeOfDay
+    }, { referenceImages });
+
+    const screening = await screenImage(result.imageData, getStoryPolicy(story));
+    if (!screening.allowed) throw new Error(`Blocked by the content policy: ${screening.reason}`);
+    return result.imageData;
+  };
+
+  const edits = await mapWithConcurrency(sceneIndexes, STORY_EDIT_CONCURRENCY, async (sceneIndex) => {
+    let edit;
+    try {
+      edit = { sceneIndex, imageUrl: await editScene(sceneIndex) };
+    } catch (error) {
+      console.warn(`⚠️ Story edit of scene ${sceneIndex + 1} failed:`, error.message);
+      edit = { sceneIndex, error: error.message };
+    }
+    completed++;
+    reporter.stageProgress('images', {
+      message: `Scene ${sceneIndex + 1} ${edit.error ? 'could not be edited' : 'edited'}`,
+      completed,
+      total: sceneIndexes.length
+    });
+    return edit;
+  });
+  reporter.stageCompleted('images', { message: `${edits.filter(edit => edit.imageUrl).length} of ${edits.length} scenes edited` });
+
+  // Versions are recorded one at a time under the story's lock, then the prompts are updated in the same
+  // pass, so other edits can't land in between. Scenes are found by sceneId in case they moved meanwhile
+  reporter.stageStarted('packaging', 'Saving the edited scenes...');
+  const updated = await storyRepository.withStoryLock(story.id, async () => {
+    const editedSceneIds = [];
+    for (const edit of edits.filter(edit => edit.imageUrl)) {
+      const sceneId = story.scenes[edit.sceneIndex].sceneId;
+      const stored = await storyRepository.getStory(story.id);
+      const sceneIndex = stored.scenes.findIndex(scene => scene.sceneId === sceneId);
+      const recorded = sceneIndex === -1 ? null : await sceneVersions.recordSceneEdit(story.id, sceneIndex, {
+        imageUrl: edit.imageUrl,
+        prompt: instruction,
+        type: 'story-edit'
+      });
+      if (recorded) {
+        editedSceneIds.push(sceneId);
+      } else {
+        edit.error = 'Scene was removed before the edit could be saved';
+      }
+    }
+
+    const stored = await storyRepository.getStory(story.id);
+    if (character || editedSceneIds.length === 0) return stored;
+    const scenes = stored.scenes.map(scene => (editedSceneIds.includes(scene.sceneId)
+      ? { ...scene, visualPrompt: [scene.visualPrompt, instruction].filter(Boolean).join('. ') }
+      : scene));
+    return storyRepository.updateStory(story.id, { scenes });
+  });
+  reporter.stageCompleted('packaging', { message: 'Story edit saved', storyId: story.id });
+
+  const results = edits.map(({ sceneIndex, error }) => ({
+    sceneIndex,
+    sceneNumber: sceneIndex + 1,
+    success: !error,
+    ...(error ? { error } : {})
+  }));
+
+  return {
+    success: true,
+    storyId: story.id,
+    instruction,
+    target,
+    sceneInstruction,
+    character,
+    results,
+    successCount: results.filter(result => result.success).length,
+    errorCount: results.filter(result => !result.success).length,
+    scenes: updated.scenes
+  };
+};
+
+/**
+ * Translate pipeline: a new edition of a saved story in another language
+ * The edition reuses the story's images, characters and voice cast; only the title and scene text are
+ * translated and dialogue is attributed again, narration is recorded in the new language when played
+ * The two stories link to each other through metadata.translatedFrom and metadata.translations
+ * Returns null when the story does not exist
+ */
+const runTranslation = async (storyId, language, reporter = silentReporter) => {
+  const story = await storyRepository.getStory(storyId);
+  if (!story) return null;
+
+  const sceneTexts = story.scenes.map((scene, index) => ({ sceneNumber: index + 1, text: scene.description || scene.text || '' }));
+  const sourceLanguage = story.metadata?.language || await detectStoryLanguage(story.originalText || sceneTexts.map(scene => scene.text).join(' '));
+  const target = getLanguage(language);
+  if (sourceLanguage === target.code) {
+    throw createInvalidRequestError('Story is already in that language', [`"${story.title}" is written in ${target.name}`]);
+  }
+
+  reporter.stageStarted('translation', `Translating ${sceneTexts.length} scenes into ${target.name}...`);
+  const { title, texts } = await translateStory({ title: story.title, scenes: sceneTexts }, target.code, sourceLanguage, {
+    onBatch: (completed, total) => {
+      reporter.stageProgress('translation', { message: `${completed} of ${total} scenes translated`, completed, total });
+    }
+  });
+  const translatedScenes = story.scenes.map((scene, index) => ({
+    ...scene,
+    sceneId: null, // The edition gets its own scene ids
+    description: texts[index],
+    text: texts[index],
+    narrationText: texts[index],
+    audio: null
+  }));
+  const scenes = await attributeDialogue(translatedScenes, story.characters || {});
+  reporter.stageCompleted('translation', { message: `Translated into ${target.name}` });
+
+  reporter.stageStarted('packaging', 'Saving the translated edition...');
+  const { translations, ...metadata } = story.metadata || {};
+  const edition = await storyRepository.createStory({
+    title,
+    originalText: texts.join('\n\n'),
+    scenes,
+    chapters: story.chapters,
+    characters: story.characters,
+    voiceCast: story.voiceCast,
+    metadata: { ...metadata, language: target.code, translatedFrom: { storyId: story.id, language: sourceLanguage } }
+  });
+  await saveBible(edition.id, await characterBible.getCharacterBible(story.id));
+
+  // Link the edition from the stored story: translations finished meanwhile are kept
+  await storyRepository.withStoryLock(story.id, async () => {
+    const stored = await storyRepository.getStory(story.id);
+    const storedTranslations = stored.metadata?.translations || [];
+    await storyRepository.updateStory(story.id, {
+      metadata: {
+        ...stored.metadata,
+        language: sourceLanguage,
+        translations: [...storedTranslations.filter(item => item.language !== target.code), { language: target.code, storyId: edition.id }]
+      }
+    });
+  });
+  reporter.stageCompleted('packaging', { message: 'Translation saved', storyId: edition.id });
+
+  return {
+    success: true,
+    storyId: edition.id,
+    sourceStoryId: story.id,
+    language: target.code,
+    sourceLanguage,
+    title: edition.title,
+    scenes: edition.scenes
+  };
+};
+
+module.exports = {
+  STAGES,
+  getPipelineStages,
+  runStoryboard,
+  runSceneGeneration,
+  runCompleteGeneration,
+  runRestyle,
+  runStoryEdit,
+  runTranslation,
+  createTitleFromText
+};
@@ -0,0 +1,161 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createFileStore } = require('../utils/fileStore');
+const { generateId } = require('../utils/apiHelpers');
+
+const store = createFileStore('stories');
+
+// Per-story lock: the tail of each story's queue of updates, and the stories the current call chain holds
+const storyLocks = new Map();
+const heldLocks = new AsyncLocalStorage();
+
+// Fields a client is allowed to set on a story
+const EDITABLE_FIELDS = ['title', 'originalText', 'scenes', 'chapters', 'characters', 'voiceCast', 'music', 'editHistory', 'metadata'];
+
+const pickEditable = (data = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (data[key] !== undefined) {
+      fields[key] = data[key];
+    }
+    return fields;
+  }, {});
+};
+
+// Give every scene a stable sceneId (scene versions are keyed by it, not by position)
+// Scenes sent without one keep the id of the stored scene at the same position
+const withSceneIds = (scenes, existingScenes = []) => {
+  if (!Array.isArray(scenes)) return scenes;
+  return scenes.map((scene, index) => ({
+    ...scene,
+    sceneId: scene.sceneId || existingScenes[index]?.sceneId || generateId()
+  }));
+};
+
+// Summary shown in story lists (scenes carry large image data URLs)
+const toSummary = (story) => ({
+  id: story.id,
+  title: story.title,
+  totalScenes: story.scenes?.length || 0,
+  totalChapters: story.chapters?.length || 1,
+  thumbnail: story.scenes?.[0]?.image?.imageUrl || null,
+  rating: story.metadata?.safety?.rating || null,
+  language: story.metadata?.language || null,
+  createdAt: story.createdAt,
+  updatedAt: story.updatedAt
+});
+
+/**
+ * Run task while holding a story's lock, so read-modify-write updates of the story and its
+ * scene versions run one after another instead of overwriting each other
+ * Reentrant: a task that already holds the lock runs straight away. Hold it only around reads
+ * and writes (never around image generation), and don't start parallel updates inside it
+ */
+const withStoryLock = async (id, task) => {
+  const held = heldLocks.getStore();
+  if (held?.has(id)) return task();
+
+  const previous = storyLocks.get(id) || Promise.resolve();
+  let release;
+  const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+  storyLocks.set(id, tail);
+
+  await previous;
+  try {
+    return await heldLocks.run(new Set([...(held || []), id]), task);
+  } finally {
+    release();
+    if (storyLocks.get(id) === tail) storyLocks.delete(id);
+  }
+};
+
+/**
+ * Save a new story (scenes, characters, images and edit history)
+ */
+const createStory = async (data) => {
+  const now = new Date().toISOString();
+  const story = {
+    id: generateId(),
+    title: 'Untitled Story',
+    originalText: '',
+    scenes: [],
+    chapters: [], // [{ chapterNumber, title, summary }], scenes reference them by chapterNumber
+    characters: {},
+    voiceCast: {},
+    editHistory: {},
+    metadata: {},
+    ...pickEditable(data),
+    createdAt: now,
+    updatedAt: now
+  };
+  story.scenes = withSceneIds(story.scenes);
+
+  await store.write(story.id, story);
+  console.log(`💾 Story saved: ${story.id} (${story.scenes.length} scenes)`);
+  return story;
+};
+
+/**
+ * Load a story by ID, returns null when it does not exist
+ */
+const getStory = async (id) => {
+  if (!store.isValidId(id)) return null;
+  const story = await store.read(id);
+
+  // Stories saved before scenes had ids get them once, so they stay stable
+  if (story && Array.isArray(story.scenes) && story.scenes.some(scene => !scene.sceneId)) {
+    return withStoryLock(id, async () => {
+      const current = await store.read(id);
+      if (!current || !Array.isArray(current.scenes)) return current;
+      current.scenes = withSceneIds(current.scenes);
+      await store.write(id, current);
+      return current;
+    });
+  }
+  return story;
+};
+
+/**
+ * Update an existing story, returns null when it does not exist
+ */
+const updateStory = async (id, changes) => withStoryLock(id, async () => {
+  const existing = await getStory(id);
+  if (!existing) return null;
+
+  const story = {
+    ...existing,
+    ...pickEditable(changes),
+    id: existing.id,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  story.scenes = withSceneIds(story.scenes, existing.scenes);
+
+  await store.write(id, story);
+  return story;
+});
+
+/**
+ * Delete a story, returns false when it does not exist
+ */
+const deleteStory = async (id) => {
+  if (!store.isValidId(id)) return false;
+  return withStoryLock(id, () => store.remove(id));
+};
+
+/**
+ * List stored stories, newest first
+ */
+const listStories = async () => {
+  const stories = await store.list();
+  return stories
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+    .map(toSummary);
+};
+
+module.exports = {
+  createStory,
+  getStory,
+  updateStory,
+  deleteStory,
+  listStories,
+  withStoryLock
+};
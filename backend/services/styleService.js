@@ -0,0 +1,88 @@
+const { createFileStore } = require('../utils/fileStore');
+const { generateId } = require('../utils/apiHelpers');
+const { getStyleTemplates, getConfig, generateImage } = require('./imageService');
+
+// Custom styles: { id, name, prompt, thumbnail, builtIn: false, createdAt }
+const store = createFileStore('styles');
+
+// Scene drawn for custom style thumbnails, so samples are comparable
+const SAMPLE_SCENE = 'a child and a small dog walking along a forest path towards a cottage at sunset';
+
+const toTitle = (key) => key.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Built-in styles come from the image service templates (their ids are the template keys)
+const getBuiltInStyles = () => Object.entries(getStyleTemplates()).map(([id, prompt]) => ({
+  id,
+  name: toTitle(id),
+  prompt,
+  thumbnail: null,
+  builtIn: true
+}));
+
+/**
+ * Every style: built-ins first, then custom styles oldest first
+ */
+const listStyles = async () => {
+  const custom = await store.list();
+  custom.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return [...getBuiltInStyles(), ...custom];
+};
+
+/**
+ * A built-in or custom style by id, returns null when it does not exist
+ */
+const getStyle = async (id) => {
+  if (!id || typeof id !== 'string') return null;
+  const builtIn = getBuiltInStyles().find(style => style.id === id);
+  if (builtIn) return builtIn;
+  return store.isValidId(id) ? store.read(id) : null;
+};
+
+/**
+ * Resolve an optional style id for generation, unknown or missing ids fall back to the default style
+ */
+const resolveStyle = async (id) => (await getStyle(id)) || getStyle(getConfig().DEFAULT_STYLE);
+
+/**
+ * Create a custom style from a prompt fragment
+ * Without a thumbnail a sample image is drawn in the new style
+ */
+const createStyle = async ({ name, prompt, thumbnail = null }) => {
+  const style = {
+    id: generateId(),
+    name: name.trim(),
+    prompt: prompt.trim(),
+    thumbnail,
+    builtIn: false,
+    createdAt: new Date().toISOString()
+  };
+
+  if (!style.thumbnail) {
+    try {
+      const sample = await generateImage(SAMPLE_SCENE, style);
+      style.thumbnail = sample.imageUrl;
+    } catch (error) {
+      console.warn(`⚠️ Sample thumbnail for style "${style.name}" failed:`, error.message);
+    }
+  }
+
+  await store.write(style.id, style);
+  console.log(`🖌️ Custom style "${style.name}" created`);
+  return style;
+};
+
+/**
+ * Remove a custom style, built-in styles cannot be removed
+ */
+const deleteStyle = async (id) => {
+  if (!store.isValidId(id)) return false;
+  return store.remove(id);
+};
+
+module.exports = {
+  listStyles,
+  getStyle,
+  resolveStyle,
+  createStyle,
+  deleteStyle
+};
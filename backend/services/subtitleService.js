@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { splitWords } = require('../utils/wordTiming');
+
+// Configuration (caption limits follow common broadcast guidelines)
+const CONFIG = {
+  MAX_CHARS_PER_LINE: 42,
+  MAX_LINES: 2,
+  MIN_CUE_DURATION: 1, // Seconds
+  DEFAULT_LANGUAGE: 'en',
+  // Chinese and Japanese are written without spaces and read denser, so lines are shorter and break anywhere
+  UNSPACED_LANGUAGES: ['ja', 'zh'],
+  MAX_CHARS_PER_LINE_UNSPACED: 16
+};
+
+const getNarrationText = (scene) => (scene.description || scene.text || scene.narration || '').replace(/\s+/g, ' ').trim();
+
+// Line layout for a language: { maxChars, separator } (no separator: break between any two characters)
+const getLineLayout = (language) => (CONFIG.UNSPACED_LANGUAGES.includes(language)
+  ? { maxChars: CONFIG.MAX_CHARS_PER_LINE_UNSPACED, separator: '' }
+  : { maxChars: CONFIG.MAX_CHARS_PER_LINE, separator: ' ' });
+
+// Break text into lines of at most maxChars, keeping words whole
+const wrapWords = (text, { maxChars, separator }) => {
+  const lines = [];
+  let line = '';
+
+  const words = separator ? text.split(separator) : Array.from(text);
+  words.forEach(word => {
+    if (line && (line + separator + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line}${separator}${word}` : word;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Split narration into caption-sized chunks (each chunk is an array of lines)
+ * Sentences start a new caption whenever the previous one has no room left
+ */
+const splitIntoCaptions = (text, layout) => {
+  const sentences = text.match(/[^.!?。！？]+[.!?。！？]+["')\]」”»]*|[^.!?。！？]+$/g) || [];
+  const captions = [];
+  let current = [];
+
+  sentences.map(sentence => sentence.trim()).filter(Boolean).forEach(sentence => {
+    const lines = wrapWords(sentence, layout);
+
+    // Short sentences share a caption with the previous one when they fit
+    if (current.length && current.length + lines.length <= CONFIG.MAX_LINES) {
+      const joined = wrapWords(`${current.join(layout.separator)}${layout.separator}${sentence}`, layout);
+      if (joined.length <= CONFIG.MAX_LINES) {
+        current = joined;
+        return;
+      }
+    }
+
+    if (current.length) captions.push(current);
+    current = [];
+
+    for (let i = 0; i < lines.length; i += CONFIG.MAX_LINES) {
+      const chunk = lines.slice(i, i + CONFIG.MAX_LINES);
+      if (chunk.length === CONFIG.MAX_LINES || i + CONFIG.MAX_LINES < lines.length) {
+        captions.push(chunk);
+      } else {
+        current = chunk;
+      }
+    }
+  });
+
+  if (current.length) captions.push(current);
+  return captions;
+};
+
+// Caption times split by character count: short captions get a readable minimum,
+// then everything is scaled back to fit the narration
+const getProportionalCueTimes = (captions, narrationDuration) => {
+  const totalChars = captions.reduce((sum, lines) => sum + lines.join(' ').length, 0);
+  const weights = captions.map(lines => Math.max(CONFIG.MIN_CUE_DURATION, narrationDuration * lines.join(' ').length / totalChars));
+  const scale = narrationDuration / weights.reduce((sum, weight) => sum + weight, 0);
+
+  let offset = 0;
+  return captions.map((lines, captionIndex) => {
+    const end = captionIndex === captions.length - 1 ? narrationDuration : offset + weights[captionIndex] * scale;
+    const time = { start: offset, end };
+    offset = end;
+    return time;
+  });
+};
+
+// Caption times from the narration's word timings: each caption shows from its first word
+// until the next caption starts. Null when the words do not line up with the captions
+const getWordCueTimes = (captions, words, layout, narrationDuration) => {
+  if (!words?.length) return null;
+
+  const counts = captions.map(lines => splitWords(lines.join(layout.separator || '')).length);
+  if (counts.includes(0) || counts.reduce((sum, count) => sum + count, 0) !== words.length) return null;
+
+  let firstWord = 0;
+  const starts = counts.map(count => {
+    const start = Math.min(words[firstWord].start, narrationDuration);
+    firstWord += count;
+    return start;
+  });
+  return starts.map((start, captionIndex) => ({
+    start: captionIndex === 0 ? 0 : start,
+    end: captionIndex === starts.length - 1 ? narrationDuration : starts[captionIndex + 1]
+  }));
+};
+
+/**
+ * Build timed caption cues for a list of scenes
+ * timeline: { starts, durations } in seconds (from the video renderer)
+ * Each scene's captions span its narration audio: timed by its word timings (audio.words)
+ * when they match the text, otherwise split by character count
+ */
+const buildSubtitleCues = (scenes, timeline, { language = CONFIG.DEFAULT_LANGUAGE } = {}) => {
+  const cues = [];
+  const layout = getLineLayout(language);
+
+  scenes.forEach((scene, sceneIndex) => {
+    const text = getNarrationText(scene);
+    if (!text) return;
+
+    const sceneStart = timeline.starts[sceneIndex];
+    const sceneDuration = timeline.durations[sceneIndex];
+    const narrationDuration = scene.audio?.duration > 0 ? Math.min(scene.audio.duration, sceneDuration) : sceneDuration;
+    const captions = splitIntoCaptions(text, layout);
+    const times = getWordCueTimes(captions, scene.audio?.words, layout, narrationDuration)
+      || getProportionalCueTimes(captions, narrationDuration);
+
+    captions.forEach((lines, captionIndex) => {
+      cues.push({
+        index: cues.length + 1,
+        sceneIndex,
+        start: sceneStart + times[captionIndex].start,
+        end: sceneStart + times[captionIndex].end,
+        lines
+      });
+    });
+  });
+
+  return cues;
+};
+
+// 00:00:01.500 (WebVTT) or 00:00:01,500 (SRT)
+const formatTimestamp = (seconds, separator = '.') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+// WebVTT cue text is markup: escape it and never emit the "-->" marker
+const sanitizeLine = (line) => line.replace(/-->/g, '->').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+const toWebVTT = (cues) => {
+  const body = cues.map(cue => [
+    cue.index,
+    `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`,
+    ...cue.lines.map(sanitizeLine)
+  ].join('\n'));
+
+  return ['WEBVTT', '', ...body.map(block => `${block}\n`)].join('\n');
+};
+
+const toSRT = (cues) => cues.map(cue => [
+  cue.index,
+  `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+  ...cue.lines.map(line => line.replace(/-->/g, '->')),
+  ''
+].join('\n')).join('\n');
+
+/**
+ * Write story-wide SRT/WebVTT files plus one scene-relative WebVTT per scene
+ * (the HTML presentation plays each scene's narration as its own media element)
+ */
+const writeSubtitleFiles = (scenes, timeline, outputDir, { language = CONFIG.DEFAULT_LANGUAGE } = {}) => {
+  const cues = buildSubtitleCues(scenes, timeline, { language });
+  const captionsDir = path.join(outputDir, 'captions');
+  fs.mkdirSync(captionsDir, { recursive: true });
+
+  const vttPath = path.join(outputDir, 'subtitles.vtt');
+  const srtPath = path.join(outputDir, 'subtitles.srt');
+  fs.writeFileSync(vttPath, toWebVTT(cues));
+  fs.writeFileSync(srtPath, toSRT(cues));
+
+  const sceneTracks = scenes.map((scene, sceneIndex) => {
+    const sceneCues = cues
+      .filter(cue => cue.sceneIndex === sceneIndex)
+      .map((cue, index) => ({
+        ...cue,
+        index: index + 1,
+        start: cue.start - timeline.starts[sceneIndex],
+        end: cue.end - timeline.starts[sceneIndex]
+      }));
+    if (sceneCues.length === 0) return null;
+
+    const fileName = `scene_${sceneIndex + 1}.vtt`;
+    fs.writeFileSync(path.join(captionsDir, fileName), toWebVTT(sceneCues));
+    return `captions/${fileName}`;
+  });
+
+  console.log(`✅ Subtitles written: ${cues.length} cues`);
+
+  return {
+    cues,
+    vttPath,
+    srtPath,
+    sceneTracks,
+    language
+  };
+};
+
+module.exports = {
+  buildSubtitleCues,
+  toWebVTT,
+  toSRT,
+  writeSubtitleFiles
+};
@@ -1,15 +1,44 @@
-// No longer using FFmpeg due to Windows compatibility issues
+// FFmpeg is optional: presentation packages always build, MP4 export needs an ffmpeg binary
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
-const { createCanvas, loadImage } = require('canvas'); // Using node-canvas instead of FFmpeg
+const ffmpeg = require('fluent-ffmpeg');
 const { generateId } = require('../utils/apiHelpers');
+const { writeSubtitleFiles } = require('./subtitleService');
+const { renderSoundtrack, SOUNDTRACK_LOUDNESS } = require('./soundtrackService');
+const { getAudioDuration } = require('../utils/audioUtils');
 const { PassThrough } = require('stream');
 const archiver = require('archiver'); // For creating ZIP files
 
+// canvas (previews and placeholder rasterizing) is a native module, loaded on first use
+// so the server starts, and MP4-free features work, where it is not built
+const createCanvas = (...args) => require('canvas').createCanvas(...args);
+const loadImage = (...args) => require('canvas').loadImage(...args);
+
+// Configuration
+const CONFIG = {
+    WIDTH: 1920,
+    HEIGHT: 1080,
+    FPS: parseInt(process.env.VIDEO_FPS, 10) || 30,
+    X264_PRESET: process.env.VIDEO_PRESET || 'veryfast',
+    MIN_SCENE_DURATION: 4,
+    NARRATION_PADDING: 0.75, // Seconds of breathing room after each narration
+    KEN_BURNS_SCALE: 2, // Upscale before zoompan so slow moves stay smooth
+    AUDIO_SAMPLE_RATE: 44100,
+    MIN_RENDER_TIMEOUT: 300, // Seconds
+    RENDER_SECONDS_PER_SECOND: 30 // Render time budget per second of output
+};
+
+if (process.env.FFMPEG_PATH) {
+    ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+}
+
 // Videos directory for backward compatibility only
 const videosDir = path.join(__dirname, '../videos');
 
+// Video IDs become path segments, keep them to safe characters
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
 // Ensure videos directory exists
 if (!fs.existsSync(videosDir)) {
     fs.mkdirSync(videosDir, { recursive: true });
@@ -17,9 +46,14 @@ if (!fs.existsSync(videosDir)) {
 }
 
 /**
- * Create story presentation assets (images + HTML viewer) instead of MP4
+ * Create story presentation assets (images + HTML viewer) and, when ffmpeg is
+ * available, an MP4 render of the same scenes
+ * options.onProgress(percent) reports MP4 render progress
+ * options.burnSubtitles draws the captions into the MP4 frames
+ * options.language is the story language the captions are laid out for
+ * options.music ({ mode, trackId }) picks the music in the soundtrack, scene moods by default
  */
-const createStoryVideo = async (scenes, title = 'StoryMill Generated Story') => {
+const createStoryVideo = async (scenes, title = 'StoryMill Generated Story', options = {}) => {
     const videoId = generateId();
     const tempDir = path.join(__dirname, '../temp', videoId);
     const outputZipPath = path.join(tempDir, `storymill_${videoId}.zip`); // Store as ZIP file
@@ -33,12 +67,33 @@ const createStoryVideo = async (scenes, title = 'StoryMill Generated Story') =>
         // Download and prepare all assets
         const preparedScenes = await prepareVideoAssets(scenes, tempDir);
         
+        // Captions and the mixed soundtrack timed to the same timeline the MP4 uses
+        const timeline = getSceneTimeline(preparedScenes);
+        const subtitles = writeSubtitleFiles(preparedScenes, timeline, tempDir, { language: options.language });
+        const soundtrack = await writeSoundtrack(preparedScenes, timeline, tempDir, options.music);
+        
         // Create HTML presentation viewer
-        await generateHTMLPresentation(preparedScenes, tempDir, title);
+        await generateHTMLPresentation(preparedScenes, tempDir, title, subtitles, soundtrack);
         
         // Create GIF preview
         const gifPath = await generateGIFPreview(preparedScenes, tempDir);
         
+        // Render the MP4 export, a failure here still leaves the presentation package
+        let mp4 = null;
+        let mp4Error = null;
+        if (options.mp4 !== false) {
+            try {
+                mp4 = await generateMP4Video(preparedScenes, path.join(tempDir, `storymill_${videoId}.mp4`), {
+                    onProgress: options.onProgress,
+                    subtitlesPath: options.burnSubtitles ? subtitles.srtPath : null,
+                    soundtrack
+                });
+            } catch (error) {
+                mp4Error = error.message;
+                console.warn('⚠️ MP4 export skipped:', error.message);
+            }
+        }
+        
         // Create ZIP archive with all content
         await createZipArchive(tempDir, outputZipPath);
 
@@ -48,12 +103,38 @@ const createStoryVideo = async (scenes, title = 'StoryMill Generated Story') =>
             videoPath: outputZipPath,
             tempDir: tempDir, // Include temp dir for cleanup
             downloadUrl: `/api/video/download/${videoId}`,
-            totalDuration: scenes.reduce((sum, scene) => sum + (scene.duration || 4), 0),
+            mp4Url: mp4 ? `/api/video/download/${videoId}?format=mp4` : null,
+            streamUrl: `/api/video/stream/${videoId}`,
+            formats: mp4 ? ['zip', 'mp4'] : ['zip'],
+            subtitles: {
+                vttUrl: `/api/video/subtitles/${videoId}?format=vtt`,
+                srtUrl: `/api/video/subtitles/${videoId}?format=srt`,
+                language: subtitles.language,
+                cues: subtitles.cues.length,
+                burnedIn: Boolean(mp4?.subtitlesBurnedIn)
+            },
+            soundtrack: soundtrack ? {
+                loudness: soundtrack.loudness,
+                peak: soundtrack.peak,
+                includesNarration: soundtrack.includesNarration,
+                layers: soundtrack.layers
+            } : null,
+            music: soundtrack?.layers.music.length > 0 ? { tracks: soundtrack.layers.music, ducked: true } : null,
+            totalDuration: mp4 ? mp4.duration : scenes.reduce((sum, scene) => sum + (scene.duration || 4), 0),
             scenes: preparedScenes.length,
             metadata: {
                 createdAt: new Date().toISOString(),
                 format: 'html-presentation',
-                resolution: '1920x1080',
+                resolution: `${CONFIG.WIDTH}x${CONFIG.HEIGHT}`,
+                mp4: mp4 ? {
+                    fps: mp4.fps,
+                    duration: mp4.duration,
+                    kenBurns: mp4.kenBurns,
+                    transitions: mp4.transitions,
+                    subtitlesBurnedIn: mp4.subtitlesBurnedIn,
+                    soundtrack: mp4.soundtrack
+                } : null,
+                mp4Error,
                 temporary: true // Mark as temporary
             }
         };
@@ -79,6 +160,32 @@ const createStoryVideo = async (scenes, title = 'StoryMill Generated Story') =>
     }
 };
 
+/**
+ * Mix the story soundtrack into the package (soundtrack.wav)
+ * Returns { path, file, loudness, peak, includesNarration, layers } or null when there is no audio
+ * or mixing fails (the exporters then fall back to the scenes' own narration)
+ */
+const writeSoundtrack = async (scenes, timeline, outputDir, music) => {
+    try {
+        const soundtrack = await renderSoundtrack(scenes, timeline, { music });
+        if (!soundtrack) return null;
+
+        const file = 'soundtrack.wav';
+        fs.writeFileSync(path.join(outputDir, file), soundtrack.wav);
+        return {
+            path: path.join(outputDir, file),
+            file,
+            loudness: soundtrack.loudness,
+            peak: soundtrack.peak,
+            includesNarration: soundtrack.includesNarration,
+            layers: soundtrack.layers
+        };
+    } catch (error) {
+        console.warn('⚠️ Soundtrack mixing skipped:', error.message);
+        return null;
+    }
+};
+
 /**
  * Download and prepare all video assets
  */
@@ -95,13 +202,16 @@ const prepareVideoAssets = async (scenes, tempDir) => {
             path.join(tempDir, `scene_${i + 1}_image.jpg`)
         );
 
-        // Download audio if available
+        // Download audio if available, timing the scene by the real clip length rather than the stored estimate
         let audioPath = null;
+        let audio = scene.audio;
         if (scene.audio?.audioUrl) {
             audioPath = await downloadAsset(
                 scene.audio.audioUrl,
                 path.join(tempDir, `scene_${i + 1}_audio.mp3`)
             );
+            const measuredDuration = audioPath ? getAudioDuration(fs.readFileSync(audioPath)) : null;
+            if (measuredDuration) audio = { ...scene.audio, duration: measuredDuration };
         }
 
         // Download ambient sound if available
@@ -115,6 +225,7 @@ const prepareVideoAssets = async (scenes, tempDir) => {
 
         preparedScenes.push({
             ...scene,
+            audio,
             imagePath,
             audioPath,
             ambientPath,
@@ -239,147 +350,351 @@ const getContextualTransition = (fromScene, toScene) => {
     return { type: 'fade', duration: 0.6, easing: 'inout' };
 };
 
+// xfade transition names produced by getContextualTransition
+const XFADE_TRANSITIONS = ['fade', 'fadeblack', 'fadewhite', 'dissolve', 'circlecrop', 'slideup', 'slidedown', 'slideleft', 'slideright', 'wipeleft', 'wiperight'];
+
+let detectedCapabilities = null;
+let capabilitiesPromise = null;
+
 /**
- * Generate MP4 video with context-aware transitions
+ * Detect whether ffmpeg is installed and which filters it supports
+ * xfade needs ffmpeg 4.3+, older builds fall back to fades through black
  */
-const generateMP4Video = async (scenes, outputPath) => {
-    return new Promise((resolve, reject) => {
-        try {
-            const command = ffmpeg();
-
-            // Create filter complex for context-aware transitions
-            let filterComplex = '';
-            let inputs = [];
-
-            scenes.forEach((scene, sceneIndex) => {
-                if (scene.imagePath && fs.existsSync(scene.imagePath)) {
-                    // Calculate max transition duration for this scene
-                    const nextTransition = sceneIndex < scenes.length - 1 ?
-                        getContextualTransition(scene, scenes[sceneIndex + 1]) :
-                        { duration: 0 };
-
-                    command.input(scene.imagePath)
-                        .inputOptions([
-                            '-loop', '1',
-                            '-t', (scene.duration + nextTransition.duration).toString()
-                        ]);
-                    inputs.push(sceneIndex);
+const detectFFmpegCapabilities = () => {
+    if (!capabilitiesPromise) {
+        capabilitiesPromise = new Promise((resolve) => {
+            ffmpeg.getAvailableFilters((filterError, filters) => {
+                if (filterError) {
+                    console.warn('⚠️ FFmpeg not available, MP4 export disabled:', filterError.message);
+                    detectedCapabilities = { available: false, xfade: false, zoompan: false, subtitles: false };
+                    return resolve(detectedCapabilities);
                 }
+
+                ffmpeg.getAvailableEncoders((encoderError, encoders) => {
+                    const hasEncoders = !encoderError && Boolean(encoders.libx264) && Boolean(encoders.aac);
+                    if (!hasEncoders) {
+                        console.warn('⚠️ FFmpeg is missing libx264/aac encoders, MP4 export disabled');
+                    }
+
+                    detectedCapabilities = {
+                        available: hasEncoders,
+                        xfade: Boolean(filters.xfade),
+                        zoompan: Boolean(filters.zoompan),
+                        subtitles: Boolean(filters.subtitles) // Needs ffmpeg built with libass
+                    };
+                    resolve(detectedCapabilities);
+                });
             });
+        });
+    }
+    return capabilitiesPromise;
+};
 
-            // Initialize currentStream variable
-            let currentStream = 'v0';
+/**
+ * Video export capabilities for health and status endpoints
+ */
+const getVideoCapabilities = () => ({
+    mp4Export: detectedCapabilities ? detectedCapabilities.available : false,
+    detected: Boolean(detectedCapabilities),
+    fps: CONFIG.FPS,
+    resolution: `${CONFIG.WIDTH}x${CONFIG.HEIGHT}`,
+    format: detectedCapabilities?.available ? 'mp4' : 'html-presentation',
+    kenBurns: Boolean(detectedCapabilities?.zoompan),
+    transitions: detectedCapabilities?.xfade ? XFADE_TRANSITIONS : ['fadeblack'],
+    contextAware: Boolean(detectedCapabilities?.xfade),
+    subtitles: ['vtt', 'srt'],
+    burnInSubtitles: Boolean(detectedCapabilities?.subtitles),
+    musicBed: true,
+    soundtrackLoudness: SOUNDTRACK_LOUDNESS.master // LUFS
+});
 
-            console.log(`🎬 Processing ${inputs.length} video inputs for FFmpeg`);
+/**
+ * Scene start times, on-screen durations and the transitions between them
+ * Scenes stay up at least as long as their narration
+ */
+const getSceneTimeline = (scenes) => {
+    const durations = scenes.map(scene => Math.max(
+        scene.duration || CONFIG.MIN_SCENE_DURATION,
+        (scene.audio?.duration || 0) + CONFIG.NARRATION_PADDING
+    ));
+
+    const transitions = scenes.slice(0, -1).map((scene, index) => {
+        const transition = getContextualTransition(scene, scenes[index + 1]);
+        return {
+            ...transition,
+            type: XFADE_TRANSITIONS.includes(transition.type) ? transition.type : 'fade',
+            // A transition can never eat more than half of either scene
+            duration: Math.min(transition.duration, durations[index] / 2, durations[index + 1] / 2)
+        };
+    });
 
-            // Build simple filter complex for concatenation (no transitions for now)
-            if (inputs.length > 1) {
-                console.log('🎭 Creating simple concatenation...');
+    let elapsed = 0;
+    const starts = durations.map(duration => {
+        const start = elapsed;
+        elapsed += duration;
+        return start;
+    });
 
-                // Scale all inputs first
-                for (let i = 0; i < inputs.length; i++) {
-                    const scaleFilter = `[${i}:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black[v${i}];`;
-                    filterComplex += scaleFilter;
-                }
+    return { durations, transitions, starts, totalDuration: elapsed };
+};
+
+/**
+ * Pick a pan/zoom move for a scene (positions are fractions of the pannable area)
+ */
+const getKenBurnsMotion = (scene, index) => {
+    const mood = scene?.mood?.toLowerCase() || '';
+
+    if (mood === 'exciting') {
+        return { zoom: [1.0, 1.3], x: [0.5, 0.5], y: [0.5, 0.5] }; // Fast push in
+    }
+    if (mood === 'scary') {
+        return { zoom: [1.0, 1.2], x: [0.5, 0.5], y: [0.6, 0.4] }; // Slow creep upward
+    }
+
+    const patterns = [
+        { zoom: [1.0, 1.15], x: [0.5, 0.5], y: [0.5, 0.5] }, // Push in
+        { zoom: [1.12, 1.12], x: [0.0, 1.0], y: [0.5, 0.5] }, // Pan left to right
+        { zoom: [1.15, 1.0], x: [0.5, 0.5], y: [0.5, 0.5] }, // Pull out
+        { zoom: [1.12, 1.12], x: [1.0, 0.0], y: [0.5, 0.5] } // Pan right to left
+    ];
+    return patterns[index % patterns.length];
+};
+
+const buildKenBurnsFilter = (motion, frames) => {
+    const progress = `on/${Math.max(frames - 1, 1)}`;
+    const lerp = ([from, to]) => from === to ? `${from}` : `(${from}+(${(to - from).toFixed(3)})*${progress})`;
+
+    return `zoompan=z='${lerp(motion.zoom)}':x='(iw-iw/zoom)*${lerp(motion.x)}':y='(ih-ih/zoom)*${lerp(motion.y)}'` +
+        `:d=1:s=${CONFIG.WIDTH}x${CONFIG.HEIGHT}:fps=${CONFIG.FPS}`;
+};
+
+// Magic numbers of raster formats ffmpeg decodes as stills
+const RASTER_SIGNATURES = [
+    [0x89, 0x50, 0x4e, 0x47], // PNG
+    [0xff, 0xd8, 0xff], // JPEG
+    [0x47, 0x49, 0x46, 0x38], // GIF
+    [0x52, 0x49, 0x46, 0x46] // RIFF (WebP)
+];
+
+/**
+ * Make sure a scene image is something ffmpeg can decode
+ * SVG placeholders are rasterized with canvas, returns null when unusable
+ */
+const ensureRasterImage = async (imagePath) => {
+    if (!imagePath || !fs.existsSync(imagePath)) return null;
+
+    const header = fs.readFileSync(imagePath).subarray(0, 256);
+    if (RASTER_SIGNATURES.some(signature => signature.every((byte, i) => header[i] === byte))) {
+        return imagePath;
+    }
+
+    const head = header.toString('utf8').trimStart();
+    if (!head.startsWith('<svg') && !head.startsWith('<?xml')) {
+        console.warn(`Unrecognized image format for ${path.basename(imagePath)}, using a blank frame`);
+        return null;
+    }
+
+    try {
+        const image = await loadImage(imagePath);
+        const canvas = createCanvas(CONFIG.WIDTH, CONFIG.HEIGHT);
+        canvas.getContext('2d').drawImage(image, 0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+        const rasterPath = imagePath.replace(/\.[^.]+$/, '_raster.png');
+        fs.writeFileSync(rasterPath, canvas.toBuffer('image/png'));
+        return rasterPath;
+    } catch (error) {
+        console.warn(`Could not rasterize placeholder ${path.basename(imagePath)}:`, error.message);
+        return null;
+    }
+};
 
-                // Concatenate all videos without transitions
-                const videoInputs = inputs.map(i => `[v${i}]`).join('');
-                filterComplex += `${videoInputs}concat=n=${inputs.length}:v=1:a=0[concat_out]`;
-                currentStream = 'concat_out';
+// Caption look for burned-in subtitles (ASS style overrides, sizes relative to a 288px tall canvas)
+const BURNED_SUBTITLE_STYLE = 'FontName=Arial,FontSize=16,PrimaryColour=&H00FFFFFF,OutlineColour=&H80000000,BorderStyle=1,Outline=1.5,Shadow=0,MarginV=24';
 
-                console.log(`🎬 Concatenating ${inputs.length} scenes without transitions`);
+// Filter arguments treat ':' and backslashes as syntax, our temp paths never contain quotes
+const escapeFilterPath = (filePath) => filePath.replace(/\\/g, '/').replace(/:/g, '\\:');
 
-                command.complexFilter(filterComplex, currentStream);
+const parseTimemark = (timemark) => {
+    const [hours, minutes, seconds] = String(timemark || '0:0:0').split(':').map(Number);
+    return (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+};
+
+/**
+ * Render scenes to an MP4 with Ken Burns motion, context-aware transitions and narration
+ * subtitlesPath (SRT) is burned into the frames when ffmpeg has libass
+ * soundtrack (from writeSoundtrack) is the mixed story audio, used instead of the scenes' own narration
+ * unless the narration could not be mixed into it
+ */
+const generateMP4Video = async (scenes, outputPath, { onProgress, subtitlesPath = null, soundtrack = null } = {}) => {
+    const capabilities = await detectFFmpegCapabilities();
+    if (!capabilities.available) {
+        throw new Error('FFmpeg is not installed (set FFMPEG_PATH to use a custom binary)');
+    }
+
+    const { durations, transitions, starts, totalDuration } = getSceneTimeline(scenes);
+    const useXfade = capabilities.xfade && scenes.length > 1;
+    const burnSubtitles = Boolean(subtitlesPath) && capabilities.subtitles;
+    if (subtitlesPath && !capabilities.subtitles) {
+        console.warn('⚠️ FFmpeg has no subtitles filter (libass), rendering without burned-in captions');
+    }
+    const videoOut = burnSubtitles ? 'vraw' : 'vout';
+    // Kill stuck renders instead of holding the job open forever
+    const command = ffmpeg({ timeout: Math.max(CONFIG.MIN_RENDER_TIMEOUT, Math.round(totalDuration * CONFIG.RENDER_SECONDS_PER_SECOND)) });
+    const filters = [];
+    let inputIndex = 0;
+
+    // Video: one looped still per scene, with enough extra length to overlap the next transition
+    for (const [index, scene] of scenes.entries()) {
+        const transitionOut = useXfade && index < transitions.length ? transitions[index].duration : 0;
+        const clipDuration = durations[index] + transitionOut;
+        const frames = Math.round(clipDuration * CONFIG.FPS);
+        const imagePath = await ensureRasterImage(scene.imagePath);
+        const steps = [];
+
+        if (imagePath) {
+            command.input(imagePath).inputOptions(['-loop', '1', '-framerate', `${CONFIG.FPS}`, '-t', clipDuration.toFixed(3)]);
+
+            if (capabilities.zoompan) {
+                const scaledWidth = CONFIG.WIDTH * CONFIG.KEN_BURNS_SCALE;
+                const scaledHeight = CONFIG.HEIGHT * CONFIG.KEN_BURNS_SCALE;
+                steps.push(
+                    `scale=${scaledWidth}:${scaledHeight}:force_original_aspect_ratio=increase`,
+                    `crop=${scaledWidth}:${scaledHeight}`,
+                    buildKenBurnsFilter(getKenBurnsMotion(scene, index), frames)
+                );
             } else {
-                // Single scene - just scale and pad
-                currentStream = 'out';
-                command.complexFilter([
-                    '[0:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black[out]'
-                ], 'out');
+                steps.push(
+                    `scale=${CONFIG.WIDTH}:${CONFIG.HEIGHT}:force_original_aspect_ratio=increase`,
+                    `crop=${CONFIG.WIDTH}:${CONFIG.HEIGHT}`
+                );
             }
+            steps.unshift(`[${inputIndex}:v]`);
+            inputIndex++;
+        } else {
+            // Missing or undecodable image, hold a dark frame instead
+            steps.push(`color=c=0x1f2937:s=${CONFIG.WIDTH}x${CONFIG.HEIGHT}:r=${CONFIG.FPS}`);
+        }
 
-            // Add audio mixing if available
-            const hasAudio = scenes.some(scene => scene.audioPath || scene.ambientPath);
+        steps.push(`trim=duration=${clipDuration.toFixed(3)}`, 'setpts=PTS-STARTPTS', `fps=${CONFIG.FPS}`, 'format=yuv420p', 'setsar=1');
 
-            if (hasAudio) {
-                console.log(`🎵 Adding audio tracks to video... (currentStream: ${currentStream})`);
+        // Without xfade, approximate every transition with a fade through black
+        if (!useXfade && scenes.length > 1) {
+            if (index > 0) {
+                steps.push(`fade=t=in:st=0:d=${(transitions[index - 1].duration / 2).toFixed(3)}`);
+            }
+            if (index < transitions.length) {
+                const fadeOut = transitions[index].duration / 2;
+                steps.push(`fade=t=out:st=${(durations[index] - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+            }
+        }
 
-                // Create audio filter complex for mixing narration and ambient
-                let audioFilter = '';
-                let audioInputs = [];
-                let audioInputIndex = inputs.length; // Start after video inputs
+        const [source, ...chain] = steps;
+        filters.push(source.startsWith('[') ? `${source}${chain.join(',')}[v${index}]` : `${[source, ...chain].join(',')}[v${index}]`);
+    }
 
-                scenes.forEach((scene) => {
-                    if (scene.audioPath && fs.existsSync(scene.audioPath)) {
-                        command.input(scene.audioPath);
-                        audioInputs.push(`[${audioInputIndex}:a]`);
-                        audioInputIndex++;
-                    }
-                    if (scene.ambientPath && fs.existsSync(scene.ambientPath)) {
-                        command.input(scene.ambientPath);
-                        audioInputs.push(`[${audioInputIndex}:a]`);
-                        audioInputIndex++;
-                    }
-                });
+    if (scenes.length === 1) {
+        filters.push(`[v0]null[${videoOut}]`);
+    } else if (useXfade) {
+        let previous = 'v0';
+        transitions.forEach((transition, index) => {
+            const label = index === transitions.length - 1 ? videoOut : `x${index + 1}`;
+            const offset = starts[index + 1];
+            filters.push(`[${previous}][v${index + 1}]xfade=transition=${transition.type}:duration=${transition.duration.toFixed(3)}:offset=${offset.toFixed(3)}[${label}]`);
+            previous = label;
+        });
+    } else {
+        filters.push(`${scenes.map((_, index) => `[v${index}]`).join('')}concat=n=${scenes.length}:v=1:a=0[${videoOut}]`);
+    }
 
-                if (audioInputs.length > 0) {
-                    // Mix all audio inputs with proper syntax
-                    audioFilter = `${audioInputs.join('')}amix=inputs=${audioInputs.length}:duration=longest[audio]`;
-
-                    // Combine video and audio filters
-                    const combinedFilters = [filterComplex, audioFilter].filter(f => f && f.length > 0).join(';');
-                    command.complexFilter(combinedFilters, [currentStream, 'audio']);
-                    command.outputOptions(['-map', `[${currentStream}]`, '-map', '[audio]']);
-                } else {
-                    // No audio files found, just use video
-                    command.outputOptions(['-map', `[${currentStream}]`]);
-                }
+    if (burnSubtitles) {
+        filters.push(`[vraw]subtitles=filename='${escapeFilterPath(subtitlesPath)}':force_style='${BURNED_SUBTITLE_STYLE}'[vout]`);
+    }
+
+    // Audio: the mixed soundtrack, otherwise each narration padded or trimmed to its scene and joined end to end
+    const audioFormat = `aformat=sample_fmts=fltp:sample_rates=${CONFIG.AUDIO_SAMPLE_RATE}:channel_layouts=stereo`;
+    const soundtrackFilter = (output) => `[${inputIndex}:a]aresample=${CONFIG.AUDIO_SAMPLE_RATE},${audioFormat},apad,atrim=0:${totalDuration.toFixed(3)}[${output}]`;
+    if (soundtrack?.includesNarration) {
+        command.input(soundtrack.path);
+        filters.push(soundtrackFilter('aout'));
+        inputIndex++;
+    } else {
+        scenes.forEach((scene, index) => {
+            const duration = durations[index].toFixed(3);
+
+            if (scene.audioPath && fs.existsSync(scene.audioPath)) {
+                command.input(scene.audioPath);
+                filters.push(`[${inputIndex}:a]aresample=${CONFIG.AUDIO_SAMPLE_RATE},${audioFormat},apad,atrim=0:${duration},asetpts=PTS-STARTPTS[a${index}]`);
+                inputIndex++;
             } else {
-                // No audio at all, just use video
-                command.outputOptions(['-map', `[${currentStream}]`]);
+                filters.push(`anullsrc=r=${CONFIG.AUDIO_SAMPLE_RATE}:cl=stereo,${audioFormat},atrim=0:${duration},asetpts=PTS-STARTPTS[a${index}]`);
             }
-
-            // Video settings - 60fps with context-aware transitions
-            command
-                .outputOptions([
-                    '-c:v', 'libx264',
-                    '-pix_fmt', 'yuv420p',
-                    '-r', '60', // 60fps for smooth transitions
-                    '-preset', 'medium',
-                    '-crf', '23',
-                    '-movflags', '+faststart', // Optimize for streaming
-                    hasAudio ? '-c:a' : '', hasAudio ? 'aac' : '', // Audio codec if audio present
-                    hasAudio ? '-b:a' : '', hasAudio ? '128k' : '', // Audio bitrate
-                    '-y'
-                ].filter(opt => opt !== ''))
-                .output(outputPath)
-                .on('start', () => {
-                    console.log('🎬 FFmpeg started with context-aware transitions');
-                })
-                .on('progress', (progress) => {
-                    console.log(`🎞️ Video generation progress: ${Math.round(progress.percent || 0)}%`);
-                })
-                .on('end', () => {
-                    console.log('✅ Context-aware animated MP4 video completed');
-                    resolve(outputPath);
-                })
-                .on('error', (error) => {
-                    console.error('❌ FFmpeg error:', error.message);
-                    console.error('FFmpeg command that failed:', command._getArguments ? command._getArguments().join(' ') : 'Unknown');
-                    reject(new Error(`Video generation failed: ${error.message}`));
-                })
-                .run();
-        } catch (error) {
-            console.error('❌ Video generation setup error:', error.message);
-            reject(new Error(`Video generation setup failed: ${error.message}`));
+        });
+        filters.push(`${scenes.map((_, index) => `[a${index}]`).join('')}concat=n=${scenes.length}:v=0:a=1[${soundtrack ? 'narration' : 'aout'}]`);
+
+        // A soundtrack without narration still carries the music and ambience
+        if (soundtrack) {
+            command.input(soundtrack.path);
+            filters.push(soundtrackFilter('bed'));
+            // amix halves both inputs, double the sum so the narration keeps its level
+            filters.push('[narration][bed]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]');
+            inputIndex++;
         }
+    }
+
+    console.log(`🎬 Rendering MP4: ${scenes.length} scenes, ${totalDuration.toFixed(1)}s, ${useXfade ? 'xfade transitions' : 'fade-through-black transitions'}`);
+
+    return new Promise((resolve, reject) => {
+        command
+            .complexFilter(filters, ['vout', 'aout'])
+            .outputOptions([
+                '-c:v', 'libx264',
+                '-preset', CONFIG.X264_PRESET,
+                '-crf', '23',
+                '-pix_fmt', 'yuv420p',
+                '-r', `${CONFIG.FPS}`,
+                '-c:a', 'aac',
+                '-b:a', '128k',
+                '-t', totalDuration.toFixed(3),
+                '-movflags', '+faststart', // Optimize for streaming
+                '-y'
+            ])
+            .output(outputPath)
+            .on('start', () => {
+                console.log('🎬 FFmpeg started with context-aware transitions');
+            })
+            .on('progress', (progress) => {
+                const percent = Math.min(100, Math.round((parseTimemark(progress.timemark) / totalDuration) * 100));
+                if (typeof onProgress === 'function') onProgress(percent);
+            })
+            .on('end', () => {
+                console.log('✅ Context-aware animated MP4 video completed');
+                resolve({
+                    path: outputPath,
+                    duration: totalDuration,
+                    fps: CONFIG.FPS,
+                    resolution: `${CONFIG.WIDTH}x${CONFIG.HEIGHT}`,
+                    kenBurns: capabilities.zoompan,
+                    transitions: useXfade ? transitions.map(transition => transition.type) : transitions.map(() => 'fadeblack'),
+                    subtitlesBurnedIn: burnSubtitles,
+                    soundtrack: Boolean(soundtrack)
+                });
+            })
+            .on('error', (error, stdout, stderr) => {
+                console.error('❌ FFmpeg error:', error.message);
+                if (stderr) console.error(stderr.split('\n').slice(-10).join('\n'));
+                reject(new Error(`Video generation failed: ${error.message}`));
+            })
+            .run();
     });
 };
 
 /**
  * Generate HTML presentation with images, text, and basic transition effects
+ * subtitles (from writeSubtitleFiles) adds a caption track to each narration
+ * soundtrack (from writeSoundtrack) plays in step with the story timeline, in place of the per-slide
+ * narration when the narration is mixed into it
  */
-const generateHTMLPresentation = async (scenes, outputDir, title) => {
+const generateHTMLPresentation = async (scenes, outputDir, title, subtitles = null, soundtrack = null) => {
+    const { durations, starts } = getSceneTimeline(scenes);
     const htmlPath = path.join(outputDir, 'index.html');
     const cssPath = path.join(outputDir, 'styles.css');
     const jsPath = path.join(outputDir, 'script.js');
@@ -399,13 +714,11 @@ const generateHTMLPresentation = async (scenes, outputDir, title) => {
             fs.copyFileSync(scene.audioPath, newAudioPath);
             scene.webAudioPath = `scene_${i + 1}_narration.mp3`;
         }
-        
-        // Ambient sound functionality removed as it's not used
     }
     
     // Generate HTML content
     const htmlContent = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${subtitles?.language || 'en'}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -420,6 +733,7 @@ const generateHTMLPresentation = async (scenes, outputDir, title) => {
                 <button id="prevBtn">Previous</button>
                 <button id="playBtn">Play</button>
                 <button id="nextBtn">Next</button>
+                <button id="ccBtn" aria-pressed="true" title="Toggle captions">CC</button>
                 <div class="progress-container">
                     <div id="progress-bar"></div>
                 </div>
@@ -428,14 +742,22 @@ const generateHTMLPresentation = async (scenes, outputDir, title) => {
         
         <div id="slideshow">
             ${scenes.map((scene, index) => `
-            <div class="slide" data-index="${index}" ${scene.webAudioPath ? `data-audio="${scene.webAudioPath}"` : ''} data-duration="${scene.duration || 4}">
-                <div class="slide-image" style="background-image: url('${scene.webImagePath}')"></div>
+            <div class="slide" data-index="${index}" ${scene.webAudioPath ? `data-audio="${scene.webAudioPath}"` : ''} data-start="${starts[index].toFixed(3)}" data-duration="${durations[index].toFixed(3)}">
+                <div class="slide-image" style="background-image: url('${scene.webImagePath}')">
+                    <div class="caption-overlay" aria-live="polite"></div>
+                </div>
+                ${scene.webAudioPath && !soundtrack?.includesNarration ? `<audio class="slide-audio" src="${scene.webAudioPath}" preload="auto">${subtitles?.sceneTracks[index] ? `
+                    <track kind="captions" src="${subtitles.sceneTracks[index]}" srclang="${subtitles.language}" label="Captions" default>
+                ` : ''}</audio>` : ''}
                 <div class="slide-content">
                     <div class="narration">${scene.description || ''}</div>
                 </div>
             </div>
             `).join('')}
         </div>
+        ${soundtrack ? `<audio id="soundtrack" src="${soundtrack.file}" preload="auto">${subtitles && soundtrack.includesNarration ? `
+            <track kind="captions" src="${path.basename(subtitles.vttPath)}" srclang="${subtitles.language}" label="Captions" default>
+        ` : ''}</audio>` : ''}
         
         <div class="thumbnails">
             ${scenes.map((scene, index) => `
@@ -552,6 +874,7 @@ button:hover {
 
 .slide-image {
     flex: 1;
+    position: relative;
     background-size: cover;
     background-position: center;
     background-repeat: no-repeat;
@@ -564,6 +887,26 @@ button:hover {
     overflow-y: auto;
 }
 
+.caption-overlay {
+    position: absolute;
+    left: 50%;
+    bottom: 20px;
+    transform: translateX(-50%);
+    max-width: 90%;
+    padding: 6px 14px;
+    background: rgba(0, 0, 0, 0.75);
+    border-radius: 4px;
+    font-size: 1.4rem;
+    line-height: 1.4;
+    text-align: center;
+    white-space: pre-line;
+}
+
+.caption-overlay:empty,
+.captions-off .caption-overlay {
+    display: none;
+}
+
 .narration {
     font-size: 1.2rem;
     line-height: 1.6;
@@ -639,6 +982,8 @@ button:hover {
     const prevBtn = document.getElementById('prevBtn');
     const nextBtn = document.getElementById('nextBtn');
     const playBtn = document.getElementById('playBtn');
+    const ccBtn = document.getElementById('ccBtn');
+    const soundtrack = document.getElementById('soundtrack');
     const progressBar = document.getElementById('progress-bar');
     
     // Variables
@@ -651,16 +996,44 @@ button:hover {
     function init() {
         showSlide(0);
         
-        // Preload audio
+        // Narration audio, with captions drawn from its track
         slides.forEach((slide, index) => {
-            const audioSrc = slide.dataset.audio;
+            const audio = slide.querySelector('.slide-audio');
             
-            if (audioSrc) {
-                const audio = new Audio(audioSrc);
-                audio.preload = 'auto';
+            if (audio) {
                 audioElements[index] = audio;
+                
+                const track = audio.textTracks[0];
+                const overlay = slide.querySelector('.caption-overlay');
+                if (track && overlay) {
+                    track.mode = 'hidden'; // Audio elements never render cues themselves
+                    track.addEventListener('cuechange', () => {
+                        const cue = track.activeCues && track.activeCues[0];
+                        overlay.textContent = cue ? cue.text : '';
+                    });
+                }
             }
         });
+        
+        // The story soundtrack, with story-wide captions shown on the current slide
+        if (soundtrack) {
+            const track = soundtrack.textTracks[0];
+            if (track) {
+                track.mode = 'hidden';
+                track.addEventListener('cuechange', () => {
+                    const cue = track.activeCues && track.activeCues[0];
+                    const overlay = slides[currentSlide].querySelector('.caption-overlay');
+                    if (overlay) overlay.textContent = cue ? cue.text : '';
+                });
+            }
+            
+            // Outside the slideshow the soundtrack stops at the end of the slide's part of it
+            soundtrack.addEventListener('timeupdate', () => {
+                const slide = slides[currentSlide];
+                const end = parseFloat(slide.dataset.start) + parseFloat(slide.dataset.duration);
+                if (!isPlaying && soundtrack.currentTime >= end) soundtrack.pause();
+            });
+        }
     }
     
     // Show slide
@@ -684,6 +1057,16 @@ button:hover {
             audioElements[index].play();
         }
         
+        // The soundtrack picks up where this slide sits in the story
+        if (soundtrack) {
+            slides.forEach(slide => {
+                const overlay = slide.querySelector('.caption-overlay');
+                if (overlay) overlay.textContent = '';
+            });
+            soundtrack.currentTime = parseFloat(slides[index].dataset.start) || 0;
+            soundtrack.play().catch(() => {});
+        }
+        
         // Update current slide
         currentSlide = index;
         
@@ -716,7 +1099,7 @@ button:hover {
             playBtn.textContent = 'Play';
             isPlaying = false;
         } else {
-            const duration = parseInt(slides[currentSlide].dataset.duration) * 1000 || 4000;
+            const duration = parseFloat(slides[currentSlide].dataset.duration) * 1000 || 4000;
             playBtn.textContent = 'Pause';
             isPlaying = true;
             
@@ -766,6 +1149,11 @@ button:hover {
     
     playBtn.addEventListener('click', playSlideshow);
     
+    ccBtn.addEventListener('click', () => {
+        const captionsOn = document.body.classList.toggle('captions-off') === false;
+        ccBtn.setAttribute('aria-pressed', String(captionsOn));
+    });
+    
     thumbnails.forEach((thumb, index) => {
         thumb.addEventListener('click', () => {
             if (isPlaying) {
@@ -905,8 +1293,9 @@ const createZipArchive = async (sourceDir, outputZipPath) => {
         // Pipe archive data to the output file
         archive.pipe(output);
         
-        // Add all files from the source directory
-        archive.directory(sourceDir, false);
+        // Add all files from the source directory, skipping the archive being written
+        const archiveName = path.basename(outputZipPath);
+        archive.directory(sourceDir, false, entry => (entry.name === archiveName ? false : entry));
         
         // Finalize the archive
         archive.finalize();
@@ -914,49 +1303,58 @@ const createZipArchive = async (sourceDir, outputZipPath) => {
 };
 
 /**
- * Get video file for download - from temp directory
+ * Get video file info, preferring the requested format ('zip' or 'mp4') when both exist
  */
-const getVideoFile = (videoId) => {
-    // Check for ZIP file (new approach)
-    const zipPath = path.join(__dirname, '../temp', videoId, `storymill_${videoId}.zip`);
-    
-    if (fs.existsSync(zipPath)) {
-        return {
-            path: zipPath,
-            filename: `storymill_${videoId}.zip`,
-            size: fs.statSync(zipPath).size,
-            temporary: true,
-            format: 'zip'
-        };
+const getVideoFile = (videoId, preferredFormat = 'zip') => {
+    if (!VIDEO_ID_PATTERN.test(String(videoId))) {
+        throw new Error('Invalid video ID');
     }
-    
-    // Try temp directory for MP4 (backward compatibility)
-    const tempVideoPath = path.join(__dirname, '../temp', videoId, `storymill_${videoId}.mp4`);
 
-    if (fs.existsSync(tempVideoPath)) {
-        return {
-            path: tempVideoPath,
-            filename: `storymill_${videoId}.mp4`,
-            size: fs.statSync(tempVideoPath).size,
-            temporary: true,
-            format: 'mp4'
-        };
+    const candidates = [
+        // ZIP presentation package
+        { path: path.join(__dirname, '../temp', videoId, `storymill_${videoId}.zip`), format: 'zip', temporary: true },
+        // MP4 render next to the package
+        { path: path.join(__dirname, '../temp', videoId, `storymill_${videoId}.mp4`), format: 'mp4', temporary: true },
+        // Old videos directory (for backward compatibility)
+        { path: path.join(videosDir, `storymill_${videoId}.mp4`), format: 'mp4', temporary: false }
+    ].sort((a, b) => (b.format === preferredFormat) - (a.format === preferredFormat));
+
+    const found = candidates.find(candidate => fs.existsSync(candidate.path));
+
+    if (!found) {
+        throw new Error('Video file not found or expired');
     }
 
-    // Fallback to old videos directory (for backward compatibility)
-    const videoPath = path.join(videosDir, `storymill_${videoId}.mp4`);
+    return {
+        path: found.path,
+        filename: path.basename(found.path),
+        size: fs.statSync(found.path).size,
+        temporary: found.temporary,
+        format: found.format
+    };
+};
+
+/**
+ * Get the story-wide subtitle file ('vtt' or 'srt') for a video
+ */
+const getSubtitleFile = (videoId, format = 'vtt') => {
+    if (!VIDEO_ID_PATTERN.test(String(videoId))) {
+        throw new Error('Invalid video ID');
+    }
+    if (!['vtt', 'srt'].includes(format)) {
+        throw new Error(`Unsupported subtitle format: ${format}`);
+    }
 
-    if (fs.existsSync(videoPath)) {
-        return {
-            path: videoPath,
-            filename: `storymill_${videoId}.mp4`,
-            size: fs.statSync(videoPath).size,
-            temporary: false,
-            format: 'mp4'
-        };
+    const filePath = path.join(__dirname, '../temp', videoId, `subtitles.${format}`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error('Subtitles not found or expired');
     }
 
-    throw new Error('Video file not found or expired');
+    return {
+        path: filePath,
+        filename: `storymill_${videoId}.${format}`,
+        format
+    };
 };
 
 /**
@@ -1003,9 +1401,16 @@ const validateVideoData = (scenes) => {
     return true;
 };
 
+// Probe ffmpeg once at startup so status endpoints can report it
+detectFFmpegCapabilities();
+
 module.exports = {
     createStoryVideo,
+    getContextualTransition,
+    getSceneTimeline,
     getVideoFile,
+    getSubtitleFile,
+    getVideoCapabilities,
     cleanupOldVideos,
     validateVideoData
 };
\ No newline at end of file
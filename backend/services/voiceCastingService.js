@@ -0,0 +1,236 @@
+const { NARRATOR } = require('../utils/dialogue');
+const { getLanguage } = require('../utils/languages');
+
+/**
+ * Voice profiles characters can be cast with
+ * Each profile maps to a Google Cloud Standard voice and an ElevenLabs premade
+ * voice; pitch (semitones) and speakingRate also shape the mock voice
+ */
+const VOICE_PROFILES = {
+  narrator: {
+    label: 'Narrator',
+    description: 'Calm, even storyteller voice',
+    gender: 'NEUTRAL',
+    age: 'adult',
+    googleVoice: 'en-US-Standard-D',
+    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB',
+    pitch: 0,
+    speakingRate: 1.0
+  },
+  'warm-female': {
+    label: 'Warm Woman',
+    description: 'Gentle adult female voice',
+    gender: 'FEMALE',
+    age: 'adult',
+    googleVoice: 'en-US-Standard-C',
+    elevenLabsVoice: '21m00Tcm4TlvDq8ikWAM',
+    pitch: 1,
+    speakingRate: 1.0
+  },
+  'bright-female': {
+    label: 'Bright Woman',
+    description: 'Lively adult female voice',
+    gender: 'FEMALE',
+    age: 'adult',
+    googleVoice: 'en-US-Standard-E',
+    elevenLabsVoice: 'EXAVITQu4vr4xnSDxMaL',
+    pitch: 3,
+    speakingRate: 1.05
+  },
+  'deep-male': {
+    label: 'Deep Man',
+    description: 'Low, commanding adult male voice',
+    gender: 'MALE',
+    age: 'adult',
+    googleVoice: 'en-US-Standard-B',
+    elevenLabsVoice: 'VR6AewLTigWG4xSOukaG',
+    pitch: -5,
+    speakingRate: 0.95
+  },
+  'gentle-male': {
+    label: 'Gentle Man',
+    description: 'Soft adult male voice',
+    gender: 'MALE',
+    age: 'adult',
+    googleVoice: 'en-US-Standard-I',
+    elevenLabsVoice: 'ErXwobaYiN019PkySvjV',
+    pitch: -1,
+    speakingRate: 1.0
+  },
+  'young-girl': {
+    label: 'Young Girl',
+    description: 'Light, youthful female voice',
+    gender: 'FEMALE',
+    age: 'child',
+    googleVoice: 'en-US-Standard-H',
+    elevenLabsVoice: 'MF3mGyEYCl7XYWbV9V6O',
+    pitch: 6,
+    speakingRate: 1.08
+  },
+  'young-boy': {
+    label: 'Young Boy',
+    description: 'Light, youthful male voice',
+    gender: 'MALE',
+    age: 'child',
+    googleVoice: 'en-US-Standard-J',
+    elevenLabsVoice: 'yoZ06aMxZJJ28mfd3POQ',
+    pitch: 5,
+    speakingRate: 1.08
+  },
+  elder: {
+    label: 'Elder',
+    description: 'Slow, weathered older voice',
+    gender: 'MALE',
+    age: 'elder',
+    googleVoice: 'en-US-Standard-A',
+    elevenLabsVoice: 'TxGEqnHWrfWFTfGW9XjX',
+    pitch: -3,
+    speakingRate: 0.88
+  },
+  creature: {
+    label: 'Creature',
+    description: 'Playful, high voice for animals and magical beings',
+    gender: 'FEMALE',
+    age: 'child',
+    googleVoice: 'en-US-Standard-G',
+    elevenLabsVoice: 'AZnzlk1XvdvUeBnXmlld',
+    pitch: 9,
+    speakingRate: 1.12
+  }
+};
+
+// Voice used for quotes whose speaker could not be identified
+const UNKNOWN_SPEAKER_VOICE = 'gentle-male';
+
+// Keyword hints, checked against a character's name and description
+const TRAIT_HINTS = {
+  female: ['girl', 'woman', 'lady', 'queen', 'princess', 'mother', 'grandmother', 'sister', 'daughter', 'aunt', 'witch', 'she', 'her'],
+  male: ['boy', 'man', 'gentleman', 'king', 'prince', 'father', 'grandfather', 'brother', 'son', 'uncle', 'wizard', 'he', 'his'],
+  child: ['girl', 'boy', 'child', 'kid', 'young', 'little', 'baby', 'teen'],
+  elder: ['old', 'elderly', 'grandmother', 'grandfather', 'ancient', 'wise', 'aged'],
+  creature: ['fox', 'cat', 'dog', 'rabbit', 'bear', 'wolf', 'owl', 'bird', 'dragon', 'fairy', 'mouse', 'frog', 'creature', 'animal', 'robot']
+};
+
+const hasHint = (words, hints) => hints.some(hint => words.includes(hint));
+
+/**
+ * Infer rough voice traits for a character from its name and description
+ */
+const inferVoiceTraits = (name, description = '') => {
+  const text = `${name} ${typeof description === 'string' ? description : JSON.stringify(description || '')}`;
+  const words = text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+
+  return {
+    gender: hasHint(words, TRAIT_HINTS.female) ? 'FEMALE' : hasHint(words, TRAIT_HINTS.male) ? 'MALE' : 'NEUTRAL',
+    age: hasHint(words, TRAIT_HINTS.elder) ? 'elder' : hasHint(words, TRAIT_HINTS.child) ? 'child' : 'adult',
+    creature: hasHint(words, TRAIT_HINTS.creature)
+  };
+};
+
+// Profiles that suit a set of traits, best match first
+const candidateProfiles = ({ gender, age, creature }) => {
+  if (creature) return ['creature', 'young-boy', 'young-girl'];
+  if (age === 'elder') return gender === 'FEMALE' ? ['warm-female', 'elder'] : ['elder', 'deep-male'];
+  if (age === 'child') return gender === 'FEMALE' ? ['young-girl', 'creature'] : gender === 'MALE' ? ['young-boy', 'creature'] : ['young-girl', 'young-boy'];
+  if (gender === 'FEMALE') return ['warm-female', 'bright-female'];
+  if (gender === 'MALE') return ['deep-male', 'gentle-male', 'elder'];
+  return ['gentle-male', 'bright-female', 'warm-female', 'deep-male'];
+};
+
+const isVoiceProfile = (profileId) => Object.prototype.hasOwnProperty.call(VOICE_PROFILES, profileId);
+
+/**
+ * Cast a voice for the narrator and every character
+ * overrides ({ name: profileId }) win, remaining characters get distinct voices where possible
+ * Returns { narrator: profileId, [characterName]: profileId }
+ */
+const castVoices = (characters = {}, overrides = {}) => {
+  const cast = { [NARRATOR]: isVoiceProfile(overrides[NARRATOR]) ? overrides[NARRATOR] : 'narrator' };
+  const used = new Set(Object.values(cast));
+
+  Object.keys(characters).forEach(name => {
+    if (isVoiceProfile(overrides[name])) {
+      cast[name] = overrides[name];
+      used.add(overrides[name]);
+    }
+  });
+
+  Object.entries(characters).forEach(([name, description]) => {
+    if (cast[name]) return;
+
+    const candidates = candidateProfiles(inferVoiceTraits(name, description));
+    const profileId = candidates.find(candidate => !used.has(candidate))
+      || Object.keys(VOICE_PROFILES).find(candidate => candidate !== cast[NARRATOR] && !used.has(candidate))
+      || candidates[0];
+
+    cast[name] = profileId;
+    used.add(profileId);
+  });
+
+  return cast;
+};
+
+/**
+ * Voice profile for a speaker ('narrator', a character name, or null for unknown speakers)
+ */
+const getSpeakerProfile = (speaker, voiceCast = {}) => {
+  if (!speaker || speaker === NARRATOR) {
+    return isVoiceProfile(voiceCast[NARRATOR]) ? voiceCast[NARRATOR] : 'narrator';
+  }
+
+  const castName = Object.keys(voiceCast).find(name => name.toLowerCase() === speaker.toLowerCase());
+  return castName && isVoiceProfile(voiceCast[castName]) ? voiceCast[castName] : UNKNOWN_SPEAKER_VOICE;
+};
+
+// Google voice for a profile in another language: profiles of the same gender take that language's voices in turn
+// (neutral profiles use the male voices, like the English narrator)
+const localizedGoogleVoice = (profileId, googleVoices) => {
+  const gender = VOICE_PROFILES[profileId].gender === 'FEMALE' ? 'FEMALE' : 'MALE';
+  const voices = googleVoices[gender];
+  const sameGender = Object.keys(VOICE_PROFILES)
+    .filter(id => (VOICE_PROFILES[id].gender === 'FEMALE' ? 'FEMALE' : 'MALE') === gender);
+  return voices[sameGender.indexOf(profileId) % voices.length];
+};
+
+// Narration speed: a multiplier on each voice's own speaking rate (read-along listeners can slow it down)
+const NARRATION_SPEED = { min: 0.5, max: 2, default: 1 };
+
+/**
+ * TTS voice options for a profile in a story language (understood by every TTS provider)
+ */
+const getVoiceOptions = (profileId, language, speed = NARRATION_SPEED.default) => {
+  const voiceProfile = isVoiceProfile(profileId) ? profileId : 'narrator';
+  const profile = VOICE_PROFILES[voiceProfile];
+  const { code, locale, googleVoices } = getLanguage(language);
+
+  return {
+    voiceProfile,
+    voiceName: googleVoices ? localizedGoogleVoice(voiceProfile, googleVoices) : profile.googleVoice,
+    voiceId: profile.elevenLabsVoice,
+    language: code,
+    languageCode: locale,
+    gender: profile.gender,
+    pitch: profile.pitch,
+    speakingRate: profile.speakingRate * speed
+  };
+};
+
+/**
+ * Voice catalogue for the casting UI
+ */
+const listVoiceProfiles = () => Object.entries(VOICE_PROFILES).map(([id, profile]) => ({
+  id,
+  label: profile.label,
+  description: profile.description,
+  gender: profile.gender,
+  age: profile.age
+}));
+
+module.exports = {
+  NARRATION_SPEED,
+  castVoices,
+  getSpeakerProfile,
+  getVoiceOptions,
+  listVoiceProfiles,
+  isVoiceProfile
+};
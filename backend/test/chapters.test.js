@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitIntoChapters, buildChapterOutline } = require('../utils/chapters');
+
+test('chapters', async (t) => {
+  await t.test('a short story without headings is one untitled chapter', () => {
+    const chapters = splitIntoChapters('Pip the fox found a key.\n\nShe opened the door.');
+
+    assert.deepStrictEqual(chapters, [{ chapterNumber: 1, title: null, text: 'Pip the fox found a key.\n\nShe opened the door.' }]);
+  });
+
+  await t.test('chapter headings start new chapters, prose that looks like one does not', () => {
+    const chapters = splitIntoChapters([
+      'Chapter 1: The Key',
+      'Pip found a key. Part of her wanted to keep it.',
+      'CHAPTER II',
+      'She gave it to Owl.',
+      'Epilogue',
+      'They were friends ever after.'
+    ].join('\n'));
+
+    assert.deepStrictEqual(chapters.map(chapter => chapter.title), ['Chapter 1: The Key', 'CHAPTER II', 'Epilogue']);
+    assert.strictEqual(chapters[0].text, 'Pip found a key. Part of her wanted to keep it.');
+    chapters.forEach((chapter, index) => assert.strictEqual(chapter.chapterNumber, index + 1));
+  });
+
+  await t.test('a short preamble joins the first chapter, a long one is its own', () => {
+    const short = splitIntoChapters('For Ada.\n\nChapter 1\nPip found a key.');
+    assert.strictEqual(short.length, 1);
+    assert.strictEqual(short[0].text, 'For Ada.\n\nPip found a key.');
+
+    const long = splitIntoChapters(`${'Once upon a time. '.repeat(20)}\n\nChapter 1\nPip found a key.`);
+    assert.deepStrictEqual(long.map(chapter => chapter.title), ['Opening', 'Chapter 1']);
+  });
+
+  await t.test('long text is cut into parts on paragraph boundaries', () => {
+    const paragraph = 'Pip walked on through the quiet forest. '.repeat(5).trim();
+    const chapters = splitIntoChapters(Array(6).fill(paragraph).join('\n\n'), 500);
+
+    assert.ok(chapters.length > 1);
+    assert.deepStrictEqual(chapters.map(chapter => chapter.title), chapters.map((chapter, index) => `Part ${index + 1}`));
+    chapters.forEach(chapter => {
+      assert.ok(chapter.text.length <= 500);
+      assert.ok(chapter.text.startsWith('Pip walked'));
+    });
+  });
+
+  await t.test('the outline lists each chapter\'s scene indexes without the chapter text', () => {
+    const outline = buildChapterOutline(
+      [{ chapterNumber: 1, title: 'One', text: 'a' }, { chapterNumber: 2, title: 'Two', text: 'b' }],
+      [{ chapterNumber: 1 }, { chapterNumber: 2 }, { chapterNumber: 2 }]
+    );
+
+    assert.deepStrictEqual(outline, [
+      { chapterNumber: 1, title: 'One', sceneIndexes: [0] },
+      { chapterNumber: 2, title: 'Two', sceneIndexes: [1, 2] }
+    ]);
+    assert.deepStrictEqual(buildChapterOutline([], [{}, {}])[0].sceneIndexes, [0, 1]);
+  });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STORY_TEXT, startServer } = require('./testServer');
+
+test('generation jobs', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+
+  await t.test('async generation streams stage progress and ends with the result', async () => {
+    const started = await server.request('POST', '/story/generate-scenes', {
+      storyText: STORY_TEXT,
+      storyOptions: { sceneCount: 3 },
+      async: true
+    });
+    assert.strictEqual(started.status, 202);
+    assert.ok(started.body.jobId);
+    assert.strictEqual(started.body.eventsUrl, `/api/jobs/${started.body.jobId}/events`);
+
+    const events = await server.events(`/jobs/${started.body.jobId}/events`);
+    const progress = events.filter(event => event.type === 'progress');
+    const last = events[events.length - 1];
+
+    const stageIds = started.body.stages.map(stage => stage.id);
+    progress.forEach(event => assert.ok(stageIds.includes(event.data.stage), `unknown stage ${event.data.stage}`));
+    assert.ok(progress.some(event => event.data.stage === 'analysis' && event.data.status === 'completed'));
+    assert.ok(progress.some(event => event.data.stage === 'images' && event.data.status === 'completed'));
+
+    assert.strictEqual(last.type, 'completed');
+    assert.strictEqual(last.data.result.success, true);
+    assert.strictEqual(last.data.result.scenes.length, 3);
+
+    const status = await server.request('GET', `/jobs/${started.body.jobId}`);
+    assert.strictEqual(status.body.job.status, 'completed');
+  });
+
+  await t.test('a late subscriber gets the events replayed', async () => {
+    const started = await server.request('POST', '/story/generate-scenes', { storyText: STORY_TEXT, async: true });
+    const first = await server.events(`/jobs/${started.body.jobId}/events`);
+    const replayed = await server.events(`/jobs/${started.body.jobId}/events`);
+
+    assert.deepStrictEqual(replayed.map(event => event.type), first.map(event => event.type));
+    assert.strictEqual(replayed[replayed.length - 1].type, 'completed');
+  });
+
+  await t.test('a reconnecting subscriber only gets the events after Last-Event-ID', async () => {
+    const started = await server.request('POST', '/story/generate-scenes', { storyText: STORY_TEXT, async: true });
+    const first = await server.events(`/jobs/${started.body.jobId}/events`);
+    const lastSeen = first[1].id;
+    const resumed = await server.events(`/jobs/${started.body.jobId}/events`, { 'Last-Event-ID': String(lastSeen) });
+
+    assert.deepStrictEqual(resumed.map(event => event.id), first.filter(event => event.id > lastSeen).map(event => event.id));
+    assert.strictEqual(resumed[resumed.length - 1].type, 'completed');
+  });
+
+  await t.test('unknown jobs are 404', async () => {
+    const missing = await server.request('GET', '/jobs/nope/events');
+    assert.strictEqual(missing.status, 404);
+  });
+});
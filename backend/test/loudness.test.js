@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { measureLoudness, measurePeak, normalizeLoudness, dbToGain } = require('../utils/loudness');
+
+const sine = (amplitude, seconds, sampleRate, frequency = 997) => Float32Array.from(
+  { length: Math.round(seconds * sampleRate) },
+  (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+);
+
+test('loudness', async (t) => {
+  await t.test('a full-scale 1kHz sine measures -3.01 LUFS at any sample rate', () => {
+    [48000, 44100, 24000].forEach(sampleRate => {
+      const loudness = measureLoudness(sine(1, 2, sampleRate), sampleRate);
+      assert.ok(Math.abs(loudness + 3.01) < 0.05, `${loudness} LUFS at ${sampleRate}Hz`);
+    });
+  });
+
+  await t.test('silence and audio shorter than one block have no loudness', () => {
+    assert.strictEqual(measureLoudness(new Float32Array(48000), 48000), -Infinity);
+    assert.strictEqual(measureLoudness(sine(1, 0.2, 48000), 48000), -Infinity);
+  });
+
+  await t.test('the gates keep silences from pulling the loudness down', () => {
+    const tone = sine(0.5, 2, 48000);
+    const withSilence = new Float32Array(tone.length * 3);
+    withSilence.set(tone, tone.length);
+
+    // Averaged over the silences too it would be about 4.8 LU quieter, only blocks that straddle the edges count
+    assert.ok(Math.abs(measureLoudness(withSilence, 48000) - measureLoudness(tone, 48000)) < 1);
+  });
+
+  await t.test('normalizing reaches the target and reports the loudness before', () => {
+    const samples = sine(0.1, 2, 48000);
+    const before = measureLoudness(samples, 48000);
+
+    assert.strictEqual(normalizeLoudness(samples, 48000, -16), before);
+    assert.ok(Math.abs(measureLoudness(samples, 48000) + 16) < 0.05);
+  });
+
+  await t.test('normalizing never adds more than maxGainDb', () => {
+    const samples = sine(0.001, 2, 48000);
+    const peakBefore = measurePeak(samples);
+    normalizeLoudness(samples, 48000, -16, { maxGainDb: 12 });
+
+    assert.ok(Math.abs(measurePeak(samples) - peakBefore * dbToGain(12)) < 1e-6);
+  });
+
+  await t.test('peak and gain helpers', () => {
+    assert.strictEqual(measurePeak([0.2, -0.7, 0.5]), 0.7);
+    assert.strictEqual(dbToGain(0), 1);
+    assert.ok(Math.abs(dbToGain(-6) - 0.501) < 0.001);
+  });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STORY_TEXT, startServer, createSavedStory } = require('./testServer');
+
+test('stories', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+
+  await t.test('generate-scenes storyboards and illustrates a story', async () => {
+    const { status, body } = await server.request('POST', '/story/generate-scenes', {
+      storyText: STORY_TEXT,
+      storyOptions: { sceneCount: 3 }
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.scenes.length, 3);
+    body.scenes.forEach((scene, index) => {
+      assert.strictEqual(scene.sceneNumber, index + 1);
+      assert.ok(scene.description);
+      assert.ok(scene.image.imageUrl.startsWith('data:image/'));
+    });
+    assert.ok(body.storyId);
+  });
+
+  await t.test('a saved story loads back with scene ids and chapters', async () => {
+    const generated = await server.request('POST', '/story/generate-scenes', { storyText: STORY_TEXT });
+    const saved = await server.request('POST', '/story', {
+      title: 'The Silver Key',
+      originalText: STORY_TEXT,
+      scenes: generated.body.scenes,
+      characters: generated.body.characters
+    });
+    assert.strictEqual(saved.status, 201);
+
+    const loaded = await server.request('GET', `/story/${saved.body.story.id}`);
+    assert.strictEqual(loaded.status, 200);
+    assert.strictEqual(loaded.body.story.title, 'The Silver Key');
+    assert.deepStrictEqual(
+      loaded.body.story.scenes.map(scene => scene.image.imageUrl),
+      generated.body.scenes.map(scene => scene.image.imageUrl)
+    );
+    loaded.body.story.scenes.forEach(scene => assert.ok(scene.sceneId));
+    assert.ok(Array.isArray(loaded.body.story.chapters));
+
+    const listed = await server.request('GET', '/story');
+    assert.ok(listed.body.stories.some(story => story.id === saved.body.story.id));
+  });
+
+  await t.test('invalid input is rejected with details', async () => {
+    const tooFew = await server.request('POST', '/story/generate-scenes', { storyText: 'Too short' });
+    assert.strictEqual(tooFew.status, 400);
+
+    const nullScene = await server.request('POST', '/story/generate-scenes', {
+      storyText: STORY_TEXT,
+      storyboard: { scenes: [null] }
+    });
+    assert.strictEqual(nullScene.status, 400);
+    assert.ok(nullScene.body.details.includes('Scene 1: must be an object'));
+
+    const missing = await server.request('GET', '/story/doesnotexist');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test('translating a story into the language it is written in is rejected', async () => {
+    const story = await createSavedStory(server);
+    assert.strictEqual(story.metadata?.language, undefined);
+
+    const { status, body } = await server.request('POST', `/story/${story.id}/translate`, { language: 'en' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Story is already in that language');
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateStoryOptions, validateChapterFit, resolveStoryOptions, allotChapterScenes } = require('../utils/storyOptions');
+
+test('story options', async (t) => {
+  await t.test('missing options are valid, malformed ones are reported', () => {
+    assert.deepStrictEqual(validateStoryOptions(undefined), []);
+    assert.deepStrictEqual(validateStoryOptions(['brisk']), ['Story options must be an object']);
+
+    const errors = validateStoryOptions({ sceneCount: 2.5, targetDurationSeconds: 5, pacing: 'slow', contentPolicy: 'everyone', language: 'xx' });
+    assert.strictEqual(errors.length, 5);
+  });
+
+  await t.test('the default range applies when nothing is asked for', () => {
+    const resolved = resolveStoryOptions();
+
+    assert.strictEqual(resolved.minScenes, 3);
+    assert.strictEqual(resolved.maxScenes, 6);
+    assert.strictEqual(resolved.sceneCount, null);
+    assert.strictEqual(resolved.sceneDuration, 4);
+    assert.strictEqual(resolved.pacing, 'normal');
+    assert.strictEqual(resolved.language, null);
+  });
+
+  await t.test('a scene count is exact and a target duration is spread across it', () => {
+    const resolved = resolveStoryOptions({ sceneCount: 5, targetDurationSeconds: 30 });
+
+    assert.strictEqual(resolved.minScenes, 5);
+    assert.strictEqual(resolved.maxScenes, 5);
+    assert.strictEqual(resolved.sceneCount, 5);
+    assert.strictEqual(resolved.sceneDuration, 6);
+  });
+
+  await t.test('a target duration alone picks the scene count for the pacing', () => {
+    assert.strictEqual(resolveStoryOptions({ targetDurationSeconds: 30, pacing: 'brisk' }).sceneCount, 10);
+    assert.strictEqual(resolveStoryOptions({ targetDurationSeconds: 30, pacing: 'leisurely' }).sceneCount, 5);
+  });
+
+  await t.test('invalid options fall back to the defaults', () => {
+    const resolved = resolveStoryOptions({ sceneCount: 99 });
+
+    assert.strictEqual(resolved.sceneCount, null);
+    assert.strictEqual(resolved.minScenes, 3);
+  });
+
+  await t.test('a chapter share narrows the range but keeps the story-wide duration', () => {
+    const resolved = resolveStoryOptions({ sceneCount: 6, targetDurationSeconds: 60 }, 2);
+
+    assert.strictEqual(resolved.minScenes, 2);
+    assert.strictEqual(resolved.maxScenes, 2);
+    assert.strictEqual(resolved.sceneCount, 6);
+    assert.strictEqual(resolved.sceneDuration, 10);
+  });
+
+  await t.test('every chapter needs at least one of the scenes asked for', () => {
+    assert.deepStrictEqual(validateChapterFit({ sceneCount: 3 }, 3), []);
+    assert.deepStrictEqual(validateChapterFit({}, 10), []);
+    assert.strictEqual(validateChapterFit({ sceneCount: 2 }, 3).length, 1);
+    assert.ok(validateChapterFit({ targetDurationSeconds: 10 }, 4)[0].includes('targetDurationSeconds'));
+  });
+
+  await t.test('chapter shares follow chapter length and add up to the count', () => {
+    assert.strictEqual(allotChapterScenes({}, [100, 200]), null);
+    assert.deepStrictEqual(allotChapterScenes({ sceneCount: 6 }, [100, 100, 100]), [2, 2, 2]);
+    assert.deepStrictEqual(allotChapterScenes({ sceneCount: 3 }, [1000, 10, 10]), [1, 1, 1]);
+
+    const counts = allotChapterScenes({ sceneCount: 10 }, [500, 300, 200]);
+    assert.strictEqual(counts.reduce((sum, count) => sum + count, 0), 10);
+    assert.ok(counts[0] >= counts[1] && counts[1] >= counts[2]);
+  });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSubtitleCues, toWebVTT, toSRT, writeSubtitleFiles } = require('../services/subtitleService');
+const { splitWords } = require('../utils/wordTiming');
+
+const TIMELINE = { starts: [0, 10], durations: [10, 8] };
+
+test('subtitles', async (t) => {
+  await t.test('each scene\'s captions follow each other across its narration', () => {
+    const cues = buildSubtitleCues([
+      { description: 'Pip the little fox lived at the edge of a quiet forest. Every morning she watched the sun climb over the hills.' },
+      { description: 'Owl blinked.', audio: { duration: 4 } }
+    ], TIMELINE);
+
+    assert.deepStrictEqual(cues.map(cue => cue.sceneIndex), [0, 0, 1]);
+    cues.forEach((cue, index) => assert.strictEqual(cue.index, index + 1));
+    assert.strictEqual(cues[0].start, 0);
+    assert.strictEqual(cues[0].end, cues[1].start);
+    assert.strictEqual(cues[1].end, 10);
+    // Scene 2 is captioned for its narration only
+    assert.deepStrictEqual([cues[2].start, cues[2].end], [10, 14]);
+    assert.deepStrictEqual(cues[2].lines, ['Owl blinked.']);
+  });
+
+  await t.test('lines stay within the caption limits, shorter for unspaced languages', () => {
+    const text = 'Pip the little fox lived at the edge of a quiet forest where the tall pines whispered all night long.';
+    buildSubtitleCues([{ description: text }], TIMELINE).forEach(cue => {
+      assert.ok(cue.lines.length <= 2);
+      cue.lines.forEach(line => assert.ok(line.length <= 42));
+    });
+
+    const japanese = buildSubtitleCues([{ description: '小さなきつねのピップは静かな森のはずれに住んでいました。毎朝、丘の上に昇る太陽を見ていました。' }], TIMELINE, { language: 'ja' });
+    japanese.forEach(cue => cue.lines.forEach(line => assert.ok(line.length <= 16)));
+  });
+
+  await t.test('word timings set when each caption starts', () => {
+    const text = 'Pip ran. Owl slept all afternoon in the tall old oak tree by the river bank.';
+    const words = splitWords(text).map((word, index) => ({ ...word, start: index * 0.5, end: index * 0.5 + 0.4 }));
+    const cues = buildSubtitleCues([{ description: text, audio: { duration: 9, words } }], TIMELINE);
+
+    assert.ok(cues.length > 1);
+    assert.strictEqual(cues[0].start, 0);
+    assert.strictEqual(cues[cues.length - 1].end, 9);
+    const firstWordOfSecond = splitWords(cues[0].lines.join(' ')).length;
+    assert.strictEqual(cues[1].start, words[firstWordOfSecond].start);
+  });
+
+  await t.test('scenes without narration have no captions', () => {
+    assert.deepStrictEqual(buildSubtitleCues([{ description: '  ' }], TIMELINE), []);
+  });
+
+  await t.test('WebVTT escapes markup and SRT uses comma timestamps', () => {
+    const cues = [{ index: 1, start: 61.5, end: 3723.25, lines: ['Fish & chips --> <b>now</b>'] }];
+
+    assert.strictEqual(toWebVTT(cues), 'WEBVTT\n\n1\n00:01:01.500 --> 01:02:03.250\nFish &amp; chips -> &lt;b>now&lt;/b>\n');
+    assert.strictEqual(toSRT(cues), '1\n00:01:01,500 --> 01:02:03,250\nFish & chips -> <b>now</b>\n');
+  });
+
+  await t.test('files are written story-wide and per scene, scene tracks start at zero', (t) => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storymill-subtitles-'));
+    t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    const result = writeSubtitleFiles([{ description: 'Pip ran.' }, { description: '' }, { description: 'Owl slept.' }], {
+      starts: [0, 4, 8],
+      durations: [4, 4, 4]
+    }, outputDir);
+
+    assert.deepStrictEqual(result.sceneTracks, ['captions/scene_1.vtt', null, 'captions/scene_3.vtt']);
+    assert.ok(fs.readFileSync(result.srtPath, 'utf8').includes('00:00:08,000 --> 00:00:12,000'));
+    assert.ok(fs.readFileSync(path.join(outputDir, 'captions/scene_3.vtt'), 'utf8').includes('00:00:00.000 --> 00:00:04.000'));
+  });
+});
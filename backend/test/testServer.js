@@ -0,0 +1,85 @@
+/**
+ * Run the app for tests: offline mock providers, a throwaway data directory and an ephemeral port
+ * Require this before anything else from the app, providers and stores read the environment when loaded
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storymill-test-'));
+process.env.PROVIDER_MODE = 'mock';
+process.env.STORYMILL_DATA_DIR = dataDir;
+// Per-service overrides (see providers/index.js) in a local .env must not reach live services
+['TEXT', 'IMAGE', 'TTS', 'STT', 'SFX'].forEach(kind => { process.env[`${kind}_PROVIDER`] = 'mock'; });
+
+const app = require('../server');
+
+const STORY_TEXT = [
+  'Pip the little fox lived at the edge of a quiet forest. Every morning she watched the sun climb over the hills.',
+  'One day Pip found a silver key under an old oak tree. "What does this open?" she wondered aloud.',
+  'She carried the key to Owl, who lived high in the branches. Owl blinked slowly and pointed to a hidden door in the hill.',
+  'Pip turned the key and the door swung open. Inside was a garden full of glowing flowers, and she smiled all the way home.'
+].join('\n\n');
+
+/**
+ * Start the app, resolves { request, events, close }
+ * request(method, route, body) answers { status, body } with the JSON body
+ * events(route, headers) reads a Server-Sent Events stream to its end and answers [{ id, type, data }]
+ */
+const startServer = () => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    const request = async (method, route, body) => {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const events = async (route, headers = {}) => {
+      const response = await fetch(`${baseUrl}${route}`, { headers });
+      const text = await response.text();
+      return text.split('\n\n')
+        .map(block => block.split('\n').reduce((event, line) => {
+          if (line.startsWith('id: ')) event.id = Number(line.slice('id: '.length));
+          if (line.startsWith('event: ')) event.type = line.slice('event: '.length);
+          if (line.startsWith('data: ')) event.data = JSON.parse(line.slice('data: '.length));
+          return event;
+        }, {}))
+        .filter(event => event.type);
+    };
+
+    const close = () => new Promise((done) => {
+      server.closeAllConnections();
+      server.close(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        done();
+      });
+    });
+
+    resolve({ request, events, close });
+  });
+});
+
+/**
+ * Storyboard STORY_TEXT and save it, resolves the saved story
+ */
+const createSavedStory = async ({ request }, storyOptions = { sceneCount: 3 }) => {
+  const generated = await request('POST', '/story/generate-scenes', { storyText: STORY_TEXT, storyOptions });
+  const saved = await request('POST', '/story', {
+    title: 'The Silver Key',
+    originalText: STORY_TEXT,
+    scenes: generated.body.scenes,
+    characters: generated.body.characters
+  });
+  return saved.body.story;
+};
+
+module.exports = {
+  STORY_TEXT,
+  startServer,
+  createSavedStory
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createSavedStory } = require('./testServer');
+
+test('scene timeline', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const story = await createSavedStory(server);
+  const textOf = (scene) => scene.description || scene.text;
+
+  let split;
+
+  await t.test('splitting a scene makes two numbered scenes, the first keeps its image', async () => {
+    split = await server.request('POST', `/story/${story.id}/scenes/0/split`, {});
+
+    assert.strictEqual(split.status, 200);
+    assert.strictEqual(split.body.scenes.length, story.scenes.length + 1);
+    split.body.scenes.forEach((scene, index) => assert.strictEqual(scene.sceneNumber, index + 1));
+
+    const [first, second] = split.body.scenes;
+    assert.strictEqual(first.sceneId, story.scenes[0].sceneId);
+    assert.strictEqual(first.image.imageUrl, story.scenes[0].image.imageUrl);
+    assert.notStrictEqual(second.sceneId, story.scenes[0].sceneId);
+    assert.ok(second.image.imageUrl);
+    assert.ok(textOf(story.scenes[0]).startsWith(textOf(first)));
+    assert.ok(textOf(story.scenes[0]).endsWith(textOf(second)));
+    assert.strictEqual(split.body.scenes[2].sceneId, story.scenes[1].sceneId);
+
+    const loaded = await server.request('GET', `/story/${story.id}`);
+    assert.deepStrictEqual(loaded.body.story.scenes.map(scene => scene.sceneId), split.body.scenes.map(scene => scene.sceneId));
+  });
+
+  await t.test('merging joins the text back and drops the merged scene', async () => {
+    const merged = await server.request('POST', `/story/${story.id}/scenes/0/merge`);
+
+    assert.strictEqual(merged.status, 200);
+    assert.deepStrictEqual(merged.body.scenes.map(scene => scene.sceneId), story.scenes.map(scene => scene.sceneId));
+    assert.strictEqual(merged.body.scenes[0].image.imageUrl, story.scenes[0].image.imageUrl);
+    assert.ok(textOf(merged.body.scenes[0]).includes(textOf(split.body.scenes[0])));
+    assert.ok(textOf(merged.body.scenes[0]).includes(textOf(split.body.scenes[1])));
+    merged.body.scenes.forEach((scene, index) => assert.strictEqual(scene.sceneNumber, index + 1));
+  });
+
+  await t.test('a split text needs two non-empty parts and the last scene has nothing to merge with', async () => {
+    const badSplit = await server.request('POST', `/story/${story.id}/scenes/0/split`, { splitAt: 0 });
+    assert.strictEqual(badSplit.status, 400);
+
+    const lastIndex = story.scenes.length - 1;
+    const badMerge = await server.request('POST', `/story/${story.id}/scenes/${lastIndex}/merge`);
+    assert.strictEqual(badMerge.status, 400);
+
+    const missing = await server.request('POST', `/story/${story.id}/scenes/99/split`, {});
+    assert.strictEqual(missing.status, 404);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { structureTranscript, getTranscriptHints, findQuoteVoice } = require('../utils/transcription');
+
+// Words spoken one after another, 0.3s each; pauses: { wordIndex: seconds of silence before it }
+const speak = (text, speaker = null, pauses = {}, startAt = 0) => {
+  let time = startAt;
+  return text.split(' ').map((word, index) => {
+    time += pauses[index] || 0;
+    const spoken = { text: word, start: time, end: time + 0.3, speaker };
+    time += 0.3;
+    return spoken;
+  });
+};
+
+test('transcription', async (t) => {
+  await t.test('without word timings the transcript is the story text', () => {
+    const structured = structureTranscript('Pip found a key.', []);
+
+    assert.deepStrictEqual(structured, { words: [], speakers: [], paragraphs: [], storyText: 'Pip found a key.' });
+  });
+
+  await t.test('pauses start paragraphs, long pauses mark scene breaks', () => {
+    const words = speak('Pip found a key. She ran home. Owl was waiting.', null, { 4: 1.5, 7: 3 });
+    const { paragraphs, storyText, speakers } = structureTranscript('', words);
+
+    assert.deepStrictEqual(paragraphs.map(paragraph => paragraph.text), ['Pip found a key.', 'She ran home.', 'Owl was waiting.']);
+    assert.deepStrictEqual(paragraphs.map(paragraph => paragraph.sceneBreak), [false, false, true]);
+    assert.strictEqual(paragraphs[2].pauseBefore, 3);
+    assert.strictEqual(storyText, 'Pip found a key.\n\nShe ran home.\n\nOwl was waiting.');
+    assert.deepStrictEqual(speakers, []);
+  });
+
+  await t.test('words without text or timings are dropped', () => {
+    const { words } = structureTranscript('', [
+      { text: 'Pip', start: 0, end: 0.3 },
+      { text: ' ', start: 0.3, end: 0.4 },
+      { text: 'ran', start: null, end: 1 },
+      null
+    ]);
+
+    assert.deepStrictEqual(words, [{ text: 'Pip', start: 0, end: 0.3, speaker: null }]);
+  });
+
+  await t.test('a second voice is quoted as dialogue and given as a hint', () => {
+    const words = [
+      ...speak('Once there was a little fox called Pip.', 'A'),
+      ...speak('Can I come too?', 'B', {}, 3),
+      ...speak('asked the rabbit.', 'A', {}, 4.5)
+    ];
+    const structured = structureTranscript('', words);
+
+    assert.deepStrictEqual(structured.speakers, ['A', 'B']);
+    assert.strictEqual(structured.storyText, 'Once there was a little fox called Pip. "Can I come too?" asked the rabbit.');
+
+    const hints = getTranscriptHints(structured);
+    assert.deepStrictEqual(hints.voices, [{ text: 'Can I come too?', speaker: 'B' }]);
+    assert.deepStrictEqual(hints.sceneBreaks, []);
+  });
+
+  await t.test('scene break hints quote the opening words of the passage', () => {
+    const words = speak('Pip slept. The next morning the sun rose over the quiet green hills again.', null, { 2: 3 });
+    const hints = getTranscriptHints(structureTranscript('', words));
+
+    assert.deepStrictEqual(hints.sceneBreaks, ['The next morning the sun rose over the']);
+    assert.deepStrictEqual(hints.voices, []);
+    assert.strictEqual(getTranscriptHints(null), null);
+  });
+
+  await t.test('quotes are matched to the voice that said them, ignoring case and punctuation', () => {
+    const voices = [{ text: 'Can I come too?', speaker: 'B' }];
+
+    assert.strictEqual(findQuoteVoice('can i come too', voices), 'B');
+    assert.strictEqual(findQuoteVoice('"Can I come too?" she asked', voices), 'B');
+    assert.strictEqual(findQuoteVoice('Go away!', voices), null);
+    assert.strictEqual(findQuoteVoice('...', voices), null);
+  });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createSavedStory } = require('./testServer');
+
+test('scene versions', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const story = await createSavedStory(server);
+  const versionsOf = (sceneIndex) => server.request('GET', `/story/${story.id}/scenes/${sceneIndex}/versions`);
+
+  await t.test('a scene starts from its original image', async () => {
+    const { status, body } = await versionsOf(0);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.history.versions.length, 1);
+    assert.strictEqual(body.history.versions[0].type, 'original');
+    assert.strictEqual(body.history.versions[0].imageUrl, story.scenes[0].image.imageUrl);
+    assert.strictEqual(body.history.undoVersionId, null);
+  });
+
+  await t.test('an edit is recorded as the current version and shown on the story', async () => {
+    const original = (await versionsOf(0)).body.history.versions[0];
+    const edited = await server.request('POST', `/story/${story.id}/scenes/0/versions/${original.id}/branch`, {
+      editPrompt: 'Give the fox a red scarf'
+    });
+
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.version.type, 'edit');
+    assert.strictEqual(edited.body.version.parentId, original.id);
+    assert.strictEqual(edited.body.history.currentVersionId, edited.body.version.id);
+    assert.strictEqual(edited.body.history.undoVersionId, original.id);
+
+    const loaded = await server.request('GET', `/story/${story.id}`);
+    assert.strictEqual(loaded.body.story.scenes[0].image.imageUrl, edited.body.version.imageUrl);
+    assert.strictEqual(loaded.body.story.scenes[0].image.versionId, edited.body.version.id);
+  });
+
+  await t.test('reverting restores the earlier image and keeps redo', async () => {
+    const history = (await versionsOf(0)).body.history;
+    const reverted = await server.request('POST', `/story/${story.id}/scenes/0/versions/${history.undoVersionId}/revert`);
+
+    assert.strictEqual(reverted.status, 200);
+    assert.strictEqual(reverted.body.history.currentVersionId, history.undoVersionId);
+    assert.strictEqual(reverted.body.history.redoVersionId, history.currentVersionId);
+
+    const loaded = await server.request('GET', `/story/${story.id}`);
+    assert.strictEqual(loaded.body.story.scenes[0].image.imageUrl, story.scenes[0].image.imageUrl);
+    assert.strictEqual(loaded.body.story.scenes[1].image.imageUrl, story.scenes[1].image.imageUrl);
+  });
+
+  await t.test('concurrent edits of one story are all kept', async () => {
+    const currentIds = await Promise.all([0, 1, 2].map(async sceneIndex => (await versionsOf(sceneIndex)).body.history.currentVersionId));
+    const edits = await Promise.all([0, 1, 2].map(sceneIndex => server.request(
+      'POST',
+      `/story/${story.id}/scenes/${sceneIndex}/versions/${currentIds[sceneIndex]}/branch`,
+      { editPrompt: `Make scene ${sceneIndex + 1} snowy` }
+    )));
+    edits.forEach(edit => assert.strictEqual(edit.status, 200));
+
+    const loaded = await server.request('GET', `/story/${story.id}`);
+    edits.forEach((edit, sceneIndex) => {
+      assert.strictEqual(loaded.body.story.scenes[sceneIndex].image.versionId, edit.body.version.id);
+    });
+  });
+
+  await t.test('unknown versions are 404', async () => {
+    const missing = await server.request('POST', `/story/${story.id}/scenes/0/versions/nope/revert`);
+    assert.strictEqual(missing.status, 404);
+  });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitWords, alignWords, wordsFromTimepoints, wordsFromCharacterTimes, offsetWords } = require('../utils/wordTiming');
+const { createWavBuffer } = require('../utils/audioUtils');
+
+// Mono WAV of tones (seconds of sound) separated by silences
+const toneWav = (tones, gap, sampleRate = 16000) => {
+  const samples = [];
+  tones.forEach((seconds, index) => {
+    if (index > 0) samples.push(...new Array(Math.round(gap * sampleRate)).fill(0));
+    for (let i = 0; i < seconds * sampleRate; i++) samples.push(0.5 * Math.sin(2 * Math.PI * 220 * i / sampleRate));
+  });
+  return createWavBuffer(samples, sampleRate);
+};
+
+test('word timing', async (t) => {
+  await t.test('words carry their character offsets, punctuation is skipped', () => {
+    assert.deepStrictEqual(splitWords('Hi, Owl!'), [
+      { text: 'Hi', charStart: 0, charEnd: 2 },
+      { text: 'Owl', charStart: 4, charEnd: 7 }
+    ]);
+    assert.deepStrictEqual(splitWords(''), []);
+  });
+
+  await t.test('without audio words are spread over the duration in order', () => {
+    const { words, timing } = alignWords('Pip ran. Owl slept soundly.', { duration: 4 });
+
+    assert.strictEqual(timing, 'estimated');
+    assert.deepStrictEqual(words.map(word => word.text), ['Pip', 'ran', 'Owl', 'slept', 'soundly']);
+    assert.strictEqual(words[0].start, 0);
+    words.forEach((word, index) => {
+      assert.ok(word.end >= word.start);
+      assert.ok(word.end <= 4);
+      if (index > 0) assert.ok(word.start >= words[index - 1].end);
+    });
+    // The full stop leaves a longer pause than the gap between two words
+    assert.ok(words[2].start - words[1].end > words[3].start - words[2].end);
+  });
+
+  await t.test('a WAV with one stretch of sound per word is aligned to them', () => {
+    const { words, timing } = alignWords('Pip ran home', { duration: 1.4, audioBuffer: toneWav([0.3, 0.3, 0.3], 0.2) });
+
+    assert.strictEqual(timing, 'aligned');
+    assert.strictEqual(words.length, 3);
+    assert.ok(Math.abs(words[1].start - 0.5) < 0.02);
+    assert.ok(Math.abs(words[2].end - 1.3) < 0.02);
+  });
+
+  await t.test('empty text or unknown duration has no timings', () => {
+    assert.deepStrictEqual(alignWords('', { duration: 2 }), { words: [], timing: 'estimated' });
+    assert.deepStrictEqual(alignWords('Pip ran', { duration: 0 }).words, []);
+  });
+
+  await t.test('timepoints give each word its start, the last one ends with the audio', () => {
+    const words = wordsFromTimepoints('Pip ran home', [0, 0.4, 0.9], 1.5);
+
+    assert.deepStrictEqual(words.map(({ start, end }) => [start, end]), [[0, 0.4], [0.4, 0.9], [0.9, 1.5]]);
+    assert.strictEqual(wordsFromTimepoints('Pip ran home', [0, 0.4], 1.5), null);
+  });
+
+  await t.test('character times are gathered into words', () => {
+    const text = 'Hi Owl';
+    const characters = Array.from(text);
+    const words = wordsFromCharacterTimes(text, {
+      characters,
+      characterStartTimes: characters.map((_, index) => index * 0.1),
+      characterEndTimes: characters.map((_, index) => index * 0.1 + 0.1)
+    });
+
+    assert.deepStrictEqual(words.map(word => word.text), ['Hi', 'Owl']);
+    assert.strictEqual(words[0].start, 0);
+    assert.ok(Math.abs(words[1].start - 0.3) < 1e-9);
+    assert.ok(Math.abs(words[1].end - 0.6) < 1e-9);
+    assert.strictEqual(wordsFromCharacterTimes('Hi Owl', { characters: ['H', 'i'] }), null);
+  });
+
+  await t.test('offsetting moves words by seconds and characters', () => {
+    const [word] = offsetWords([{ text: 'Pip', start: 0, end: 0.5, charStart: 0, charEnd: 3 }], 2, 10);
+
+    assert.deepStrictEqual(word, { text: 'Pip', start: 2, end: 2.5, charStart: 10, charEnd: 13 });
+  });
+});
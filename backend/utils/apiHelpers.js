@@ -15,7 +15,23 @@ const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
   }
 };
 
+/**
+ * Map items with at most `limit` calls of fn in flight, results keep the items' order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
 
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
 
 /**
  * Generate unique ID
@@ -26,15 +42,17 @@ const generateId = () => {
 
 /**
  * Clean and validate text input
+ * Length limits are enforced by validation, pass maxLength only where cutting text is acceptable
  */
-const sanitizeText = (text) => {
+const sanitizeText = (text, maxLength = Infinity) => {
   if (!text || typeof text !== 'string') return '';
   // Allow more characters for story content, just remove potentially harmful ones
-  return text.trim().replace(/[<>{}]/g, '').substring(0, 5000);
+  return text.trim().replace(/[<>{}]/g, '').substring(0, maxLength);
 };
 
 module.exports = {
   retryWithBackoff,
+  mapWithConcurrency,
   generateId,
   sanitizeText
 };
\ No newline at end of file
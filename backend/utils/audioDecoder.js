@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { generateId } = require('./apiHelpers');
+const { readWavSamples, resampleSamples } = require('./audioUtils');
+
+/**
+ * Decode audio to mono samples for mixing
+ * WAV is read directly, anything else (MP3 narration, library music) goes through ffmpeg
+ */
+
+// Decode with ffmpeg to mono PCM at sampleRate, null when ffmpeg is missing or cannot read it
+const decodeWithFFmpeg = async (buffer, sampleRate) => {
+  const workDir = path.join(__dirname, '../temp', `decode_${generateId()}`);
+  const inputPath = path.join(workDir, 'input');
+  const outputPath = path.join(workDir, 'output.wav');
+
+  try {
+    fs.mkdirSync(workDir, { recursive: true });
+    fs.writeFileSync(inputPath, buffer);
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(sampleRate)
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+    return readWavSamples(fs.readFileSync(outputPath))?.samples || null;
+  } catch (error) {
+    console.warn('⚠️ Could not decode audio (formats other than WAV need ffmpeg):', error.message);
+    return null;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Mono Float32Array samples at sampleRate, or null when the audio cannot be decoded
+ */
+const decodeAudio = async (buffer, sampleRate) => {
+  const wav = readWavSamples(buffer);
+  if (wav) return resampleSamples(wav.samples, wav.sampleRate, sampleRate);
+  return decodeWithFFmpeg(buffer, sampleRate);
+};
+
+module.exports = {
+  decodeAudio
+};
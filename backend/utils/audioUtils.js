@@ -0,0 +1,344 @@
+/**
+ * Audio buffer helpers (PCM WAV encoding and decoding, WAV and MP3 inspection)
+ */
+
+/**
+ * Encode mono float samples (-1..1) as a 16-bit PCM WAV buffer
+ */
+const createWavBuffer = (samples, sampleRate = 16000) => {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // PCM chunk size
+  buffer.writeUInt16LE(1, 20); // PCM format
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(clamped * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+};
+
+/**
+ * Read format information from a WAV buffer, returns null when it is not a WAV
+ */
+const parseWavInfo = (buffer) => {
+  if (!buffer || buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        byteRate: buffer.readUInt32LE(chunkStart + 8),
+        blockAlign: buffer.readUInt16LE(chunkStart + 12),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data' && format) {
+      const dataSize = Math.min(chunkSize, buffer.length - chunkStart);
+      return {
+        ...format,
+        dataOffset: chunkStart,
+        dataSize,
+        duration: format.byteRate > 0 ? dataSize / format.byteRate : 0
+      };
+    }
+
+    // Chunks are word-aligned
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+};
+
+// MPEG audio Layer III tables (kbps, Hz), indexed by the frame header fields
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Read a Layer III frame header at offset, returns null when there is no valid frame there
+const readMp3Frame = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+
+  return {
+    sampleRate,
+    samplesPerFrame,
+    length: Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding
+  };
+};
+
+/**
+ * Measure an MP3 by walking its frames (exact for constant and variable bitrates)
+ * Returns { duration, sampleRate, frames } or null when the buffer holds no MP3 frames
+ */
+const parseMp3Info = (buffer) => {
+  if (!buffer || buffer.length < 4) return null;
+
+  let offset = buffer.length - stripId3Tag(buffer).length;
+  let frames = 0;
+  let samples = 0;
+  let sampleRate = null;
+
+  while (offset + 4 <= buffer.length) {
+    const frame = readMp3Frame(buffer, offset);
+    if (!frame) {
+      // Stitched clips can carry tags between frames: resync on the next header
+      offset++;
+      continue;
+    }
+    // A Xing/Info header frame carries metadata, not audio
+    const header = buffer.toString('ascii', offset + 4, Math.min(offset + 40, buffer.length));
+    if (!header.includes('Xing') && !header.includes('Info')) {
+      frames++;
+      samples += frame.samplesPerFrame;
+      sampleRate = sampleRate || frame.sampleRate;
+    }
+    offset += frame.length;
+  }
+
+  return frames > 0 ? { duration: samples / sampleRate, sampleRate, frames } : null;
+};
+
+/**
+ * Duration in seconds of a WAV or MP3 buffer, null when the format is not recognised
+ */
+const getAudioDuration = (buffer) => {
+  const wav = parseWavInfo(buffer);
+  if (wav) return wav.duration;
+  const mp3 = parseMp3Info(buffer);
+  return mp3 ? mp3.duration : null;
+};
+
+/**
+ * Stretches of sound in a 16-bit PCM WAV, found from the loudness of 10ms windows
+ * Pauses shorter than minGapSeconds are kept inside a region
+ * Returns [{ start, end }] in seconds, or null for other formats
+ */
+const detectSoundRegions = (buffer, { minGapSeconds = 0.04 } = {}) => {
+  const info = parseWavInfo(buffer);
+  if (!info || info.audioFormat !== 1 || info.bitsPerSample !== 16) return null;
+
+  const windowFrames = Math.max(1, Math.round(info.sampleRate * 0.01));
+  const totalFrames = Math.floor(info.dataSize / info.blockAlign);
+  const levels = [];
+  for (let frame = 0; frame < totalFrames; frame += windowFrames) {
+    let sum = 0;
+    const end = Math.min(frame + windowFrames, totalFrames);
+    for (let i = frame; i < end; i++) {
+      const sample = buffer.readInt16LE(info.dataOffset + i * info.blockAlign) / 32768;
+      sum += sample * sample;
+    }
+    levels.push(Math.sqrt(sum / (end - frame)));
+  }
+
+  // Anything within 20dB of the loudest window is sound
+  const peak = levels.reduce((max, level) => Math.max(max, level), 0);
+  const threshold = Math.max(peak * 0.1, 0.001);
+  const windowSeconds = windowFrames / info.sampleRate;
+  const regions = [];
+  levels.forEach((level, index) => {
+    if (level < threshold) return;
+    const start = index * windowSeconds;
+    const last = regions[regions.length - 1];
+    if (last && start - last.end < minGapSeconds) {
+      last.end = start + windowSeconds;
+    } else {
+      regions.push({ start, end: start + windowSeconds });
+    }
+  });
+
+  return regions.map(region => ({ start: region.start, end: Math.min(region.end, info.duration) }));
+};
+
+// Read one sample as -1..1 at a byte offset, by PCM sample width (format 3 is 32-bit float)
+const readPcmSample = (buffer, offset, bitsPerSample, audioFormat) => {
+  if (audioFormat === 3) return buffer.readFloatLE(offset);
+  if (bitsPerSample === 8) return (buffer[offset] - 128) / 128;
+  if (bitsPerSample === 16) return buffer.readInt16LE(offset) / 32768;
+  if (bitsPerSample === 24) return buffer.readIntLE(offset, 3) / 8388608;
+  return buffer.readInt32LE(offset) / 2147483648;
+};
+
+/**
+ * Decode a PCM WAV (8/16/24/32-bit integer or 32-bit float) to mono float samples, channels averaged
+ * Returns { samples, sampleRate } or null for other formats
+ */
+const readWavSamples = (buffer) => {
+  const info = parseWavInfo(buffer);
+  if (!info || ![1, 3].includes(info.audioFormat) || ![8, 16, 24, 32].includes(info.bitsPerSample)) return null;
+  if (info.audioFormat === 3 && info.bitsPerSample !== 32) return null;
+
+  const bytesPerSample = info.bitsPerSample / 8;
+  const totalFrames = Math.floor(info.dataSize / info.blockAlign);
+  const samples = new Float32Array(totalFrames);
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const frameOffset = info.dataOffset + frame * info.blockAlign;
+    let sum = 0;
+    for (let channel = 0; channel < info.channels; channel++) {
+      sum += readPcmSample(buffer, frameOffset + channel * bytesPerSample, info.bitsPerSample, info.audioFormat);
+    }
+    samples[frame] = sum / info.channels;
+  }
+
+  return { samples, sampleRate: info.sampleRate };
+};
+
+/**
+ * Resample mono float samples by linear interpolation (fine for background layers, not for speech)
+ */
+const resampleSamples = (samples, fromRate, toRate) => {
+  if (fromRate === toRate || samples.length === 0) return samples;
+
+  const ratio = fromRate / toRate;
+  const resampled = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < resampled.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    resampled[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return resampled;
+};
+
+/**
+ * Split a data URL into its MIME type and decoded buffer
+ */
+const decodeDataUrl = (dataUrl) => {
+  const matches = typeof dataUrl === 'string' && dataUrl.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.+)$/);
+  if (!matches) return null;
+  return { mimeType: matches[1], buffer: Buffer.from(matches[2], 'base64') };
+};
+
+/**
+ * Build a base64 data URL for an audio buffer
+ */
+const toAudioDataUrl = (buffer, mimeType = 'audio/mpeg') => {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+};
+
+/**
+ * Join PCM WAV buffers that share a format, with optional silence between them
+ * Returns null when the buffers are not all WAVs in the same format
+ */
+const concatWavBuffers = (buffers, gapSeconds = 0) => {
+  const infos = buffers.map(parseWavInfo);
+  const [first] = infos;
+  const sameFormat = first && infos.every(info => info
+    && info.audioFormat === first.audioFormat
+    && info.channels === first.channels
+    && info.sampleRate === first.sampleRate
+    && info.bitsPerSample === first.bitsPerSample);
+  if (!sameFormat) return null;
+
+  const gapBytes = Math.round(gapSeconds * first.sampleRate) * first.blockAlign;
+  const parts = [];
+  infos.forEach((info, index) => {
+    if (index > 0 && gapBytes > 0) parts.push(Buffer.alloc(gapBytes));
+    parts.push(buffers[index].subarray(info.dataOffset, info.dataOffset + info.dataSize));
+  });
+
+  const data = Buffer.concat(parts);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(first.audioFormat, 20);
+  header.writeUInt16LE(first.channels, 22);
+  header.writeUInt32LE(first.sampleRate, 24);
+  header.writeUInt32LE(first.byteRate, 28);
+  header.writeUInt16LE(first.blockAlign, 32);
+  header.writeUInt16LE(first.bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+};
+
+// Remove a leading ID3v2 tag so MP3 frames from several files can be joined
+const stripId3Tag = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return buffer;
+  // Tag size is a 28-bit "syncsafe" integer
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return buffer.subarray(10 + size + footer);
+};
+
+/**
+ * Join audio data URLs into a single clip
+ * WAVs are joined sample-exactly (with gapSeconds of silence), MP3s frame by frame
+ * Returns { audioUrl, mimeType } or null when the clips cannot be joined
+ */
+const stitchAudioDataUrls = (dataUrls, { gapSeconds = 0 } = {}) => {
+  const clips = dataUrls.map(decodeDataUrl);
+  if (clips.length === 0 || clips.some(clip => !clip)) return null;
+  if (clips.length === 1) return { audioUrl: dataUrls[0], mimeType: clips[0].mimeType };
+
+  const buffers = clips.map(clip => clip.buffer);
+  const wav = concatWavBuffers(buffers, gapSeconds);
+  if (wav) {
+    return { audioUrl: toAudioDataUrl(wav, 'audio/wav'), mimeType: 'audio/wav' };
+  }
+
+  if (clips.every(clip => clip.mimeType === 'audio/mpeg' || clip.mimeType === 'audio/mp3')) {
+    const mp3 = Buffer.concat(buffers.map(stripId3Tag));
+    return { audioUrl: toAudioDataUrl(mp3, 'audio/mpeg'), mimeType: 'audio/mpeg' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  createWavBuffer,
+  parseWavInfo,
+  parseMp3Info,
+  getAudioDuration,
+  detectSoundRegions,
+  readWavSamples,
+  resampleSamples,
+  decodeDataUrl,
+  toAudioDataUrl,
+  concatWavBuffers,
+  stitchAudioDataUrls
+};
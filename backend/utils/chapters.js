@@ -0,0 +1,113 @@
+/**
+ * Chapter segmentation for long-form stories
+ * Chapter headings are used when the text has them, otherwise the story is cut
+ * into paragraph-aligned chunks small enough for a single analysis request
+ */
+
+const CHAPTER_LIMITS = {
+  MAX_CHAPTER_LENGTH: 6000, // Characters per analysis request
+  MIN_PREAMBLE_LENGTH: 200 // Shorter text before the first heading joins the first chapter
+};
+
+// "Chapter 3", "CHAPTER IV: The Storm", "Part Two", "# Book 1", "Prologue", "Epilogue"
+// Headings are short lines with a number, so prose like "Part of me knew..." is not one
+const HEADING_NUMBER = '(?:\\d+|[ivxlc]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty)';
+const HEADING_PATTERN = new RegExp(
+  `^[ \\t]*(?:#{1,3}[ \\t]*)?((?:chapter|part|book)[ \\t]+${HEADING_NUMBER}\\b[^\\n]{0,80}|(?:prologue|epilogue)\\b[^\\n]{0,80})$`,
+  'gim'
+);
+
+// Split text that is too long on paragraph, then sentence, then hard boundaries
+const chunkText = (text, maxLength) => {
+  if (text.length <= maxLength) return [text];
+
+  const pieces = text.split(/\n\s*\n/).flatMap(paragraph => {
+    if (paragraph.length <= maxLength) return [paragraph];
+    return (paragraph.match(/[^.!?]+[.!?]+["'”’)]*\s*|[^.!?]+$/g) || [paragraph]).flatMap(sentence => {
+      const parts = [];
+      for (let i = 0; i < sentence.length; i += maxLength) parts.push(sentence.substring(i, i + maxLength));
+      return parts;
+    });
+  });
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    const separator = current && !/\s$/.test(current) ? '\n\n' : '';
+    if (current && current.length + separator.length + piece.length > maxLength) {
+      chunks.push(current.trim());
+      current = piece;
+    } else {
+      current += separator + piece;
+    }
+  });
+  if (current.trim()) chunks.push(current.trim());
+
+  return chunks;
+};
+
+/**
+ * Split a story into chapters: [{ chapterNumber, title, text }]
+ * Short stories without headings come back as a single untitled chapter
+ */
+const splitIntoChapters = (storyText, maxLength = CHAPTER_LIMITS.MAX_CHAPTER_LENGTH) => {
+  const text = (storyText || '').trim();
+  const headings = [...text.matchAll(HEADING_PATTERN)];
+  let sections;
+
+  if (headings.length === 0) {
+    const chunks = chunkText(text, maxLength);
+    sections = chunks.map((chunk, index) => ({
+      title: chunks.length > 1 ? `Part ${index + 1}` : null,
+      text: chunk
+    }));
+  } else {
+    sections = headings.map((heading, index) => {
+      const end = index + 1 < headings.length ? headings[index + 1].index : text.length;
+      return {
+        title: heading[1].trim(),
+        text: text.substring(heading.index + heading[0].length, end).trim()
+      };
+    }).filter(section => section.text);
+
+    // Text before the first heading (a dedication, an opening paragraph)
+    const preamble = text.substring(0, headings[0].index).trim();
+    if (preamble.length >= CHAPTER_LIMITS.MIN_PREAMBLE_LENGTH || (preamble && sections.length === 0)) {
+      sections.unshift({ title: 'Opening', text: preamble });
+    } else if (preamble) {
+      sections[0].text = `${preamble}\n\n${sections[0].text}`;
+    }
+
+    // Very long chapters are analyzed in parts
+    sections = sections.flatMap(section => {
+      const chunks = chunkText(section.text, maxLength);
+      return chunks.map((chunk, index) => ({
+        title: chunks.length > 1 ? `${section.title} (part ${index + 1})` : section.title,
+        text: chunk
+      }));
+    });
+  }
+
+  return sections.map((section, index) => ({ chapterNumber: index + 1, ...section }));
+};
+
+/**
+ * Chapters with the indexes of their scenes, for API responses and navigation
+ * Stories saved without chapters are treated as a single chapter
+ */
+const buildChapterOutline = (chapters = [], scenes = []) => {
+  const outline = chapters.length > 0 ? chapters : [{ chapterNumber: 1, title: null, summary: null }];
+
+  return outline.map(({ text, ...chapter }) => ({
+    ...chapter,
+    sceneIndexes: scenes
+      .map((scene, index) => ((scene.chapterNumber || 1) === chapter.chapterNumber ? index : -1))
+      .filter(index => index >= 0)
+  }));
+};
+
+module.exports = {
+  CHAPTER_LIMITS,
+  splitIntoChapters,
+  buildChapterOutline
+};
@@ -0,0 +1,53 @@
+/**
+ * Structured character profiles used by the character bible
+ * { age, build, hair, outfit, palette: [], props: [], description }
+ */
+
+// Attributes a user can edit and lock, in the order they are described
+const CHARACTER_ATTRIBUTES = ['age', 'build', 'hair', 'outfit', 'palette', 'props'];
+const LIST_ATTRIBUTES = ['palette', 'props'];
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+const toList = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [])
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Coerce a model or user supplied profile into consistent types
+ * Plain strings (the older flat { name: description } format) become the description
+ */
+const normalizeCharacterProfile = (value) => {
+  const profile = typeof value === 'string' ? { description: value } : (value || {});
+
+  return {
+    ...CHARACTER_ATTRIBUTES.reduce((attributes, key) => {
+      attributes[key] = LIST_ATTRIBUTES.includes(key) ? toList(profile[key]) : toText(profile[key]);
+      return attributes;
+    }, {}),
+    description: toText(profile.description)
+  };
+};
+
+/**
+ * One-line visual description for image prompts and voice casting
+ * Attributes come first so they survive prompt truncation
+ */
+const describeCharacter = (profile) => {
+  const { age, build, hair, outfit, palette, props, description } = normalizeCharacterProfile(profile);
+  const details = [
+    age,
+    build && `${build} build`,
+    hair && `${hair} hair`,
+    outfit && `wearing ${outfit}`,
+    palette.length > 0 && `colours: ${palette.join(', ')}`,
+    props.length > 0 && `carries ${props.join(', ')}`
+  ].filter(Boolean);
+
+  return [details.join(', '), description].filter(Boolean).join('. ');
+};
+
+module.exports = {
+  CHARACTER_ATTRIBUTES,
+  normalizeCharacterProfile,
+  describeCharacter
+};
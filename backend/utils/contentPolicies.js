@@ -0,0 +1,107 @@
+/**
+ * Content policies: who a story is for and what it may contain
+ * Story text and edit prompts are rated against the story's policy (see services/safetyService.js)
+ */
+
+// Ratings from mildest to strongest
+const RATINGS = ['G', 'PG', 'PG-13', 'R'];
+
+// Categories the classifier reports, with the lowest rating each one implies
+const CATEGORIES = {
+  frightening: 'PG',
+  violence: 'PG',
+  profanity: 'PG-13',
+  drugs: 'PG-13',
+  'graphic-violence': 'R',
+  'self-harm': 'R',
+  sexual: 'R',
+  hate: 'R'
+};
+
+// maxRating: the strongest rating the audience accepts (stronger story text is softened during analysis)
+// blockedCategories: refused outright, whatever the rating
+// requireScreening: images that could not be screened are refused instead of shown
+const POLICIES = {
+  children: {
+    id: 'children',
+    label: 'Children',
+    description: 'Gentle stories for young children, rated G',
+    maxRating: 'G',
+    blockedCategories: ['graphic-violence', 'self-harm', 'sexual', 'hate', 'drugs'],
+    requireScreening: true,
+    audience: 'young children (ages 3-8)',
+    guidance: 'Keep everything gentle and reassuring: no blood, injuries, weapons in use, on-screen death or frightening imagery. Danger stays mild and always ends safely.'
+  },
+  general: {
+    id: 'general',
+    label: 'General',
+    description: 'Family audiences, up to PG',
+    maxRating: 'PG',
+    blockedCategories: ['graphic-violence', 'self-harm', 'sexual', 'hate'],
+    requireScreening: false,
+    audience: 'a general family audience',
+    guidance: 'Conflict and peril are fine, but keep violence off-screen and bloodless, with no sexual content, drug use or strong language.'
+  },
+  mature: {
+    id: 'mature',
+    label: 'Mature',
+    description: 'Adult audiences, up to R',
+    maxRating: 'R',
+    blockedCategories: ['sexual', 'hate'],
+    requireScreening: false,
+    audience: 'adults',
+    guidance: 'Mature themes and violence are allowed, but nothing sexually explicit and no hateful depictions of real groups.'
+  }
+};
+
+// Keyword fallback used when no text model is available (errs towards flagging)
+const CATEGORY_KEYWORDS = {
+  frightening: /\b(terrif(ying|ied)|horrif(ying|ied)|nightmares?|haunted|zombies?|demons?|screaming)\b/i,
+  violence: /\b(kill(s|ed|ing)?|murder(s|ed|ing)?|stab(s|bed|bing)?|shoot(s|ing)?|shot|guns?|weapons?|punch(es|ed|ing)?|attack(s|ed|ing)?)\b/i,
+  profanity: /\b(damn|shit\w*|fuck\w*|bastards?|bitch\w*|crap)\b/i,
+  drugs: /\b(cocaine|heroin|meth|drugs|overdos\w*|drunk|whiskey|vodka|cigarettes?)\b/i,
+  'graphic-violence': /\b(gore|gory|blood(y|ied)?|dismember\w*|decapitat\w*|mutilat\w*|entrails|corpses?|tortur\w*)\b/i,
+  'self-harm': /\b(suicid\w*|self-harm|(kill|cut|hurt)(s|ing)? (himself|herself|themselves|myself|yourself))\b/i,
+  sexual: /\b(sex|sexual\w*|sexy|nude|nudity|porn\w*|erotic\w*)\b/i,
+  hate: /\b(racial slurs?|ethnic cleansing|white power)\b/i
+};
+
+const DEFAULT_POLICY = POLICIES[process.env.DEFAULT_CONTENT_POLICY] ? process.env.DEFAULT_CONTENT_POLICY : 'children';
+
+/**
+ * Policy by id, the default policy for unknown or missing ids
+ */
+const getContentPolicy = (id) => POLICIES[id] || POLICIES[DEFAULT_POLICY];
+
+const ratingIndex = (rating) => Math.max(RATINGS.indexOf(rating), 0);
+
+/**
+ * True when rating is stronger than maxRating
+ */
+const exceedsRating = (rating, maxRating) => ratingIndex(rating) > ratingIndex(maxRating);
+
+/**
+ * Strongest of the given ratings ('G' for none)
+ */
+const strongestRating = (ratings) => ratings.reduce((strongest, rating) => (
+  exceedsRating(rating, strongest) ? rating : strongest
+), RATINGS[0]);
+
+/**
+ * Rate text by keyword alone: { rating, categories }
+ */
+const classifyByKeywords = (text = '') => {
+  const categories = Object.keys(CATEGORY_KEYWORDS).filter(category => CATEGORY_KEYWORDS[category].test(text));
+  return { rating: strongestRating(categories.map(category => CATEGORIES[category])), categories };
+};
+
+module.exports = {
+  RATINGS,
+  CATEGORIES,
+  POLICIES,
+  DEFAULT_POLICY,
+  getContentPolicy,
+  exceedsRating,
+  strongestRating,
+  classifyByKeywords
+};
@@ -0,0 +1,142 @@
+/**
+ * Dialogue helpers: split narration into narrator and quoted-speech segments
+ * and guess who is speaking from the surrounding narration
+ */
+
+const NARRATOR = 'narrator';
+
+// Double quotes only, single quotes are too often apostrophes
+// Also the quotation marks of the other story languages: «guillemets», „German“ and 「Japanese」 quotes
+const QUOTE_PATTERN = /"([^"]+)"|“([^”]+)”|«([^»]+)»|„([^“”]+)[“”]|「([^」]+)」/g;
+
+const SPEECH_VERBS = 'said|says|asked|asks|replied|replies|shouted|shouts|cried|cries|whispered|whispers|called|calls|answered|answers|yelled|yells|laughed|laughs|sang|sings|exclaimed|exclaims|muttered|mutters|added|adds|told|tells|begged|begs|roared|roars|growled|growls';
+
+/**
+ * Split text into narration and dialogue segments, in reading order
+ * Returns [{ type: 'narration' | 'dialogue', text }]
+ */
+const splitDialogue = (text = '') => {
+  const segments = [];
+  let lastIndex = 0;
+
+  const pushNarration = (value) => {
+    const trimmed = value.trim();
+    // Drop punctuation left between back-to-back quotes
+    if (/[\p{L}\p{N}]/u.test(trimmed)) segments.push({ type: 'narration', text: trimmed });
+  };
+
+  for (const match of text.matchAll(QUOTE_PATTERN)) {
+    pushNarration(text.slice(lastIndex, match.index));
+    const spoken = match.slice(1).find(Boolean).trim();
+    if (spoken) segments.push({ type: 'dialogue', text: spoken });
+    lastIndex = match.index + match[0].length;
+  }
+  pushNarration(text.slice(lastIndex));
+
+  return segments;
+};
+
+const hasDialogue = (segments = []) => segments.some(segment => segment.type === 'dialogue');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match a character by full name or by any distinctive word of it ("King Orlo" -> "Orlo")
+const findMentionedCharacter = (value, characterNames, { preferVerb = true } = {}) => {
+  const lowerValue = value.toLowerCase();
+  let best = null;
+
+  characterNames.forEach(name => {
+    const words = [name, ...name.split(/\s+/).filter(word => word.length > 2)];
+    words.forEach(word => {
+      const pattern = escapeRegExp(word.toLowerCase());
+      const nearVerb = new RegExp(`\\b${pattern}\\b\\s+(?:${SPEECH_VERBS})\\b|\\b(?:${SPEECH_VERBS})\\s+(?:the\\s+)?${pattern}\\b`).test(lowerValue);
+      const mentioned = new RegExp(`\\b${pattern}\\b`).test(lowerValue);
+      if (!mentioned) return;
+
+      const score = (nearVerb ? 2 : 0) + (word === name ? 1 : 0);
+      if (!best || score > best.score) best = { name, score, nearVerb };
+    });
+  });
+
+  if (!best || (preferVerb && !best.nearVerb)) return null;
+  return best.name;
+};
+
+/**
+ * Guess the speaker of each dialogue segment
+ * Checks the attribution right after the quote, then right before it, then
+ * alternates between the last two speakers of an unattributed conversation
+ * Returns an array aligned with segments (null for narration or unknown speakers)
+ */
+const guessSpeakers = (segments, characterNames = []) => {
+  const speakers = segments.map(() => null);
+  const attributionSegments = new Set(); // Narration already used to attribute an earlier quote
+  const recent = [];
+
+  segments.forEach((segment, index) => {
+    if (segment.type !== 'dialogue') return;
+
+    const after = segments[index + 1]?.type === 'narration' ? segments[index + 1].text : '';
+    const before = segments[index - 1]?.type === 'narration' && !attributionSegments.has(index - 1) ? segments[index - 1].text : '';
+    // Only the first sentence after a quote is its attribution ("she said. Then...")
+    const attribution = after.split(/[.!?]/)[0];
+    const lead = before.split(/[.!?]/).filter(part => part.trim()).pop() || '';
+
+    let speaker = findMentionedCharacter(attribution, characterNames);
+    if (speaker) {
+      attributionSegments.add(index + 1);
+    } else {
+      speaker = findMentionedCharacter(lead, characterNames)
+        || findMentionedCharacter(lead, characterNames, { preferVerb: false });
+    }
+
+    // Back-and-forth without attributions alternates between the last two speakers
+    const continuesConversation = segments[index - 1]?.type === 'dialogue'
+      || (attributionSegments.has(index - 1) && segments[index - 2]?.type === 'dialogue');
+    if (!speaker && recent.length === 2 && continuesConversation) {
+      speaker = recent[0];
+    }
+
+    if (speaker) {
+      speakers[index] = speaker;
+      if (recent[recent.length - 1] !== speaker) {
+        recent.push(speaker);
+        if (recent.length > 2) recent.shift();
+      }
+    }
+  });
+
+  return speakers;
+};
+
+/**
+ * Fill in unknown speakers from the voices that read a recorded story: a quote read by the
+ * same voice as quotes attributed to a character is most likely that character's too
+ * speakers and voices are per scene, aligned with its segments (null when unknown)
+ */
+const fillSpeakersByVoice = (speakers, voices) => {
+  const counts = {}; // voice -> { character: quotes }
+  voices.forEach((sceneVoices, sceneIndex) => sceneVoices.forEach((voice, index) => {
+    const speaker = speakers[sceneIndex][index];
+    if (!voice || !speaker) return;
+    counts[voice] = counts[voice] || {};
+    counts[voice][speaker] = (counts[voice][speaker] || 0) + 1;
+  }));
+
+  const voiceCharacters = Object.entries(counts).reduce((characters, [voice, names]) => {
+    characters[voice] = Object.keys(names).sort((a, b) => names[b] - names[a])[0];
+    return characters;
+  }, {});
+
+  return speakers.map((sceneSpeakers, sceneIndex) => sceneSpeakers.map((speaker, index) => (
+    speaker || voiceCharacters[voices[sceneIndex][index]] || null
+  )));
+};
+
+module.exports = {
+  NARRATOR,
+  splitDialogue,
+  hasDialogue,
+  guessSpeakers,
+  fillSpeakersByVoice
+};
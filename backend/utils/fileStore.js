@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Root directory for persisted data (override with STORYMILL_DATA_DIR)
+const DATA_ROOT = process.env.STORYMILL_DATA_DIR || path.join(__dirname, '../data');
+
+// Record IDs are generated by generateId, anything else is rejected to keep paths inside the store
+const VALID_ID = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Create a JSON file store for a named collection.
+ * Each record lives in its own file: <DATA_ROOT>/<collection>/<id>.json
+ */
+const createFileStore = (collection) => {
+  const collectionDir = path.join(DATA_ROOT, collection);
+  const pendingWrites = new Map(); // id -> the last queued write, so writes to one record never overlap
+
+  const ensureDir = async () => {
+    await fs.promises.mkdir(collectionDir, { recursive: true });
+  };
+
+  const recordPath = (id) => {
+    if (typeof id !== 'string' || !VALID_ID.test(id)) {
+      throw new Error(`Invalid ${collection} id: ${id}`);
+    }
+    return path.join(collectionDir, `${id}.json`);
+  };
+
+  const read = async (id) => {
+    try {
+      const raw = await fs.promises.readFile(recordPath(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  // Write to a temp file of its own first so a crash never leaves a half-written record
+  const writeFile = async (filePath, record) => {
+    await ensureDir();
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(record));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+    return record;
+  };
+
+  // Writes to the same record run one after another, in the order they were made
+  const write = async (id, record) => {
+    const filePath = recordPath(id);
+    const previous = pendingWrites.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => writeFile(filePath, record));
+    pendingWrites.set(id, current);
+    current.catch(() => {}).then(() => {
+      if (pendingWrites.get(id) === current) pendingWrites.delete(id);
+    });
+    return current;
+  };
+
+  const remove = async (id) => {
+    try {
+      await fs.promises.unlink(recordPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  const list = async () => {
+    await ensureDir();
+    const files = await fs.promises.readdir(collectionDir);
+    const records = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => read(path.basename(file, '.json')).catch(() => null))
+    );
+    return records.filter(Boolean);
+  };
+
+  return {
+    collection,
+    directory: collectionDir,
+    isValidId: (id) => typeof id === 'string' && VALID_ID.test(id),
+    read,
+    write,
+    remove,
+    list
+  };
+};
+
+module.exports = {
+  createFileStore,
+  DATA_ROOT
+};
@@ -0,0 +1,87 @@
+/**
+ * Inpainting masks: PNGs painted in the player, the painted (opaque) pixels mark the region to change
+ */
+
+// canvas is a native module, loaded on first use so the server starts where it is not built
+const createCanvas = (...args) => require('canvas').createCanvas(...args);
+const loadImage = (...args) => require('canvas').loadImage(...args);
+
+const toBuffer = (dataUrl) => Buffer.from(dataUrl.replace(/^data:image\/[a-z+]+;base64,/, ''), 'base64');
+const toPngDataUrl = (canvas) => `data:image/png;base64,${canvas.toBuffer('image/png').toString('base64')}`;
+
+/**
+ * Black and white mask for the image model (painted area white, everything else black)
+ * sized to the image being edited
+ */
+const toModelMask = async (maskDataUrl, width, height) => {
+  const mask = await loadImage(toBuffer(maskDataUrl));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.drawImage(mask, 0, 0, width, height);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalCompositeOperation = 'destination-over';
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+
+  return toPngDataUrl(canvas);
+};
+
+/**
+ * Share of the mask that is painted (0-1)
+ */
+const measureMaskCoverage = async (maskDataUrl) => {
+  const mask = await loadImage(toBuffer(maskDataUrl));
+  const canvas = createCanvas(mask.width, mask.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(mask, 0, 0);
+
+  const { data } = ctx.getImageData(0, 0, mask.width, mask.height);
+  let painted = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) painted++;
+  }
+  return painted / (mask.width * mask.height);
+};
+
+/**
+ * Paste the edited image over the original only where the mask is painted
+ * The model may redraw the whole frame, so everything outside the mask is taken from the original
+ * Soft (semi-transparent) mask edges blend the two. Returns a PNG data URL at the original's size
+ */
+const compositeMasked = async (originalDataUrl, editedDataUrl, maskDataUrl) => {
+  const [original, edited, mask] = await Promise.all(
+    [originalDataUrl, editedDataUrl, maskDataUrl].map(dataUrl => loadImage(toBuffer(dataUrl)))
+  );
+  const { width, height } = original;
+
+  const patch = createCanvas(width, height);
+  const patchCtx = patch.getContext('2d');
+  patchCtx.drawImage(edited, 0, 0, width, height);
+  patchCtx.globalCompositeOperation = 'destination-in';
+  patchCtx.drawImage(mask, 0, 0, width, height);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(original, 0, 0, width, height);
+  ctx.drawImage(patch, 0, 0);
+
+  return toPngDataUrl(canvas);
+};
+
+/**
+ * Pixel size of an image data URL
+ */
+const getImageSize = async (dataUrl) => {
+  const image = await loadImage(toBuffer(dataUrl));
+  return { width: image.width, height: image.height };
+};
+
+module.exports = {
+  toModelMask,
+  measureMaskCoverage,
+  compositeMasked,
+  getImageSize
+};
@@ -0,0 +1,109 @@
+/**
+ * Story languages: scenes and narration are written in the story's language,
+ * visual prompts and character descriptions stay in English for the image model
+ * Codes are ISO 639-1; locale is the TTS/STT language code
+ */
+
+// googleVoices: Standard voices by gender, cast profiles take them in turn (English keeps the profiles' own voices)
+const LANGUAGES = {
+  en: { code: 'en', name: 'English', nativeName: 'English', locale: 'en-US', googleVoices: null },
+  es: {
+    code: 'es', name: 'Spanish', nativeName: 'Español', locale: 'es-ES',
+    googleVoices: { FEMALE: ['es-ES-Standard-A', 'es-ES-Standard-C', 'es-ES-Standard-D'], MALE: ['es-ES-Standard-B'] }
+  },
+  fr: {
+    code: 'fr', name: 'French', nativeName: 'Français', locale: 'fr-FR',
+    googleVoices: { FEMALE: ['fr-FR-Standard-A', 'fr-FR-Standard-C', 'fr-FR-Standard-E'], MALE: ['fr-FR-Standard-B', 'fr-FR-Standard-D'] }
+  },
+  de: {
+    code: 'de', name: 'German', nativeName: 'Deutsch', locale: 'de-DE',
+    googleVoices: { FEMALE: ['de-DE-Standard-A', 'de-DE-Standard-C', 'de-DE-Standard-F'], MALE: ['de-DE-Standard-B', 'de-DE-Standard-D', 'de-DE-Standard-E'] }
+  },
+  it: {
+    code: 'it', name: 'Italian', nativeName: 'Italiano', locale: 'it-IT',
+    googleVoices: { FEMALE: ['it-IT-Standard-A', 'it-IT-Standard-B'], MALE: ['it-IT-Standard-C', 'it-IT-Standard-D'] }
+  },
+  pt: {
+    code: 'pt', name: 'Portuguese', nativeName: 'Português', locale: 'pt-BR',
+    googleVoices: { FEMALE: ['pt-BR-Standard-A', 'pt-BR-Standard-C'], MALE: ['pt-BR-Standard-B'] }
+  },
+  nl: {
+    code: 'nl', name: 'Dutch', nativeName: 'Nederlands', locale: 'nl-NL',
+    googleVoices: { FEMALE: ['nl-NL-Standard-A', 'nl-NL-Standard-D', 'nl-NL-Standard-E'], MALE: ['nl-NL-Standard-B', 'nl-NL-Standard-C'] }
+  },
+  ja: {
+    code: 'ja', name: 'Japanese', nativeName: '日本語', locale: 'ja-JP',
+    googleVoices: { FEMALE: ['ja-JP-Standard-A', 'ja-JP-Standard-B'], MALE: ['ja-JP-Standard-C', 'ja-JP-Standard-D'] }
+  },
+  zh: {
+    code: 'zh', name: 'Chinese (Mandarin)', nativeName: '中文', locale: 'cmn-CN',
+    googleVoices: { FEMALE: ['cmn-CN-Standard-A', 'cmn-CN-Standard-D'], MALE: ['cmn-CN-Standard-B', 'cmn-CN-Standard-C'] }
+  },
+  hi: {
+    code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', locale: 'hi-IN',
+    googleVoices: { FEMALE: ['hi-IN-Standard-A', 'hi-IN-Standard-D'], MALE: ['hi-IN-Standard-B', 'hi-IN-Standard-C'] }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Scripts that identify a language on their own
+const SCRIPT_PATTERNS = [
+  { code: 'ja', pattern: /[぀-ヿ]/ }, // Kana (checked before Han, Japanese mixes both)
+  { code: 'zh', pattern: /[一-鿿]/ },
+  { code: 'hi', pattern: /[ऀ-ॿ]/ }
+];
+
+// Frequent short words of the Latin-script languages
+const STOPWORDS = {
+  en: ['the', 'and', 'was', 'of', 'to', 'he', 'she', 'it', 'said', 'with', 'they'],
+  es: ['el', 'la', 'los', 'las', 'y', 'que', 'en', 'una', 'fue', 'dijo', 'con', 'su'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'une', 'des', 'dans', 'il', 'elle', 'était', 'dit'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'nicht', 'sie', 'er', 'mit', 'war'],
+  it: ['il', 'lo', 'gli', 'e', 'che', 'di', 'una', 'era', 'non', 'disse', 'con', 'nel'],
+  pt: ['o', 'os', 'e', 'que', 'um', 'uma', 'não', 'ela', 'ele', 'disse', 'com', 'era'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'niet', 'zij', 'hij', 'was', 'zei', 'met', 'op']
+};
+
+const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+/**
+ * Language by code, the default language for unknown codes
+ */
+const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+/**
+ * Guess a text's language from its script or its most frequent short words
+ * Used when no text model is available; English wins ties
+ */
+const guessLanguage = (text = '') => {
+  const script = SCRIPT_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (script) return script.code;
+
+  const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  const counts = words.reduce((wordCounts, word) => {
+    wordCounts[word] = (wordCounts[word] || 0) + 1;
+    return wordCounts;
+  }, {});
+
+  let best = { code: DEFAULT_LANGUAGE, score: 0 };
+  Object.entries(STOPWORDS).forEach(([code, stopwords]) => {
+    const score = stopwords.reduce((total, word) => total + (counts[word] || 0), 0);
+    if (score > best.score) best = { code, score };
+  });
+  return best.code;
+};
+
+/**
+ * Language catalogue for the UI
+ */
+const listLanguages = () => Object.values(LANGUAGES).map(({ code, name, nativeName }) => ({ code, name, nativeName }));
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getLanguage,
+  guessLanguage,
+  listLanguages
+};
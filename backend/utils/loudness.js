@@ -0,0 +1,111 @@
+/**
+ * Loudness of mono audio in LUFS (ITU-R BS.1770): K-weighted, measured over 400ms blocks
+ * with the absolute (-70 LUFS) and relative (-10 LU) gates, so silences do not pull it down
+ */
+
+const BLOCK_SECONDS = 0.4;
+const BLOCK_OVERLAP = 0.75;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// The K-weighting pre-filter (a high shelf for the head) and RLB high-pass as biquads,
+// from their analog prototypes so any sample rate matches the 48kHz reference coefficients
+const kWeightingFilters = (sampleRate) => {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const shelfVh = Math.pow(10, 3.999843853973347 / 20);
+  const shelfVb = Math.pow(shelfVh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b0: (shelfVh + shelfVb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: 2 * (shelfK * shelfK - shelfVh) / shelfA0,
+      b2: (shelfVh - shelfVb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (passK * passK - 1) / passA0,
+      a2: (1 - passK / passQ + passK * passK) / passA0
+    }
+  ];
+};
+
+const applyFilter = (samples, { b0, b1, b2, a1, a2 }) => {
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    output[i] = y;
+  }
+  return output;
+};
+
+const toLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Integrated loudness in LUFS, -Infinity for silence (or audio shorter than one block)
+ */
+const measureLoudness = (samples, sampleRate) => {
+  const weighted = kWeightingFilters(sampleRate).reduce(applyFilter, samples);
+  const blockSize = Math.round(BLOCK_SECONDS * sampleRate);
+  const step = Math.max(1, Math.round(blockSize * (1 - BLOCK_OVERLAP)));
+
+  // Running sum of squares so each block costs two lookups
+  const energy = new Float64Array(weighted.length + 1);
+  for (let i = 0; i < weighted.length; i++) energy[i + 1] = energy[i] + weighted[i] * weighted[i];
+
+  const blocks = [];
+  for (let start = 0; start + blockSize <= weighted.length; start += step) {
+    const meanSquare = (energy[start + blockSize] - energy[start]) / blockSize;
+    if (meanSquare > 0 && toLoudness(meanSquare) > ABSOLUTE_GATE) blocks.push(meanSquare);
+  }
+  if (blocks.length === 0) return -Infinity;
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const threshold = toLoudness(average(blocks)) + RELATIVE_GATE;
+  const gated = blocks.filter(meanSquare => toLoudness(meanSquare) > threshold);
+  return toLoudness(average(gated));
+};
+
+/**
+ * Largest absolute sample value
+ */
+const measurePeak = (samples) => {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  return peak;
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Scale samples (in place) to a target loudness; maxGainDb keeps near-silent audio from being blown up
+ * Returns the loudness measured before scaling
+ */
+const normalizeLoudness = (samples, sampleRate, targetLufs, { maxGainDb = 24 } = {}) => {
+  const loudness = measureLoudness(samples, sampleRate);
+  if (!Number.isFinite(loudness)) return loudness;
+
+  const gain = dbToGain(Math.min(maxGainDb, targetLufs - loudness));
+  for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+  return loudness;
+};
+
+module.exports = {
+  measureLoudness,
+  measurePeak,
+  normalizeLoudness,
+  dbToGain
+};
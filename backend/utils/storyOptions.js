@@ -0,0 +1,178 @@
+/**
+ * Per-story options: { sceneCount, targetDurationSeconds, pacing, contentPolicy, language }
+ * Resolved into the scene range and per-scene duration used by analysis,
+ * the fallback splitter and scene validation (per chapter for long stories)
+ * A requested scene count (or target duration) is for the whole story: long stories share it
+ * between their chapters (see allotChapterScenes), the default range applies to each chapter
+ * contentPolicy names the audience (see contentPolicies.js); softenContent is set by the
+ * pipeline when the story text is rated above that audience
+ * language is the story's language (see languages.js), detected from the text when not given
+ */
+
+const { POLICIES, DEFAULT_POLICY } = require('./contentPolicies');
+const { LANGUAGES, isSupportedLanguage } = require('./languages');
+
+// Defaults match the original fixed 3-6 scene, 4 second storyboards
+const LIMITS = {
+  DEFAULT_MIN_SCENES: 3,
+  DEFAULT_MAX_SCENES: 6,
+  MIN_SCENE_COUNT: 1,
+  MAX_SCENE_COUNT: 24,
+  MIN_TARGET_DURATION: 10, // Seconds
+  MAX_TARGET_DURATION: 480, // MAX_SCENE_COUNT scenes at MAX_SCENE_DURATION
+  MIN_SCENE_DURATION: 2,
+  MAX_SCENE_DURATION: 20,
+  MAX_STORY_LENGTH: 100000 // Characters, stories over one chapter chunk are analyzed per chapter
+};
+
+// Pacing sets how long a scene lingers and how much story each scene covers
+const PACING = {
+  brisk: { sceneDuration: 3, sentencesPerScene: 1 },
+  normal: { sceneDuration: 4, sentencesPerScene: 2 },
+  leisurely: { sceneDuration: 6, sentencesPerScene: 3 }
+};
+
+const DEFAULT_PACING = 'normal';
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Validate story options, returns a list of errors (empty when valid)
+ */
+const validateStoryOptions = (options) => {
+  if (options === undefined || options === null) return [];
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return ['Story options must be an object'];
+  }
+
+  const errors = [];
+  const { sceneCount, targetDurationSeconds, pacing, contentPolicy, softenContent, language } = options;
+
+  if (sceneCount !== undefined && sceneCount !== null &&
+      (!Number.isInteger(sceneCount) || sceneCount < LIMITS.MIN_SCENE_COUNT || sceneCount > LIMITS.MAX_SCENE_COUNT)) {
+    errors.push(`sceneCount must be a whole number between ${LIMITS.MIN_SCENE_COUNT} and ${LIMITS.MAX_SCENE_COUNT}`);
+  }
+
+  if (targetDurationSeconds !== undefined && targetDurationSeconds !== null &&
+      (typeof targetDurationSeconds !== 'number' || !Number.isFinite(targetDurationSeconds) ||
+       targetDurationSeconds < LIMITS.MIN_TARGET_DURATION || targetDurationSeconds > LIMITS.MAX_TARGET_DURATION)) {
+    errors.push(`targetDurationSeconds must be between ${LIMITS.MIN_TARGET_DURATION} and ${LIMITS.MAX_TARGET_DURATION}`);
+  }
+
+  if (pacing !== undefined && pacing !== null && !PACING[pacing]) {
+    errors.push(`pacing must be one of: ${Object.keys(PACING).join(', ')}`);
+  }
+
+  if (contentPolicy !== undefined && contentPolicy !== null && !POLICIES[contentPolicy]) {
+    errors.push(`contentPolicy must be one of: ${Object.keys(POLICIES).join(', ')}`);
+  }
+
+  if (softenContent !== undefined && typeof softenContent !== 'boolean') {
+    errors.push('softenContent must be true or false');
+  }
+
+  if (language !== undefined && language !== null && !isSupportedLanguage(language)) {
+    errors.push(`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Resolve options into concrete limits (invalid values fall back to defaults)
+ * Returns { minScenes, maxScenes, sceneCount, sceneDuration, sentencesPerScene, pacing, targetDurationSeconds, contentPolicy, softenContent, language }
+ * sceneCount is the story-wide count asked for (directly or through the target duration), null for the default range
+ * chapterSceneCount narrows the range to one chapter's share of that count, keeping the story-wide scene duration
+ * (language stays null until detected)
+ */
+const resolveStoryOptions = (options = {}, chapterSceneCount = null) => {
+  const safeOptions = validateStoryOptions(options).length === 0 && options ? options : {};
+  const pacing = safeOptions.pacing || DEFAULT_PACING;
+  const { sceneDuration: pacedDuration, sentencesPerScene } = PACING[pacing];
+  const { sceneCount, targetDurationSeconds } = safeOptions;
+
+  let minScenes = LIMITS.DEFAULT_MIN_SCENES;
+  let maxScenes = LIMITS.DEFAULT_MAX_SCENES;
+  let requestedCount = null;
+  let sceneDuration = pacedDuration;
+
+  if (sceneCount) {
+    // An explicit count wins; a target duration is then spread across those scenes
+    requestedCount = sceneCount;
+    if (targetDurationSeconds) sceneDuration = targetDurationSeconds / sceneCount;
+  } else if (targetDurationSeconds) {
+    // Pick the scene count that fits the target at this pacing
+    requestedCount = clamp(Math.round(targetDurationSeconds / pacedDuration), LIMITS.MIN_SCENE_COUNT, LIMITS.MAX_SCENE_COUNT);
+    sceneDuration = targetDurationSeconds / requestedCount;
+  }
+
+  if (chapterSceneCount || requestedCount) {
+    minScenes = chapterSceneCount || requestedCount;
+    maxScenes = minScenes;
+  }
+
+  return {
+    minScenes,
+    maxScenes,
+    sceneCount: requestedCount,
+    sceneDuration: round1(clamp(sceneDuration, LIMITS.MIN_SCENE_DURATION, LIMITS.MAX_SCENE_DURATION)),
+    sentencesPerScene,
+    pacing,
+    targetDurationSeconds: targetDurationSeconds || null,
+    contentPolicy: safeOptions.contentPolicy || DEFAULT_POLICY,
+    softenContent: Boolean(safeOptions.softenContent),
+    language: safeOptions.language || null
+  };
+};
+
+/**
+ * Check that a story split into chapterCount chapters can have the scene count asked for
+ * (every chapter needs at least one scene), returns a list of errors (empty when it fits)
+ */
+const validateChapterFit = (options, chapterCount) => {
+  if (validateStoryOptions(options).length > 0) return [];
+  const { sceneCount } = resolveStoryOptions(options);
+  if (!sceneCount || chapterCount <= sceneCount) return [];
+
+  const asked = options.sceneCount
+    ? `sceneCount is ${sceneCount}`
+    : `targetDurationSeconds allows ${sceneCount} scenes`;
+  return [`The story has ${chapterCount} chapters but ${asked}; every chapter needs at least one scene, ask for at least ${chapterCount} scenes or a shorter story`];
+};
+
+/**
+ * Share the story-wide scene count between chapters in proportion to their length (in characters),
+ * at least one scene each; the shares add up to the count (see validateChapterFit)
+ * Returns one count per chapter, null when each chapter uses the default range
+ */
+const allotChapterScenes = (options, chapterLengths) => {
+  const { sceneCount } = resolveStoryOptions(options);
+  if (!sceneCount) return null;
+
+  // One scene each, the rest by largest remainder
+  const spare = Math.max(0, sceneCount - chapterLengths.length);
+  const totalLength = chapterLengths.reduce((sum, length) => sum + length, 0) || 1;
+  const exact = chapterLengths.map(length => spare * length / totalLength);
+  const counts = exact.map(share => 1 + Math.floor(share));
+  let left = sceneCount - counts.reduce((sum, count) => sum + count, 0);
+  exact
+    .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left > 0) {
+        counts[index]++;
+        left--;
+      }
+    });
+  return counts;
+};
+
+module.exports = {
+  STORY_LIMITS: LIMITS,
+  PACING,
+  validateStoryOptions,
+  validateChapterFit,
+  resolveStoryOptions,
+  allotChapterScenes
+};
@@ -0,0 +1,140 @@
+/**
+ * Structure for recorded stories: the words speech-to-text heard, with timings and speaker labels,
+ * are grouped into paragraphs at pauses and speaker turns
+ * Long pauses hint at scene boundaries, and when a second voice joins the storyteller
+ * (a parent and child telling a story together) its lines are taken as dialogue
+ */
+
+// Silences (seconds) that start a new paragraph, and a new scene
+const TRANSCRIPT_PAUSES = {
+  PARAGRAPH: 1.2,
+  SCENE: 2.5
+};
+
+// Words of a passage quoted to the analyzer to point at where it starts
+const OPENING_WORDS = 8;
+
+const QUOTE_MARKS = /["“”«»„「」]/;
+
+const roundSeconds = (value) => Math.round(value * 100) / 100;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Lowercase letters and digits only, for matching quotes against what was heard
+const normalizeSpoken = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Words as providers report them: { text, start, end, speaker }, in the order they were spoken
+const normalizeWords = (words = []) => words
+  .filter(word => typeof word?.text === 'string' && word.text.trim() && Number.isFinite(word.start) && Number.isFinite(word.end))
+  .map(word => ({
+    text: word.text.trim(),
+    start: roundSeconds(word.start),
+    end: roundSeconds(Math.max(word.start, word.end)),
+    speaker: word.speaker === undefined || word.speaker === null ? null : String(word.speaker)
+  }));
+
+// A new paragraph at each pause of PARAGRAPH seconds or more and at each change of speaker
+const buildParagraphs = (words) => words.reduce((paragraphs, word, index) => {
+  const pause = index > 0 ? Math.max(0, word.start - words[index - 1].end) : 0;
+  const current = paragraphs[paragraphs.length - 1];
+
+  if (!current || pause >= TRANSCRIPT_PAUSES.PARAGRAPH || word.speaker !== current.speaker) {
+    paragraphs.push({
+      text: word.text,
+      start: word.start,
+      end: word.end,
+      speaker: word.speaker,
+      pauseBefore: roundSeconds(pause),
+      sceneBreak: pause >= TRANSCRIPT_PAUSES.SCENE
+    });
+  } else {
+    current.text += ` ${word.text}`;
+    current.end = word.end;
+  }
+  return paragraphs;
+}, []);
+
+// The main storyteller: the voice that speaks the most words, null unless there are several voices
+const findNarratorVoice = (paragraphs = []) => {
+  const counts = paragraphs.reduce((voices, { text, speaker }) => {
+    if (speaker) voices[speaker] = (voices[speaker] || 0) + countWords(text);
+    return voices;
+  }, {});
+  const voices = Object.keys(counts);
+  if (voices.length < 2) return null;
+  return voices.sort((a, b) => counts[b] - counts[a])[0];
+};
+
+// The transcript as story text: paragraphs where the storyteller paused, and what other
+// voices said in quotes (unless the transcript already quotes it) so it reads as dialogue
+const layOutStoryText = (paragraphs) => {
+  const narratorVoice = findNarratorVoice(paragraphs);
+  return paragraphs.map((paragraph, index) => {
+    const spokenByOther = narratorVoice && paragraph.speaker && paragraph.speaker !== narratorVoice;
+    const text = spokenByOther && !QUOTE_MARKS.test(paragraph.text) ? `"${paragraph.text}"` : paragraph.text;
+    if (index === 0) return text;
+    return `${paragraph.pauseBefore >= TRANSCRIPT_PAUSES.PARAGRAPH ? '\n\n' : ' '}${text}`;
+  }).join('');
+};
+
+/**
+ * Structure a transcript from the words it was heard as
+ * Returns { words, speakers, paragraphs: [{ text, start, end, speaker, pauseBefore, sceneBreak }], storyText }
+ * storyText is the transcript laid out for story analysis; without word timings it is the transcript itself
+ */
+const structureTranscript = (transcript = '', words = []) => {
+  const heard = normalizeWords(words);
+  if (heard.length === 0) {
+    return { words: [], speakers: [], paragraphs: [], storyText: transcript };
+  }
+
+  const paragraphs = buildParagraphs(heard);
+  return {
+    words: heard,
+    speakers: [...new Set(heard.map(word => word.speaker).filter(Boolean))],
+    paragraphs,
+    storyText: layOutStoryText(paragraphs)
+  };
+};
+
+/**
+ * Hints for story analysis from a structured transcript ({ paragraphs }), null without one
+ * sceneBreaks: the opening words of each passage told after a long pause
+ * voices: [{ text, speaker }] for what voices other than the storyteller said
+ */
+const getTranscriptHints = (transcription) => {
+  const paragraphs = transcription?.paragraphs || [];
+  if (paragraphs.length === 0) return null;
+
+  const narratorVoice = findNarratorVoice(paragraphs);
+  return {
+    sceneBreaks: paragraphs
+      .filter((paragraph, index) => index > 0 && paragraph.sceneBreak)
+      .map(({ text }) => text.replace(/["“”«»„「」]/g, '').split(/\s+/).slice(0, OPENING_WORDS).join(' ')),
+    voices: narratorVoice
+      ? paragraphs
+        .filter(paragraph => paragraph.speaker && paragraph.speaker !== narratorVoice)
+        .map(({ text, speaker }) => ({ text, speaker }))
+      : []
+  };
+};
+
+/**
+ * The recorded voice that said a quote (see getTranscriptHints), null when no voice said it
+ */
+const findQuoteVoice = (quote, voices = []) => {
+  const spoken = normalizeSpoken(quote);
+  if (!spoken) return null;
+
+  const voice = voices.find(({ text }) => {
+    const heard = normalizeSpoken(text);
+    return heard && (heard.includes(spoken) || spoken.includes(heard));
+  });
+  return voice ? voice.speaker : null;
+};
+
+module.exports = {
+  structureTranscript,
+  getTranscriptHints,
+  findQuoteVoice
+};
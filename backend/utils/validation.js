@@ -2,6 +2,11 @@
  * Comprehensive backend validation utilities
  */
 
+const { STORY_LIMITS, validateStoryOptions, validateChapterFit, resolveStoryOptions } = require('./storyOptions');
+const { splitIntoChapters } = require('./chapters');
+const { CHARACTER_ATTRIBUTES } = require('./characterProfiles');
+const { LANGUAGES, isSupportedLanguage } = require('./languages');
+
 /**
  * Validate story input
  */
@@ -19,8 +24,8 @@ const validateStoryInput = (input) => {
             errors.push('Story text must be a string');
         } else if (input.storyText.trim().length < 10) {
             errors.push('Story text must be at least 10 characters long');
-        } else if (input.storyText.length > 5000) {
-            errors.push('Story text must be less than 5000 characters');
+        } else if (input.storyText.length > STORY_LIMITS.MAX_STORY_LENGTH) {
+            errors.push(`Story text must be less than ${STORY_LIMITS.MAX_STORY_LENGTH} characters`);
         }
     }
     
@@ -47,6 +52,32 @@ const validateStoryInput = (input) => {
         errors.push('Either storyText or audioData is required');
     }
     
+    if (input.voiceCast !== undefined) {
+        errors.push(...validateVoiceCast(input.voiceCast));
+    }
+    
+    if (input.music !== undefined) {
+        errors.push(...validateMusicSettings(input.music));
+    }
+    
+    errors.push(...validateStoryOptions(input.storyOptions));
+    
+    if (typeof input.storyText === 'string' && errors.length === 0) {
+        errors.push(...validateChapterFit(input.storyOptions, splitIntoChapters(input.storyText).length));
+    }
+    
+    if (input.style !== undefined && (typeof input.style !== 'string' || input.style.trim().length === 0)) {
+        errors.push('Style must be a style id from /api/styles');
+    }
+    
+    if (input.storyboard !== undefined) {
+        errors.push(...validateStoryboard(input.storyboard, input.storyOptions));
+    }
+    
+    if (input.transcription !== undefined && input.transcription !== null) {
+        errors.push(...validateTranscription(input.transcription));
+    }
+    
     return {
         valid: errors.length === 0,
         errors
@@ -55,8 +86,11 @@ const validateStoryInput = (input) => {
 
 /**
  * Validate scene data structure
+ * storyOptions ({ sceneCount, targetDurationSeconds, pacing }) sets the allowed scene count:
+ * a requested count is for the whole story, the default range applies per chapter when scenes carry a chapterNumber
  */
-const validateScenes = (scenes) => {
+const validateScenes = (scenes, storyOptions = {}) => {
+    const { minScenes, maxScenes, sceneCount } = resolveStoryOptions(storyOptions);
     const errors = [];
     
     if (!Array.isArray(scenes)) {
@@ -64,11 +98,38 @@ const validateScenes = (scenes) => {
         return { valid: false, errors };
     }
     
-    if (scenes.length < 3 || scenes.length > 6) {
-        errors.push('Must have between 3-6 scenes');
+    const chapterSceneCounts = scenes.reduce((counts, scene) => {
+        const chapterNumber = scene?.chapterNumber || 1;
+        counts[chapterNumber] = (counts[chapterNumber] || 0) + 1;
+        return counts;
+    }, {});
+    const isLongForm = Object.keys(chapterSceneCounts).length > 1;
+    
+    if (scenes.length === 0) {
+        chapterSceneCounts[1] = 0;
+    }
+    
+    if (isLongForm && sceneCount) {
+        if (scenes.length !== sceneCount) {
+            errors.push(`Must have exactly ${sceneCount} scenes across all chapters`);
+        }
+    } else {
+        Object.entries(chapterSceneCounts).forEach(([chapterNumber, count]) => {
+            if (count < minScenes || count > maxScenes) {
+                const prefix = isLongForm ? `Chapter ${chapterNumber}: must` : 'Must';
+                errors.push(minScenes === maxScenes
+                    ? `${prefix} have exactly ${minScenes} scenes`
+                    : `${prefix} have between ${minScenes}-${maxScenes} scenes`);
+            }
+        });
     }
     
     scenes.forEach((scene, index) => {
+        if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+            errors.push(`Scene ${index + 1}: must be an object`);
+            return;
+        }
+        
         const sceneErrors = [];
         
         if (!scene.sceneNumber || typeof scene.sceneNumber !== 'number') {
@@ -91,8 +152,230 @@ const validateScenes = (scenes) => {
             sceneErrors.push('Missing or invalid setting');
         }
         
-        if (scene.duration && (typeof scene.duration !== 'number' || scene.duration < 2 || scene.duration > 10)) {
-            sceneErrors.push('Duration must be between 2-10 seconds');
+        if (scene.duration && (typeof scene.duration !== 'number' ||
+            scene.duration < STORY_LIMITS.MIN_SCENE_DURATION || scene.duration > STORY_LIMITS.MAX_SCENE_DURATION)) {
+            sceneErrors.push(`Duration must be between ${STORY_LIMITS.MIN_SCENE_DURATION}-${STORY_LIMITS.MAX_SCENE_DURATION} seconds`);
+        }
+        
+        if (sceneErrors.length > 0) {
+            errors.push(`Scene ${index + 1}: ${sceneErrors.join(', ')}`);
+        }
+    });
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Validate a voice cast ({ speakerName: voiceProfileId })
+ * Returns a list of errors (empty when valid)
+ */
+const validateVoiceCast = (voiceCast) => {
+    const { isVoiceProfile } = require('../services/voiceCastingService');
+    
+    if (!voiceCast || typeof voiceCast !== 'object' || Array.isArray(voiceCast)) {
+        return ['Voice cast must be an object mapping speakers to voice profiles'];
+    }
+    
+    return Object.entries(voiceCast)
+        .filter(([, profileId]) => !isVoiceProfile(profileId))
+        .map(([speaker, profileId]) => `Unknown voice profile "${profileId}" for ${speaker}`);
+};
+
+/**
+ * Validate character bible edits ({ age, build, hair, outfit, palette, props, description, lockedAttributes })
+ * Returns a list of errors (empty when valid)
+ */
+const validateCharacterChanges = (changes) => {
+    const errors = [];
+    const isList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    
+    ['age', 'build', 'hair', 'outfit', 'description'].forEach(field => {
+        if (changes[field] !== undefined && (typeof changes[field] !== 'string' || changes[field].length > 500)) {
+            errors.push(`${field} must be a string under 500 characters`);
+        }
+    });
+    
+    ['palette', 'props'].forEach(field => {
+        if (changes[field] !== undefined && !isList(changes[field])) {
+            errors.push(`${field} must be an array of strings`);
+        }
+    });
+    
+    if (changes.lockedAttributes !== undefined &&
+        (!isList(changes.lockedAttributes) || changes.lockedAttributes.some(attribute => !CHARACTER_ATTRIBUTES.includes(attribute)))) {
+        errors.push(`lockedAttributes must only contain: ${CHARACTER_ATTRIBUTES.join(', ')}`);
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate a custom art style ({ name, prompt, thumbnail })
+ * Returns a list of errors (empty when valid)
+ */
+const validateCustomStyle = (style) => {
+    const errors = [];
+    
+    if (!style || typeof style.name !== 'string' || style.name.trim().length === 0 || style.name.length > 60) {
+        errors.push('Name is required (max 60 characters)');
+    }
+    
+    if (!style || typeof style.prompt !== 'string' || style.prompt.trim().length < 10 || style.prompt.length > 400) {
+        errors.push('Prompt must be 10 to 400 characters describing the art style');
+    }
+    
+    if (style?.thumbnail !== undefined && style.thumbnail !== null) {
+        if (typeof style.thumbnail !== 'string' || !/^data:image\/(png|jpe?g|webp|gif);base64,/.test(style.thumbnail)) {
+            errors.push('Thumbnail must be an image data URL');
+        } else if ((style.thumbnail.length * 3) / 4 > 2 * 1024 * 1024) { // 2MB limit
+            errors.push('Thumbnail too large (max 2MB)');
+        }
+    }
+    
+    return errors;
+};
+
+// Uploaded music tracks, as data URLs
+const MAX_MUSIC_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MUSIC_MODES = ['auto', 'track', 'off'];
+
+/**
+ * Validate an uploaded music track ({ title, audioUrl, moods })
+ * Returns a list of errors (empty when valid)
+ */
+const validateMusicTrack = (track) => {
+    const { MUSIC_MOODS } = require('../services/musicService');
+    const { decodeDataUrl, getAudioDuration } = require('./audioUtils');
+    const errors = [];
+    
+    if (!track || typeof track.title !== 'string' || track.title.trim().length === 0 || track.title.length > 80) {
+        errors.push('Title is required (max 80 characters)');
+    }
+    
+    if (typeof track?.audioUrl !== 'string' || !/^data:audio\/[\w.+-]+;base64,/.test(track.audioUrl)) {
+        errors.push('Audio must be an audio data URL');
+    } else if ((track.audioUrl.length * 3) / 4 > MAX_MUSIC_UPLOAD_BYTES) {
+        errors.push('Audio too large (max 15MB)');
+    } else if (!getAudioDuration(decodeDataUrl(track.audioUrl)?.buffer)) {
+        errors.push('Audio must be a WAV or MP3 file');
+    }
+    
+    if (track?.moods !== undefined && (!Array.isArray(track.moods) || track.moods.some(mood => !MUSIC_MOODS.includes(mood)))) {
+        errors.push(`Moods must be a list of: ${MUSIC_MOODS.join(', ')}`);
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate story music settings ({ mode: 'auto' | 'track' | 'off', trackId })
+ * Returns a list of errors (empty when valid)
+ */
+const validateMusicSettings = (music) => {
+    if (!music || typeof music !== 'object' || Array.isArray(music)) {
+        return ['Music must be an object with a mode'];
+    }
+    
+    const errors = [];
+    if (!MUSIC_MODES.includes(music.mode)) {
+        errors.push(`Music mode must be one of: ${MUSIC_MODES.join(', ')}`);
+    }
+    if (music.mode === 'track' && (typeof music.trackId !== 'string' || music.trackId.length === 0)) {
+        errors.push('A music track id is required when the mode is "track"');
+    }
+    return errors;
+};
+
+/**
+ * Validate single-scene regeneration options ({ image, rewritePrompt, narration, instructions })
+ * Returns a list of errors (empty when valid)
+ */
+const validateRegenerateOptions = (options) => {
+    const errors = [];
+    const flags = ['image', 'rewritePrompt', 'narration'];
+    
+    flags.forEach(flag => {
+        if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+            errors.push(`${flag} must be true or false`);
+        }
+    });
+    
+    if (!flags.some(flag => options[flag] === true)) {
+        errors.push('Choose at least one of image, rewritePrompt or narration');
+    }
+    
+    if (options.instructions !== undefined && (typeof options.instructions !== 'string' || options.instructions.length > 500)) {
+        errors.push('Instructions must be a string under 500 characters');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate an accepted scene regeneration candidate ({ visualPrompt, image: { imageUrl }, audio: { audioUrl } })
+ * Returns a list of errors (empty when valid)
+ */
+const validateSceneCandidate = (candidate) => {
+    const errors = [];
+    
+    if (candidate.visualPrompt !== undefined && candidate.visualPrompt !== null &&
+        (typeof candidate.visualPrompt !== 'string' || candidate.visualPrompt.trim().length === 0 || candidate.visualPrompt.length > 2000)) {
+        errors.push('Visual prompt must be a non-empty string under 2000 characters');
+    }
+    
+    if (candidate.image && !/^data:image\/[a-z+]+;base64,/.test(candidate.image.imageUrl || '')) {
+        errors.push('Image must carry an image data URL');
+    } else if (candidate.image && (candidate.image.type === 'placeholder' || candidate.image.safety?.blocked ||
+        candidate.image.imageUrl.startsWith('data:image/svg+xml'))) {
+        // Placeholders (including refused images) are SVG cards, only real illustrations can be saved
+        errors.push('Image is a placeholder, not an illustration');
+    }
+    
+    if (candidate.audio && typeof candidate.audio.audioUrl !== 'string') {
+        errors.push('Audio must carry an audioUrl');
+    }
+    
+    if (!candidate.visualPrompt && !candidate.image && !candidate.audio) {
+        errors.push('Nothing to accept');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate an approved storyboard ({ scenes, chapters, characters, language }) sent back for illustration
+ * Scenes follow the analysis format, characters map names to profiles or descriptions
+ * Returns a list of errors (empty when valid)
+ */
+const validateStoryboard = (storyboard, storyOptions = {}) => {
+    if (!storyboard || typeof storyboard !== 'object' || Array.isArray(storyboard)) {
+        return ['Storyboard must be an object with scenes'];
+    }
+    
+    const errors = [...validateScenes(storyboard.scenes, storyOptions).errors];
+    if (!Array.isArray(storyboard.scenes)) return errors;
+    
+    storyboard.scenes.forEach((scene, index) => {
+        // Entries that are not objects were reported by validateScenes
+        if (!scene || typeof scene !== 'object' || Array.isArray(scene)) return;
+        
+        const sceneErrors = [];
+        
+        if (typeof scene.visualPrompt === 'string' && scene.visualPrompt.length > 2000) {
+            sceneErrors.push('Visual prompt must be less than 2000 characters');
+        }
+        
+        ['mood', 'timeOfDay', 'weather', 'environment'].forEach(field => {
+            if (scene[field] !== undefined && typeof scene[field] !== 'string') {
+                sceneErrors.push(`${field} must be a string`);
+            }
+        });
+        
+        if (Array.isArray(scene.characters) && scene.characters.some(name => typeof name !== 'string' || !name.trim())) {
+            sceneErrors.push('Character names must be non-empty strings');
         }
         
         if (sceneErrors.length > 0) {
@@ -100,6 +383,169 @@ const validateScenes = (scenes) => {
         }
     });
     
+    if (storyboard.characters !== undefined &&
+        (typeof storyboard.characters !== 'object' || storyboard.characters === null || Array.isArray(storyboard.characters))) {
+        errors.push('Storyboard characters must map names to profiles');
+    }
+    
+    if (storyboard.chapters !== undefined &&
+        (!Array.isArray(storyboard.chapters) || storyboard.chapters.some(chapter => !Number.isInteger(chapter?.chapterNumber)))) {
+        errors.push('Storyboard chapters must each have a chapterNumber');
+    }
+    
+    if (storyboard.language !== undefined && storyboard.language !== null && !isSupportedLanguage(storyboard.language)) {
+        errors.push(`Storyboard language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate the structure of a recorded story sent with its transcribed text
+ * ({ paragraphs: [{ text, speaker, sceneBreak }] } as /api/story/transcribe returns it)
+ * Returns a list of errors (empty when valid)
+ */
+const validateTranscription = (transcription) => {
+    if (typeof transcription !== 'object' || Array.isArray(transcription) || !Array.isArray(transcription.paragraphs)) {
+        return ['Transcription must be an object with paragraphs'];
+    }
+    
+    const errors = [];
+    if (transcription.paragraphs.length > 2000) {
+        errors.push('Transcription can have at most 2000 paragraphs');
+    }
+    
+    transcription.paragraphs.forEach((paragraph, index) => {
+        const paragraphErrors = [];
+        
+        if (typeof paragraph?.text !== 'string' || paragraph.text.length > STORY_LIMITS.MAX_STORY_LENGTH) {
+            paragraphErrors.push('text must be a string');
+        }
+        if (paragraph?.speaker !== undefined && paragraph?.speaker !== null && typeof paragraph.speaker !== 'string') {
+            paragraphErrors.push('speaker must be a string or null');
+        }
+        if (paragraph?.sceneBreak !== undefined && typeof paragraph.sceneBreak !== 'boolean') {
+            paragraphErrors.push('sceneBreak must be true or false');
+        }
+        
+        if (paragraphErrors.length > 0) {
+            errors.push(`Transcription paragraph ${index + 1}: ${paragraphErrors.join(', ')}`);
+        }
+    });
+    
+    return errors;
+};
+
+/**
+ * Validate a new scene order ({ sceneIds: [sceneId] })
+ * Returns a list of errors (empty when valid), whether it covers the story's scenes is checked against the story
+ */
+const validateSceneOrder = (sceneIds) => {
+    const errors = [];
+    
+    if (!Array.isArray(sceneIds) || sceneIds.length === 0) {
+        errors.push('sceneIds must be a non-empty array');
+    } else if (sceneIds.some(sceneId => typeof sceneId !== 'string' || !sceneId)) {
+        errors.push('Every scene id must be a non-empty string');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate a scene split point (character offset into the scene text, optional)
+ */
+const validateSceneSplit = (splitAt) => {
+    const errors = [];
+    
+    if (splitAt !== undefined && splitAt !== null && (!Number.isInteger(splitAt) || splitAt < 1)) {
+        errors.push('splitAt must be a positive whole number');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate a scene inserted from text ({ text, index })
+ */
+const validateNewScene = ({ text, index }) => {
+    const errors = [];
+    
+    if (typeof text !== 'string' || text.trim().length < 10) {
+        errors.push('Scene text must be at least 10 characters long');
+    } else if (text.length > 2000) {
+        errors.push('Scene text must be less than 2000 characters');
+    }
+    
+    if (index !== undefined && index !== null && (!Number.isInteger(index) || index < 0)) {
+        errors.push('index must be a non-negative whole number');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate a story-wide edit instruction ("give the fox a red scarf", "make it winter")
+ */
+const validateStoryEdit = ({ instruction }) => {
+    const errors = [];
+    
+    if (typeof instruction !== 'string' || instruction.trim().length < 3) {
+        errors.push('Instruction must be at least 3 characters long');
+    } else if (instruction.length > 500) {
+        errors.push('Instruction must be less than 500 characters');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate an inpainting request ({ maskImage, editPrompt })
+ * The mask is a PNG whose painted (opaque) pixels mark the region to change
+ */
+const validateInpaintRequest = ({ maskImage, editPrompt }) => {
+    const errors = [];
+    
+    if (typeof maskImage !== 'string' || !maskImage.startsWith('data:image/png;base64,')) {
+        errors.push('Mask must be a PNG data URL');
+    }
+    
+    if (typeof editPrompt !== 'string' || editPrompt.trim().length === 0) {
+        errors.push('Edit prompt is required');
+    } else if (editPrompt.length > 1000) {
+        errors.push('Edit prompt must be less than 1000 characters');
+    }
+    
+    return errors;
+};
+
+/**
+ * Validate uploaded images sent for analysis ([{ data | base64, mimeType, name }])
+ */
+const validateUploadedImages = (images) => {
+    const errors = [];
+    
+    if (!Array.isArray(images) || images.length === 0) {
+        errors.push('Images must be a non-empty array');
+        return { valid: false, errors };
+    }
+    
+    if (images.length > 10) {
+        errors.push('At most 10 images can be analyzed at once');
+    }
+    
+    images.forEach((image, index) => {
+        const imageData = image && (image.data || image.base64);
+        
+        if (typeof imageData !== 'string' || imageData.length === 0) {
+            errors.push(`Image ${index + 1}: missing base64 image data`);
+        } else if (imageData.startsWith('data:') && !/^data:image\/(png|jpe?g|webp|gif);base64,/.test(imageData)) {
+            errors.push(`Image ${index + 1}: unsupported image type`);
+        } else if ((imageData.length * 3) / 4 > 10 * 1024 * 1024) { // 10MB limit
+            errors.push(`Image ${index + 1}: too large (max 10MB)`);
+        }
+    });
+    
     return {
         valid: errors.length === 0,
         errors
@@ -107,9 +553,69 @@ const validateScenes = (scenes) => {
 };
 
 /**
- * Validate API keys configuration
+ * Validate a story record before it is persisted
+ * With partial=true only the fields that are present are checked (PUT)
+ */
+const validateStoryRecord = (data, { partial = false } = {}) => {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object') {
+        errors.push('Story data is required');
+        return { valid: false, errors };
+    }
+    
+    if (!partial || data.scenes !== undefined) {
+        if (!Array.isArray(data.scenes) || data.scenes.length === 0) {
+            errors.push('Scenes must be a non-empty array');
+        } else {
+            data.scenes.forEach((scene, index) => {
+                if (!scene || typeof scene !== 'object') {
+                    errors.push(`Scene ${index + 1}: must be an object`);
+                } else if (typeof (scene.description || scene.text) !== 'string') {
+                    errors.push(`Scene ${index + 1}: missing description`);
+                }
+            });
+        }
+    }
+    
+    if (data.title !== undefined && (typeof data.title !== 'string' || data.title.length > 200)) {
+        errors.push('Title must be a string under 200 characters');
+    }
+    
+    if (data.characters !== undefined && (typeof data.characters !== 'object' || Array.isArray(data.characters))) {
+        errors.push('Characters must be an object');
+    }
+    
+    if (data.chapters !== undefined && (!Array.isArray(data.chapters) ||
+        data.chapters.some(chapter => !chapter || !Number.isInteger(chapter.chapterNumber)))) {
+        errors.push('Chapters must be an array of { chapterNumber, title, summary }');
+    }
+    
+    if (data.editHistory !== undefined && (typeof data.editHistory !== 'object' || Array.isArray(data.editHistory))) {
+        errors.push('Edit history must be an object keyed by scene index');
+    }
+    
+    if (data.voiceCast !== undefined) {
+        errors.push(...validateVoiceCast(data.voiceCast));
+    }
+    
+    if (data.music !== undefined) {
+        errors.push(...validateMusicSettings(data.music));
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Validate API keys and provider configuration
  */
 const validateAPIKeys = () => {
+    const { describeProviders } = require('../providers');
+    const providers = describeProviders();
+
     const status = {
         gemini: !!process.env.GEMINI_API_KEY,
         elevenlabs: !!process.env.ELEVENLABS_API_KEY,
@@ -118,22 +624,27 @@ const validateAPIKeys = () => {
     
     const warnings = [];
     
-    if (!status.gemini) {
+    if (!providers.text.active || !providers.image.active) {
         warnings.push('GEMINI_API_KEY missing - story analysis and image generation will fail');
     }
     
-    if (!status.elevenlabs) {
+    if (!status.elevenlabs && providers.sfx.configured.includes('elevenlabs')) {
         warnings.push('ELEVENLABS_API_KEY missing - will use Google Cloud fallbacks');
     }
     
-    if (!status.googleCloud) {
+    if (!status.googleCloud && providers.tts.configured.includes('google-cloud')) {
         warnings.push('GOOGLE_CLOUD_API_KEY missing - no fallback for audio services');
     }
+
+    if (providers.mode === 'mock') {
+        warnings.push('PROVIDER_MODE=mock - all AI output is deterministic placeholder content');
+    }
     
     return {
         status,
+        providers,
         warnings,
-        ready: status.gemini && (status.elevenlabs || status.googleCloud)
+        ready: Boolean(providers.text.active && providers.image.active && providers.tts.active)
     };
 };
 
@@ -162,6 +673,21 @@ const validateVideoRequirements = (scenes) => {
 module.exports = {
     validateStoryInput,
     validateScenes,
+    validateStoryRecord,
+    validateVoiceCast,
+    validateUploadedImages,
+    validateCharacterChanges,
+    validateCustomStyle,
+    validateMusicTrack,
+    validateMusicSettings,
+    validateRegenerateOptions,
+    validateSceneCandidate,
+    validateStoryboard,
+    validateSceneOrder,
+    validateSceneSplit,
+    validateNewScene,
+    validateInpaintRequest,
+    validateStoryEdit,
     validateAPIKeys,
     validateVideoRequirements
 };
\ No newline at end of file
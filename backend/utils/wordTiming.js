@@ -0,0 +1,135 @@
+/**
+ * Word timings for narration: when each word of the narrated text is spoken
+ * Each word is { text, start, end, charStart, charEnd }: seconds into the audio and
+ * character offsets into the narrated text (so players can highlight it in place)
+ * Timings come from the TTS provider when it reports them, otherwise from aligning
+ * the text against the audio (see alignWords)
+ */
+
+const { detectSoundRegions } = require('./audioUtils');
+
+// Word-like segments in any language, including scripts written without spaces
+const WORD_SEGMENTER = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// Relative pause after a word, by the punctuation that follows it
+const PAUSE_WEIGHTS = { sentence: 4, clause: 2, word: 0.5 };
+
+/**
+ * Words of a text in reading order: [{ text, charStart, charEnd }]
+ */
+const splitWords = (text = '') => Array.from(WORD_SEGMENTER.segment(text))
+  .filter(segment => segment.isWordLike)
+  .map(({ segment, index }) => ({ text: segment, charStart: index, charEnd: index + segment.length }));
+
+// How long a word takes to say relative to the others, and the pause after it
+const weighWords = (words, text) => words.map((word, index) => {
+  const following = text.slice(word.charEnd, words[index + 1]?.charStart ?? text.length);
+  const pause = /[.!?。！？]/.test(following) ? PAUSE_WEIGHTS.sentence
+    : /[,;:、，；：—–]/.test(following) ? PAUSE_WEIGHTS.clause
+      : PAUSE_WEIGHTS.word;
+  return { speech: 1 + Array.from(word.text).length, pause };
+});
+
+// Spread words over stretches of speech by their weight; pauses only count when there is
+// a single stretch (inside detected sound regions the silences are already real gaps)
+const spreadWords = (words, weights, regions) => {
+  const countPauses = regions.length === 1;
+  const units = weights.map(({ speech, pause }, index) => speech + (countPauses && index < weights.length - 1 ? pause : 0));
+  const totalUnits = units.reduce((sum, value) => sum + value, 0);
+  const totalTime = regions.reduce((sum, region) => sum + (region.end - region.start), 0);
+
+  // Position on the joined speech time -> position in the audio
+  const toAudioTime = (speechTime) => {
+    let remaining = speechTime;
+    for (const region of regions) {
+      const length = region.end - region.start;
+      if (remaining <= length) return region.start + remaining;
+      remaining -= length;
+    }
+    return regions[regions.length - 1].end;
+  };
+
+  let elapsed = 0;
+  return words.map((word, index) => {
+    const start = toAudioTime(elapsed);
+    const speechTime = (weights[index].speech / totalUnits) * totalTime;
+    const end = toAudioTime(elapsed + speechTime);
+    elapsed += (units[index] / totalUnits) * totalTime;
+    return { ...word, start, end: Math.max(end, start) };
+  });
+};
+
+/**
+ * Align a text against its narration when the TTS provider reported no timings
+ * WAV audio is aligned to the stretches of sound it contains (one per word when they match),
+ * other formats are spread over the measured duration by word length and punctuation
+ * Returns { words, timing: 'aligned' | 'estimated' }
+ */
+const alignWords = (text, { duration, audioBuffer = null }) => {
+  const words = splitWords(text);
+  if (words.length === 0 || !(duration > 0)) return { words: [], timing: 'estimated' };
+
+  const regions = audioBuffer ? detectSoundRegions(audioBuffer) : null;
+  if (regions && regions.length === words.length) {
+    return { words: words.map((word, index) => ({ ...word, ...regions[index] })), timing: 'aligned' };
+  }
+  if (regions && regions.length > 0) {
+    return { words: spreadWords(words, weighWords(words, text), regions), timing: 'aligned' };
+  }
+  return { words: spreadWords(words, weighWords(words, text), [{ start: 0, end: duration }]), timing: 'estimated' };
+};
+
+/**
+ * Word timings from TTS timepoints: the time each word starts, aligned with splitWords(text)
+ * A word lasts until the next one starts, the last one until duration (null: the end of the audio,
+ * filled in once the audio is measured)
+ */
+const wordsFromTimepoints = (text, startTimes, duration) => {
+  const words = splitWords(text);
+  if (words.length === 0 || startTimes.length !== words.length) return null;
+
+  return words.map((word, index) => ({
+    ...word,
+    start: startTimes[index],
+    end: index + 1 < words.length ? startTimes[index + 1] : duration
+  }));
+};
+
+/**
+ * Word timings from a per-character alignment ({ characters, characterStartTimes, characterEndTimes })
+ * Returns null when the alignment does not cover the text
+ */
+const wordsFromCharacterTimes = (text, { characters = [], characterStartTimes = [], characterEndTimes = [] }) => {
+  if (characters.join('') !== text || characterStartTimes.length !== characters.length) return null;
+
+  // Alignments are per UTF-16 code unit of the text only when every character is a single unit
+  const offsets = [];
+  characters.forEach((character, index) => {
+    for (let unit = 0; unit < character.length; unit++) offsets.push(index);
+  });
+
+  return splitWords(text).map(word => ({
+    ...word,
+    start: characterStartTimes[offsets[word.charStart]],
+    end: characterEndTimes[offsets[word.charEnd - 1]]
+  }));
+};
+
+/**
+ * Move word timings into a longer clip: by seconds, and by chars into the clip's full text
+ */
+const offsetWords = (words = [], seconds = 0, chars = 0) => words.map(word => ({
+  ...word,
+  start: word.start + seconds,
+  end: word.end + seconds,
+  charStart: word.charStart + chars,
+  charEnd: word.charEnd + chars
+}));
+
+module.exports = {
+  splitWords,
+  alignWords,
+  wordsFromTimepoints,
+  wordsFromCharacterTimes,
+  offsetWords
+};
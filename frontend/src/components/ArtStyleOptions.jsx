@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react'
+import { Palette, Plus, Trash2, Loader2 } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { styleAPI } from '../services/api'
+
+const EMPTY_FORM = { name: '', prompt: '', thumbnail: null }
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = reject
+  reader.readAsDataURL(file)
+})
+
+// style: selected style id (null = default style), custom styles can be added and removed here
+const ArtStyleOptions = ({ style, onChange }) => {
+  const [styles, setStyles] = useState([])
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    styleAPI.listStyles()
+      .then(response => setStyles(response.styles || []))
+      .catch(error => console.error('Failed to load styles:', error))
+  }, [])
+
+  const handleThumbnail = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    const thumbnail = await readAsDataUrl(file)
+    setForm(prev => ({ ...prev, thumbnail }))
+  }
+
+  const saveStyle = async () => {
+    setIsSaving(true)
+    try {
+      const result = await styleAPI.createStyle({
+        name: form.name.trim(),
+        prompt: form.prompt.trim(),
+        ...(form.thumbnail ? { thumbnail: form.thumbnail } : {})
+      })
+      setStyles(prev => [...prev, result.style])
+      onChange(result.style.id)
+      setForm(EMPTY_FORM)
+      setShowForm(false)
+      toast.success(`Style "${result.style.name}" added`)
+    } catch (error) {
+      console.error('Create style error:', error)
+      toast.error(error.response?.data?.details?.[0] || 'Failed to add style')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const removeStyle = async (styleId) => {
+    try {
+      await styleAPI.deleteStyle(styleId)
+      setStyles(prev => prev.filter(item => item.id !== styleId))
+      if (style === styleId) onChange(null)
+    } catch (error) {
+      console.error('Delete style error:', error)
+      toast.error('Failed to remove style')
+    }
+  }
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+        <Palette className="h-5 w-5 text-primary-600" />
+        Art Style
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {styles.map((item, index) => {
+          const isSelected = style ? style === item.id : index === 0
+          return (
+            <div key={item.id} className="relative">
+              <button
+                onClick={() => onChange(item.id)}
+                title={item.prompt}
+                className={`w-full p-2 rounded-xl border-2 text-left transition-all duration-200 ${
+                  isSelected
+                    ? 'border-primary-500 bg-primary-50'
+                    : 'border-gray-200 hover:border-primary-300'
+                }`}
+              >
+                {item.thumbnail ? (
+                  <img src={item.thumbnail} alt={item.name} className="w-full h-16 object-cover rounded-lg mb-2" />
+                ) : (
+                  <div className="w-full h-16 rounded-lg mb-2 bg-gradient-to-br from-primary-100 to-secondary-100 flex items-center justify-center">
+                    <Palette className="h-5 w-5 text-primary-400" />
+                  </div>
+                )}
+                <p className="text-sm font-medium">{item.name}</p>
+              </button>
+              {!item.builtIn && (
+                <button
+                  onClick={() => removeStyle(item.id)}
+                  className="absolute top-3 right-3 p-1 bg-white/90 rounded-full text-gray-600 hover:text-red-600"
+                  title="Remove style"
+                >
+                  <Trash2 className="h-3 w-3" />
+                </button>
+              )}
+            </div>
+          )
+        })}
+
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="p-2 rounded-xl border-2 border-dashed border-gray-300 hover:border-primary-300 text-gray-600 flex flex-col items-center justify-center gap-1 min-h-[6rem]"
+        >
+          <Plus className="h-5 w-5" />
+          <span className="text-sm">Custom style</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="mt-4 p-4 rounded-xl border border-gray-200 space-y-3">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Name</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              maxLength={60}
+              placeholder="e.g. Ink wash"
+              className="input-field mt-1"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Style prompt</span>
+            <textarea
+              value={form.prompt}
+              onChange={(e) => setForm(prev => ({ ...prev, prompt: e.target.value }))}
+              maxLength={400}
+              rows={3}
+              placeholder="Describe the look, e.g. Japanese ink wash painting with loose brush strokes and muted tones"
+              className="input-field mt-1 resize-none"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Sample thumbnail (optional)</span>
+            <input type="file" accept="image/*" onChange={handleThumbnail} className="block mt-1 text-sm" />
+          </label>
+          <p className="text-xs text-gray-500">Without a thumbnail a sample image is drawn in the new style.</p>
+          <button
+            onClick={saveStyle}
+            disabled={isSaving || !form.name.trim() || form.prompt.trim().length < 10}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            Add style
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ArtStyleOptions
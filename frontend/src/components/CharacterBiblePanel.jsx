@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Users, Lock, Unlock, RefreshCw, Save, Loader2, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { storyAPI } from '../services/api'
+
+const ATTRIBUTE_LABELS = {
+  age: 'Age',
+  build: 'Build',
+  hair: 'Hair',
+  outfit: 'Outfit',
+  palette: 'Colour palette',
+  props: 'Props'
+}
+const LIST_ATTRIBUTES = ['palette', 'props']
+
+// Form values are plain strings, lists are edited as comma separated text
+const toForm = (character) => ({
+  ...Object.keys(ATTRIBUTE_LABELS).reduce((form, key) => {
+    form[key] = LIST_ATTRIBUTES.includes(key) ? (character[key] || []).join(', ') : character[key] || ''
+    return form
+  }, {}),
+  description: character.description || '',
+  lockedAttributes: character.lockedAttributes || []
+})
+
+const toChanges = (form) => ({
+  ...form,
+  ...LIST_ATTRIBUTES.reduce((lists, key) => {
+    lists[key] = form[key].split(',').map(item => item.trim()).filter(Boolean)
+    return lists
+  }, {})
+})
+
+// Character bible of a saved story: reference sheet, appearance attributes and locks per character
+const CharacterBiblePanel = ({ storyId, onClose }) => {
+  const [characters, setCharacters] = useState({})
+  const [forms, setForms] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+  const [busyCharacter, setBusyCharacter] = useState(null)
+
+  const applyCharacters = (updated) => {
+    setCharacters(updated)
+    setForms(Object.entries(updated).reduce((all, [name, character]) => {
+      all[name] = toForm(character)
+      return all
+    }, {}))
+  }
+
+  const applyCharacter = (character) => {
+    setCharacters(prev => ({ ...prev, [character.name]: character }))
+    setForms(prev => ({ ...prev, [character.name]: toForm(character) }))
+  }
+
+  useEffect(() => {
+    storyAPI.getCharacters(storyId)
+      .then(response => applyCharacters(response.characters || {}))
+      .catch(error => console.error('Failed to load characters:', error))
+      .finally(() => setIsLoading(false))
+  }, [storyId])
+
+  const updateField = (name, key, value) => {
+    setForms(prev => ({ ...prev, [name]: { ...prev[name], [key]: value } }))
+  }
+
+  const toggleLock = (name, attribute) => {
+    const locked = forms[name].lockedAttributes
+    updateField(name, 'lockedAttributes', locked.includes(attribute)
+      ? locked.filter(item => item !== attribute)
+      : [...locked, attribute])
+  }
+
+  const saveCharacter = async (name, regenerateSheet = false) => {
+    setBusyCharacter(name)
+    try {
+      const result = await storyAPI.updateCharacter(storyId, name, { ...toChanges(forms[name]), regenerateSheet })
+      applyCharacter(result.character)
+      toast.success(regenerateSheet ? `${name} redrawn` : `${name} saved`)
+    } catch (error) {
+      console.error('Character update error:', error)
+      toast.error(error.response?.data?.details?.[0] || `Failed to update ${name}`)
+    } finally {
+      setBusyCharacter(null)
+    }
+  }
+
+  const refreshCharacters = async () => {
+    setBusyCharacter('*')
+    try {
+      const result = await storyAPI.refreshCharacters(storyId)
+      applyCharacters(result.characters || {})
+      toast.success('Characters refreshed from the story')
+    } catch (error) {
+      console.error('Character refresh error:', error)
+      toast.error('Failed to refresh characters')
+    } finally {
+      setBusyCharacter(null)
+    }
+  }
+
+  const names = Object.keys(characters)
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Users className="w-5 h-5" />
+          Characters
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close characters"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Locked attributes keep their value when characters are refreshed or edited. Reference sheets guide every scene image.
+      </p>
+
+      <button
+        onClick={refreshCharacters}
+        disabled={busyCharacter !== null}
+        className="w-full mb-4 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+      >
+        {busyCharacter === '*' ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+        Refresh from story
+      </button>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin" />
+        </div>
+      ) : names.length === 0 ? (
+        <p className="text-sm text-gray-400">No characters found in this story.</p>
+      ) : (
+        <div className="space-y-6">
+          {names.map(name => {
+            const form = forms[name]
+            const sheet = characters[name].referenceSheet
+            const isBusy = busyCharacter !== null
+
+            return (
+              <div key={name} className="border-t border-white/10 pt-4">
+                <h4 className="font-semibold mb-2">{name}</h4>
+
+                {sheet?.imageUrl ? (
+                  <img
+                    src={sheet.imageUrl}
+                    alt={`${name} reference sheet`}
+                    className="w-full rounded-lg mb-3 bg-white"
+                  />
+                ) : (
+                  <div className="w-full h-24 rounded-lg mb-3 bg-white/5 flex items-center justify-center text-xs text-gray-400">
+                    No reference sheet yet
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  {Object.entries(ATTRIBUTE_LABELS).map(([key, label]) => {
+                    const isLocked = form.lockedAttributes.includes(key)
+                    return (
+                      <label key={key} className="block">
+                        <span className="text-xs text-gray-400">{label}</span>
+                        <div className="flex gap-2 mt-1">
+                          <input
+                            type="text"
+                            value={form[key]}
+                            onChange={(e) => updateField(name, key, e.target.value)}
+                            placeholder={LIST_ATTRIBUTES.includes(key) ? 'Comma separated' : ''}
+                            className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1.5 text-sm text-white"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => toggleLock(name, key)}
+                            className={`p-1.5 rounded-lg transition-colors ${
+                              isLocked ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-white/10 hover:bg-white/20'
+                            }`}
+                            title={isLocked ? `Unlock ${label.toLowerCase()}` : `Lock ${label.toLowerCase()}`}
+                          >
+                            {isLocked ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+                          </button>
+                        </div>
+                      </label>
+                    )
+                  })}
+
+                  <label className="block">
+                    <span className="text-xs text-gray-400">Description</span>
+                    <textarea
+                      value={form.description}
+                      onChange={(e) => updateField(name, 'description', e.target.value)}
+                      rows={3}
+                      className="mt-1 w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1.5 text-sm text-white resize-none"
+                    />
+                  </label>
+                </div>
+
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => saveCharacter(name)}
+                    disabled={isBusy}
+                    className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+                  >
+                    {busyCharacter === name ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    Save
+                  </button>
+                  <button
+                    onClick={() => saveCharacter(name, true)}
+                    disabled={isBusy}
+                    className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+                    title="Save and redraw the reference sheet"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                    Redraw sheet
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default CharacterBiblePanel
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react'
+import { ShieldCheck } from 'lucide-react'
+import { storyAPI } from '../services/api'
+
+// policy: selected content policy id (null = the server's default policy)
+const ContentPolicyOptions = ({ policy, onChange }) => {
+  const [policies, setPolicies] = useState([])
+  const [defaultPolicy, setDefaultPolicy] = useState(null)
+
+  useEffect(() => {
+    storyAPI.getContentPolicies()
+      .then(response => {
+        setPolicies(response.policies || [])
+        setDefaultPolicy(response.defaultPolicy)
+      })
+      .catch(error => console.error('Failed to load content policies:', error))
+  }, [])
+
+  if (policies.length === 0) return null
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+        <ShieldCheck className="h-5 w-5 text-primary-600" />
+        Audience
+      </h3>
+
+      <div className="grid grid-cols-3 gap-3">
+        {policies.map(item => (
+          <button
+            key={item.id}
+            onClick={() => onChange(item.id)}
+            className={`p-3 rounded-xl border-2 text-left transition-all duration-200 ${
+              (policy || defaultPolicy) === item.id
+                ? 'border-primary-500 bg-primary-50'
+                : 'border-gray-200 hover:border-primary-300'
+            }`}
+          >
+            <p className="font-medium">{item.label} <span className="text-xs text-gray-500">up to {item.maxRating}</span></p>
+            <p className="text-xs text-gray-600">{item.description}</p>
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Stories, edits and images are checked against the audience. Stronger moments are softened, anything the audience must not see is refused.
+      </p>
+    </div>
+  )
+}
+
+export default ContentPolicyOptions
@@ -0,0 +1,34 @@
+import React from 'react'
+import { ShieldCheck } from 'lucide-react'
+
+const RATING_COLORS = {
+  G: 'bg-green-500 text-white',
+  PG: 'bg-yellow-400 text-gray-900',
+  'PG-13': 'bg-orange-500 text-white',
+  R: 'bg-red-600 text-white'
+}
+
+const POLICY_LABELS = { children: 'Children', general: 'General', mature: 'Mature' }
+
+// Rating a story was published at, from its safety summary ({ policy, rating, originalRating, softened, reason })
+const ContentRatingBadge = ({ safety, className = '' }) => {
+  if (!safety?.rating) return null
+
+  const policy = POLICY_LABELS[safety.policy] || safety.policy
+  const title = safety.softened
+    ? `${policy} policy. Softened from ${safety.originalRating}: ${safety.reason}`
+    : `${policy} policy`
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-md text-xs font-bold ${RATING_COLORS[safety.rating] || 'bg-gray-500 text-white'} ${className}`}
+    >
+      <ShieldCheck className="w-3.5 h-3.5" />
+      {safety.rating}
+      {safety.softened && <span className="font-normal">(softened)</span>}
+    </span>
+  )
+}
+
+export default ContentRatingBadge
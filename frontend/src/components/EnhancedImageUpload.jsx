@@ -8,13 +8,46 @@ import {
   Sparkles,
   CheckCircle,
   AlertCircle,
-  Loader2
+  Loader2,
+  Edit3
 } from 'lucide-react'
 import { toast } from 'react-hot-toast'
+import { storyAPI } from '../services/api'
+
+// Editable context built from a backend analysis (missing analysis = use the image as-is)
+const toEditableContext = (analysis) => {
+  if (!analysis) {
+    return {
+      description: 'Analysis failed - will use as-is',
+      subjects: [],
+      setting: '',
+      mood: '',
+      style: '',
+      palette: [],
+      isAnalyzed: true,
+      analysisFailed: true
+    }
+  }
+
+  return {
+    description: analysis.description || '',
+    subjects: analysis.subjects || [],
+    setting: analysis.setting || '',
+    mood: analysis.mood || '',
+    style: analysis.style || '',
+    palette: analysis.palette || [],
+    isAnalyzed: true,
+    analysisFailed: !analysis.analyzed
+  }
+}
+
+// Comma-separated input <-> list (empty entries are kept so typing a comma works)
+const parseList = (value) => value.split(',').map(item => item.trimStart())
 
-const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImages }) => {
+const EnhancedImageUpload = ({ uploadedImages, setUploadedImages }) => {
   const [isDragging, setIsDragging] = useState(false)
   const [analyzingImages, setAnalyzingImages] = useState(false)
+  const [editingImageId, setEditingImageId] = useState(null)
   const fileInputRef = useRef(null)
 
   const handleDragOver = (e) => {
@@ -78,7 +111,7 @@ const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImage
             setting: '',
             mood: '',
             style: '',
-            colors: [],
+            palette: [],
             isAnalyzed: false
           }
         }
@@ -86,7 +119,7 @@ const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImage
         setUploadedImages(prev => [...prev, newImage])
         
         // Auto-analyze image context
-        analyzeImageContext(newImage)
+        analyzeImages([newImage])
       }
       reader.readAsDataURL(file)
     }
@@ -94,68 +127,67 @@ const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImage
     toast.success(`${imageFiles.length} image(s) uploaded successfully`)
   }
 
-  const analyzeImageContext = async (image) => {
-    try {
-      // This would call a new backend endpoint for image analysis
-      // For now, we'll simulate basic analysis
-      const mockAnalysis = {
-        description: `${image.name.split('.')[0]} - analyzing content...`,
-        subjects: ['main subject'],
-        setting: 'unknown',
-        mood: 'neutral',
-        style: 'photograph',
-        colors: ['various'],
-        isAnalyzed: true
-      }
+  // Ask the backend to describe the images and store the results as editable contexts
+  const analyzeImages = async (images) => {
+    const imageIds = images.map(img => img.id)
+    const applyContexts = (getContext) => {
+      setUploadedImages(prev => prev.map(img => {
+        const index = imageIds.indexOf(img.id)
+        return index === -1 ? img : { ...img, context: getContext(img, index) }
+      }))
+    }
 
-      setUploadedImages(prev => 
-        prev.map(img => 
-          img.id === image.id 
-            ? { ...img, context: mockAnalysis }
-            : img
-        )
-      )
+    try {
+      const response = await storyAPI.analyzeImages(images.map(img => ({
+        data: img.data,
+        mimeType: img.type,
+        name: img.name
+      })))
+      const analyses = response.analyses || []
+
+      applyContexts((img, index) => toEditableContext(analyses.find(analysis => analysis.imageIndex === index)))
+      return true
     } catch (error) {
       console.error('Image analysis failed:', error)
-      setUploadedImages(prev => 
-        prev.map(img => 
-          img.id === image.id 
-            ? { 
-                ...img, 
-                context: { 
-                  ...img.context, 
-                  description: 'Analysis failed - will use as-is',
-                  isAnalyzed: true 
-                }
-              }
-            : img
-        )
-      )
+      applyContexts(() => toEditableContext(null))
+      return false
     }
   }
 
+  // Let users correct what the analysis got wrong before the story is generated
+  const updateContext = (imageId, field, value) => {
+    setUploadedImages(prev => prev.map(img => (
+      img.id === imageId
+        ? { ...img, context: { ...img.context, [field]: value, isEdited: true } }
+        : img
+    )))
+  }
+
   const removeImage = (imageId) => {
     setUploadedImages(prev => prev.filter(img => img.id !== imageId))
   }
 
+  // Re-run analysis for images that are not analyzed yet or failed (corrections are kept)
   const analyzeAllImages = async () => {
     if (uploadedImages.length === 0) {
       toast.error('No images to analyze')
       return
     }
 
+    const pendingImages = uploadedImages.filter(img => !img.context.isAnalyzed || img.context.analysisFailed)
+    if (pendingImages.length === 0) {
+      toast.success('All images are analyzed. Click the edit icon on an image to correct its details.')
+      return
+    }
+
     setAnalyzingImages(true)
     try {
-      // This would send all images to backend for comprehensive analysis
-      // Including subject detection, mood analysis, setting identification
-      await new Promise(resolve => setTimeout(resolve, 2000)) // Simulate processing
-      
-      toast.success('Image analysis complete! Your images are ready for story integration.')
-      if (onAnalyzeImages) {
-        onAnalyzeImages(uploadedImages)
+      const analyzed = await analyzeImages(pendingImages)
+      if (analyzed) {
+        toast.success('Image analysis complete! Review the details before generating your story.')
+      } else {
+        toast.error('Analysis failed. Images will be used as-is.')
       }
-    } catch (error) {
-      toast.error('Analysis failed. Images will be used as-is.')
     } finally {
       setAnalyzingImages(false)
     }
@@ -261,9 +293,88 @@ const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImage
                     
                     <div className="context-info">
                       <div className="analysis-status">
-                        <CheckCircle size={14} className="success" />
-                        <span>Ready for upload</span>
+                        {!image.context.isAnalyzed ? (
+                          <>
+                            <Loader2 size={14} className="spinning" />
+                            <span>Analyzing...</span>
+                          </>
+                        ) : image.context.analysisFailed ? (
+                          <>
+                            <AlertCircle size={14} className="warning" />
+                            <span>Not analyzed - will use as-is</span>
+                          </>
+                        ) : (
+                          <>
+                            <CheckCircle size={14} className="success" />
+                            <span>{image.context.isEdited ? 'Reviewed' : 'Analyzed'}</span>
+                          </>
+                        )}
+                        {image.context.isAnalyzed && (
+                          <button
+                            onClick={() => setEditingImageId(editingImageId === image.id ? null : image.id)}
+                            className="edit-context-button"
+                            title="Correct the image details"
+                          >
+                            <Edit3 size={14} />
+                          </button>
+                        )}
                       </div>
+
+                      {image.context.isAnalyzed && editingImageId !== image.id && (
+                        <div className="context-details">
+                          <p className="context-item">{image.context.description}</p>
+                          {image.context.subjects.length > 0 && (
+                            <p className="context-item"><strong>Subjects:</strong> {image.context.subjects.join(', ')}</p>
+                          )}
+                          {image.context.setting && (
+                            <p className="context-item"><strong>Setting:</strong> {image.context.setting}</p>
+                          )}
+                          {image.context.mood && (
+                            <p className="context-item"><strong>Mood:</strong> {image.context.mood}</p>
+                          )}
+                          {image.context.style && (
+                            <p className="context-item"><strong>Style:</strong> {image.context.style}</p>
+                          )}
+                          {image.context.palette.length > 0 && (
+                            <p className="context-item"><strong>Palette:</strong> {image.context.palette.join(', ')}</p>
+                          )}
+                        </div>
+                      )}
+
+                      {editingImageId === image.id && (
+                        <div className="context-editor">
+                          <label className="context-field">
+                            <span>Description</span>
+                            <textarea
+                              value={image.context.description}
+                              onChange={(e) => updateContext(image.id, 'description', e.target.value)}
+                            />
+                          </label>
+                          <label className="context-field">
+                            <span>Subjects (comma separated)</span>
+                            <input
+                              value={image.context.subjects.join(', ')}
+                              onChange={(e) => updateContext(image.id, 'subjects', parseList(e.target.value))}
+                            />
+                          </label>
+                          {['setting', 'mood', 'style'].map(field => (
+                            <label key={field} className="context-field">
+                              <span>{field.charAt(0).toUpperCase() + field.slice(1)}</span>
+                              <input
+                                value={image.context[field]}
+                                onChange={(e) => updateContext(image.id, field, e.target.value)}
+                              />
+                            </label>
+                          ))}
+                          <label className="context-field">
+                            <span>Palette (comma separated)</span>
+                            <input
+                              value={image.context.palette.join(', ')}
+                              onChange={(e) => updateContext(image.id, 'palette', parseList(e.target.value))}
+                            />
+                          </label>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -450,6 +561,52 @@ const EnhancedImageUpload = ({ uploadedImages, setUploadedImages, onAnalyzeImage
           color: #10b981;
         }
 
+        .analysis-status .warning {
+          color: #f59e0b;
+        }
+
+        .edit-context-button {
+          margin-left: auto;
+          padding: 0.25rem;
+          border: none;
+          border-radius: 6px;
+          background: transparent;
+          color: #8b5cf6;
+          cursor: pointer;
+        }
+
+        .edit-context-button:hover {
+          background: #f3e8ff;
+        }
+
+        .context-editor {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .context-field {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          font-size: 0.75rem;
+          color: #374151;
+        }
+
+        .context-field input,
+        .context-field textarea {
+          padding: 0.375rem 0.5rem;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 0.8rem;
+          color: #1e293b;
+        }
+
+        .context-field textarea {
+          min-height: 3.5rem;
+          resize: vertical;
+        }
+
         .spinning {
           animation: spin 1s linear infinite;
         }
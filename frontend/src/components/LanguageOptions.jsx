@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react'
+import { Languages } from 'lucide-react'
+import { storyAPI } from '../services/api'
+
+// language: story language code (null = detect it from the story text)
+const LanguageOptions = ({ language, onChange }) => {
+  const [languages, setLanguages] = useState([])
+
+  useEffect(() => {
+    storyAPI.getLanguages()
+      .then(response => setLanguages(response.languages || []))
+      .catch(error => console.error('Failed to load languages:', error))
+  }, [])
+
+  if (languages.length === 0) return null
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+        <Languages className="h-5 w-5 text-primary-600" />
+        Language
+      </h3>
+
+      <select
+        value={language || ''}
+        onChange={(event) => onChange(event.target.value || null)}
+        className="w-full p-3 rounded-xl border-2 border-gray-200 focus:border-primary-500 focus:outline-none bg-white"
+      >
+        <option value="">Detect from the story</option>
+        {languages.map(item => (
+          <option key={item.code} value={item.code}>
+            {item.nativeName === item.name ? item.name : `${item.name} (${item.nativeName})`}
+          </option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-2">
+        Scenes and narration are written in this language. Finished stories can be translated into the others.
+      </p>
+    </div>
+  )
+}
+
+export default LanguageOptions
@@ -0,0 +1,293 @@
+import React, { useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Brush, Lasso, Eraser, Trash2, Check, Loader2, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { storyAPI } from '../services/api'
+
+const TOOLS = [
+  { id: 'brush', label: 'Brush', icon: Brush },
+  { id: 'lasso', label: 'Lasso', icon: Lasso },
+  { id: 'eraser', label: 'Eraser', icon: Eraser }
+]
+
+const MASK_COLOR = '#ef4444'
+
+// The edit endpoints take data URLs, scene images may also be plain URLs
+const toDataUrl = async (imageUrl) => {
+  if (imageUrl.startsWith('data:')) return imageUrl
+  const blob = await (await fetch(imageUrl)).blob()
+  return new Promise((resolve) => {
+    const reader = new FileReader()
+    reader.onloadend = () => resolve(reader.result)
+    reader.readAsDataURL(blob)
+  })
+}
+
+// Paint the region of the scene image to change, describe the change, and only that region is redrawn
+// onApplied(editResult, prompt, originalImage) receives the inpainted image (and the scene history for saved stories)
+const MaskPainter = ({ storyId, contentPolicy, sceneIndex, scene, onApplied, onClose }) => {
+  const [tool, setTool] = useState('brush')
+  const [brushSize, setBrushSize] = useState(40)
+  const [prompt, setPrompt] = useState('')
+  const [hasMask, setHasMask] = useState(false)
+  const [lassoPoints, setLassoPoints] = useState([])
+  const [isApplying, setIsApplying] = useState(false)
+  const canvasRef = useRef(null)
+  const drawingRef = useRef(false)
+
+  const imageUrl = scene.image?.imageUrl
+
+  // The mask canvas has the image's own resolution and is scaled with it on screen
+  const handleImageLoad = (e) => {
+    const canvas = canvasRef.current
+    canvas.width = e.target.naturalWidth
+    canvas.height = e.target.naturalHeight
+  }
+
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current
+    const rect = canvas.getBoundingClientRect()
+    const scale = canvas.width / rect.width
+    return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale }
+  }
+
+  const updateHasMask = () => {
+    const canvas = canvasRef.current
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] > 0) {
+        setHasMask(true)
+        return
+      }
+    }
+    setHasMask(false)
+  }
+
+  const handlePointerDown = (e) => {
+    if (isApplying) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    drawingRef.current = true
+    const point = toCanvasPoint(e)
+
+    if (tool === 'lasso') {
+      setLassoPoints([point])
+      return
+    }
+
+    const ctx = canvasRef.current.getContext('2d')
+    ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over'
+    ctx.strokeStyle = MASK_COLOR
+    ctx.fillStyle = MASK_COLOR
+    ctx.lineWidth = brushSize * point.scale
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.beginPath()
+    ctx.arc(point.x, point.y, ctx.lineWidth / 2, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.beginPath()
+    ctx.moveTo(point.x, point.y)
+  }
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return
+    const point = toCanvasPoint(e)
+
+    if (tool === 'lasso') {
+      setLassoPoints(prev => [...prev, point])
+      return
+    }
+
+    const ctx = canvasRef.current.getContext('2d')
+    ctx.lineTo(point.x, point.y)
+    ctx.stroke()
+  }
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return
+    drawingRef.current = false
+
+    if (tool === 'lasso') {
+      // Fill the closed outline
+      if (lassoPoints.length > 2) {
+        const ctx = canvasRef.current.getContext('2d')
+        ctx.globalCompositeOperation = 'source-over'
+        ctx.fillStyle = MASK_COLOR
+        ctx.beginPath()
+        lassoPoints.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)))
+        ctx.closePath()
+        ctx.fill()
+      }
+      setLassoPoints([])
+    }
+    updateHasMask()
+  }
+
+  const clearMask = () => {
+    const canvas = canvasRef.current
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    setHasMask(false)
+  }
+
+  // The painted pixels in white on a transparent PNG
+  const exportMask = () => {
+    const source = canvasRef.current
+    const mask = document.createElement('canvas')
+    mask.width = source.width
+    mask.height = source.height
+    const ctx = mask.getContext('2d')
+    ctx.drawImage(source, 0, 0)
+    ctx.globalCompositeOperation = 'source-in'
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, mask.width, mask.height)
+    return mask.toDataURL('image/png')
+  }
+
+  const apply = async () => {
+    setIsApplying(true)
+    try {
+      const originalImage = await toDataUrl(imageUrl)
+      const result = await storyAPI.inpaintSceneImage({
+        originalImageBase64: originalImage,
+        maskImage: exportMask(),
+        editPrompt: prompt.trim(),
+        sceneNumber: sceneIndex + 1,
+        // Saved stories record the edit as a new version of this scene
+        storyId,
+        sceneIndex,
+        contentPolicy,
+        sceneContext: {
+          sceneNumber: sceneIndex + 1,
+          setting: scene.setting,
+          characters: scene.characters,
+          mood: scene.mood,
+          timeOfDay: scene.timeOfDay
+        }
+      })
+      onApplied(result, prompt.trim(), imageUrl)
+      toast.success('Painted region updated')
+      onClose()
+    } catch (error) {
+      console.error('Inpaint error:', error)
+      toast.error(error.response?.data?.details?.[0] || 'Failed to edit the painted region')
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  const canvasWidth = canvasRef.current?.width || 1
+  const canvasHeight = canvasRef.current?.height || 1
+
+  return (
+    <div className="absolute inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="w-full max-w-3xl max-h-full overflow-y-auto bg-gray-900 rounded-xl p-5"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold flex items-center gap-2">
+            <Brush className="w-5 h-5" />
+            Paint a Region of Scene {sceneIndex + 1}
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+            title="Close region editor"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {TOOLS.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setTool(id)}
+              disabled={isApplying}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-2 transition-colors ${
+                tool === id ? 'bg-blue-600 ring-2 ring-blue-400/50' : 'bg-white/10 hover:bg-white/20'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+          {tool !== 'lasso' && (
+            <label className="flex items-center gap-2 text-sm text-gray-300 ml-2">
+              Size
+              <input
+                type="range"
+                min={5}
+                max={120}
+                value={brushSize}
+                onChange={(e) => setBrushSize(Number(e.target.value))}
+                className="w-28"
+              />
+            </label>
+          )}
+          <button
+            onClick={clearMask}
+            disabled={isApplying || !hasMask}
+            className="ml-auto px-3 py-1.5 rounded-lg text-sm bg-white/10 hover:bg-white/20 disabled:opacity-40 flex items-center gap-2 transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+        </div>
+
+        <div className="relative mb-3 select-none">
+          <img src={imageUrl} alt={`Scene ${sceneIndex + 1}`} onLoad={handleImageLoad} className="w-full rounded-lg" draggable={false} />
+          <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className="absolute inset-0 w-full h-full rounded-lg opacity-50 cursor-crosshair touch-none"
+          />
+          {lassoPoints.length > 1 && (
+            <svg
+              viewBox={`0 0 ${canvasWidth} ${canvasHeight}`}
+              preserveAspectRatio="none"
+              className="absolute inset-0 w-full h-full pointer-events-none"
+            >
+              <polyline
+                points={lassoPoints.map(({ x, y }) => `${x},${y}`).join(' ')}
+                fill="none"
+                stroke={MASK_COLOR}
+                strokeWidth={3 * (lassoPoints[0].scale || 1)}
+                strokeDasharray={`${8 * (lassoPoints[0].scale || 1)}`}
+              />
+            </svg>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-400 mb-3">
+          Only the painted area changes, the rest of the image stays exactly as it is.
+        </p>
+
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && hasMask && prompt.trim() && !isApplying && apply()}
+            maxLength={1000}
+            placeholder="What should the painted area show? e.g. a red scarf"
+            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white"
+          />
+          <button
+            onClick={apply}
+            disabled={isApplying || !hasMask || !prompt.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg text-sm flex items-center gap-2 transition-colors"
+          >
+            {isApplying ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+            {isApplying ? 'Editing...' : 'Apply to region'}
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
+
+export default MaskPainter
@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Music, Play, Square, Upload, Trash2, Loader2, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { musicAPI } from '../services/api'
+
+const MAX_UPLOAD_MB = 15
+
+// Background music for the exported video: follow the scenes' moods, one chosen track, or none
+// music: { mode: 'auto' | 'track' | 'off', trackId }, onChange(music) saves the choice
+const MusicPanel = ({ music, onChange, onClose }) => {
+  const [tracks, setTracks] = useState([])
+  const [moods, setMoods] = useState([])
+  const [previewId, setPreviewId] = useState(null)
+  const [upload, setUpload] = useState(null) // { title, audioUrl, moods } waiting to be saved
+  const [isUploading, setIsUploading] = useState(false)
+  const previewRef = useRef(null)
+
+  const loadTracks = () => musicAPI.listTracks()
+    .then(response => {
+      setTracks(response.tracks || [])
+      setMoods(response.moods || [])
+    })
+    .catch(error => console.error('Failed to load music:', error))
+
+  useEffect(() => {
+    loadTracks()
+    return () => previewRef.current?.pause()
+  }, [])
+
+  const togglePreview = (trackId) => {
+    const audio = previewRef.current
+    if (previewId === trackId) {
+      audio.pause()
+      setPreviewId(null)
+      return
+    }
+    audio.src = musicAPI.getTrackAudioUrl(trackId)
+    audio.play().catch(() => setPreviewId(null))
+    setPreviewId(trackId)
+  }
+
+  const handleFile = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+      toast.error(`Music files can be up to ${MAX_UPLOAD_MB}MB`)
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = () => setUpload({ title: file.name.replace(/\.[^.]+$/, '').slice(0, 80), audioUrl: reader.result, moods: [] })
+    reader.readAsDataURL(file)
+  }
+
+  const toggleUploadMood = (mood) => setUpload(current => ({
+    ...current,
+    moods: current.moods.includes(mood) ? current.moods.filter(item => item !== mood) : [...current.moods, mood]
+  }))
+
+  const saveUpload = async () => {
+    setIsUploading(true)
+    try {
+      const response = await musicAPI.uploadTrack(upload)
+      setUpload(null)
+      await loadTracks()
+      onChange({ mode: 'track', trackId: response.track.id })
+      toast.success(`"${response.track.title}" added`)
+    } catch (error) {
+      toast.error(error.response?.data?.details?.[0] || 'Could not upload the track')
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
+  const deleteTrack = async (track) => {
+    try {
+      await musicAPI.deleteTrack(track.id)
+      setTracks(current => current.filter(item => item.id !== track.id))
+      if (music.trackId === track.id) onChange({ mode: 'auto' })
+    } catch (error) {
+      toast.error('Could not delete the track')
+    }
+  }
+
+  const modeButton = (mode, label) => (
+    <button
+      onClick={() => onChange({ mode })}
+      className={`p-2 rounded-lg text-sm transition-colors ${
+        music.mode === mode ? 'bg-blue-600 ring-2 ring-blue-400/50' : 'bg-white/10 hover:bg-white/20'
+      }`}
+    >
+      {label}
+    </button>
+  )
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Music className="w-5 h-5" />
+          Music
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close music"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Music plays under the narration in the downloaded video, quieter while someone is speaking.
+      </p>
+
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        {modeButton('auto', 'Match scene moods')}
+        {modeButton('off', 'No music')}
+      </div>
+
+      <div className="space-y-1 mb-4">
+        <p className="text-xs uppercase tracking-wide text-gray-400">Or play one track</p>
+        {tracks.map(track => (
+          <div
+            key={track.id}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+              music.mode === 'track' && music.trackId === track.id ? 'bg-blue-600 ring-2 ring-blue-400/50' : 'bg-white/10'
+            }`}
+          >
+            <button
+              onClick={() => togglePreview(track.id)}
+              className="p-1 rounded-full hover:bg-white/20 transition-colors"
+              title={previewId === track.id ? 'Stop preview' : 'Preview'}
+            >
+              {previewId === track.id ? <Square className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            </button>
+            <button onClick={() => onChange({ mode: 'track', trackId: track.id })} className="flex-1 text-left">
+              {track.title}
+              <span className="block text-xs text-gray-300">{track.moods.join(', ') || 'untagged'}</span>
+            </button>
+            {track.source === 'upload' && (
+              <button
+                onClick={() => deleteTrack(track)}
+                className="p-1 rounded-full hover:bg-red-500 transition-colors"
+                title="Delete track"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {upload ? (
+        <div className="space-y-2 p-3 bg-white/10 rounded-lg">
+          <input
+            type="text"
+            value={upload.title}
+            maxLength={80}
+            onChange={(e) => setUpload({ ...upload, title: e.target.value })}
+            className="w-full px-2 py-1 rounded bg-black/40 text-sm"
+            placeholder="Track title"
+          />
+          <div className="flex flex-wrap gap-1">
+            {moods.map(mood => (
+              <button
+                key={mood}
+                onClick={() => toggleUploadMood(mood)}
+                className={`px-2 py-0.5 rounded-full text-xs transition-colors ${
+                  upload.moods.includes(mood) ? 'bg-blue-600' : 'bg-white/10 hover:bg-white/20'
+                }`}
+              >
+                {mood}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={saveUpload}
+              disabled={isUploading || !upload.title.trim()}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1.5 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+            >
+              {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              Add track
+            </button>
+            <button
+              onClick={() => setUpload(null)}
+              disabled={isUploading}
+              className="px-3 py-1.5 rounded-lg text-sm bg-white/10 hover:bg-white/20 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <label className="w-full bg-white/10 hover:bg-white/20 px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 cursor-pointer transition-colors">
+          <Upload className="w-4 h-4" />
+          Upload music (WAV or MP3)
+          <input type="file" accept="audio/wav,audio/x-wav,audio/mpeg,.wav,.mp3" onChange={handleFile} className="hidden" />
+        </label>
+      )}
+
+      <audio ref={previewRef} onEnded={() => setPreviewId(null)} />
+    </motion.div>
+  )
+}
+
+export default MusicPanel
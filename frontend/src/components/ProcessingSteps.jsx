@@ -1,8 +1,17 @@
 import React from 'react'
-import { motion } from 'framer-motion'
-import { CheckCircle, Loader2 } from 'lucide-react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { CheckCircle, Loader2, AlertCircle, Image as ImageIcon } from 'lucide-react'
+
+// steps: [{ id, title, description, status: 'pending' | 'active' | 'completed' | 'skipped' | 'failed', message }]
+// thumbnails: [{ sceneNumber, imageUrl }] for scenes illustrated so far
+const ProcessingSteps = ({ steps, thumbnails = [], totalScenes = 0 }) => {
+  const finishedSteps = steps.filter(step => step.status === 'completed' || step.status === 'skipped').length
+  const activeSteps = steps.filter(step => step.status === 'active').length
+  const imageProgress = totalScenes > 0 ? thumbnails.length / totalScenes : 0
+  const progressPercent = steps.length > 0
+    ? Math.round(((finishedSteps + activeSteps * imageProgress * 0.9) / steps.length) * 100)
+    : 0
 
-const ProcessingSteps = ({ steps, currentStep }) => {
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -10,95 +19,144 @@ const ProcessingSteps = ({ steps, currentStep }) => {
       className="card mt-8 max-w-3xl mx-auto"
     >
       <h3 className="text-2xl font-semibold mb-6 text-center">Creating Your Story</h3>
-      
+
       <div className="space-y-4">
         {steps.map((step, index) => {
-          const isCompleted = index < currentStep
-          const isCurrent = index === currentStep
-          const isPending = index > currentStep
-          
+          const isCompleted = step.status === 'completed' || step.status === 'skipped'
+          const isCurrent = step.status === 'active'
+          const isFailed = step.status === 'failed'
+
           return (
             <motion.div
-              key={index}
-              className={`flex items-center space-x-4 p-4 rounded-xl transition-all duration-300 ${
-                isCompleted 
-                  ? 'bg-green-50 border border-green-200' 
-                  : isCurrent 
-                    ? 'bg-primary-50 border border-primary-200 pulse-glow' 
-                    : 'bg-gray-50 border border-gray-200'
+              key={step.id}
+              className={`p-4 rounded-xl transition-all duration-300 ${
+                isCompleted
+                  ? 'bg-green-50 border border-green-200'
+                  : isFailed
+                    ? 'bg-red-50 border border-red-200'
+                    : isCurrent
+                      ? 'bg-primary-50 border border-primary-200 pulse-glow'
+                      : 'bg-gray-50 border border-gray-200'
               }`}
               initial={{ opacity: 0, x: -20 }}
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: index * 0.1 }}
             >
-              <div className="flex-shrink-0">
-                {isCompleted ? (
+              <div className="flex items-center space-x-4">
+                <div className="flex-shrink-0">
+                  {isCompleted ? (
+                    <motion.div
+                      initial={{ scale: 0 }}
+                      animate={{ scale: 1 }}
+                      className="w-8 h-8 rounded-full bg-green-500 flex items-center justify-center"
+                    >
+                      <CheckCircle className="h-5 w-5 text-white" />
+                    </motion.div>
+                  ) : isFailed ? (
+                    <div className="w-8 h-8 rounded-full bg-red-500 flex items-center justify-center">
+                      <AlertCircle className="h-5 w-5 text-white" />
+                    </div>
+                  ) : isCurrent ? (
+                    <div className="w-8 h-8 rounded-full bg-primary-500 flex items-center justify-center">
+                      <Loader2 className="h-5 w-5 text-white animate-spin" />
+                    </div>
+                  ) : (
+                    <div className="w-8 h-8 rounded-full bg-gray-300 flex items-center justify-center">
+                      <span className="text-sm font-semibold text-gray-600">{index + 1}</span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex-1">
+                  <h4 className={`font-semibold ${
+                    isCompleted
+                      ? 'text-green-800'
+                      : isFailed
+                        ? 'text-red-800'
+                        : isCurrent
+                          ? 'text-primary-800'
+                          : 'text-gray-600'
+                  }`}>
+                    {step.title}
+                  </h4>
+                  <p className={`text-sm ${
+                    isCompleted
+                      ? 'text-green-600'
+                      : isFailed
+                        ? 'text-red-600'
+                        : isCurrent
+                          ? 'text-primary-600'
+                          : 'text-gray-500'
+                  }`}>
+                    {step.message || step.description}
+                  </p>
+                </div>
+
+                {isCurrent && (
                   <motion.div
-                    initial={{ scale: 0 }}
-                    animate={{ scale: 1 }}
-                    className="w-8 h-8 rounded-full bg-green-500 flex items-center justify-center"
+                    className="flex-shrink-0"
+                    animate={{ opacity: [0.5, 1, 0.5] }}
+                    transition={{ duration: 2, repeat: Infinity }}
                   >
-                    <CheckCircle className="h-5 w-5 text-white" />
+                    <div className="w-2 h-2 rounded-full bg-primary-500"></div>
                   </motion.div>
-                ) : isCurrent ? (
-                  <div className="w-8 h-8 rounded-full bg-primary-500 flex items-center justify-center">
-                    <Loader2 className="h-5 w-5 text-white animate-spin" />
-                  </div>
-                ) : (
-                  <div className="w-8 h-8 rounded-full bg-gray-300 flex items-center justify-center">
-                    <span className="text-sm font-medium text-gray-600">{index + 1}</span>
-                  </div>
                 )}
               </div>
-              
-              <div className="flex-1">
-                <h4 className={`font-semibold ${
-                  isCompleted 
-                    ? 'text-green-800' 
-                    : isCurrent 
-                      ? 'text-primary-800' 
-                      : 'text-gray-600'
-                }`}>
-                  {step.title}
-                </h4>
-                <p className={`text-sm ${
-                  isCompleted 
-                    ? 'text-green-600' 
-                    : isCurrent 
-                      ? 'text-primary-600' 
-                      : 'text-gray-500'
-                }`}>
-                  {step.description}
-                </p>
-              </div>
-              
-              {isCurrent && (
-                <motion.div
-                  className="flex-shrink-0"
-                  animate={{ opacity: [0.5, 1, 0.5] }}
-                  transition={{ duration: 2, repeat: Infinity }}
-                >
-                  <div className="w-2 h-2 rounded-full bg-primary-500"></div>
-                </motion.div>
+
+              {/* Scene thumbnails appear as each image finishes */}
+              {step.id === 'images' && (thumbnails.length > 0 || isCurrent) && (
+                <div className="mt-4 grid grid-cols-3 sm:grid-cols-6 gap-2">
+                  <AnimatePresence>
+                    {thumbnails.map((thumbnail) => (
+                      <motion.div
+                        key={thumbnail.sceneNumber}
+                        initial={{ opacity: 0, scale: 0.8 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        className="relative aspect-video rounded-lg overflow-hidden bg-gray-200"
+                      >
+                        {thumbnail.imageUrl ? (
+                          <img
+                            src={thumbnail.imageUrl}
+                            alt={`Scene ${thumbnail.sceneNumber}`}
+                            className="w-full h-full object-cover"
+                          />
+                        ) : (
+                          <ImageIcon className="h-5 w-5 text-gray-400 m-auto" />
+                        )}
+                        <span className="absolute bottom-1 right-1 bg-black/60 text-white text-xs px-1.5 rounded">
+                          {thumbnail.sceneNumber}
+                        </span>
+                      </motion.div>
+                    ))}
+                  </AnimatePresence>
+                  {Array.from({ length: Math.max(totalScenes - thumbnails.length, 0) }).map((_, i) => (
+                    <div
+                      key={`pending-${i}`}
+                      className="aspect-video rounded-lg bg-gray-100 border border-dashed border-gray-300 flex items-center justify-center"
+                    >
+                      <Loader2 className="h-4 w-4 text-gray-400 animate-spin" />
+                    </div>
+                  ))}
+                </div>
               )}
             </motion.div>
           )
         })}
       </div>
-      
+
       {/* Progress Bar */}
       <div className="mt-6">
         <div className="flex justify-between items-center mb-2">
           <span className="text-sm font-medium text-gray-600">Progress</span>
           <span className="text-sm font-medium text-gray-600">
-            {Math.round(((currentStep + 1) / steps.length) * 100)}%
+            {progressPercent}%
           </span>
         </div>
         <div className="progress-bar">
           <motion.div
             className="progress-fill"
             initial={{ width: 0 }}
-            animate={{ width: `${((currentStep + 1) / steps.length) * 100}%` }}
+            animate={{ width: `${progressPercent}%` }}
             transition={{ duration: 0.5 }}
           />
         </div>
@@ -107,4 +165,4 @@ const ProcessingSteps = ({ steps, currentStep }) => {
   )
 }
 
-export default ProcessingSteps
\ No newline at end of file
+export default ProcessingSteps
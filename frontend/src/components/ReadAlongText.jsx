@@ -0,0 +1,62 @@
+import React, { useEffect, useMemo, useState } from 'react'
+
+// Scene text with the word being spoken highlighted
+// words: [{ text, start, end, charStart, charEnd }] timings of the narration (character offsets into text)
+// audioRef: the narration <audio>, followed while it plays; onWordTap(word) replays a tapped word
+// offset: where the narration starts in that audio (seconds), for a soundtrack of the whole story
+const ReadAlongText = ({ text, words, audioRef, offset = 0, onWordTap }) => {
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  // The text split into words (tappable) and the spaces and punctuation between them
+  const pieces = useMemo(() => {
+    const result = []
+    let offset = 0
+    words.forEach((word, index) => {
+      if (word.charStart > offset) result.push({ text: text.slice(offset, word.charStart) })
+      result.push({ text: text.slice(word.charStart, word.charEnd), wordIndex: index })
+      offset = word.charEnd
+    })
+    if (offset < text.length) result.push({ text: text.slice(offset) })
+    return result
+  }, [text, words])
+
+  // Follow the audio every frame: timeupdate events come too rarely to keep up with speech
+  useEffect(() => {
+    let frame
+    const follow = () => {
+      const audio = audioRef.current
+      if (audio && !audio.paused) {
+        const time = audio.currentTime - offset
+        setActiveIndex(words.findIndex(word => time >= word.start && time < word.end))
+      }
+      frame = requestAnimationFrame(follow)
+    }
+    frame = requestAnimationFrame(follow)
+    return () => cancelAnimationFrame(frame)
+  }, [audioRef, words, offset])
+
+  useEffect(() => setActiveIndex(-1), [text])
+
+  return (
+    <p className="text-xl font-medium leading-relaxed drop-shadow-md">
+      {pieces.map((piece, index) => (piece.wordIndex === undefined ? (
+        <span key={index}>{piece.text}</span>
+      ) : (
+        <span
+          key={index}
+          role="button"
+          tabIndex={0}
+          onClick={() => onWordTap(words[piece.wordIndex])}
+          onKeyDown={(e) => e.key === 'Enter' && onWordTap(words[piece.wordIndex])}
+          className={`rounded px-0.5 -mx-0.5 cursor-pointer transition-colors duration-100 ${
+            piece.wordIndex === activeIndex ? 'bg-yellow-300 text-black' : 'hover:bg-white/20'
+          }`}
+        >
+          {piece.text}
+        </span>
+      )))}
+    </p>
+  )
+}
+
+export default ReadAlongText
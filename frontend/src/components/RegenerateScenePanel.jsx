@@ -0,0 +1,183 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { RefreshCw, Check, X, Loader2 } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { storyAPI } from '../services/api'
+
+const OPTIONS = [
+  { id: 'image', label: 'New image', desc: 'Redraw from the current visual prompt' },
+  { id: 'rewritePrompt', label: 'Rewrite prompt', desc: 'Let AI write a new visual prompt, then redraw' },
+  { id: 'narration', label: 'New narration', desc: 'Re-record the narration with the voice cast' }
+]
+
+const SceneColumn = ({ title, image, visualPrompt, audioUrl }) => (
+  <div className="flex-1 min-w-0">
+    <p className="text-sm font-semibold mb-2">{title}</p>
+    {image?.imageUrl ? (
+      <img src={image.imageUrl} alt={title} className="w-full aspect-[4/3] object-cover rounded-lg mb-2" />
+    ) : (
+      <div className="w-full aspect-[4/3] rounded-lg mb-2 bg-white/5 flex items-center justify-center text-xs text-gray-400">
+        Image unchanged
+      </div>
+    )}
+    <p className="text-xs text-gray-300 max-h-24 overflow-y-auto mb-2">{visualPrompt}</p>
+    {audioUrl && <audio src={audioUrl} controls className="w-full h-8" />}
+  </div>
+)
+
+// Regenerate the current scene and compare the result with it before accepting
+// onAccepted(sceneIndex, result, candidate) receives the saved scene once the candidate is accepted
+// initialOptions ({ image, rewritePrompt, narration, instructions }) presets the form, e.g. from the chat assistant
+const RegenerateScenePanel = ({ storyId, sceneIndex, scene, currentAudioUrl, initialOptions, onAccepted, onClose }) => {
+  const [options, setOptions] = useState({
+    image: initialOptions?.image ?? true,
+    rewritePrompt: initialOptions?.rewritePrompt ?? false,
+    narration: initialOptions?.narration ?? false
+  })
+  const [instructions, setInstructions] = useState(initialOptions?.instructions || '')
+  const [candidate, setCandidate] = useState(null)
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const toggle = (id) => setOptions(prev => ({ ...prev, [id]: !prev[id] }))
+  const hasOption = Object.values(options).some(Boolean)
+  // Refused or failed drawings come back as placeholder cards, which cannot be saved onto the scene
+  const isPlaceholder = candidate?.image?.type === 'placeholder'
+
+  const generate = async () => {
+    setIsGenerating(true)
+    try {
+      const result = await storyAPI.regenerateScene(storyId, sceneIndex, {
+        ...options,
+        ...(instructions.trim() ? { instructions: instructions.trim() } : {})
+      })
+      setCandidate(result.candidate)
+    } catch (error) {
+      console.error('Regenerate scene error:', error)
+      toast.error(error.response?.data?.details?.[0] || 'Failed to regenerate scene')
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const accept = async () => {
+    setIsSaving(true)
+    try {
+      const result = await storyAPI.acceptRegeneratedScene(storyId, sceneIndex, {
+        ...(candidate.visualPrompt !== scene.visualPrompt ? { visualPrompt: candidate.visualPrompt } : {}),
+        ...(candidate.image ? { image: { imageUrl: candidate.image.imageUrl } } : {}),
+        ...(candidate.audio ? { audio: candidate.audio } : {})
+      })
+      onAccepted(sceneIndex, result, candidate)
+      toast.success(`Scene ${sceneIndex + 1} updated`)
+      onClose()
+    } catch (error) {
+      console.error('Accept regenerated scene error:', error)
+      toast.error('Failed to save the regenerated scene')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="absolute inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="w-full max-w-3xl max-h-full overflow-y-auto bg-gray-900 rounded-xl p-5"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold flex items-center gap-2">
+            <RefreshCw className="w-5 h-5" />
+            Regenerate Scene {sceneIndex + 1}
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+            title="Close regenerate"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!candidate ? (
+          <>
+            <div className="grid grid-cols-3 gap-2 mb-3">
+              {OPTIONS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => toggle(option.id)}
+                  disabled={isGenerating}
+                  className={`p-3 rounded-lg text-left transition-colors ${
+                    options[option.id] ? 'bg-blue-600 ring-2 ring-blue-400/50' : 'bg-white/10 hover:bg-white/20'
+                  }`}
+                >
+                  <p className="text-sm font-medium">{option.label}</p>
+                  <p className="text-xs text-gray-300">{option.desc}</p>
+                </button>
+              ))}
+            </div>
+
+            {options.rewritePrompt && (
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                maxLength={500}
+                placeholder="Optional direction, e.g. show it from above at night"
+                className="w-full mb-3 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white"
+              />
+            )}
+
+            <button
+              onClick={generate}
+              disabled={isGenerating || !hasOption}
+              className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+            >
+              {isGenerating ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              {isGenerating ? 'Regenerating...' : 'Regenerate'}
+            </button>
+          </>
+        ) : (
+          <>
+            <div className="flex gap-4 mb-4">
+              <SceneColumn
+                title="Current"
+                image={scene.image}
+                visualPrompt={scene.visualPrompt}
+                audioUrl={candidate.audio ? currentAudioUrl : null}
+              />
+              <SceneColumn
+                title="New"
+                image={candidate.image || scene.image}
+                visualPrompt={candidate.visualPrompt}
+                audioUrl={candidate.audio?.audioUrl}
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setCandidate(null)}
+                disabled={isSaving}
+                className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+              >
+                <X className="w-4 h-4" />
+                Discard
+              </button>
+              <button
+                onClick={accept}
+                disabled={isSaving || isPlaceholder}
+                className="flex-1 bg-green-600 hover:bg-green-700 disabled:opacity-50 px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                Keep new version
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default RegenerateScenePanel
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Palette, Loader2, X } from 'lucide-react'
+import { styleAPI } from '../services/api'
+
+// Pick an art style and redraw the whole story in it
+// onRestyle(styleId) starts the restyle, progress is the latest job message while it runs
+const RestylePanel = ({ currentStyle, isBusy, progress, onRestyle, onClose }) => {
+  const [styles, setStyles] = useState([])
+  const [selected, setSelected] = useState(currentStyle || null)
+
+  useEffect(() => {
+    styleAPI.listStyles()
+      .then(response => setStyles(response.styles || []))
+      .catch(error => console.error('Failed to load styles:', error))
+  }, [])
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Palette className="w-5 h-5" />
+          Art Style
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close art style"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Redraws every scene and character sheet. Each scene keeps its old image in its history.
+      </p>
+
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        {styles.map(style => (
+          <button
+            key={style.id}
+            onClick={() => setSelected(style.id)}
+            disabled={isBusy}
+            title={style.prompt}
+            className={`p-2 rounded-lg text-left text-sm transition-colors disabled:cursor-not-allowed ${
+              selected === style.id
+                ? 'bg-blue-600 ring-2 ring-blue-400/50'
+                : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {style.thumbnail && (
+              <img src={style.thumbnail} alt={style.name} className="w-full h-12 object-cover rounded mb-1" />
+            )}
+            {style.name}
+            {style.id === currentStyle && <span className="block text-xs text-gray-300">Current</span>}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onRestyle(selected)}
+        disabled={isBusy || !selected || selected === currentStyle}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+      >
+        {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Palette className="w-4 h-4" />}
+        Restyle story
+      </button>
+
+      {isBusy && progress && (
+        <p className="text-xs text-gray-300 mt-2 text-center">{progress}</p>
+      )}
+    </motion.div>
+  )
+}
+
+export default RestylePanel
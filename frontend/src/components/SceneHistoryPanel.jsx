@@ -0,0 +1,182 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { History, GitBranch, RotateCcw, Undo2, Redo2, Loader2, X } from 'lucide-react'
+
+const VERSION_LABELS = {
+  original: 'Original',
+  edit: 'Edit',
+  'chat-edit': 'Chat edit',
+  restyle: 'Restyle',
+  regenerate: 'Regenerated',
+  inpaint: 'Painted region',
+  'story-edit': 'Story-wide edit'
+}
+
+// Flatten the version tree depth-first so branches read top to bottom
+const flattenTree = (versions) => {
+  const children = {}
+  versions.forEach(version => {
+    const key = version.parentId || 'root'
+    children[key] = [...(children[key] || []), version]
+  })
+
+  const rows = []
+  const visit = (parentKey, depth) => {
+    (children[parentKey] || [])
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+      .forEach(version => {
+        rows.push({ version, depth })
+        visit(version.id, depth + 1)
+      })
+  }
+  visit('root', 0)
+  return rows
+}
+
+// history: { currentVersionId, undoVersionId, redoVersionId, versions }
+// onRevert(versionId) restores a version, onBranch(versionId, prompt) edits from it
+const SceneHistoryPanel = ({ sceneNumber, history, isBusy, onRevert, onBranch, onClose }) => {
+  const [branchFrom, setBranchFrom] = useState(null)
+  const [branchPrompt, setBranchPrompt] = useState('')
+
+  const rows = flattenTree(history?.versions || [])
+
+  const submitBranch = () => {
+    if (!branchPrompt.trim()) return
+    onBranch(branchFrom, branchPrompt.trim())
+    setBranchFrom(null)
+    setBranchPrompt('')
+  }
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <History className="w-5 h-5" />
+          Scene {sceneNumber} History
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close history"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={() => onRevert(history.undoVersionId)}
+          disabled={isBusy || !history?.undoVersionId}
+          className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+        >
+          <Undo2 className="w-4 h-4" />
+          Undo
+        </button>
+        <button
+          onClick={() => onRevert(history.redoVersionId)}
+          disabled={isBusy || !history?.redoVersionId}
+          className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+        >
+          <Redo2 className="w-4 h-4" />
+          Redo
+        </button>
+      </div>
+
+      {!history && (
+        <div className="flex items-center justify-center py-6 text-gray-400">
+          <Loader2 className="w-5 h-5 animate-spin" />
+        </div>
+      )}
+
+      {history && rows.length === 0 && (
+        <p className="text-sm text-gray-400">This scene has no image versions yet.</p>
+      )}
+
+      <div className="space-y-2">
+        {rows.map(({ version, depth }) => {
+          const isCurrent = version.id === history.currentVersionId
+
+          return (
+            <div
+              key={version.id}
+              style={{ marginLeft: `${Math.min(depth, 6) * 12}px` }}
+              className={`rounded-lg p-2 border ${
+                isCurrent ? 'border-blue-400 bg-blue-500/20' : 'border-white/10 bg-white/5'
+              }`}
+            >
+              <div className="flex gap-2">
+                <img
+                  src={version.imageUrl}
+                  alt={VERSION_LABELS[version.type] || 'Version'}
+                  className="w-16 h-10 object-cover rounded flex-shrink-0"
+                />
+                <div className="min-w-0 flex-1">
+                  <p className="text-xs font-medium flex items-center gap-1">
+                    {depth > 0 && <GitBranch className="w-3 h-3 text-gray-400" />}
+                    {VERSION_LABELS[version.type] || 'Version'}
+                    {isCurrent && <span className="text-blue-300">(current)</span>}
+                  </p>
+                  {version.prompt && (
+                    <p className="text-xs text-gray-300 truncate" title={version.prompt}>
+                      {version.prompt}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {new Date(version.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex gap-2 mt-2">
+                {!isCurrent && (
+                  <button
+                    onClick={() => onRevert(version.id)}
+                    disabled={isBusy}
+                    className="text-xs px-2 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded flex items-center gap-1 transition-colors"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                    Restore
+                  </button>
+                )}
+                <button
+                  onClick={() => setBranchFrom(branchFrom === version.id ? null : version.id)}
+                  disabled={isBusy}
+                  className="text-xs px-2 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded flex items-center gap-1 transition-colors"
+                >
+                  <GitBranch className="w-3 h-3" />
+                  Branch
+                </button>
+              </div>
+
+              {branchFrom === version.id && (
+                <div className="mt-2 space-y-2">
+                  <textarea
+                    value={branchPrompt}
+                    onChange={(e) => setBranchPrompt(e.target.value)}
+                    placeholder="Describe the edit to apply to this version..."
+                    className="w-full h-16 p-2 bg-black/30 border border-white/20 rounded text-xs text-white placeholder-gray-400 resize-none focus:border-blue-400 focus:outline-none"
+                  />
+                  <button
+                    onClick={submitBranch}
+                    disabled={isBusy || !branchPrompt.trim()}
+                    className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white text-xs px-2 py-1.5 rounded font-medium transition-colors"
+                  >
+                    Apply edit from here
+                  </button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </motion.div>
+  )
+}
+
+export default SceneHistoryPanel
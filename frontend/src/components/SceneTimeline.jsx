@@ -0,0 +1,222 @@
+import React, { useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { ListOrdered, GripVertical, Scissors, Combine, Trash2, Plus, Loader2, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { storyAPI } from '../services/api'
+
+// Rearrange a saved story: drag scenes to reorder them, split, merge, insert and delete scenes
+// onChange(result, sceneIndex) receives the saved scenes and the scene to show after the edit
+const SceneTimeline = ({ storyId, scenes, currentScene, onChange, onSelect, onClose }) => {
+  const [dragIndex, setDragIndex] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const [splitIndex, setSplitIndex] = useState(null)
+  const [insertText, setInsertText] = useState('')
+  const [insertAt, setInsertAt] = useState(scenes.length)
+  const [busy, setBusy] = useState(null) // Label of the edit in progress
+  const splitTextRef = useRef(null)
+
+  const runEdit = async (label, request, sceneIndex) => {
+    setBusy(label)
+    try {
+      const result = await request()
+      onChange(result, Math.min(sceneIndex, result.scenes.length - 1))
+      return true
+    } catch (error) {
+      console.error(`${label} error:`, error)
+      toast.error(error.response?.data?.details?.[0] || `${label} failed`)
+      return false
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDrop = (targetIndex) => {
+    const fromIndex = dragIndex
+    setDragIndex(null)
+    setDropIndex(null)
+    if (fromIndex === null || fromIndex === targetIndex) return
+
+    const sceneIds = scenes.map(scene => scene.sceneId)
+    const [moved] = sceneIds.splice(fromIndex, 1)
+    sceneIds.splice(targetIndex, 0, moved)
+    runEdit('Reorder', () => storyAPI.reorderScenes(storyId, sceneIds), targetIndex)
+  }
+
+  const handleSplit = async (index) => {
+    // The cursor position in the scene text is the split point, without one the server splits between sentences
+    const splitAt = splitTextRef.current?.selectionStart || null
+    const done = await runEdit('Split', () => storyAPI.splitScene(storyId, index, splitAt), index + 1)
+    if (done) {
+      setSplitIndex(null)
+      toast.success(`Scene ${index + 1} split in two`)
+    }
+  }
+
+  const handleInsert = async () => {
+    const done = await runEdit('Insert', () => storyAPI.insertScene(storyId, insertText.trim(), insertAt), insertAt)
+    if (done) {
+      setInsertText('')
+      setInsertAt(scenes.length + 1)
+      toast.success('Scene added')
+    }
+  }
+
+  const handleDelete = (index) => {
+    if (!window.confirm(`Delete scene ${index + 1}? Its image history is removed too.`)) return
+    runEdit('Delete', () => storyAPI.deleteScene(storyId, index), index)
+  }
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-96 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <ListOrdered className="w-5 h-5" />
+          Scene Timeline
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close timeline"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-3">
+        Drag scenes to reorder them. Split and new scenes get a fresh illustration.
+      </p>
+
+      {busy && (
+        <p className="text-xs text-gray-300 mb-2 flex items-center gap-2">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          {busy} in progress...
+        </p>
+      )}
+
+      <div className="space-y-2 mb-4">
+        {scenes.map((scene, index) => (
+          <div
+            key={scene.sceneId || index}
+            draggable={!busy}
+            onDragStart={() => setDragIndex(index)}
+            onDragOver={(e) => {
+              e.preventDefault()
+              setDropIndex(index)
+            }}
+            onDragEnd={() => {
+              setDragIndex(null)
+              setDropIndex(null)
+            }}
+            onDrop={() => handleDrop(index)}
+            className={`rounded-lg p-2 transition-colors ${
+              index === currentScene ? 'bg-blue-600/40 ring-1 ring-blue-400/50' : 'bg-white/10'
+            } ${dropIndex === index && dragIndex !== index ? 'ring-2 ring-yellow-400' : ''} ${
+              dragIndex === index ? 'opacity-50' : ''
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <GripVertical className="w-4 h-4 text-gray-400 flex-shrink-0 cursor-grab" />
+              <button onClick={() => onSelect(index)} className="flex items-center gap-2 flex-1 min-w-0 text-left">
+                {scene.image?.imageUrl ? (
+                  <img src={scene.image.imageUrl} alt={`Scene ${index + 1}`} className="w-12 h-9 object-cover rounded flex-shrink-0" />
+                ) : (
+                  <div className="w-12 h-9 rounded bg-white/10 flex-shrink-0" />
+                )}
+                <span className="min-w-0">
+                  <span className="block text-xs font-semibold">Scene {index + 1}</span>
+                  <span className="block text-xs text-gray-300 truncate">{scene.text || scene.description}</span>
+                </span>
+              </button>
+              <div className="flex gap-1 flex-shrink-0">
+                <button
+                  onClick={() => setSplitIndex(splitIndex === index ? null : index)}
+                  disabled={Boolean(busy)}
+                  className="p-1 rounded hover:bg-white/20 disabled:opacity-40"
+                  title="Split scene"
+                >
+                  <Scissors className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => runEdit('Merge', () => storyAPI.mergeScenes(storyId, index), index)}
+                  disabled={Boolean(busy) || index === scenes.length - 1}
+                  className="p-1 rounded hover:bg-white/20 disabled:opacity-40"
+                  title="Merge with next scene"
+                >
+                  <Combine className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(index)}
+                  disabled={Boolean(busy) || scenes.length === 1}
+                  className="p-1 rounded hover:bg-red-500/60 disabled:opacity-40"
+                  title="Delete scene"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            {splitIndex === index && (
+              <div className="mt-2">
+                <textarea
+                  ref={splitTextRef}
+                  readOnly
+                  defaultValue={scene.text || scene.description}
+                  rows={4}
+                  className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-xs text-white resize-none"
+                />
+                <p className="text-xs text-gray-400 mb-2">Click where the new scene should start, or split between sentences.</p>
+                <button
+                  onClick={() => handleSplit(index)}
+                  disabled={Boolean(busy)}
+                  className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-3 py-1.5 rounded-lg text-xs flex items-center justify-center gap-2 transition-colors"
+                >
+                  <Scissors className="w-3 h-3" />
+                  Split scene
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="border-t border-white/10 pt-3">
+        <p className="text-sm font-semibold mb-2">Insert a scene</p>
+        <textarea
+          value={insertText}
+          onChange={(e) => setInsertText(e.target.value)}
+          maxLength={2000}
+          rows={3}
+          placeholder="What happens in the new scene?"
+          className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white resize-none mb-2"
+        />
+        <div className="flex gap-2">
+          <select
+            value={insertAt}
+            onChange={(e) => setInsertAt(Number(e.target.value))}
+            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1.5 text-sm text-white"
+          >
+            <option value={0} className="text-black">At the start</option>
+            {scenes.map((_, index) => (
+              <option key={index} value={index + 1} className="text-black">After scene {index + 1}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleInsert}
+            disabled={Boolean(busy) || insertText.trim().length < 10}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1.5 rounded-lg text-sm flex items-center gap-2 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  )
+}
+
+export default SceneTimeline
@@ -0,0 +1,111 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Layers, Loader2, CheckCircle, XCircle, X } from 'lucide-react'
+
+const EXAMPLES = ['Give the fox a red scarf', 'Make it winter', 'Make the village look abandoned']
+
+const TARGET_LABELS = { character: 'Character', setting: 'Setting', story: 'Whole story' }
+
+// Apply one instruction to every scene it concerns (a character's scenes, a setting's scenes, or all of them)
+// onApply(instruction) starts the edit, progress is the latest job message, report the last edit's result
+const StoryEditPanel = ({ isBusy, progress, report, onApply, onSelectScene, onClose }) => {
+  const [instruction, setInstruction] = useState('')
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Layers className="w-5 h-5" />
+          Edit All Scenes
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close edit all scenes"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-3">
+        Edits every scene the character or place appears in. Character changes are saved to the character bible, so new scenes keep them.
+      </p>
+
+      <textarea
+        value={instruction}
+        onChange={(e) => setInstruction(e.target.value)}
+        maxLength={500}
+        rows={3}
+        disabled={isBusy}
+        placeholder={EXAMPLES[0]}
+        className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white resize-none mb-2"
+      />
+      <div className="flex flex-wrap gap-1 mb-3">
+        {EXAMPLES.map(example => (
+          <button
+            key={example}
+            onClick={() => setInstruction(example)}
+            disabled={isBusy}
+            className="px-2 py-1 rounded-full text-xs bg-white/10 hover:bg-white/20 transition-colors"
+          >
+            {example}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onApply(instruction.trim())}
+        disabled={isBusy || instruction.trim().length < 3}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+      >
+        {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Layers className="w-4 h-4" />}
+        Apply to all scenes
+      </button>
+
+      {isBusy && progress && (
+        <p className="text-xs text-gray-300 mt-2 text-center">{progress}</p>
+      )}
+
+      {report && !isBusy && (
+        <div className="mt-4 border-t border-white/10 pt-3">
+          <p className="text-sm font-semibold mb-1">
+            {report.successCount} of {report.results.length} scenes edited
+          </p>
+          <p className="text-xs text-gray-400 mb-2">
+            {TARGET_LABELS[report.target.type]}{report.target.name ? `: ${report.target.name}` : ''}
+          </p>
+          {report.character && (
+            <p className="text-xs text-gray-300 mb-2">
+              {report.character.name} updated in the character bible
+              {report.character.lockedChanges.length > 0 && ` (locked, not changed: ${report.character.lockedChanges.join(', ')})`}
+            </p>
+          )}
+          <div className="space-y-1">
+            {report.results.map(result => (
+              <button
+                key={result.sceneIndex}
+                onClick={() => onSelectScene(result.sceneIndex)}
+                className="w-full flex items-start gap-2 p-2 rounded-lg bg-white/5 hover:bg-white/10 text-left text-xs transition-colors"
+              >
+                {result.success
+                  ? <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+                  : <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />}
+                <span>
+                  Scene {result.sceneNumber}
+                  {result.error && <span className="block text-gray-400">{result.error}</span>}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default StoryEditPanel
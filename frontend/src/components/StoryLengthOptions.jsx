@@ -0,0 +1,81 @@
+import React from 'react'
+import { Clock } from 'lucide-react'
+
+const PACING_OPTIONS = [
+  { id: 'brisk', label: 'Brisk', desc: 'One beat per scene' },
+  { id: 'normal', label: 'Normal', desc: 'A key moment per scene' },
+  { id: 'leisurely', label: 'Leisurely', desc: 'Lingers on each moment' }
+]
+
+// Mirrors the backend limits in utils/storyOptions.js
+const MAX_SCENE_COUNT = 24
+const MAX_DURATION_SECONDS = 480
+
+// options: { sceneCount, targetDurationSeconds, pacing } - empty values mean "auto"
+const StoryLengthOptions = ({ options, onChange }) => {
+  const update = (field, value) => onChange({ ...options, [field]: value })
+
+  const toNumber = (value, max) => {
+    if (value === '') return null
+    const number = Math.round(Number(value))
+    return Number.isFinite(number) ? Math.min(Math.max(number, 1), max) : null
+  }
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+        <Clock className="h-5 w-5 text-primary-600" />
+        Story Length
+      </h3>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        {PACING_OPTIONS.map(pacing => (
+          <button
+            key={pacing.id}
+            onClick={() => update('pacing', pacing.id)}
+            className={`p-3 rounded-xl border-2 text-left transition-all duration-200 ${
+              options.pacing === pacing.id
+                ? 'border-primary-500 bg-primary-50'
+                : 'border-gray-200 hover:border-primary-300'
+            }`}
+          >
+            <p className="font-medium">{pacing.label}</p>
+            <p className="text-xs text-gray-600">{pacing.desc}</p>
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Scenes</span>
+          <input
+            type="number"
+            min={1}
+            max={MAX_SCENE_COUNT}
+            value={options.sceneCount ?? ''}
+            onChange={(e) => update('sceneCount', toNumber(e.target.value, MAX_SCENE_COUNT))}
+            placeholder="Auto (3-6)"
+            className="input-field mt-1"
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Target length (seconds)</span>
+          <input
+            type="number"
+            min={10}
+            max={MAX_DURATION_SECONDS}
+            value={options.targetDurationSeconds ?? ''}
+            onChange={(e) => update('targetDurationSeconds', toNumber(e.target.value, MAX_DURATION_SECONDS))}
+            placeholder="Auto"
+            className="input-field mt-1"
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Picture books usually have 12-20 spreads. Leave a field empty to let the story decide.
+      </p>
+    </div>
+  )
+}
+
+export default StoryLengthOptions
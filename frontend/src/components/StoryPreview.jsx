@@ -22,9 +22,12 @@ const StoryPreview = ({ story, onBack }) => {
   const [isPlaying, setIsPlaying] = useState(false)
   const [isMuted, setIsMuted] = useState(false)
 
+  const videoId = story.video?.videoId || story.video?.id
+
   const handleDownload = () => {
-    if (story.video?.id) {
-      const downloadUrl = videoAPI.getDownloadUrl(story.video.id)
+    if (videoId) {
+      const format = story.video.formats?.includes('mp4') ? 'mp4' : undefined
+      const downloadUrl = videoAPI.getDownloadUrl(videoId, format)
       window.open(downloadUrl, '_blank')
       toast.success('Download started!')
     } else {
@@ -195,7 +198,7 @@ const StoryPreview = ({ story, onBack }) => {
 
                 {story.video?.downloadUrl && (
                   <motion.a
-                    href={videoAPI.getStreamUrl(story.video.id)}
+                    href={videoAPI.getStreamUrl(videoId)}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="btn-secondary flex items-center space-x-2"
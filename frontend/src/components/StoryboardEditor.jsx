@@ -0,0 +1,137 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { ClipboardList, ArrowLeft, Sparkles, Loader2 } from 'lucide-react'
+import ContentRatingBadge from './ContentRatingBadge'
+
+// Suggestions only, any value can be typed
+const FIELD_SUGGESTIONS = {
+  mood: ['peaceful', 'happy', 'exciting', 'mysterious', 'scary', 'sad', 'magical'],
+  timeOfDay: ['dawn', 'morning', 'afternoon', 'evening', 'sunset', 'night'],
+  weather: ['clear', 'cloudy', 'rainy', 'stormy', 'snowy', 'foggy'],
+  environment: ['indoor', 'outdoor', 'nature', 'urban', 'underwater', 'space']
+}
+
+const FIELD_LABELS = { mood: 'Mood', timeOfDay: 'Time of day', weather: 'Weather', environment: 'Environment' }
+
+// Review and edit the analyzed scenes before any image is drawn
+// scenes are edited in place through onChange(scenes), onApprove() illustrates them
+// safety is the story's rating against its content policy (softened stories say so)
+const StoryboardEditor = ({ scenes, characterNames, safety, isBusy, onChange, onApprove, onCancel }) => {
+  const updateScene = (index, field, value) => {
+    onChange(scenes.map((scene, i) => (i === index ? { ...scene, [field]: value } : scene)))
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card max-w-3xl mx-auto"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <ClipboardList className="h-6 w-6 text-primary-600" />
+          Review Storyboard
+        </h2>
+        <span className="text-sm text-gray-500 flex items-center gap-2">
+          <ContentRatingBadge safety={safety} />
+          {scenes.length} scenes
+        </span>
+      </div>
+      <p className="text-gray-600 mb-6">
+        Fix the scene text, prompts and details now. Images are only drawn for the storyboard you approve.
+      </p>
+      {safety?.softened && (
+        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3 mb-6">
+          Some moments were softened for this audience ({safety.reason}). Edits that go beyond the audience's rating are refused when the storyboard is illustrated.
+        </p>
+      )}
+
+      {Object.entries(FIELD_SUGGESTIONS).map(([field, values]) => (
+        <datalist key={field} id={`storyboard-${field}`}>
+          {values.map(value => <option key={value} value={value} />)}
+        </datalist>
+      ))}
+
+      <div className="space-y-6 mb-8">
+        {scenes.map((scene, index) => (
+          <div key={index} className="p-4 rounded-xl border border-gray-200">
+            <p className="font-semibold mb-3">
+              Scene {index + 1}
+              {scene.chapterNumber > 1 && <span className="text-sm text-gray-500 font-normal"> • Chapter {scene.chapterNumber}</span>}
+            </p>
+
+            <label className="block mb-3">
+              <span className="text-sm font-medium text-gray-700">Scene text (narrated)</span>
+              <textarea
+                value={scene.description}
+                onChange={(e) => updateScene(index, 'description', e.target.value)}
+                rows={3}
+                className="textarea-field mt-1"
+              />
+            </label>
+
+            <label className="block mb-3">
+              <span className="text-sm font-medium text-gray-700">Visual prompt (what gets drawn)</span>
+              <textarea
+                value={scene.visualPrompt}
+                onChange={(e) => updateScene(index, 'visualPrompt', e.target.value)}
+                rows={3}
+                maxLength={2000}
+                className="textarea-field mt-1"
+              />
+            </label>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+              {Object.keys(FIELD_SUGGESTIONS).map(field => (
+                <label key={field} className="block">
+                  <span className="text-sm font-medium text-gray-700">{FIELD_LABELS[field]}</span>
+                  <input
+                    type="text"
+                    list={`storyboard-${field}`}
+                    value={scene[field] || ''}
+                    onChange={(e) => updateScene(index, field, e.target.value)}
+                    className="input-field mt-1"
+                  />
+                </label>
+              ))}
+            </div>
+
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Characters in this scene (comma separated)</span>
+              <input
+                type="text"
+                value={(scene.characters || []).join(',')}
+                onChange={(e) => updateScene(index, 'characters', e.target.value.split(','))}
+                className="input-field mt-1"
+              />
+              {characterNames.length > 0 && (
+                <span className="text-xs text-gray-500">Story characters: {characterNames.join(', ')}</span>
+              )}
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between">
+        <button
+          onClick={onCancel}
+          disabled={isBusy}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <ArrowLeft className="h-5 w-5" />
+          Back to story
+        </button>
+        <button
+          onClick={onApprove}
+          disabled={isBusy || scenes.some(scene => !scene.description.trim() || !scene.visualPrompt.trim())}
+          className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isBusy ? <Loader2 className="h-5 w-5 animate-spin" /> : <Sparkles className="h-5 w-5" />}
+          Illustrate {scenes.length} scenes
+        </button>
+      </div>
+    </motion.div>
+  )
+}
+
+export default StoryboardEditor
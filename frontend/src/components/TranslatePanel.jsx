@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Languages, Loader2, ExternalLink, X } from 'lucide-react'
+import { storyAPI } from '../services/api'
+
+// Translate the story into another language as a new edition that shares its pictures
+// editions: [{ language, storyId, label }] other language editions to open
+// onTranslate(language) starts the translation, progress is the latest job message while it runs
+const TranslatePanel = ({ language, editions, isBusy, progress, onTranslate, onOpenEdition, onClose }) => {
+  const [languages, setLanguages] = useState([])
+  const [selected, setSelected] = useState(null)
+
+  useEffect(() => {
+    storyAPI.getLanguages()
+      .then(response => setLanguages(response.languages || []))
+      .catch(error => console.error('Failed to load languages:', error))
+  }, [])
+
+  const languageName = (code) => languages.find(item => item.code === code)?.name || code
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Languages className="w-5 h-5" />
+          Languages
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close languages"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        {language ? `Written in ${languageName(language)}. ` : ''}
+        A translation is saved as a new story with the same pictures, narrated in its own language.
+      </p>
+
+      {editions.length > 0 && (
+        <div className="mb-4 space-y-1">
+          <p className="text-xs uppercase tracking-wide text-gray-400">Other editions</p>
+          {editions.map(edition => (
+            <button
+              key={edition.storyId}
+              onClick={() => onOpenEdition(edition.storyId)}
+              className="w-full flex items-center justify-between px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm transition-colors"
+            >
+              <span>{languageName(edition.language)}{edition.label ? ` (${edition.label})` : ''}</span>
+              <ExternalLink className="w-4 h-4" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        {languages.filter(item => item.code !== language).map(item => (
+          <button
+            key={item.code}
+            onClick={() => setSelected(item.code)}
+            disabled={isBusy}
+            className={`p-2 rounded-lg text-left text-sm transition-colors disabled:cursor-not-allowed ${
+              selected === item.code
+                ? 'bg-blue-600 ring-2 ring-blue-400/50'
+                : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {item.name}
+            {item.nativeName !== item.name && <span className="block text-xs text-gray-300">{item.nativeName}</span>}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onTranslate(selected)}
+        disabled={isBusy || !selected}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+      >
+        {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Languages className="w-4 h-4" />}
+        Translate story
+      </button>
+
+      {isBusy && progress && (
+        <p className="text-xs text-gray-300 mt-2 text-center">{progress}</p>
+      )}
+    </motion.div>
+  )
+}
+
+export default TranslatePanel
@@ -14,10 +14,53 @@ import {
   Loader2,
   Check,
   CheckCircle,
+  Subtitles,
+  Mic,
+  History,
+  Undo2,
+  Redo2,
+  BookOpen,
+  Users,
+  Palette,
+  RefreshCw,
+  ListOrdered,
+  Brush,
+  Layers,
+  Languages,
+  Highlighter,
+  Hand,
+  Music,
+  AudioLines,
   X
 } from 'lucide-react'
 import { toast } from 'react-hot-toast'
-import { storyAPI } from '../services/api'
+import { useNavigate } from 'react-router-dom'
+import { storyAPI, jobAPI } from '../services/api'
+import VoiceCastingPanel from './VoiceCastingPanel'
+import SceneHistoryPanel from './SceneHistoryPanel'
+import CharacterBiblePanel from './CharacterBiblePanel'
+import RestylePanel from './RestylePanel'
+import RegenerateScenePanel from './RegenerateScenePanel'
+import SceneTimeline from './SceneTimeline'
+import MaskPainter from './MaskPainter'
+import StoryEditPanel from './StoryEditPanel'
+import ContentRatingBadge from './ContentRatingBadge'
+import TranslatePanel from './TranslatePanel'
+import ReadAlongText from './ReadAlongText'
+import MusicPanel from './MusicPanel'
+
+// Scenes stay up for their narration plus a short pause, and at least MIN_SCENE_MS (as in the exported video)
+const NARRATION_PADDING_MS = 750
+const MIN_SCENE_MS = 4000
+
+// How long a scene stays up for narration audio of the given length in seconds
+const getSceneLengthMs = (audioSeconds) => Math.max(MIN_SCENE_MS, audioSeconds > 0 ? audioSeconds * 1000 + NARRATION_PADDING_MS : 0)
+
+// Narration speeds offered for read-along (the narration is re-recorded at the chosen speed)
+const NARRATION_SPEEDS = [0.75, 1, 1.25]
+
+// The mixed soundtrack is only moved to the current scene when it is further than this (seconds) from it
+const SOUNDTRACK_TOLERANCE_S = 1
 
 const VideoLikePlayer = ({ presentation, onBack }) => {
   const [currentScene, setCurrentScene] = useState(0)
@@ -26,18 +69,63 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
   const [progress, setProgress] = useState(0)
   const [isLoading, setIsLoading] = useState(false)
   const [sceneAudios, setSceneAudios] = useState({})
-  const [audioDurations, setAudioDurations] = useState({}) // Track audio durations
-  const [currentAudioDuration, setCurrentAudioDuration] = useState(6000) // Default 6 seconds
+  const [audioDurations, setAudioDurations] = useState({}) // Scene lengths in ms
+  const [sceneTimings, setSceneTimings] = useState({}) // Narration { text, duration, words } in seconds
+  // Read-along: highlight words as they are spoken, tap one to hear it again
+  const [readAlong, setReadAlong] = useState(false)
+  const [narrationSpeed, setNarrationSpeed] = useState(1)
+  // Read it yourself: scenes wait for the reader to tap next instead of advancing on their own
+  const [readItYourself, setReadItYourself] = useState(false)
+  const [awaitingReader, setAwaitingReader] = useState(false)
+  const [currentAudioDuration, setCurrentAudioDuration] = useState(MIN_SCENE_MS)
   // AI Chatbot and editing states
   const [isEditMode, setIsEditMode] = useState(false)
   const [editPrompt, setEditPrompt] = useState('')
   const [isEditing, setIsEditing] = useState(false)
-  const [editHistory, setEditHistory] = useState({})
+  const [editHistory, setEditHistory] = useState(presentation.editHistory || {})
   const [showChatBot, setShowChatBot] = useState(false)
+  const [burnSubtitles, setBurnSubtitles] = useState(false) // Draw captions into the exported MP4
+  const [voiceCast, setVoiceCast] = useState(presentation.voiceCast || {})
+  const [showVoiceCast, setShowVoiceCast] = useState(false)
+  // Music bed under the narration of the exported video: { mode: 'auto' | 'track' | 'off', trackId }
+  const [music, setMusic] = useState(presentation.music || { mode: 'auto' })
+  const [showMusic, setShowMusic] = useState(false)
+  const [useSoundtrack, setUseSoundtrack] = useState(false) // Play the server-mixed soundtrack, as the video has it
+  const [soundtrack, setSoundtrack] = useState(null) // { url, starts, duration, includesNarration }
+  const [isMixing, setIsMixing] = useState(false)
+  // Server-side version tree of the current scene (saved stories only)
+  const [showHistory, setShowHistory] = useState(false)
+  const [sceneHistory, setSceneHistory] = useState(null)
+  const [isReverting, setIsReverting] = useState(false)
+  const [showCharacters, setShowCharacters] = useState(false) // Character bible (saved stories only)
+  // Whole-story art style changes (saved stories only)
+  const [showRestyle, setShowRestyle] = useState(false)
+  const [artStyle, setArtStyle] = useState(presentation.style || presentation.metadata?.style || null)
+  // Rating against the story's content policy; edits of unsaved presentations are checked against it too
+  const safety = presentation.safety || presentation.metadata?.safety || null
+  const [isRestyling, setIsRestyling] = useState(false)
+  const [restyleProgress, setRestyleProgress] = useState(null)
+  // Story language (narration voices follow it) and its editions in other languages (saved stories only)
+  const storyLanguage = presentation.language || presentation.metadata?.language || null
+  const [translations, setTranslations] = useState(presentation.metadata?.translations || [])
+  const [showTranslate, setShowTranslate] = useState(false)
+  const [isTranslating, setIsTranslating] = useState(false)
+  const [translateProgress, setTranslateProgress] = useState(null)
+  const navigate = useNavigate()
+  const [showRegenerate, setShowRegenerate] = useState(false) // Regenerate the current scene (saved stories only)
+  const [regenerateOptions, setRegenerateOptions] = useState(null) // Preset by the chat assistant
+  const [showTimeline, setShowTimeline] = useState(false) // Reorder, split, merge, insert and delete scenes (saved stories only)
+  const [showMaskPainter, setShowMaskPainter] = useState(false) // Paint a region of the current image to edit
+  // One edit applied to every scene it concerns (saved stories only)
+  const [showStoryEdit, setShowStoryEdit] = useState(false)
+  const [isStoryEditing, setIsStoryEditing] = useState(false)
+  const [storyEditProgress, setStoryEditProgress] = useState(null)
+  const [storyEditReport, setStoryEditReport] = useState(null)
   const [chatMessages, setChatMessages] = useState([
     { sender: 'ai', message: 'Hi there! I can help you with your story. You can ask me questions about the plot, characters, or suggest edits for this scene.' },
     { sender: 'ai', message: 'For example, you can ask: "Tell me more about this scene", "What happens next in the story?", or "Edit this image to add more detail".' }
   ])
+  const [chatHistory, setChatHistory] = useState([]) // Conversation as the server keeps it, sent back with each message
   // Local state for scenes to handle updates
   const [localScenes, setLocalScenes] = useState(presentation.scenes || [])
   // State to track image updates and force re-renders
@@ -47,14 +135,36 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
   const [nextSceneIndex, setNextSceneIndex] = useState(null)
   
   const audioRef = useRef(null)
+  const soundtrackRef = useRef(null)
+  const mixRequest = useRef(0) // Only the latest mix is played
   const progressInterval = useRef(null)
   const autoAdvanceTimeout = useRef(null)
+  const wordReplayTimeout = useRef(null)
   const sceneRef = useRef(null)
 
   // Use local scenes instead of presentation.scenes
   const scenes = localScenes
   const totalScenes = scenes.length
   const currentSceneData = scenes[currentScene] || {}
+  const currentTiming = sceneTimings[currentScene]
+  // The soundtrack carries the narration, so the scene's own narration is not played
+  const mixedNarration = Boolean(soundtrack?.includesNarration)
+
+  // Long stories are navigated chapter by chapter, scenes point at their chapter by chapterNumber
+  const chapters = (presentation.chapters || [])
+    .map(chapter => ({
+      ...chapter,
+      sceneIndexes: scenes
+        .map((scene, index) => ((scene.chapterNumber || 1) === chapter.chapterNumber ? index : -1))
+        .filter(index => index >= 0)
+    }))
+    .filter(chapter => chapter.sceneIndexes.length > 0)
+  const hasChapters = chapters.length > 1
+  const currentChapter = chapters.find(chapter => chapter.sceneIndexes.includes(currentScene))
+  // The timeline shows the current chapter's scenes so long stories stay readable
+  const timelineSceneIndexes = hasChapters && currentChapter
+    ? currentChapter.sceneIndexes
+    : scenes.map((_, index) => index)
 
   // Sync local scenes when presentation changes
   useEffect(() => {
@@ -90,7 +200,13 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       const scene = scenes[sceneIndex]
       // Use narrationText if available, otherwise fallback to scene description
       const narrationText = scene.text || scene.description || ''
-      const response = await storyAPI.textToSpeech(narrationText)
+      // Scenes with dialogue segments are read with the cast character voices
+      const response = await storyAPI.textToSpeech(narrationText, {
+        segments: scene.segments,
+        voiceCast,
+        ...(storyLanguage ? { language: storyLanguage } : {}),
+        ...(narrationSpeed !== 1 ? { speed: narrationSpeed } : {})
+      })
       
       if (response.success && response.audioUrl) {
         // Store the audio URL and duration
@@ -99,12 +215,16 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
           [sceneIndex]: response.audioUrl
         }))
         
-        // Store the duration (convert seconds to milliseconds, with minimum 6 seconds)
-        const durationMs = Math.max((response.duration || 6) * 1000, 6000)
+        // Store the measured duration and word timings (the scene lasts for the narration plus a pause)
+        const durationMs = getSceneLengthMs(response.duration)
         setAudioDurations(prev => ({
           ...prev,
           [sceneIndex]: durationMs
         }))
+        setSceneTimings(prev => ({
+          ...prev,
+          [sceneIndex]: { text: response.text || narrationText, duration: response.duration, words: response.words || [] }
+        }))
         
         // Set current audio duration if it's the current scene
         if (sceneIndex === currentScene) {
@@ -153,7 +273,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
     }
     
     loadAudio()
-  }, [currentScene, isTransitioning, totalScenes])
+  }, [currentScene, currentSceneData.sceneId, currentSceneData.text, isTransitioning, totalScenes, voiceCast, narrationSpeed])
 
   // Toggle play/pause
   const togglePlay = () => {
@@ -163,6 +283,8 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       clearTimeout(autoAdvanceTimeout.current)
       setIsPlaying(false)
     } else {
+      clearTimeout(wordReplayTimeout.current)
+      setAwaitingReader(false)
       playAudio()
       setIsPlaying(true)
     }
@@ -170,6 +292,9 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
 
   // Play audio for current scene
   const playAudio = () => {
+    // The soundtrack effect below plays the scene from the mix
+    if (mixedNarration) return
+
     if (audioRef.current && sceneAudios[currentScene]) {
       audioRef.current.play().catch(err => {
         console.error('Audio playback error:', err)
@@ -215,6 +340,14 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
 
   // Auto advance to next scene with transition effect
   const autoAdvanceToNext = () => {
+    if (readItYourself && currentScene < totalScenes - 1) {
+      // Stay on the scene until the reader taps next
+      setProgress(100)
+      clearInterval(progressInterval.current)
+      setAwaitingReader(true)
+      return
+    }
+
     if (currentScene < totalScenes - 1) {
       // Set transition states
       setIsTransitioning(true)
@@ -245,6 +378,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
     if (audioRef.current) {
       audioRef.current.pause()
     }
+    soundtrackRef.current?.pause()
     
     clearInterval(progressInterval.current)
     clearTimeout(autoAdvanceTimeout.current)
@@ -255,6 +389,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
     if (sceneIndex === currentScene) return
     
     pauseAudio()
+    setAwaitingReader(false)
     setCurrentScene(sceneIndex)
     setProgress(0)
     
@@ -278,8 +413,435 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
     }
   }
   
-  // AI Chat and Image Editing
-  const handleImageEdit = async () => {
+  // Save changes to the stored story (no-op for unsaved presentations)
+  const persistStory = async (changes) => {
+    if (!presentation.id) return
+
+    try {
+      await storyAPI.updateStory(presentation.id, changes)
+    } catch (error) {
+      console.error('Failed to save story changes:', error)
+      toast.error('Your edit was applied but could not be saved')
+    }
+  }
+
+  // Reassign a character's voice, then re-record narration with the new cast
+  const handleVoiceChange = (speaker, voiceProfileId) => {
+    if (!voiceProfileId) return
+
+    const updatedCast = { ...voiceCast, [speaker]: voiceProfileId }
+    setVoiceCast(updatedCast)
+    setSceneAudios({})
+    setAudioDurations({})
+    setSceneTimings({})
+    persistStory({ voiceCast: updatedCast })
+    toast.success(`${speaker === 'narrator' ? 'Narrator' : speaker} voice updated`)
+  }
+
+  const handleMusicChange = (updatedMusic) => {
+    setMusic(updatedMusic)
+    persistStory({ music: updatedMusic })
+  }
+
+  // Have the server mix every scene's narration with the ambience and music into one levelled track
+  const mixSoundtrack = async () => {
+    const request = ++mixRequest.current
+    setIsMixing(true)
+
+    try {
+      const audioUrls = []
+      for (let index = 0; index < totalScenes; index++) {
+        audioUrls.push(await generateAudioForScene(index))
+      }
+
+      const response = await storyAPI.mixSoundtrack({
+        // The narration the player reads along with, so word timings match the mix
+        scenes: localScenes.map((scene, index) => (
+          audioUrls[index]
+            ? { ...scene, audio: { audioUrl: audioUrls[index], ...sceneTimings[index] } }
+            : scene
+        )),
+        music
+      })
+      if (request !== mixRequest.current) return
+
+      setSoundtrack({
+        url: storyAPI.getSoundtrackUrl(response.soundtrackId),
+        starts: response.starts,
+        duration: response.duration,
+        includesNarration: response.includesNarration
+      })
+    } catch (error) {
+      console.error('Soundtrack mixing error:', error)
+      toast.error(error.response?.data?.error || 'Could not mix the soundtrack')
+      if (request === mixRequest.current) setUseSoundtrack(false)
+    } finally {
+      if (request === mixRequest.current) setIsMixing(false)
+    }
+  }
+
+  // Anything that changes what is heard needs a new mix
+  useEffect(() => {
+    // Narration stops with the old mix, so the story stops with it
+    if (mixedNarration && isPlaying) {
+      pauseAudio()
+      setIsPlaying(false)
+    }
+    soundtrackRef.current?.pause()
+    setSoundtrack(null)
+    if (useSoundtrack) {
+      mixSoundtrack()
+    } else {
+      mixRequest.current++
+      setIsMixing(false)
+    }
+  }, [useSoundtrack, localScenes, voiceCast, narrationSpeed, music])
+
+  // Keep the soundtrack at the current scene's place in it while the story plays
+  useEffect(() => {
+    const audio = soundtrackRef.current
+    if (!soundtrack || !audio || !isPlaying || isTransitioning || awaitingReader) return
+
+    if (mixedNarration) {
+      // A mix that arrives mid-scene takes over from the scene's own narration
+      audioRef.current?.pause()
+      clearInterval(progressInterval.current)
+      clearTimeout(autoAdvanceTimeout.current)
+    }
+    const start = soundtrack.starts[currentScene] ?? 0
+    const end = soundtrack.starts[currentScene + 1] ?? soundtrack.duration
+    if (audio.currentTime < start - SOUNDTRACK_TOLERANCE_S || audio.currentTime >= end) {
+      audio.currentTime = start
+    }
+    audio.play().catch(err => console.error('Soundtrack playback error:', err))
+  }, [soundtrack, isPlaying, currentScene, isTransitioning, awaitingReader])
+
+  // Re-record narration at another speed (word timings come with the new recording)
+  const handleSpeedChange = (speed) => {
+    if (speed === narrationSpeed) return
+
+    pauseAudio()
+    setIsPlaying(false)
+    setNarrationSpeed(speed)
+    setSceneAudios({})
+    setAudioDurations({})
+    setSceneTimings({})
+  }
+
+  // Play one word of the narration again; the story stays paused afterwards
+  const replayWord = (word) => {
+    const audio = mixedNarration ? soundtrackRef.current : audioRef.current
+    if (!audio || !(mixedNarration || sceneAudios[currentScene])) return
+
+    pauseAudio()
+    setIsPlaying(false)
+    clearTimeout(wordReplayTimeout.current)
+    audio.currentTime = (mixedNarration ? soundtrack.starts[currentScene] : 0) + word.start
+    audio.play().catch(err => console.error('Word replay error:', err))
+    wordReplayTimeout.current = setTimeout(() => audio.pause(), (word.end - word.start) * 1000)
+  }
+
+  const toggleReadItYourself = () => {
+    // Leaving the mode while a scene waits for the reader moves on right away
+    if (readItYourself && awaitingReader) {
+      setAwaitingReader(false)
+      if (currentScene < totalScenes - 1) goToScene(currentScene + 1)
+    }
+    setReadItYourself(!readItYourself)
+  }
+
+  // Load the current scene's version tree while the editor or history browser is open
+  useEffect(() => {
+    if (!presentation.id || !(showHistory || isEditMode)) return
+
+    let cancelled = false
+    setSceneHistory(null)
+    storyAPI.getSceneVersions(presentation.id, currentScene)
+      .then(response => {
+        if (!cancelled) setSceneHistory(response.history)
+      })
+      .catch(error => console.error('Failed to load scene history:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [presentation.id, currentScene, currentSceneData.sceneId, showHistory, isEditMode])
+
+  // Show a version the server made current (revert, undo, redo or branch)
+  const applySceneVersion = (sceneIndex, result) => {
+    setLocalScenes(prev => prev.map((scene, index) => (
+      index === sceneIndex ? { ...scene, image: result.scene.image } : scene
+    )))
+    setSceneHistory(result.history)
+    setImageUpdateCount(prev => prev + 1)
+  }
+
+  // Redraw every scene in another art style; each scene's old image stays in its version history
+  const handleRestyle = async (styleId) => {
+    if (!presentation.id || isRestyling) return
+
+    setIsRestyling(true)
+    setRestyleProgress('Starting...')
+    try {
+      const job = await storyAPI.startRestyle(presentation.id, styleId)
+      const result = await jobAPI.waitForResult(job.jobId, (event) => {
+        if (event.message) setRestyleProgress(event.message)
+      })
+      setLocalScenes(prev => prev.map((scene, index) => (
+        result.scenes[index] ? { ...scene, image: result.scenes[index].image } : scene
+      )))
+      setArtStyle(result.style)
+      if (showHistory || isEditMode) {
+        const response = await storyAPI.getSceneVersions(presentation.id, currentScene)
+        setSceneHistory(response.history)
+      }
+      setImageUpdateCount(prev => prev + 1)
+      if (result.errorCount > 0) {
+        toast.error(`${result.errorCount} of ${result.results.length} scenes could not be restyled`)
+      } else {
+        toast.success('Story restyled')
+      }
+    } catch (error) {
+      console.error('Restyle error:', error)
+      toast.error(error.response?.data?.details?.[0] || 'Failed to restyle story')
+    } finally {
+      setIsRestyling(false)
+      setRestyleProgress(null)
+    }
+  }
+
+  // Translate into a new story that shares this one's pictures, then open it
+  const handleTranslate = async (language) => {
+    if (!presentation.id || isTranslating) return
+
+    setIsTranslating(true)
+    setTranslateProgress('Starting...')
+    try {
+      const job = await storyAPI.startTranslation(presentation.id, language)
+      const result = await jobAPI.waitForResult(job.jobId, (event) => {
+        if (event.message) setTranslateProgress(event.message)
+      })
+      setTranslations(prev => [...prev.filter(item => item.language !== result.language), { language: result.language, storyId: result.storyId }])
+      toast.success(`Translated: ${result.title}`)
+      navigate(`/story/${result.storyId}`)
+    } catch (error) {
+      console.error('Translation error:', error)
+      toast.error(error.details?.[0] || error.response?.data?.details?.[0] || error.message || 'Failed to translate story')
+    } finally {
+      setIsTranslating(false)
+      setTranslateProgress(null)
+    }
+  }
+
+  // Apply one instruction to every scene it concerns; failed scenes are listed in the report
+  const handleStoryEdit = async (instruction) => {
+    if (!presentation.id || isStoryEditing) return
+
+    setIsStoryEditing(true)
+    setStoryEditProgress('Starting...')
+    try {
+      const job = await storyAPI.startStoryEdit(presentation.id, instruction)
+      const result = await jobAPI.waitForResult(job.jobId, (event) => {
+        if (event.message) setStoryEditProgress(event.message)
+      })
+      setLocalScenes(prev => prev.map((scene, index) => (
+        result.scenes[index] ? { ...scene, image: result.scenes[index].image, visualPrompt: result.scenes[index].visualPrompt } : scene
+      )))
+      setStoryEditReport(result)
+      if (showHistory || isEditMode) {
+        const response = await storyAPI.getSceneVersions(presentation.id, currentScene)
+        setSceneHistory(response.history)
+      }
+      setImageUpdateCount(prev => prev + 1)
+      if (result.errorCount > 0) {
+        toast.error(`${result.errorCount} of ${result.results.length} scenes could not be edited`)
+      } else {
+        toast.success(`${result.successCount} scenes edited`)
+      }
+    } catch (error) {
+      console.error('Story edit error:', error)
+      toast.error(error.response?.data?.details?.[0] || 'Failed to edit the story')
+    } finally {
+      setIsStoryEditing(false)
+      setStoryEditProgress(null)
+    }
+  }
+
+  // Show an accepted scene regeneration: new image, visual prompt and/or narration
+  const handleSceneRegenerated = (sceneIndex, result, candidate) => {
+    setLocalScenes(prev => prev.map((scene, index) => (
+      index === sceneIndex ? { ...scene, ...result.scene } : scene
+    )))
+    if (result.history && sceneIndex === currentScene) setSceneHistory(result.history)
+    if (candidate.audio?.audioUrl) {
+      const durationMs = getSceneLengthMs(candidate.audio.duration)
+      setSceneAudios(prev => ({ ...prev, [sceneIndex]: candidate.audio.audioUrl }))
+      setAudioDurations(prev => ({ ...prev, [sceneIndex]: durationMs }))
+      setSceneTimings(prev => ({
+        ...prev,
+        [sceneIndex]: { text: candidate.audio.text, duration: candidate.audio.duration, words: candidate.audio.words || [] }
+      }))
+      if (sceneIndex === currentScene) setCurrentAudioDuration(durationMs)
+    }
+    setImageUpdateCount(prev => prev + 1)
+  }
+
+  // Show a saved timeline edit (reorder, split, merge, insert or delete)
+  // Narration is cached by scene position, so it moves with scenes whose text is unchanged
+  const handleTimelineChange = (result, sceneIndex) => {
+    const remapByScene = (byIndex) => result.scenes.reduce((mapped, scene, index) => {
+      const oldIndex = localScenes.findIndex(old => (
+        old.sceneId === scene.sceneId && (old.text || old.description) === (scene.text || scene.description)
+      ))
+      if (oldIndex >= 0 && byIndex[oldIndex] !== undefined) mapped[index] = byIndex[oldIndex]
+      return mapped
+    }, {})
+
+    pauseAudio()
+    setIsPlaying(false)
+    setSceneAudios(prev => remapByScene(prev))
+    setAudioDurations(prev => remapByScene(prev))
+    setSceneTimings(prev => remapByScene(prev))
+    setLocalScenes(result.scenes)
+    setCurrentScene(sceneIndex)
+    setProgress(0)
+    setImageUpdateCount(prev => prev + 1)
+  }
+
+  const handleRevertVersion = async (versionId) => {
+    if (!versionId || isReverting) return
+
+    const sceneIndex = currentScene
+    setIsReverting(true)
+    try {
+      const result = await storyAPI.revertSceneVersion(presentation.id, sceneIndex, versionId)
+      applySceneVersion(sceneIndex, result)
+    } catch (error) {
+      console.error('Revert error:', error)
+      toast.error('Failed to restore that version')
+    } finally {
+      setIsReverting(false)
+    }
+  }
+
+  const handleBranchVersion = async (versionId, prompt) => {
+    const sceneIndex = currentScene
+    setIsReverting(true)
+    try {
+      const result = await storyAPI.branchSceneVersion(presentation.id, sceneIndex, versionId, prompt, {
+        sceneNumber: sceneIndex + 1,
+        setting: currentSceneData.setting,
+        characters: currentSceneData.characters,
+        mood: currentSceneData.mood,
+        timeOfDay: currentSceneData.timeOfDay
+      })
+      applySceneVersion(sceneIndex, result)
+      toast.success('Edit applied as a new branch')
+    } catch (error) {
+      console.error('Branch edit error:', error)
+      toast.error('Failed to edit from that version')
+    } finally {
+      setIsReverting(false)
+    }
+  }
+
+  // Show an edited image on the current scene and record the edit
+  // editResult comes from the edit or inpaint endpoints ({ editedImage, history })
+  const applyEditedImage = (editResult, prompt, originalImage) => {
+    // Update local scenes with the edited image
+    const updatedScenes = [...localScenes]
+    updatedScenes[currentScene] = {
+      ...updatedScenes[currentScene],
+      image: {
+        ...updatedScenes[currentScene].image,
+        imageUrl: editResult.editedImage,
+        // Add timestamp to force refresh
+        lastModified: Date.now()
+      }
+    }
+    setLocalScenes(updatedScenes)
+    console.log('🔄 Updated local scenes with new image')
+
+    // Force re-render by incrementing counter
+    setImageUpdateCount(prev => prev + 1)
+
+    // Additional force refresh after a short delay
+    setTimeout(() => {
+      setImageUpdateCount(prev => prev + 1)
+      console.log('🔄 Additional refresh triggered')
+    }, 100)
+
+    if (editResult.history) {
+      // The server saved the edit as a scene version and updated the stored story
+      setSceneHistory(editResult.history)
+    } else {
+      // Unsaved presentations only keep edits for this session
+      setEditHistory({
+        ...editHistory,
+        [currentScene]: [
+          ...(editHistory[currentScene] || []),
+          {
+            editPrompt: prompt,
+            originalImage,
+            editedImage: editResult.editedImage,
+            timestamp: new Date().toISOString()
+          }
+        ]
+      })
+    }
+  }
+
+  // Read the scene with new narration: its old recording and dialogue segments no longer apply
+  const handleNarrationEdit = (text) => {
+    const updatedScenes = localScenes.map((scene, index) => {
+      if (index !== currentScene) return scene
+      const updated = { ...scene, text, description: text, narrationText: text }
+      delete updated.segments
+      delete updated.audio
+      return updated
+    })
+    const dropScene = (byIndex) => {
+      const remaining = { ...byIndex }
+      delete remaining[currentScene]
+      return remaining
+    }
+
+    pauseAudio()
+    setIsPlaying(false)
+    setSceneAudios(dropScene)
+    setAudioDurations(dropScene)
+    setSceneTimings(dropScene)
+    setLocalScenes(updatedScenes)
+    persistStory({ scenes: updatedScenes })
+  }
+
+  // Carry out what the chat assistant decided; returns a note for the chat when an action cannot run here
+  const runChatAction = (action, result, originalImage) => {
+    switch (action.type) {
+      case 'edit-image':
+        applyEditedImage(result, action.editPrompt, originalImage)
+        return null
+      case 'edit-narration':
+        handleNarrationEdit(action.text)
+        return null
+      case 'regenerate':
+        if (!presentation.id) return 'Save the story first to regenerate a scene.'
+        setIsPlaying(false)
+        setRegenerateOptions(action.options)
+        setShowRegenerate(true)
+        return null
+      case 'restyle':
+        if (!presentation.id) return 'Save the story first to change its art style.'
+        handleRestyle(action.styleId)
+        return null
+      default:
+        return null
+    }
+  }
+
+  // AI Chat: the assistant works out whether a message edits the image or narration,
+  // asks about the story, or wants the scene redrawn or the story restyled
+  const handleChatMessage = async () => {
     if (!editPrompt.trim()) {
       toast.error('Please enter a message or edit instruction')
       return
@@ -289,135 +851,70 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
     const userMessage = editPrompt;
     setChatMessages(prev => [...prev, { sender: 'user', message: userMessage }]);
     setEditPrompt('');
-
-    // Determine if this is a chat question or an image edit request
-    const isEditRequest = userMessage.toLowerCase().includes('edit') || 
-                          userMessage.toLowerCase().includes('change') ||
-                          userMessage.toLowerCase().includes('modify') ||
-                          userMessage.toLowerCase().includes('update') ||
-                          userMessage.toLowerCase().includes('make') ||
-                          userMessage.toLowerCase().includes('add');
-
-    if (!isEditRequest) {
-      // Handle as a chat message
-      setChatMessages(prev => [...prev, { 
-        sender: 'ai', 
-        message: `I'd be happy to chat about the story! This scene shows ${currentSceneData.description || 'your story in progress'}. What would you like to know about it?` 
-      }]);
-      return;
-    }
-
     setIsEditing(true);
     
     try {
       const currentImage = currentSceneData.image?.imageUrl
-      if (!currentImage) {
-        setChatMessages(prev => [...prev, { 
-          sender: 'ai', 
-          message: "I'm sorry, but I can't find an image to edit for this scene." 
-        }]);
-        return
-      }
 
-      // Convert image to base64 for editing
-      console.log('🔄 Converting image to base64 for editing...')
-      
-      // Add AI processing message
-      setChatMessages(prev => [...prev, { 
-        sender: 'ai', 
-        message: "I'm working on editing this image according to your request. Please wait a moment..." 
-      }]);
-      
-      // Check if the image is already a data URL
-      let base64
-      if (currentImage.startsWith('data:')) {
-        console.log('✅ Image is already a data URL, using directly')
-        base64 = currentImage
-      } else {
-        console.log('🌐 Fetching image from URL and converting to base64...')
-        const response = await fetch(currentImage)
-        const blob = await response.blob()
-        base64 = await new Promise((resolve) => {
-          const reader = new FileReader()
-          reader.onloadend = () => resolve(reader.result)
-          reader.readAsDataURL(blob)
-        })
+      // Saved stories are edited from the scene's current version on the server
+      let base64 = null
+      if (!presentation.id && currentImage) {
+        if (currentImage.startsWith('data:')) {
+          base64 = currentImage
+        } else {
+          console.log('🌐 Fetching image from URL and converting to base64...')
+          const response = await fetch(currentImage)
+          const blob = await response.blob()
+          base64 = await new Promise((resolve) => {
+            const reader = new FileReader()
+            reader.onloadend = () => resolve(reader.result)
+            reader.readAsDataURL(blob)
+          })
+        }
       }
 
-      console.log('📝 Sending edit request with prompt:', userMessage)
-
-      // Call AI editing API
-      const editResult = await storyAPI.editSceneImage({
-        originalImageBase64: base64,
-        editPrompt: userMessage,
-        sceneNumber: currentScene + 1,
+      const result = await storyAPI.chatEdit({
+        chatMessage: userMessage,
+        currentImageBase64: base64,
+        conversationHistory: chatHistory,
+        storyId: presentation.id,
+        contentPolicy: safety?.policy,
+        sceneIndex: currentScene,
         sceneContext: {
+          storyTitle: presentation.title,
           sceneNumber: currentScene + 1,
+          text: currentSceneData.text || currentSceneData.description,
+          visualPrompt: currentSceneData.visualPrompt,
           setting: currentSceneData.setting,
           characters: currentSceneData.characters,
           mood: currentSceneData.mood,
-          timeOfDay: currentSceneData.timeOfDay
-        }
-      })
-
-      console.log('✅ Edit result received:', editResult)
-
-      // Update local scenes with the edited image
-      setLocalScenes(prevScenes => {
-        const updatedScenes = [...prevScenes]
-        updatedScenes[currentScene] = {
-          ...updatedScenes[currentScene],
-          image: {
-            ...updatedScenes[currentScene].image,
-            imageUrl: editResult.editedImage,
-            // Add timestamp to force refresh
-            lastModified: Date.now()
-          }
+          timeOfDay: currentSceneData.timeOfDay,
+          previousScene: scenes[currentScene - 1]?.text || scenes[currentScene - 1]?.description,
+          nextScene: scenes[currentScene + 1]?.text || scenes[currentScene + 1]?.description
         }
-        console.log('🔄 Updated local scenes with new image')
-        console.log('🔍 New image URL:', editResult.editedImage?.substring(0, 50) + '...')
-        console.log('🔍 Scene data after update:', updatedScenes[currentScene])
-        return updatedScenes
       })
 
-      // Force re-render by incrementing counter
-      setImageUpdateCount(prev => prev + 1)
+      console.log(`💬 Chat interpreted as ${result.intent}`, result.actions)
+      setChatHistory(result.conversationHistory)
 
-      // Additional force refresh after a short delay
-      setTimeout(() => {
-        setImageUpdateCount(prev => prev + 1)
-        console.log('🔄 Additional refresh triggered')
-      }, 100)
-
-      // Save edit history
-      setEditHistory(prev => ({
+      const notes = result.actions
+        .map(action => runChatAction(action, result, currentImage))
+        .filter(Boolean)
+      setChatMessages(prev => [
         ...prev,
-        [currentScene]: [
-          ...(prev[currentScene] || []),
-          {
-            editPrompt: userMessage,
-            originalImage: currentImage,
-            editedImage: editResult.editedImage,
-            timestamp: new Date().toISOString()
-          }
-        ]
-      }))
+        { sender: 'ai', message: result.chatResponse },
+        ...notes.map(message => ({ sender: 'ai', message }))
+      ])
 
-      // Add success message to chat
-      setChatMessages(prev => [...prev, { 
-        sender: 'ai', 
-        message: "I've successfully edited the image according to your request. The changes should be visible now." 
-      }]);
-      
-      toast.success('Image edited successfully! The new image should appear now.')
+      if (result.intent === 'edit-image') toast.success('Image edited')
+      if (result.intent === 'edit-narration') toast.success('Narration updated')
 
     } catch (error) {
-      console.error('Edit error:', error)
+      console.error('Chat error:', error)
       setChatMessages(prev => [...prev, { 
         sender: 'ai', 
-        message: `I'm sorry, I couldn't process that edit request: ${error.message || 'Unknown error'}. Please try again with a different request.` 
+        message: `I'm sorry, I couldn't process that request: ${error.response?.data?.details || error.message || 'Unknown error'}. Please try again.` 
       }]);
-      toast.error('Failed to edit image: ' + error.message)
     } finally {
       setIsEditing(false)
     }
@@ -449,6 +946,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       } else if (e.key === 'Escape') {
         setIsEditMode(false)
         setShowChatBot(false)
+        setShowHistory(false)
       }
     }
 
@@ -506,21 +1004,29 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       const response = await storyAPI.exportStoryVideo({
         storyId: presentation.id,
         title: presentation.title || 'StoryMill Video',
-        scenes: localScenes
+        // Narration generated in the player goes along with its measured timing
+        scenes: localScenes.map((scene, index) => (
+          scene.audio?.audioUrl || !sceneAudios[index]
+            ? scene
+            : { ...scene, audio: { audioUrl: sceneAudios[index], ...sceneTimings[index] } }
+        )),
+        burnSubtitles,
+        music,
+        ...(storyLanguage ? { language: storyLanguage } : {})
       })
       
       toast.dismiss()
       
       if (response.success && response.videoUrl) {
-        // Create an anchor element and trigger download
+        // Prefer the rendered MP4, fall back to the presentation ZIP
         const downloadLink = document.createElement('a')
-        downloadLink.href = response.videoUrl
-        downloadLink.download = `${presentation.title || 'StoryMill-Presentation'}.zip`
+        downloadLink.href = response.mp4Url || response.videoUrl
+        downloadLink.download = `${presentation.title || 'StoryMill-Presentation'}.${response.mp4Url ? 'mp4' : 'zip'}`
         document.body.appendChild(downloadLink)
         downloadLink.click()
         document.body.removeChild(downloadLink)
         
-        toast.success('Story presentation downloaded successfully!')
+        toast.success(response.mp4Url ? 'Story video downloaded successfully!' : 'Story presentation downloaded successfully!')
         
         // Open the presentation in a new tab
         const presentationUrl = response.videoUrl.replace('/download/', '/view/')
@@ -548,8 +1054,14 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
           Back to Create
         </button>
         
-        <h1 className="text-2xl font-bold text-center flex-1">
+        <h1 className="text-2xl font-bold text-center flex-1 flex items-center justify-center gap-3">
           {presentation.title || 'StoryMill Video'}
+          <ContentRatingBadge safety={safety} />
+          {storyLanguage && (
+            <span className="px-2 py-0.5 rounded-md text-xs font-bold uppercase bg-white/20" title="Story language">
+              {storyLanguage}
+            </span>
+          )}
         </h1>
         
         <div className="flex items-center gap-3">
@@ -582,9 +1094,156 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
             <MessageCircle className="w-5 h-5" />
           </button>
           
+          {presentation.id && (
+            <button
+              onClick={() => {
+                setIsPlaying(false)
+                setShowRegenerate(true)
+              }}
+              className="p-3 rounded-lg transition-all duration-200 text-white bg-gray-600 hover:bg-gray-700"
+              title="Regenerate Scene - New image, prompt or narration for this scene"
+            >
+              <RefreshCw className="w-5 h-5" />
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowTimeline(!showTimeline)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showTimeline
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Scene Timeline - Reorder, split, merge, add or delete scenes"
+            >
+              <ListOrdered className="w-5 h-5" />
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showHistory
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Scene History - Undo, restore or branch from earlier versions"
+            >
+              <History className="w-5 h-5" />
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowCharacters(!showCharacters)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showCharacters
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Characters - Edit and lock character appearances"
+            >
+              <Users className="w-5 h-5" />
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowStoryEdit(!showStoryEdit)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showStoryEdit
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Edit All Scenes - Apply one change everywhere a character or place appears"
+            >
+              {isStoryEditing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Layers className="w-5 h-5" />}
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowTranslate(!showTranslate)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showTranslate
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Languages - Translate the story, or open it in another language"
+            >
+              {isTranslating ? <Loader2 className="w-5 h-5 animate-spin" /> : <Languages className="w-5 h-5" />}
+            </button>
+          )}
+          
+          {presentation.id && (
+            <button
+              onClick={() => setShowRestyle(!showRestyle)}
+              className={`p-3 rounded-lg transition-all duration-200 text-white ${
+                showRestyle
+                  ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                  : 'bg-gray-600 hover:bg-gray-700'
+              }`}
+              title="Art Style - Redraw the whole story in another style"
+            >
+              {isRestyling ? <Loader2 className="w-5 h-5 animate-spin" /> : <Palette className="w-5 h-5" />}
+            </button>
+          )}
+          
+          <button
+            onClick={() => setShowVoiceCast(!showVoiceCast)}
+            className={`p-3 rounded-lg transition-all duration-200 text-white ${
+              showVoiceCast
+                ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                : 'bg-gray-600 hover:bg-gray-700'
+            }`}
+            title="Voice Cast - Choose a voice for each character"
+          >
+            <Mic className="w-5 h-5" />
+          </button>
+          
+          <button
+            onClick={() => setShowMusic(!showMusic)}
+            className={`p-3 rounded-lg transition-all duration-200 text-white ${
+              showMusic
+                ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                : 'bg-gray-600 hover:bg-gray-700'
+            }`}
+            title="Music - Choose the background music of the video"
+          >
+            <Music className="w-5 h-5" />
+          </button>
+          
+          <button
+            onClick={() => setUseSoundtrack(!useSoundtrack)}
+            className={`p-3 rounded-lg transition-all duration-200 text-white ${
+              useSoundtrack
+                ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                : 'bg-gray-600 hover:bg-gray-700'
+            }`}
+            title="Mixed soundtrack - Hear narration, ambience and music levelled together, as in the video"
+            aria-pressed={useSoundtrack}
+          >
+            {isMixing ? <Loader2 className="w-5 h-5 animate-spin" /> : <AudioLines className="w-5 h-5" />}
+          </button>
+          
+          <button
+            onClick={() => setBurnSubtitles(!burnSubtitles)}
+            className={`p-3 rounded-lg transition-all duration-200 text-white ${
+              burnSubtitles
+                ? 'bg-blue-600 hover:bg-blue-700 ring-2 ring-blue-400/50'
+                : 'bg-gray-600 hover:bg-gray-700'
+            }`}
+            title={burnSubtitles ? 'Captions will be burned into the video' : 'Burn captions into the video (SRT/VTT files are always included)'}
+            aria-pressed={burnSubtitles}
+          >
+            <Subtitles className="w-5 h-5" />
+          </button>
+          
           <button
             className="p-3 rounded-lg transition-all duration-200 bg-gray-600 hover:bg-gray-700 text-white"
-            title="Download Video (Coming Soon)"
+            title="Download Video"
             onClick={() => downloadStoryVideo()}
           >
             <Download className="w-5 h-5" />
@@ -638,6 +1297,9 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
                 <div className="flex items-start justify-between">
                   <div>
                     <div className="text-sm bg-black/40 backdrop-blur-sm px-2 py-1 rounded">
+                      {hasChapters && currentChapter && (
+                        <span>{currentChapter.title || `Chapter ${currentChapter.chapterNumber}`} • </span>
+                      )}
                       Scene {currentScene + 1} of {totalScenes}
                     </div>
                   </div>
@@ -673,9 +1335,19 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
                 )}
                 
                 <div className="mt-auto">
-                  <p className="text-lg font-medium drop-shadow-md">
-                    {currentSceneData.text || currentSceneData.description}
-                  </p>
+                  {readAlong && currentTiming?.text && currentTiming.words.length > 0 ? (
+                    <ReadAlongText
+                      text={currentTiming.text}
+                      words={currentTiming.words}
+                      audioRef={mixedNarration ? soundtrackRef : audioRef}
+                      offset={mixedNarration ? soundtrack.starts[currentScene] : 0}
+                      onWordTap={replayWord}
+                    />
+                  ) : (
+                    <p className="text-lg font-medium drop-shadow-md">
+                      {currentSceneData.text || currentSceneData.description}
+                    </p>
+                  )}
                 </div>
               </div>
               
@@ -693,7 +1365,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
                       />
                       <div className="flex gap-3">
                         <button
-                          onClick={handleImageEdit}
+                          onClick={handleChatMessage}
                           disabled={isEditing || !editPrompt.trim()}
                           className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
                         >
@@ -716,6 +1388,37 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
                           <X className="w-4 h-4" />
                         </button>
                       </div>
+                      <button
+                        onClick={() => setShowMaskPainter(true)}
+                        disabled={isEditing || !currentSceneData.image?.imageUrl}
+                        className="w-full bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+                        title="Paint the part of the image to change"
+                      >
+                        <Brush className="w-4 h-4" />
+                        Paint a region to change
+                      </button>
+                      {sceneHistory && (
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => handleRevertVersion(sceneHistory.undoVersionId)}
+                            disabled={isEditing || isReverting || !sceneHistory.undoVersionId}
+                            className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+                            title="Undo the last edit"
+                          >
+                            <Undo2 className="w-4 h-4" />
+                            Undo
+                          </button>
+                          <button
+                            onClick={() => handleRevertVersion(sceneHistory.redoVersionId)}
+                            disabled={isEditing || isReverting || !sceneHistory.redoVersionId}
+                            className="flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg text-sm flex items-center justify-center gap-2 transition-colors"
+                            title="Redo the undone edit"
+                          >
+                            <Redo2 className="w-4 h-4" />
+                            Redo
+                          </button>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -787,9 +1490,30 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       {/* Video Controls */}
       <div className="relative z-10 p-6 bg-black/20 backdrop-blur-sm">
         <div className="max-w-4xl mx-auto">
+          {/* Chapter Navigation */}
+          {hasChapters && (
+            <div className="flex items-center gap-2 mb-3 overflow-x-auto pb-1">
+              <BookOpen className="w-4 h-4 text-gray-400 flex-shrink-0" />
+              {chapters.map(chapter => (
+                <button
+                  key={chapter.chapterNumber}
+                  onClick={() => goToScene(chapter.sceneIndexes[0])}
+                  title={chapter.summary || chapter.title || `Chapter ${chapter.chapterNumber}`}
+                  className={`px-3 py-1 rounded-full text-xs whitespace-nowrap transition-colors ${
+                    chapter === currentChapter
+                      ? 'bg-white text-black'
+                      : 'bg-white/10 hover:bg-white/20'
+                  }`}
+                >
+                  {chapter.title || `Chapter ${chapter.chapterNumber}`}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Scene Timeline */}
           <div className="flex items-center gap-2 mb-4">
-            {scenes.map((_, index) => (
+            {timelineSceneIndexes.map(index => (
               <button
                 key={index}
                 onClick={() => goToScene(index)}
@@ -828,14 +1552,21 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
             <button
               onClick={nextScene}
               disabled={currentScene === totalScenes - 1}
-              className="p-3 rounded-full bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              className={`p-3 rounded-full bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                awaitingReader ? 'ring-2 ring-yellow-300 animate-pulse' : ''
+              }`}
+              title={awaitingReader ? 'Tap next when you are ready' : 'Next scene'}
             >
               <SkipForward className="w-5 h-5" />
             </button>
           </div>
           
-          {/* Audio Control */}
-          <div className="mt-4 flex justify-center">
+          {awaitingReader && (
+            <p className="text-center text-sm text-yellow-200 mt-2">Tap next when you are ready</p>
+          )}
+          
+          {/* Audio and Read-Along Controls */}
+          <div className="mt-4 flex items-center justify-center gap-3">
             <button
               onClick={toggleMute}
               className="p-2 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
@@ -846,6 +1577,40 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
                 <Volume2 className="w-4 h-4" />
               )}
             </button>
+            
+            <button
+              onClick={() => setReadAlong(!readAlong)}
+              className={`p-2 rounded-full transition-colors ${readAlong ? 'bg-yellow-300 text-black' : 'bg-white/10 hover:bg-white/20'}`}
+              title={readAlong ? 'Read-along on - tap a word to hear it again' : 'Read along - highlight each word as it is spoken'}
+              aria-pressed={readAlong}
+            >
+              <Highlighter className="w-4 h-4" />
+            </button>
+            
+            <button
+              onClick={toggleReadItYourself}
+              className={`p-2 rounded-full transition-colors ${readItYourself ? 'bg-yellow-300 text-black' : 'bg-white/10 hover:bg-white/20'}`}
+              title={readItYourself ? 'Read it yourself - scenes wait for you to tap next' : 'Read it yourself - wait on each scene until you tap next'}
+              aria-pressed={readItYourself}
+            >
+              <Hand className="w-4 h-4" />
+            </button>
+            
+            <div className="flex items-center rounded-full bg-white/10 p-0.5" title="Narration speed">
+              {NARRATION_SPEEDS.map(speed => (
+                <button
+                  key={speed}
+                  onClick={() => handleSpeedChange(speed)}
+                  disabled={isLoading}
+                  className={`px-2 py-1 rounded-full text-xs transition-colors disabled:cursor-not-allowed ${
+                    speed === narrationSpeed ? 'bg-white text-black' : 'hover:bg-white/20'
+                  }`}
+                  aria-pressed={speed === narrationSpeed}
+                >
+                  {speed}×
+                </button>
+              ))}
+            </div>
           </div>
         </div>
       </div>
@@ -854,7 +1619,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
       <audio
         ref={audioRef}
         className="hidden"
-        autoPlay={isPlaying}
+        autoPlay={isPlaying && !mixedNarration}
         muted={isMuted}
         onTimeUpdate={(e) => {
           // Update progress based on audio current time
@@ -866,10 +1631,10 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
         onLoadedMetadata={() => {
           console.log('🔊 Audio metadata loaded')
           if (audioRef.current && audioRef.current.duration) {
-            // Update the current audio duration based on the actual audio file
-            const durationMs = audioRef.current.duration * 1000
-            setCurrentAudioDuration(Math.max(durationMs, 6000)) // Minimum 6 seconds
-            console.log(`🕒 Audio duration: ${durationMs}ms`)
+            // Update the current scene length based on the actual audio file
+            const durationMs = getSceneLengthMs(audioRef.current.duration)
+            setCurrentAudioDuration(durationMs)
+            console.log(`🕒 Audio duration: ${audioRef.current.duration}s`)
           }
         }}
         onCanPlay={() => {
@@ -885,28 +1650,169 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
           console.error('❌ Audio error:', e.target.error)
           toast.error('Audio playback error occurred')
         }}
-        onEnded={() => {
+        onEnded={(e) => {
           console.log('🏁 Audio playback finished')
-          // Audio finished, but respect minimum scene duration
-          const elapsed = Date.now() - (window.sceneStartTime || Date.now())
-          const minSceneDuration = 6000 // Minimum 6 seconds per scene
-          
-          if (elapsed >= minSceneDuration) {
-            // Enough time has passed, advance immediately
-            clearInterval(progressInterval.current)
-            clearTimeout(autoAdvanceTimeout.current)
-            setProgress(100)
-            setTimeout(() => {
-              autoAdvanceToNext()
-            }, 300)
-          } else {
-            // Audio ended too early, let the backup timer handle it
-            console.log(`⏰ Audio ended early (${elapsed}ms), waiting for minimum duration (${minSceneDuration}ms)`)
+          // A replayed word that runs to the end of the clip does not move the story on
+          if (!isPlaying) return
+          // Hold the scene for the pause after the narration (longer for very short clips), as the video does
+          const audioMs = (e.target.duration || 0) * 1000
+          clearInterval(progressInterval.current)
+          clearTimeout(autoAdvanceTimeout.current)
+          setProgress(100)
+          autoAdvanceTimeout.current = setTimeout(() => {
+            autoAdvanceToNext()
+          }, getSceneLengthMs(e.target.duration) - audioMs)
+        }}
+        preload="auto"
+      />
+      
+      {/* Mixed soundtrack (Hidden), scenes follow it when it carries the narration */}
+      <audio
+        ref={soundtrackRef}
+        className="hidden"
+        src={soundtrack?.url}
+        muted={isMuted}
+        onTimeUpdate={(e) => {
+          if (!mixedNarration || !isPlaying || isTransitioning || awaitingReader) return
+          const start = soundtrack.starts[currentScene] ?? 0
+          const end = soundtrack.starts[currentScene + 1] ?? soundtrack.duration
+          setProgress(Math.min(100, ((e.target.currentTime - start) / (end - start)) * 100))
+          if (e.target.currentTime >= end && currentScene < totalScenes - 1) {
+            // The reader sets the pace: hold the mix until they move on
+            if (readItYourself) e.target.pause()
+            autoAdvanceToNext()
           }
         }}
+        onEnded={() => {
+          if (mixedNarration && isPlaying) autoAdvanceToNext()
+        }}
+        onError={(e) => {
+          if (!soundtrack) return
+          console.error('❌ Soundtrack error:', e.target.error)
+          toast.error('Soundtrack playback error occurred')
+          setUseSoundtrack(false)
+        }}
         preload="auto"
       />
       
+      {/* Voice Casting Sidebar */}
+      {showVoiceCast && (
+        <VoiceCastingPanel
+          characters={presentation.characters || {}}
+          voiceCast={voiceCast}
+          onChange={handleVoiceChange}
+          onClose={() => setShowVoiceCast(false)}
+        />
+      )}
+      
+      {/* Music Sidebar */}
+      {showMusic && (
+        <MusicPanel
+          music={music}
+          onChange={handleMusicChange}
+          onClose={() => setShowMusic(false)}
+        />
+      )}
+      
+      {/* Scene History Sidebar */}
+      {showHistory && (
+        <SceneHistoryPanel
+          sceneNumber={currentScene + 1}
+          history={sceneHistory}
+          isBusy={isReverting || isEditing}
+          onRevert={handleRevertVersion}
+          onBranch={handleBranchVersion}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      
+      {/* Character Bible Sidebar */}
+      {showCharacters && (
+        <CharacterBiblePanel
+          storyId={presentation.id}
+          onClose={() => setShowCharacters(false)}
+        />
+      )}
+      
+      {/* Regenerate Scene Dialog */}
+      {showRegenerate && scenes[currentScene] && (
+        <RegenerateScenePanel
+          storyId={presentation.id}
+          sceneIndex={currentScene}
+          scene={scenes[currentScene]}
+          currentAudioUrl={sceneAudios[currentScene]}
+          initialOptions={regenerateOptions}
+          onAccepted={handleSceneRegenerated}
+          onClose={() => {
+            setShowRegenerate(false)
+            setRegenerateOptions(null)
+          }}
+        />
+      )}
+      
+      {/* Region Editing Dialog */}
+      {showMaskPainter && currentSceneData.image?.imageUrl && (
+        <MaskPainter
+          storyId={presentation.id}
+          contentPolicy={safety?.policy}
+          sceneIndex={currentScene}
+          scene={currentSceneData}
+          onApplied={applyEditedImage}
+          onClose={() => setShowMaskPainter(false)}
+        />
+      )}
+      
+      {/* Scene Timeline Sidebar */}
+      {showTimeline && (
+        <SceneTimeline
+          storyId={presentation.id}
+          scenes={scenes}
+          currentScene={currentScene}
+          onChange={handleTimelineChange}
+          onSelect={goToScene}
+          onClose={() => setShowTimeline(false)}
+        />
+      )}
+      
+      {/* Story-wide Edit Sidebar */}
+      {showStoryEdit && (
+        <StoryEditPanel
+          isBusy={isStoryEditing}
+          progress={storyEditProgress}
+          report={storyEditReport}
+          onApply={handleStoryEdit}
+          onSelectScene={goToScene}
+          onClose={() => setShowStoryEdit(false)}
+        />
+      )}
+      
+      {/* Art Style Sidebar */}
+      {showRestyle && (
+        <RestylePanel
+          currentStyle={artStyle}
+          isBusy={isRestyling}
+          progress={restyleProgress}
+          onRestyle={handleRestyle}
+          onClose={() => setShowRestyle(false)}
+        />
+      )}
+      
+      {/* Languages Sidebar */}
+      {showTranslate && (
+        <TranslatePanel
+          language={storyLanguage}
+          editions={[
+            ...(presentation.metadata?.translatedFrom ? [{ ...presentation.metadata.translatedFrom, label: 'original' }] : []),
+            ...translations
+          ]}
+          isBusy={isTranslating}
+          progress={translateProgress}
+          onTranslate={handleTranslate}
+          onOpenEdition={(storyId) => navigate(`/story/${storyId}`)}
+          onClose={() => setShowTranslate(false)}
+        />
+      )}
+      
       {/* Chat Bot Sidebar */}
       {showChatBot && (
         <motion.div
@@ -967,7 +1873,7 @@ const VideoLikePlayer = ({ presentation, onBack }) => {
               
               <div className="flex gap-2">
                 <button
-                  onClick={handleImageEdit}
+                  onClick={handleChatMessage}
                   disabled={isEditing || !editPrompt.trim()}
                   className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
                 >
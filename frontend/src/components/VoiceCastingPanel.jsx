@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Mic, X } from 'lucide-react'
+import { storyAPI } from '../services/api'
+
+// characters: { name: description }, voiceCast: { narrator | name: voiceProfileId }
+// onChange(speaker, voiceProfileId) is called when a voice is reassigned
+const VoiceCastingPanel = ({ characters = {}, voiceCast = {}, onChange, onClose }) => {
+  const [voices, setVoices] = useState([])
+
+  useEffect(() => {
+    storyAPI.getVoices()
+      .then(response => setVoices(response.voices || []))
+      .catch(error => console.error('Failed to load voices:', error))
+  }, [])
+
+  const speakers = ['narrator', ...Object.keys(characters)]
+
+  return (
+    <motion.div
+      initial={{ x: 300, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      exit={{ x: 300, opacity: 0 }}
+      className="absolute right-6 top-0 w-80 max-h-full bg-black/80 backdrop-blur-md rounded-xl p-4 overflow-y-auto z-40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Mic className="w-5 h-5" />
+          Voice Cast
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-red-500 hover:bg-red-600 rounded-full transition-colors duration-200 flex items-center justify-center"
+          title="Close voice cast"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Quoted dialogue is read in each character's voice. Changing a voice re-records the narration.
+      </p>
+
+      <div className="space-y-3">
+        {speakers.map(speaker => (
+          <label key={speaker} className="block">
+            <span className="text-sm font-medium capitalize">{speaker}</span>
+            <select
+              value={voiceCast[speaker] || (speaker === 'narrator' ? 'narrator' : '')}
+              onChange={(e) => onChange(speaker, e.target.value)}
+              className="mt-1 w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white"
+            >
+              {!voiceCast[speaker] && speaker !== 'narrator' && (
+                <option value="" className="text-black">Default voice</option>
+              )}
+              {voices.map(voice => (
+                <option key={voice.id} value={voice.id} className="text-black">
+                  {voice.label} ({voice.description})
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </motion.div>
+  )
+}
+
+export default VoiceCastingPanel
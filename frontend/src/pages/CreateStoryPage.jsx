@@ -19,11 +19,20 @@ import {
   Image as ImageIcon
 } from 'lucide-react'
 import { toast } from 'react-hot-toast'
-import { storyAPI } from '../services/api'
+import { storyAPI, jobAPI } from '../services/api'
 import StoryPreview from '../components/StoryPreview'
 import VideoLikePlayer from '../components/VideoLikePlayer'
 import ProcessingSteps from '../components/ProcessingSteps'
 import EnhancedImageUpload from '../components/EnhancedImageUpload'
+import StoryLengthOptions from '../components/StoryLengthOptions'
+import ContentPolicyOptions from '../components/ContentPolicyOptions'
+import LanguageOptions from '../components/LanguageOptions'
+import ArtStyleOptions from '../components/ArtStyleOptions'
+import StoryboardEditor from '../components/StoryboardEditor'
+
+// Mirror the backend limits (utils/storyOptions.js and utils/chapters.js)
+const MAX_STORY_LENGTH = 100000
+const CHAPTER_LENGTH = 6000
 
 const CreateStoryPage = () => {
   const navigate = useNavigate()
@@ -38,24 +47,52 @@ const CreateStoryPage = () => {
   const [audioBlob, setAudioBlob] = useState(null)
   const [isPlaying, setIsPlaying] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
-  const [processingStep, setProcessingStep] = useState(0)
+  const [processingSteps, setProcessingSteps] = useState([])
+  const [sceneThumbnails, setSceneThumbnails] = useState([])
+  const [expectedScenes, setExpectedScenes] = useState(0)
   const [generatedStory, setGeneratedStory] = useState(null)
   const [error, setError] = useState(null)
   
   // Enhanced image upload functionality
   const [uploadedImages, setUploadedImages] = useState([])
   const [showImageUpload, setShowImageUpload] = useState(false)
-  const [imageContexts, setImageContexts] = useState([]) // Store analyzed image contexts
   const imageInputRef = useRef(null)
+  // Scene count, target length and pacing (null = let the story decide)
+  const [storyOptions, setStoryOptions] = useState({ sceneCount: null, targetDurationSeconds: null, pacing: 'normal', contentPolicy: null, language: null })
+  // Art style id from /api/styles (null = default style)
+  const [artStyle, setArtStyle] = useState(null)
+  // Analyze first and let the user edit the storyboard before any image is drawn
+  const [reviewStoryboard, setReviewStoryboard] = useState(false)
+  const [storyboard, setStoryboard] = useState(null) // { request, scenes, chapters, characterProfiles, safety, language }
+
+  // Apply a progress event from the generation job to the step list
+  const handleJobProgress = (event) => {
+    setProcessingSteps(prev => prev.map(step => {
+      if (step.id !== event.stage) return step
+      if (event.status === 'started') return { ...step, status: 'active', message: event.message }
+      if (event.status === 'completed') return { ...step, status: 'completed', message: event.message }
+      if (event.status === 'skipped') return { ...step, status: 'skipped' }
+      return { ...step, message: event.message || step.message }
+    }))
+
+    if (event.stage === 'analysis' && event.status === 'completed') {
+      setExpectedScenes(event.totalScenes || 0)
+    }
 
-  const processingSteps = [
-    { title: 'Processing', description: 'Your request is being processed...' }
-  ]
+    if (event.stage === 'images' && event.status === 'progress') {
+      setSceneThumbnails(prev => [
+        ...prev.filter(thumb => thumb.sceneNumber !== event.sceneNumber),
+        { sceneNumber: event.sceneNumber, imageUrl: event.thumbnail }
+      ])
+    }
+  }
 
-  // Enhanced image analysis callback
-  const handleImageAnalysis = (analyzedImages) => {
-    // Convert analyzed images to contexts for backend
-    const contexts = analyzedImages.map((img, index) => ({
+  // Drop blank entries left over from editing comma-separated lists
+  const cleanList = (items = []) => items.map(item => item.trim()).filter(Boolean)
+
+  // Convert analyzed (and possibly user-corrected) images to contexts for backend
+  const toImageContexts = (analyzedImages) => {
+    return analyzedImages.map((img, index) => ({
       imageIndex: index,
       originalImage: {
         base64: img.base64,
@@ -64,16 +101,13 @@ const CreateStoryPage = () => {
         type: img.type
       },
       description: img.context.description,
-      subjects: img.context.subjects,
+      subjects: cleanList(img.context.subjects),
       setting: img.context.setting,
       mood: img.context.mood,
       style: img.context.style,
-      colors: img.context.colors,
+      palette: cleanList(img.context.palette),
       isAnalyzed: img.context.isAnalyzed
     }))
-    
-    setImageContexts(contexts)
-    console.log('📸 Image contexts prepared for backend:', contexts)
   }
 
   // Recording functionality
@@ -183,113 +217,184 @@ const CreateStoryPage = () => {
     setUploadedImages(prev => prev.filter(img => img.id !== imageId))
   }
 
+  // Build the generation request from the form (audio input is transcribed first)
+  const buildRequestData = async (imageContexts) => {
+    const requestData = {
+      // Enhanced image data with contexts for smart scene integration
+      uploadedImages: uploadedImages.length > 0 ? uploadedImages.map(img => ({
+        base64: img.base64,
+        name: img.name,
+        data: img.data
+      })) : null,
+      // Pass analyzed image contexts to backend for smart selection
+      uploadedImageContexts: imageContexts.length > 0 ? imageContexts : null,
+      // Only send the length options the user actually set
+      storyOptions: Object.fromEntries(Object.entries(storyOptions).filter(([, value]) => value !== null)),
+      ...(artStyle ? { style: artStyle } : {})
+    }
+
+    console.log('🚀 Sending story generation request with enhanced image data:', {
+      uploadedImages: requestData.uploadedImages?.length || 0,
+      imageContexts: requestData.uploadedImageContexts?.length || 0,
+      hasAnalyzedImages: imageContexts.some(ctx => ctx.isAnalyzed)
+    })
+
+    if (inputMethod === 'text') {
+      requestData.storyText = storyText.trim()
+    } else {
+      // For audio input, we need to transcribe first, then use slideshow
+      // Convert audio to base64
+      const reader = new FileReader()
+      const audioBase64 = await new Promise((resolve) => {
+        reader.onload = () => {
+          const base64 = reader.result.split(',')[1]
+          resolve(base64)
+        }
+        reader.readAsDataURL(audioBlob)
+      })
+      
+      // First transcribe the audio
+      const transcriptionResult = await storyAPI.transcribeAudio({ audioData: audioBase64 })
+      if (transcriptionResult.success) {
+        requestData.storyText = transcriptionResult.storyText || transcriptionResult.transcript
+        // Pauses and speaker turns help split the scenes and tell who says what
+        if (transcriptionResult.paragraphs?.length > 0) {
+          requestData.transcription = {
+            paragraphs: transcriptionResult.paragraphs.map(({ text, speaker, sceneBreak }) => ({ text, speaker, sceneBreak }))
+          }
+        }
+      } else {
+        throw new Error('Failed to transcribe audio')
+      }
+    }
+
+    return requestData
+  }
+
+  // Submit the story as a background job, follow its real progress and open the result
+  const runGeneration = async (requestData) => {
+    const job = await storyAPI.startSceneGeneration(requestData)
+    setProcessingSteps(job.stages)
+
+    const result = await jobAPI.waitForResult(job.jobId, handleJobProgress)
+    
+    if (result.success) {
+      // Create enhanced slideshow object for frontend
+      const slideshow = {
+        id: result.storyId,
+        title: result.title,
+        type: 'slideshow',
+        originalText: result.originalText,
+        scenes: result.scenes,
+        chapters: result.chapters,
+        characters: result.characters,
+        voiceCast: result.voiceCast,
+        style: result.style,
+        safety: result.safety,
+        language: result.language,
+        totalScenes: result.totalScenes,
+        hasUploadedImages: result.hasUploadedImages,
+        // Enhanced metadata for better tracking
+        imageIntegration: {
+          uploadedCount: requestData.uploadedImages?.length || 0,
+          contextsAnalyzed: requestData.uploadedImageContexts?.length || 0,
+          scenesWithUploads: result.scenes?.filter(scene => scene.usedUploadedImage)?.length || 0
+        }
+      }
+      
+      setGeneratedStory(slideshow)
+      
+      // Enhanced success message with integration info
+      if (slideshow.imageIntegration.uploadedCount > 0) {
+        const usedScenes = slideshow.imageIntegration.scenesWithUploads
+        toast.success(`Story generated! ${usedScenes} scenes use your uploaded images with smart context adaptation.`)
+      } else {
+        toast.success('Story scenes generated successfully!')
+      }
+    } else {
+      throw new Error(result.error || 'Story generation failed')
+    }
+  }
+
+  const startProcessing = () => {
+    setIsProcessing(true)
+    setProcessingSteps([])
+    setSceneThumbnails([])
+    setExpectedScenes(0)
+    setError(null)
+  }
+
+  const handleGenerationError = (error) => {
+    console.error('Story generation error:', error)
+    setProcessingSteps(prev => prev.map(step => step.status === 'active' ? { ...step, status: 'failed' } : step))
+    // Job failures carry the reason (e.g. a content policy refusal) in details
+    setError(error.response?.data?.details || error.details?.join(' ') || error.message || 'Failed to generate story')
+    toast.error('Story generation failed')
+  }
+
   // Story generation - Enhanced with smart image integration
+  // In storyboard review mode this only analyzes the story, images follow once the storyboard is approved
   const generateStory = async () => {
     if (!storyText.trim() && !audioBlob) {
       toast.error('Please provide a story text or audio recording')
       return
     }
 
-    if (uploadedImages.length > 0 && imageContexts.length === 0) {
+    if (uploadedImages.some(img => !img.context?.isAnalyzed)) {
       toast.error('Please wait for image analysis to complete or click "Analyze Context"')
       return
     }
 
-    setIsProcessing(true)
-    setProcessingStep(0)
-    setError(null)
+    if (storyOptions.targetDurationSeconds && storyOptions.targetDurationSeconds < 10) {
+      toast.error('Target length must be at least 10 seconds')
+      return
+    }
 
-    try {
-      let requestData = {
-        // Enhanced image data with contexts for smart scene integration
-        uploadedImages: uploadedImages.length > 0 ? uploadedImages.map(img => ({
-          base64: img.base64,
-          name: img.name,
-          data: img.data
-        })) : null,
-        // Pass analyzed image contexts to backend for smart selection
-        uploadedImageContexts: imageContexts.length > 0 ? imageContexts : null
-      }
+    startProcessing()
 
-      console.log('🚀 Sending story generation request with enhanced image data:', {
-        uploadedImages: requestData.uploadedImages?.length || 0,
-        imageContexts: requestData.uploadedImageContexts?.length || 0,
-        hasAnalyzedImages: imageContexts.some(ctx => ctx.isAnalyzed)
-      })
+    try {
+      const requestData = await buildRequestData(toImageContexts(uploadedImages))
 
-      if (inputMethod === 'text') {
-        requestData.storyText = storyText.trim()
-      } else {
-        // For audio input, we need to transcribe first, then use slideshow
-        // Convert audio to base64
-        const reader = new FileReader()
-        const audioBase64 = await new Promise((resolve) => {
-          reader.onload = () => {
-            const base64 = reader.result.split(',')[1]
-            resolve(base64)
-          }
-          reader.readAsDataURL(audioBlob)
+      if (reviewStoryboard) {
+        const result = await storyAPI.analyzeStory(requestData.storyText, requestData.storyOptions)
+        setStoryboard({
+          request: requestData,
+          scenes: result.scenes,
+          chapters: result.chapters,
+          characterProfiles: result.characterProfiles,
+          safety: result.safety,
+          language: result.language
         })
-        
-        // First transcribe the audio
-        const transcriptionResult = await storyAPI.transcribeAudio({ audioData: audioBase64 })
-        if (transcriptionResult.success) {
-          requestData.storyText = transcriptionResult.transcript
-        } else {
-          throw new Error('Failed to transcribe audio')
-        }
+        toast.success(`Storyboard ready: ${result.scenes.length} scenes to review`)
+        return
       }
 
-      // Simulate processing steps with enhanced descriptions
-      const stepInterval = setInterval(() => {
-        setProcessingStep(prev => {
-          if (prev < processingSteps.length - 1) {
-            return prev + 1
-          }
-          clearInterval(stepInterval)
-          return prev
-        })
-      }, 2000)
+      await runGeneration(requestData)
+    } catch (error) {
+      handleGenerationError(error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }
 
-      // Use enhanced scenes generation with smart image integration
-      const result = await storyAPI.generateScenes(requestData)
-      
-      clearInterval(stepInterval)
-      setProcessingStep(processingSteps.length - 1)
-      
-      if (result.success) {
-        // Create enhanced slideshow object for frontend
-        const slideshow = {
-          type: 'slideshow',
-          originalText: result.originalText,
-          scenes: result.scenes,
-          characters: result.characters,
-          totalScenes: result.totalScenes,
-          hasUploadedImages: result.hasUploadedImages,
-          // Enhanced metadata for better tracking
-          imageIntegration: {
-            uploadedCount: uploadedImages.length,
-            contextsAnalyzed: imageContexts.length,
-            scenesWithUploads: result.scenes?.filter(scene => scene.usedUploadedImage)?.length || 0
-          }
-        }
-        
-        setGeneratedStory(slideshow)
-        
-        // Enhanced success message with integration info
-        if (uploadedImages.length > 0) {
-          const usedScenes = slideshow.imageIntegration.scenesWithUploads
-          toast.success(`Story generated! ${usedScenes} scenes use your uploaded images with smart context adaptation.`)
-        } else {
-          toast.success('Story scenes generated successfully!')
+  // Illustrate the reviewed storyboard exactly as approved
+  const illustrateStoryboard = async () => {
+    startProcessing()
+    setExpectedScenes(storyboard.scenes.length)
+
+    try {
+      await runGeneration({
+        ...storyboard.request,
+        storyboard: {
+          scenes: storyboard.scenes.map(scene => ({ ...scene, characters: cleanList(scene.characters) })),
+          chapters: storyboard.chapters,
+          characters: storyboard.characterProfiles,
+          language: storyboard.language
         }
-      } else {
-        throw new Error(result.error || 'Story generation failed')
-      }
+      })
+      setStoryboard(null)
     } catch (error) {
-      console.error('Story generation error:', error)
-      setError(error.response?.data?.details || error.message || 'Failed to generate story')
-      toast.error('Story generation failed')
+      handleGenerationError(error)
     } finally {
       setIsProcessing(false)
     }
@@ -322,318 +427,357 @@ const CreateStoryPage = () => {
           </p>
         </motion.div>
 
-        <div className="card max-w-3xl mx-auto">
-          {/* Input Method Selection */}
-          <div className="mb-8">
-            <h2 className="text-2xl font-semibold mb-6 text-center">Choose Your Input Method</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {[
-                { id: 'text', icon: Type, title: 'Type Story', desc: 'Write your story directly' },
-                { id: 'voice', icon: Mic, title: 'Record Voice', desc: 'Speak your story aloud' },
-                { id: 'upload', icon: Upload, title: 'Upload Audio', desc: 'Upload an audio file' }
-              ].map((method) => {
-                const Icon = method.icon
-                return (
-                  <motion.button
-                    key={method.id}
-                    onClick={() => setInputMethod(method.id)}
-                    className={`p-6 rounded-xl border-2 transition-all duration-200 ${
-                      inputMethod === method.id
-                        ? 'border-primary-500 bg-primary-50 shadow-lg'
-                        : 'border-gray-200 hover:border-primary-300 hover:bg-primary-25'
-                    }`}
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                  >
-                    <Icon className={`h-8 w-8 mx-auto mb-3 ${
-                      inputMethod === method.id ? 'text-primary-600' : 'text-gray-600'
-                    }`} />
-                    <h3 className="font-semibold mb-2">{method.title}</h3>
-                    <p className="text-sm text-gray-600">{method.desc}</p>
-                  </motion.button>
-                )
-              })}
+        {storyboard ? (
+          <StoryboardEditor
+            scenes={storyboard.scenes}
+            characterNames={Object.keys(storyboard.characterProfiles || {})}
+            safety={storyboard.safety}
+            isBusy={isProcessing}
+            onChange={(scenes) => setStoryboard(prev => ({ ...prev, scenes }))}
+            onApprove={illustrateStoryboard}
+            onCancel={() => setStoryboard(null)}
+          />
+        ) : (
+          <div className="card max-w-3xl mx-auto">
+            {/* Input Method Selection */}
+            <div className="mb-8">
+              <h2 className="text-2xl font-semibold mb-6 text-center">Choose Your Input Method</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {[
+                  { id: 'text', icon: Type, title: 'Type Story', desc: 'Write your story directly' },
+                  { id: 'voice', icon: Mic, title: 'Record Voice', desc: 'Speak your story aloud' },
+                  { id: 'upload', icon: Upload, title: 'Upload Audio', desc: 'Upload an audio file' }
+                ].map((method) => {
+                  const Icon = method.icon
+                  return (
+                    <motion.button
+                      key={method.id}
+                      onClick={() => setInputMethod(method.id)}
+                      className={`p-6 rounded-xl border-2 transition-all duration-200 ${
+                        inputMethod === method.id
+                          ? 'border-primary-500 bg-primary-50 shadow-lg'
+                          : 'border-gray-200 hover:border-primary-300 hover:bg-primary-25'
+                      }`}
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                    >
+                      <Icon className={`h-8 w-8 mx-auto mb-3 ${
+                        inputMethod === method.id ? 'text-primary-600' : 'text-gray-600'
+                      }`} />
+                      <h3 className="font-semibold mb-2">{method.title}</h3>
+                      <p className="text-sm text-gray-600">{method.desc}</p>
+                    </motion.button>
+                  )
+                })}
+              </div>
             </div>
-          </div>
 
-          {/* Enhanced Smart Image Upload Section */}
-          <div className="mb-8">
-            <div className="flex items-center justify-between mb-4">
-              <div>
-                <h3 className="text-lg font-semibold flex items-center gap-2">
-                  <ImageIcon className="h-5 w-5 text-primary-600" />
-                  Smart Image Integration
-                  {uploadedImages.length > 0 && (
-                    <span className="bg-primary-100 text-primary-700 px-2 py-1 rounded-full text-sm">
-                      {uploadedImages.length} image{uploadedImages.length !== 1 ? 's' : ''}
-                    </span>
-                  )}
-                </h3>
-                <p className="text-sm text-gray-600 mt-1">
-                  Upload images to be intelligently integrated into your story scenes
-                </p>
+            {/* Enhanced Smart Image Upload Section */}
+            <div className="mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold flex items-center gap-2">
+                    <ImageIcon className="h-5 w-5 text-primary-600" />
+                    Smart Image Integration
+                    {uploadedImages.length > 0 && (
+                      <span className="bg-primary-100 text-primary-700 px-2 py-1 rounded-full text-sm">
+                        {uploadedImages.length} image{uploadedImages.length !== 1 ? 's' : ''}
+                      </span>
+                    )}
+                  </h3>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Upload images to be intelligently integrated into your story scenes
+                  </p>
+                </div>
+                <motion.button
+                  onClick={() => setShowImageUpload(!showImageUpload)}
+                  className="text-primary-600 hover:text-primary-700 flex items-center space-x-2"
+                  whileHover={{ scale: 1.05 }}
+                >
+                  <Sparkles className="h-4 w-4" />
+                  <span>{showImageUpload ? 'Hide Upload' : 'Add Images'}</span>
+                </motion.button>
               </div>
-              <motion.button
-                onClick={() => setShowImageUpload(!showImageUpload)}
-                className="text-primary-600 hover:text-primary-700 flex items-center space-x-2"
-                whileHover={{ scale: 1.05 }}
-              >
-                <Sparkles className="h-4 w-4" />
-                <span>{showImageUpload ? 'Hide Upload' : 'Add Images'}</span>
-              </motion.button>
+
+              <AnimatePresence>
+                {showImageUpload && (
+                  <motion.div
+                    initial={{ opacity: 0, height: 0 }}
+                    animate={{ opacity: 1, height: 'auto' }}
+                    exit={{ opacity: 0, height: 0 }}
+                    className="overflow-hidden"
+                  >
+                    <EnhancedImageUpload
+                      uploadedImages={uploadedImages}
+                      setUploadedImages={setUploadedImages}
+                    />
+                  </motion.div>
+                )}
+              </AnimatePresence>
+
+              {/* Quick info about image integration - simplified */}
+              {uploadedImages.length > 0 && !showImageUpload && (
+                <div className="bg-gradient-to-r from-blue-50 to-purple-50 border border-blue-200 rounded-lg p-4">
+                  <div className="flex items-start gap-3">
+                    <CheckCircle className="h-5 w-5 text-green-500 mt-0.5" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {uploadedImages.length} image{uploadedImages.length !== 1 ? 's' : ''} uploaded
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
 
-            <AnimatePresence>
-              {showImageUpload && (
+            {/* Input Interface */}
+            <AnimatePresence mode="wait">
+              {inputMethod === 'text' && (
                 <motion.div
-                  initial={{ opacity: 0, height: 0 }}
-                  animate={{ opacity: 1, height: 'auto' }}
-                  exit={{ opacity: 0, height: 0 }}
-                  className="overflow-hidden"
+                  key="text"
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className="mb-8"
                 >
-                  <EnhancedImageUpload
-                    uploadedImages={uploadedImages}
-                    setUploadedImages={setUploadedImages}
-                    onAnalyzeImages={handleImageAnalysis}
+                  <label className="block text-lg font-semibold mb-4">Write Your Story</label>
+                  <textarea
+                    value={storyText}
+                    onChange={(e) => setStoryText(e.target.value)}
+                    placeholder="Once upon a time, in a magical forest far away..."
+                    className="textarea-field h-48 text-lg"
+                    maxLength={MAX_STORY_LENGTH}
                   />
+                  <div className="flex justify-between items-center mt-2">
+                    <span className="text-sm text-gray-500">
+                      {storyText.length.toLocaleString()}/{MAX_STORY_LENGTH.toLocaleString()} characters
+                      {storyText.length > CHAPTER_LENGTH && ' • long stories are illustrated chapter by chapter'}
+                    </span>
+                    <span className="text-sm text-gray-500">
+                      Estimated reading time: {Math.ceil(storyText.length / 200)} min
+                    </span>
+                  </div>
                 </motion.div>
               )}
-            </AnimatePresence>
-
-            {/* Quick info about image integration - simplified */}
-            {uploadedImages.length > 0 && !showImageUpload && (
-              <div className="bg-gradient-to-r from-blue-50 to-purple-50 border border-blue-200 rounded-lg p-4">
-                <div className="flex items-start gap-3">
-                  <CheckCircle className="h-5 w-5 text-green-500 mt-0.5" />
-                  <div>
-                    <p className="text-sm font-medium text-gray-900">
-                      {uploadedImages.length} image{uploadedImages.length !== 1 ? 's' : ''} uploaded
-                    </p>
-                  </div>
-                </div>
-              </div>
-            )}
-          </div>
-
-          {/* Input Interface */}
-          <AnimatePresence mode="wait">
-            {inputMethod === 'text' && (
-              <motion.div
-                key="text"
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: 20 }}
-                className="mb-8"
-              >
-                <label className="block text-lg font-semibold mb-4">Write Your Story</label>
-                <textarea
-                  value={storyText}
-                  onChange={(e) => setStoryText(e.target.value)}
-                  placeholder="Once upon a time, in a magical forest far away..."
-                  className="textarea-field h-48 text-lg"
-                  maxLength={5000}
-                />
-                <div className="flex justify-between items-center mt-2">
-                  <span className="text-sm text-gray-500">
-                    {storyText.length}/5000 characters
-                  </span>
-                  <span className="text-sm text-gray-500">
-                    Estimated reading time: {Math.ceil(storyText.length / 200)} min
-                  </span>
-                </div>
-              </motion.div>
-            )}
 
-            {inputMethod === 'voice' && (
-              <motion.div
-                key="voice"
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: 20 }}
-                className="mb-8"
-              >
-                <label className="block text-lg font-semibold mb-4">Record Your Story</label>
-                <div className="bg-gray-50 rounded-xl p-8 text-center">
-                  {!audioBlob ? (
-                    <div>
-                      <motion.button
-                        onClick={isRecording ? stopRecording : startRecording}
-                        className={`w-24 h-24 rounded-full flex items-center justify-center mb-4 mx-auto ${
-                          isRecording 
-                            ? 'bg-red-500 hover:bg-red-600 pulse-glow' 
-                            : 'bg-primary-500 hover:bg-primary-600'
-                        } text-white shadow-lg`}
-                        whileHover={{ scale: 1.1 }}
-                        whileTap={{ scale: 0.95 }}
-                      >
-                        {isRecording ? <MicOff className="h-8 w-8" /> : <Mic className="h-8 w-8" />}
-                      </motion.button>
+              {inputMethod === 'voice' && (
+                <motion.div
+                  key="voice"
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className="mb-8"
+                >
+                  <label className="block text-lg font-semibold mb-4">Record Your Story</label>
+                  <div className="bg-gray-50 rounded-xl p-8 text-center">
+                    {!audioBlob ? (
+                      <div>
+                        <motion.button
+                          onClick={isRecording ? stopRecording : startRecording}
+                          className={`w-24 h-24 rounded-full flex items-center justify-center mb-4 mx-auto ${
+                            isRecording 
+                              ? 'bg-red-500 hover:bg-red-600 pulse-glow' 
+                              : 'bg-primary-500 hover:bg-primary-600'
+                          } text-white shadow-lg`}
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.95 }}
+                        >
+                          {isRecording ? <MicOff className="h-8 w-8" /> : <Mic className="h-8 w-8" />}
+                        </motion.button>
                       
-                      <p className="text-lg font-medium mb-2">
-                        {isRecording ? 'Recording...' : 'Click to start recording'}
-                      </p>
+                        <p className="text-lg font-medium mb-2">
+                          {isRecording ? 'Recording...' : 'Click to start recording'}
+                        </p>
                       
-                      {isRecording && (
-                        <div className="text-2xl font-mono text-red-600 mb-2">
-                          {formatTime(recordingTime)}
+                        {isRecording && (
+                          <div className="text-2xl font-mono text-red-600 mb-2">
+                            {formatTime(recordingTime)}
+                          </div>
+                        )}
+                      
+                        <p className="text-sm text-gray-600">
+                          Maximum recording time: 5 minutes
+                        </p>
+                      </div>
+                    ) : (
+                      <div>
+                        <div className="flex justify-center space-x-4 mb-4">
+                          <motion.button
+                            onClick={playAudio}
+                            className="btn-primary flex items-center space-x-2"
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                          >
+                            {isPlaying ? <VolumeX className="h-5 w-5" /> : <Volume2 className="h-5 w-5" />}
+                            <span>{isPlaying ? 'Playing...' : 'Play Recording'}</span>
+                          </motion.button>
+                        
+                          <motion.button
+                            onClick={resetRecording}
+                            className="btn-secondary flex items-center space-x-2"
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                          >
+                            <RotateCcw className="h-5 w-5" />
+                            <span>Re-record</span>
+                          </motion.button>
                         </div>
-                      )}
                       
-                      <p className="text-sm text-gray-600">
-                        Maximum recording time: 5 minutes
-                      </p>
-                    </div>
-                  ) : (
-                    <div>
-                      <div className="flex justify-center space-x-4 mb-4">
+                        <p className="text-green-600 font-medium">
+                          ✓ Recording ready ({formatTime(recordingTime)})
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                </motion.div>
+              )}
+
+              {inputMethod === 'upload' && (
+                <motion.div
+                  key="upload"
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className="mb-8"
+                >
+                  <label className="block text-lg font-semibold mb-4">Upload Audio File</label>
+                  <div 
+                    className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center hover:border-primary-400 transition-colors cursor-pointer"
+                    onClick={() => fileInputRef.current?.click()}
+                  >
+                    <Upload className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <p className="text-lg font-medium mb-2">
+                      {audioBlob ? 'Audio file uploaded' : 'Click to upload audio file'}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Supports MP3, WAV, M4A files (max 10MB)
+                    </p>
+                  
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="audio/*"
+                      onChange={handleFileUpload}
+                      className="hidden"
+                    />
+                  
+                    {audioBlob && (
+                      <div className="mt-4 flex justify-center space-x-4">
                         <motion.button
-                          onClick={playAudio}
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            playAudio()
+                          }}
                           className="btn-primary flex items-center space-x-2"
                           whileHover={{ scale: 1.05 }}
                           whileTap={{ scale: 0.95 }}
                         >
-                          {isPlaying ? <VolumeX className="h-5 w-5" /> : <Volume2 className="h-5 w-5" />}
-                          <span>{isPlaying ? 'Playing...' : 'Play Recording'}</span>
+                          <Play className="h-4 w-4" />
+                          <span>Play</span>
                         </motion.button>
-                        
+                      
                         <motion.button
-                          onClick={resetRecording}
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            setAudioBlob(null)
+                          }}
                           className="btn-secondary flex items-center space-x-2"
                           whileHover={{ scale: 1.05 }}
                           whileTap={{ scale: 0.95 }}
                         >
-                          <RotateCcw className="h-5 w-5" />
-                          <span>Re-record</span>
+                          <RotateCcw className="h-4 w-4" />
+                          <span>Remove</span>
                         </motion.button>
                       </div>
-                      
-                      <p className="text-green-600 font-medium">
-                        ✓ Recording ready ({formatTime(recordingTime)})
-                      </p>
-                    </div>
-                  )}
-                </div>
-              </motion.div>
-            )}
+                    )}
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            <ArtStyleOptions style={artStyle} onChange={setArtStyle} />
 
-            {inputMethod === 'upload' && (
+            <StoryLengthOptions options={storyOptions} onChange={setStoryOptions} />
+
+            <ContentPolicyOptions
+              policy={storyOptions.contentPolicy}
+              onChange={(contentPolicy) => setStoryOptions(prev => ({ ...prev, contentPolicy }))}
+            />
+
+            <LanguageOptions
+              language={storyOptions.language}
+              onChange={(language) => setStoryOptions(prev => ({ ...prev, language }))}
+            />
+
+            {/* Error Display */}
+            {error && (
               <motion.div
-                key="upload"
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: 20 }}
-                className="mb-8"
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center space-x-3"
               >
-                <label className="block text-lg font-semibold mb-4">Upload Audio File</label>
-                <div 
-                  className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center hover:border-primary-400 transition-colors cursor-pointer"
-                  onClick={() => fileInputRef.current?.click()}
-                >
-                  <Upload className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-lg font-medium mb-2">
-                    {audioBlob ? 'Audio file uploaded' : 'Click to upload audio file'}
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Supports MP3, WAV, M4A files (max 10MB)
-                  </p>
-                  
-                  <input
-                    ref={fileInputRef}
-                    type="file"
-                    accept="audio/*"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
-                  
-                  {audioBlob && (
-                    <div className="mt-4 flex justify-center space-x-4">
-                      <motion.button
-                        onClick={(e) => {
-                          e.stopPropagation()
-                          playAudio()
-                        }}
-                        className="btn-primary flex items-center space-x-2"
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                      >
-                        <Play className="h-4 w-4" />
-                        <span>Play</span>
-                      </motion.button>
-                      
-                      <motion.button
-                        onClick={(e) => {
-                          e.stopPropagation()
-                          setAudioBlob(null)
-                        }}
-                        className="btn-secondary flex items-center space-x-2"
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                      >
-                        <RotateCcw className="h-4 w-4" />
-                        <span>Remove</span>
-                      </motion.button>
-                    </div>
-                  )}
+                <AlertCircle className="h-5 w-5 text-red-500 flex-shrink-0" />
+                <div>
+                  <p className="text-red-800 font-medium">Generation Failed</p>
+                  <p className="text-red-600 text-sm">{error}</p>
                 </div>
               </motion.div>
             )}
-          </AnimatePresence>
-
-          {/* Error Display */}
-          {error && (
-            <motion.div
-              initial={{ opacity: 0, y: -10 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center space-x-3"
-            >
-              <AlertCircle className="h-5 w-5 text-red-500 flex-shrink-0" />
-              <div>
-                <p className="text-red-800 font-medium">Generation Failed</p>
-                <p className="text-red-600 text-sm">{error}</p>
-              </div>
-            </motion.div>
-          )}
-
-          {/* Generate Button */}
-          <div className="text-center">
-            <motion.button
-              onClick={generateStory}
-              disabled={isProcessing || (!storyText.trim() && !audioBlob)}
-              className={`btn-primary text-lg px-8 py-4 flex items-center space-x-3 mx-auto ${
-                isProcessing || (!storyText.trim() && !audioBlob)
-                  ? 'opacity-50 cursor-not-allowed'
-                  : ''
-              }`}
-              whileHover={!isProcessing ? { scale: 1.05 } : {}}
-              whileTap={!isProcessing ? { scale: 0.95 } : {}}
-            >
-              {isProcessing ? (
-                <>
-                  <Loader2 className="h-5 w-5 animate-spin" />
-                  <span>Generating Story...</span>
-                </>
-              ) : (
-                <>
-                  <Sparkles className="h-5 w-5" />
-                  <span>Generate Story</span>
-                  <ArrowRight className="h-5 w-5" />
-                </>
-              )}
-            </motion.button>
-          </div>
-        </div>
-
-        {/* Processing Steps - Simplified */}
-        {isProcessing && (
-          <div className="mt-8 text-center">
-            <div className="inline-block p-4 bg-blue-50 rounded-lg shadow">
-              <div className="flex items-center justify-center">
-                <div className="w-8 h-8 border-4 border-t-blue-500 border-blue-200 rounded-full animate-spin mr-3"></div>
-                <p>Processing your story...</p>
-              </div>
+
+            {/* Storyboard review toggle */}
+            <label className="flex items-start gap-3 mb-6 p-4 rounded-xl border border-gray-200 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={reviewStoryboard}
+                onChange={(e) => setReviewStoryboard(e.target.checked)}
+                className="mt-1 h-4 w-4"
+              />
+              <span>
+                <span className="font-medium">Review the storyboard first</span>
+                <span className="block text-sm text-gray-600">
+                  Check and edit every scene, prompt and mood before any image is drawn
+                </span>
+              </span>
+            </label>
+
+            {/* Generate Button */}
+            <div className="text-center">
+              <motion.button
+                onClick={generateStory}
+                disabled={isProcessing || (!storyText.trim() && !audioBlob)}
+                className={`btn-primary text-lg px-8 py-4 flex items-center space-x-3 mx-auto ${
+                  isProcessing || (!storyText.trim() && !audioBlob)
+                    ? 'opacity-50 cursor-not-allowed'
+                    : ''
+                }`}
+                whileHover={!isProcessing ? { scale: 1.05 } : {}}
+                whileTap={!isProcessing ? { scale: 0.95 } : {}}
+              >
+                {isProcessing ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    <span>{reviewStoryboard ? 'Analyzing Story...' : 'Generating Story...'}</span>
+                  </>
+                ) : (
+                  <>
+                    <Sparkles className="h-5 w-5" />
+                    <span>{reviewStoryboard ? 'Create Storyboard' : 'Generate Story'}</span>
+                    <ArrowRight className="h-5 w-5" />
+                  </>
+                )}
+              </motion.button>
             </div>
           </div>
         )}
+
+        {/* Processing Steps - live progress from the generation job */}
+        {(isProcessing || error) && processingSteps.length > 0 && (
+          <ProcessingSteps
+            steps={processingSteps}
+            thumbnails={[...sceneThumbnails].sort((a, b) => a.sceneNumber - b.sceneNumber)}
+            totalScenes={expectedScenes}
+          />
+        )}
       </div>
     </div>
   )
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { ArrowLeft, AlertCircle, Loader2 } from 'lucide-react'
-import StoryPreview from '../components/StoryPreview'
+import VideoLikePlayer from '../components/VideoLikePlayer'
+import { storyAPI } from '../services/api'
 
 const ViewStoryPage = () => {
   const { id } = useParams()
@@ -12,14 +13,36 @@ const ViewStoryPage = () => {
   const [error, setError] = useState(null)
 
   useEffect(() => {
-    // In a real app, you would fetch the story by ID from your backend
-    // For now, we'll simulate loading and show a placeholder
-    const timer = setTimeout(() => {
-      setError('Story not found. This feature will be available when stories are saved to a database.')
-      setLoading(false)
-    }, 2000)
+    let cancelled = false
 
-    return () => clearTimeout(timer)
+    const loadStory = async () => {
+      setLoading(true)
+      setError(null)
+
+      try {
+        const result = await storyAPI.getStory(id)
+        if (cancelled) return
+
+        if (result.success && result.story) {
+          setStory({ ...result.story, type: 'slideshow' })
+        } else {
+          setError('Story not found. It may have been deleted.')
+        }
+      } catch (error) {
+        if (cancelled) return
+        setError(error.response?.status === 404
+          ? 'Story not found. It may have been deleted.'
+          : 'Could not load this story. Please try again later.')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadStory()
+
+    return () => {
+      cancelled = true
+    }
   }, [id])
 
   if (loading) {
@@ -64,9 +87,11 @@ const ViewStoryPage = () => {
     )
   }
 
+  // Keyed by story so opening another language edition starts a fresh player (no cached narration)
   return (
-    <StoryPreview 
-      story={story} 
+    <VideoLikePlayer 
+      key={story.id}
+      presentation={story} 
       onBack={() => navigate('/')} 
     />
   )
@@ -41,8 +41,14 @@ api.interceptors.response.use(
       toast.error('Request timeout. Please try again.')
     } else if (error.response?.status === 500) {
       toast.error(`Server error: ${error.response?.data?.details || 'Please try again later.'}`)
+    } else if (error.response?.status === 404 && error.response?.data?.error !== 'Endpoint not found') {
+      // Resource-level 404 (e.g. a deleted story) - callers render their own message
+      console.warn(`Not found: ${error.config?.url}`)
     } else if (error.response?.status === 404) {
       toast.error(`Endpoint not found: ${error.config?.url}. Check if backend is running on port 3001.`)
+    } else if (error.response?.status === 422) {
+      // Refused by the story's content policy, details carry the reason
+      toast.error(`Blocked by content policy: ${error.response?.data?.details?.[0] || 'content not allowed'}`)
     } else if (error.response?.status === 400) {
       const details = error.response?.data?.details || error.response?.data?.error || 'Invalid request'
       toast.error(`Validation error: ${details}`)
@@ -64,9 +70,41 @@ export const storyAPI = {
     return response.data
   },
 
+  // Storyboard a story without drawing it: scenes, chapters, characters and voice cast
+  // Send the reviewed result back as `storyboard` with the generation request
+  analyzeStory: async (storyText, storyOptions) => {
+    const response = await api.post('/story/analyze', { storyText, storyOptions })
+    return response.data
+  },
+
+  // Start scene generation as a background job (returns jobId + eventsUrl immediately)
+  startSceneGeneration: async (data) => {
+    const response = await api.post('/story/generate-scenes', { ...data, async: true })
+    return response.data
+  },
+
   // Convert text to speech for frontend narration
-  textToSpeech: async (text) => {
-    const response = await api.post('/story/text-to-speech', { text })
+  // options: { segments, voiceCast } to read dialogue in each character's voice
+  textToSpeech: async (text, options = {}) => {
+    const response = await api.post('/story/text-to-speech', { text, ...options })
+    return response.data
+  },
+
+  // Voice profiles available for casting characters
+  getVoices: async () => {
+    const response = await api.get('/story/voices')
+    return response.data
+  },
+
+  // Audiences a story can be made for ({ defaultPolicy, policies: [{ id, label, description, maxRating }] })
+  getContentPolicies: async () => {
+    const response = await api.get('/story/content-policies')
+    return response.data
+  },
+
+  // Languages stories can be written and narrated in ({ defaultLanguage, languages: [{ code, name, nativeName }] })
+  getLanguages: async () => {
+    const response = await api.get('/story/languages')
     return response.data
   },
 
@@ -88,6 +126,12 @@ export const storyAPI = {
     return response.data
   },
 
+  // Describe uploaded images (subjects, setting, mood, style, palette)
+  analyzeImages: async (images) => {
+    const response = await api.post('/story/analyze-images', { images })
+    return response.data
+  },
+
   // Generate edit prompt
   generateEditPrompt: async (originalPrompt, userEdit) => {
     const response = await api.post('/story/edit-prompt', {
@@ -105,18 +149,126 @@ export const storyAPI = {
     return response.data
   },
 
+  // Edit only the painted region of a scene image (maskImage: PNG data URL, painted pixels mark the region)
+  inpaintSceneImage: async (inpaintData) => {
+    const response = await api.post('/story/inpaint-scene-image', inpaintData)
+    return response.data
+  },
+
   // Batch edit multiple images
   batchEditImages: async (editRequests) => {
     const response = await api.post('/story/batch-edit-images', { editRequests })
     return response.data
   },
 
-  // Chat-based image editing
+  // Chat about the current scene; the reply carries the interpreted intent and actions to run
+  // (edit-image is applied by the server, edit-narration, regenerate and restyle are run by the player)
   chatEdit: async (chatData) => {
     const response = await api.post('/story/chat-edit', chatData)
     return response.data
   },
 
+  // Scene version tree (saved stories only)
+  getSceneVersions: async (storyId, sceneIndex) => {
+    const response = await api.get(`/story/${storyId}/scenes/${sceneIndex}/versions`)
+    return response.data
+  },
+
+  // Make a scene version current (undo, redo, restore)
+  revertSceneVersion: async (storyId, sceneIndex, versionId) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/versions/${versionId}/revert`)
+    return response.data
+  },
+
+  // Apply a new edit on top of any scene version
+  branchSceneVersion: async (storyId, sceneIndex, versionId, editPrompt, sceneContext) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/versions/${versionId}/branch`, {
+      editPrompt,
+      sceneContext
+    })
+    return response.data
+  },
+
+  // Character bible (saved stories only): appearance attributes, locks and reference sheets
+  getCharacters: async (storyId) => {
+    const response = await api.get(`/story/${storyId}/characters`)
+    return response.data
+  },
+
+  // changes: { age, build, hair, outfit, palette, props, description, lockedAttributes, regenerateSheet }
+  updateCharacter: async (storyId, name, changes) => {
+    const response = await api.put(`/story/${storyId}/characters/${encodeURIComponent(name)}`, changes)
+    return response.data
+  },
+
+  // Redraw a character's reference sheet from its current attributes
+  regenerateReferenceSheet: async (storyId, name) => {
+    const response = await api.post(`/story/${storyId}/characters/${encodeURIComponent(name)}/reference-sheet`)
+    return response.data
+  },
+
+  // Re-extract characters from the story text, locked attributes are kept
+  refreshCharacters: async (storyId) => {
+    const response = await api.post(`/story/${storyId}/characters/refresh`)
+    return response.data
+  },
+
+  // Regenerate one scene (options: { image, rewritePrompt, narration, instructions }), returns a candidate to compare
+  regenerateScene: async (storyId, sceneIndex, options) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/regenerate`, options)
+    return response.data
+  },
+
+  // Save a regeneration candidate ({ visualPrompt, image, audio }) onto the scene
+  acceptRegeneratedScene: async (storyId, sceneIndex, candidate) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/regenerate/accept`, candidate)
+    return response.data
+  },
+
+  // Scene timeline edits; each returns the story's renumbered scenes and chapter outline
+  reorderScenes: async (storyId, sceneIds) => {
+    const response = await api.put(`/story/${storyId}/scenes/order`, { sceneIds })
+    return response.data
+  },
+
+  splitScene: async (storyId, sceneIndex, splitAt) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/split`, splitAt ? { splitAt } : {})
+    return response.data
+  },
+
+  mergeScenes: async (storyId, sceneIndex) => {
+    const response = await api.post(`/story/${storyId}/scenes/${sceneIndex}/merge`)
+    return response.data
+  },
+
+  insertScene: async (storyId, text, index) => {
+    const response = await api.post(`/story/${storyId}/scenes`, { text, index })
+    return response.data
+  },
+
+  deleteScene: async (storyId, sceneIndex) => {
+    const response = await api.delete(`/story/${storyId}/scenes/${sceneIndex}`)
+    return response.data
+  },
+
+  // Redraw every scene of a saved story in another art style (background job)
+  startRestyle: async (storyId, style) => {
+    const response = await api.post(`/story/${storyId}/restyle`, { style, async: true })
+    return response.data
+  },
+
+  // Translate a saved story into another language (background job), the result is the new story's id
+  startTranslation: async (storyId, language) => {
+    const response = await api.post(`/story/${storyId}/translate`, { language, async: true })
+    return response.data
+  },
+
+  // Apply one instruction to every scene it concerns (background job), the result reports each scene
+  startStoryEdit: async (storyId, instruction) => {
+    const response = await api.post(`/story/${storyId}/edit-all`, { instruction, async: true })
+    return response.data
+  },
+
   // Get demo story
   getDemo: async () => {
     const response = await api.get('/story/demo')
@@ -133,6 +285,85 @@ export const storyAPI = {
   exportStoryVideo: async (exportData) => {
     const response = await api.post('/story/export-video', exportData)
     return response.data
+  },
+
+  // Narration, ambience and music mixed into one levelled track: { scenes, music }
+  mixSoundtrack: async (soundtrackData) => {
+    const response = await api.post('/story/soundtrack', soundtrackData)
+    return response.data
+  },
+
+  getSoundtrackUrl: (soundtrackId) => {
+    return `${api.defaults.baseURL}/story/soundtrack/${soundtrackId}`
+  },
+
+  // Saved stories
+  listStories: async () => {
+    const response = await api.get('/story')
+    return response.data
+  },
+
+  saveStory: async (storyData) => {
+    const response = await api.post('/story', storyData)
+    return response.data
+  },
+
+  getStory: async (storyId) => {
+    const response = await api.get(`/story/${storyId}`)
+    return response.data
+  },
+
+  updateStory: async (storyId, changes) => {
+    const response = await api.put(`/story/${storyId}`, changes)
+    return response.data
+  },
+
+  deleteStory: async (storyId) => {
+    const response = await api.delete(`/story/${storyId}`)
+    return response.data
+  }
+}
+
+export const styleAPI = {
+  // Built-in and custom art styles
+  listStyles: async () => {
+    const response = await api.get('/styles')
+    return response.data
+  },
+
+  // style: { name, prompt, thumbnail } - a sample thumbnail is drawn when none is given
+  createStyle: async (style) => {
+    const response = await api.post('/styles', style)
+    return response.data
+  },
+
+  deleteStyle: async (styleId) => {
+    const response = await api.delete(`/styles/${encodeURIComponent(styleId)}`)
+    return response.data
+  }
+}
+
+export const musicAPI = {
+  // Library, uploaded and built-in music tracks, with the moods they are tagged with
+  listTracks: async () => {
+    const response = await api.get('/music')
+    return response.data
+  },
+
+  // track: { title, audioUrl, moods } - audioUrl is a WAV or MP3 data URL
+  uploadTrack: async (track) => {
+    const response = await api.post('/music', track)
+    return response.data
+  },
+
+  deleteTrack: async (trackId) => {
+    const response = await api.delete(`/music/${encodeURIComponent(trackId)}`)
+    return response.data
+  },
+
+  // Audio of a track, for previews
+  getTrackAudioUrl: (trackId) => {
+    return `${api.defaults.baseURL}/music/${encodeURIComponent(trackId)}/audio`
   }
 }
 
@@ -176,10 +407,62 @@ export const systemAPI = {
   }
 }
 
+export const jobAPI = {
+  // Get job status snapshot
+  getJob: async (jobId) => {
+    const response = await api.get(`/jobs/${jobId}`)
+    return response.data
+  },
+
+  // Follow job progress over Server-Sent Events, returns an unsubscribe function
+  subscribe: (jobId, { onProgress, onCompleted, onFailed } = {}) => {
+    const source = new EventSource(`${api.defaults.baseURL}/jobs/${jobId}/events`)
+
+    source.addEventListener('progress', (event) => {
+      onProgress?.(JSON.parse(event.data))
+    })
+
+    source.addEventListener('completed', (event) => {
+      source.close()
+      onCompleted?.(JSON.parse(event.data).result)
+    })
+
+    source.addEventListener('failed', (event) => {
+      source.close()
+      onFailed?.(JSON.parse(event.data).error)
+    })
+
+    source.onerror = () => {
+      // EventSource reconnects on its own; only give up once the stream is closed
+      if (source.readyState === EventSource.CLOSED) {
+        onFailed?.({ message: 'Lost connection to the progress stream' })
+      }
+    }
+
+    return () => source.close()
+  },
+
+  // Resolve with the job result once it completes
+  waitForResult: (jobId, onProgress) => {
+    return new Promise((resolve, reject) => {
+      jobAPI.subscribe(jobId, {
+        onProgress,
+        onCompleted: resolve,
+        onFailed: (error) => {
+          const failure = new Error(error?.message || 'Story generation failed')
+          failure.details = error?.details
+          reject(failure)
+        }
+      })
+    })
+  }
+}
+
 export const videoAPI = {
-  // Get video download URL
-  getDownloadUrl: (videoId) => {
-    return `${api.defaults.baseURL}/video/download/${videoId}`
+  // Get video download URL ('zip' presentation package or 'mp4' video)
+  getDownloadUrl: (videoId, format) => {
+    const query = format ? `?format=${format}` : ''
+    return `${api.defaults.baseURL}/video/download/${videoId}${query}`
   },
 
   // Get video stream URL